@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { Line, Doughnut, Bar } from 'react-chartjs-2'
+import zoomPlugin from 'chartjs-plugin-zoom'
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -8,13 +9,165 @@ import {
   LineElement,
   BarElement,
   ArcElement,
+  Filler,
   Tooltip,
   Legend
 } from 'chart.js'
 
+import { useAlerts } from './hooks/useAlerts'
+import { useAuth } from './hooks/useAuth'
+import { useDailyPeaks } from './hooks/useDailyPeaks'
+import { useDeviceCommands } from './hooks/useDeviceCommands'
+import { useDeviceConfig } from './hooks/useDeviceConfig'
+import { useDeviceStatus } from './hooks/useDeviceStatus'
+import { useDevices } from './hooks/useDevices'
+import { useEnergyBuckets } from './hooks/useEnergyBuckets'
+import { useFleetSnapshot } from './hooks/useFleetSnapshot'
+import { useHistoryBuckets } from './hooks/useHistoryBuckets'
+import { useLoadShedding } from './hooks/useLoadShedding'
+import { usePowerEvents } from './hooks/usePowerEvents'
+import { usePrepaidTokens } from './hooks/usePrepaidTokens'
 import { useRealtimeLogs } from './hooks/useRealtimeLogs'
+import { useRelayAutomation } from './hooks/useRelayAutomation'
+import { useRelayChannelMeta } from './hooks/useRelayChannelMeta'
 import { useRelayConfig } from './hooks/useRelayConfig'
-import { supabase } from './lib/supabase'
+import { useRelayHistory } from './hooks/useRelayHistory'
+import { useSites } from './hooks/useSites'
+import { useTariffs } from './hooks/useTariffs'
+import { useUserRoles } from './hooks/useUserRoles'
+import { ALERT_SEVERITIES } from './lib/alerts'
+import { ROLES, ROLE_LABELS, can, withActor } from './lib/auth'
+import {
+  BILLING_FLAGS,
+  BILLING_TOLERANCE_PCT,
+  BILLING_TOLERANCE_RP,
+  computeBilling
+} from './lib/billing'
+import {
+  DEVICE_STATUSES,
+  computeDailyUptime,
+  detectBucketGaps,
+  detectGaps,
+  estimateSampleInterval,
+  gapOverlapMs,
+  mergeGaps
+} from './lib/dataGaps'
+import {
+  COMMAND_STALE_MS,
+  COMMAND_STATUSES,
+  commandStatusLabel,
+  commandTypeLabel,
+  formatCommandPayload,
+  formatCommandResult,
+  isCommandInFlight,
+  isCommandStale
+} from './lib/deviceCommands'
+import {
+  CONFIG_COMMANDS,
+  CONFIG_FIELDS,
+  DEVICE_INFO_FIELDS,
+  configFieldStatus,
+  formatConfigValue,
+  initialCommandValues
+} from './lib/deviceConfig'
+import {
+  MAX_EXPORT_ROWS,
+  downloadCsv,
+  downloadXlsx,
+  fetchBucketedLogs,
+  fetchRawLogs
+} from './lib/exportData'
+import { kwhFmt, rupiahFmt } from './lib/format'
+import {
+  DEFAULT_LOAD_SHEDDING,
+  LOAD_SHED_METRICS,
+  getLoadShedThresholds
+} from './lib/loadShedding'
+import {
+  downloadMonthlyReportPdf,
+  fetchMonthlyReportLogs
+} from './lib/monthlyReport'
+import {
+  AUTO_RULE_LOGIC,
+  AUTO_RULE_SOURCES,
+  createAutoCondition,
+  createTimeWindow,
+  normalizeAutoRule
+} from './lib/relayAutomation'
+import {
+  DEFAULT_SCHEDULE,
+  SCHEDULE_POINT_TYPES,
+  WEEK_DAYS,
+  createScheduleSlot,
+  getScheduleActions,
+  getScheduleIntervals,
+  isValidLocation,
+  usesSunTimes
+} from './lib/relaySchedule'
+import {
+  FREQUENCY_MAX,
+  FREQUENCY_MIN,
+  NOMINAL_FREQUENCY,
+  NOMINAL_VOLTAGE,
+  POWER_EVENT_TYPES,
+  VOLTAGE_MAX,
+  VOLTAGE_MIN,
+  analyzePowerQuality
+} from './lib/powerQuality'
+import {
+  BILLING_MODES,
+  PREPAID_AVG_DAYS,
+  PREPAID_STATUSES,
+  PREPAID_WARN_DAYS,
+  computePrepaidBalance,
+  meterReadingAt,
+  validateTokenEntry
+} from './lib/prepaid'
+import { RELAY_ACK_STATUSES, getRelayAckStatus } from './lib/relayAck'
+import {
+  RELAY_COUNT_OPTIONS,
+  RELAY_ICONS,
+  formatChannelName,
+  relayIcon,
+  visibleRelays
+} from './lib/relayChannels'
+import {
+  RELAY_SOURCE_GROUPS,
+  buildRelayIntervals,
+  formatMetaBy,
+  relayColor,
+  relaySourceGroup
+} from './lib/relayHistory'
+import {
+  NO_ROOM_LABEL,
+  NO_SITE_LABEL,
+  PEAK_BUCKET_SECONDS,
+  aggregateMetric,
+  buildBreadcrumb,
+  combinedPeak,
+  isValidScope,
+  scopeDevices
+} from './lib/sites'
+import {
+  DEFAULT_HISTORY_RANGE,
+  HISTORY_PRESETS,
+  isValidRange,
+  shiftRange,
+  toDateKey,
+  toDateTimeLocal
+} from './lib/timeRange'
+import {
+  DEFAULT_TARIFF_PBJT_PCT,
+  DEFAULT_TARIFF_PPJ_PCT,
+  PLN_TARIFF_PRESETS,
+  deviceTariffMatches,
+  findTariffPreset,
+  tariffAt,
+  tariffClassLabel,
+  tariffCommandPayload,
+  tariffStatus,
+  validateTariff
+} from './lib/tariffs'
 import './styles.css'
 
 ChartJS.register(
@@ -24,27 +177,24 @@ ChartJS.register(
   LineElement,
   BarElement,
   ArcElement,
+  Filler,
   Tooltip,
-  Legend
+  Legend,
+  zoomPlugin
 )
 
-const DEVICE_ID = 'ESP32-S3-Monitoring-01'
+// device default kalau tabel `devices` belum diisi
+const DEFAULT_DEVICE_ID =
+  import.meta.env.VITE_DEVICE_ID || 'ESP32-S3-Monitoring-01'
 
 // key untuk localStorage
-const RANGE_STORAGE_KEY = 'pm_range_hours'
+const DEVICE_STORAGE_KEY = 'pm_selected_device'
+const VIEW_STORAGE_KEY = 'pm_view'
+const RANGE_STORAGE_KEY = 'pm_history_range'
+const METRICS_STORAGE_KEY = 'pm_history_metrics'
 const MONTH_STORAGE_KEY = 'pm_selected_month'
 const BUDGET_STORAGE_KEY = 'pm_budget_target'
-
-const rupiahFmt = new Intl.NumberFormat('id-ID', {
-  style: 'currency',
-  currency: 'IDR',
-  maximumFractionDigits: 0
-})
-
-const kwhFmt = new Intl.NumberFormat('id-ID', {
-  minimumFractionDigits: 2,
-  maximumFractionDigits: 3
-})
+const SCOPE_STORAGE_KEY = 'pm_site_scope'
 
 function asDate(ts) {
   if (!ts) return null
@@ -58,58 +208,50 @@ function startOfDay(d) {
   return t
 }
 
-/* ========================================================================
- *  FILTER & UTIL
- * ====================================================================== */
-
-// Filter log per jam terakhir (1–6 jam) dari SEKARANG
-function filterLogsByHours(logs, hours) {
-  if (!logs?.length || !hours) return []
-
-  // waktu akhir = sekarang
-  const end = new Date()
-  const from = new Date(end.getTime() - hours * 60 * 60 * 1000)
-
-  // ambil hanya log yang ts-nya berada di antara [from, end]
-  const filtered = logs.filter(l => {
-    const t = asDate(l.ts)
-    return t && t >= from && t <= end
-  })
-
-  // urutkan naik berdasarkan waktu supaya label di grafik rapi
-  filtered.sort((a, b) => {
-    const ta = asDate(a.ts)?.getTime() ?? 0
-    const tb = asDate(b.ts)?.getTime() ?? 0
-    return ta - tb
+// "12 dtk lalu", "5 mnt lalu", ... untuk info last-seen
+function formatRelativeTime(d, now = new Date()) {
+  if (!d) return '-'
+  const sec = Math.max(0, Math.round((now.getTime() - d.getTime()) / 1000))
+  if (sec < 60) return `${sec} dtk lalu`
+  if (sec < 3600) return `${Math.floor(sec / 60)} mnt lalu`
+  if (sec < 86400) return `${Math.floor(sec / 3600)} jam lalu`
+  return d.toLocaleString('id-ID', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
   })
-
-  return filtered
 }
 
-// Statistik 1 minggu (per hari)
-function computeWeeklyStats(logs, asNumber) {
-  if (!logs?.length) return null
-
-  const now = new Date()
-  const from = startOfDay(new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000))
+/* ========================================================================
+ *  FILTER & UTIL
+ * ====================================================================== */
 
-  const weekLogs = logs.filter(l => {
-    const t = asDate(l.ts)
-    return t && t >= from
-  })
-  if (!weekLogs.length) return null
+// komponen tagihan harian dari firmware (nilai kumulatif per hari)
+const DAILY_BILL_PARTS = [
+  ['energiRp', 'biaya_energi_harian_rp'],
+  ['bebanRp', 'beban_harian_rp'],
+  ['ppjRp', 'ppj_harian_rp'],
+  ['pbjtRp', 'pbjt_harian_rp']
+]
 
+// Statistik per hari: nilai harian kumulatif -> ambil maksimum per tanggal
+function computeDailyStats(logs, asNumber) {
   const dayMap = new Map()
 
-  weekLogs.forEach(l => {
+  logs.forEach(l => {
     const t = asDate(l.ts)
     if (!t) return
-    const dateKey = t.toISOString().slice(0, 10)
+    const dateKey = toDateKey(t)
 
     const day = dayMap.get(dateKey) || {
       date: dateKey,
       energyKwh: 0,
       costRp: 0,
+      energiRp: 0,
+      bebanRp: 0,
+      ppjRp: 0,
+      pbjtRp: 0,
       peakWatts: 0,
       peakTs: null
     }
@@ -124,6 +266,10 @@ function computeWeeklyStats(logs, asNumber) {
     if (!Number.isNaN(totalHarian) && totalHarian > day.costRp) {
       day.costRp = totalHarian
     }
+    DAILY_BILL_PARTS.forEach(([key, field]) => {
+      const v = asNumber(l[field])
+      if (!Number.isNaN(v) && v > day[key]) day[key] = v
+    })
     if (!Number.isNaN(P) && P > day.peakWatts) {
       day.peakWatts = P
       day.peakTs = t
@@ -132,9 +278,25 @@ function computeWeeklyStats(logs, asNumber) {
     dayMap.set(dateKey, day)
   })
 
-  const days = Array.from(dayMap.values()).sort((a, b) =>
+  return Array.from(dayMap.values()).sort((a, b) =>
     a.date.localeCompare(b.date)
   )
+}
+
+// Statistik 1 minggu (per hari)
+function computeWeeklyStats(logs, asNumber) {
+  if (!logs?.length) return null
+
+  const now = new Date()
+  const from = startOfDay(new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000))
+
+  const weekLogs = logs.filter(l => {
+    const t = asDate(l.ts)
+    return t && t >= from
+  })
+  if (!weekLogs.length) return null
+
+  const days = computeDailyStats(weekLogs, asNumber)
   if (!days.length) return null
 
   const mostWastefulDay = days.reduce(
@@ -216,7 +378,7 @@ function computeMonthlyStats(logs, monthKey, asNumber) {
     const eDay = asNumber(l.energi_harian_kwh)
     const totalHarian = asNumber(l.total_harian_rp)
     const P = asNumber(l.daya_aktif_w)
-    const dateKey = t.toISOString().slice(0, 10)
+    const dateKey = toDateKey(t)
 
     const week = weekMap.get(key) || {
       index: weekIdx,
@@ -273,17 +435,389 @@ function computeMonthlyStats(logs, monthKey, asNumber) {
   return { weeks, mostWastefulWeek }
 }
 
+// Data laporan bulanan (PDF): mingguan + harian + rincian tarif + proyeksi
+function computeMonthlyReport(logs, monthKey, asNumber, now = new Date()) {
+  const monthlyStats = computeMonthlyStats(logs, monthKey, asNumber)
+  if (!monthlyStats) return null
+
+  const [yearStr, monthStr] = monthKey.split('-')
+  const year = parseInt(yearStr, 10)
+  const monthIndex = parseInt(monthStr, 10) - 1
+
+  const monthLogs = logs.filter(l => {
+    const t = asDate(l.ts)
+    return t && t.getFullYear() === year && t.getMonth() === monthIndex
+  })
+  const days = computeDailyStats(monthLogs, asNumber)
+  const sum = key => days.reduce((s, d) => s + (d[key] || 0), 0)
+
+  const peakDay = days.reduce(
+    (max, d) => (d.peakWatts > (max?.peakWatts ?? -1) ? d : max),
+    null
+  )
+
+  const lastLog = monthLogs[monthLogs.length - 1]
+  const tariffValue = field => {
+    const v = lastLog ? asNumber(lastLog[field]) : NaN
+    return Number.isNaN(v) ? null : v
+  }
+
+  const totals = {
+    energyKwh: sum('energyKwh'),
+    costRp: sum('costRp'),
+    energiRp: sum('energiRp'),
+    bebanRp: sum('bebanRp'),
+    ppjRp: sum('ppjRp'),
+    pbjtRp: sum('pbjtRp')
+  }
+
+  // proyeksi hanya untuk bulan berjalan (sama seperti Insight Listrik)
+  const isCurrentMonth =
+    now.getFullYear() === year && now.getMonth() === monthIndex
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate()
+  const projection = isCurrentMonth
+    ? {
+        dayOfMonth: now.getDate(),
+        daysInMonth,
+        costRp: (totals.costRp / now.getDate()) * daysInMonth
+      }
+    : null
+
+  return {
+    monthKey,
+    label: formatMonthLabel(monthIndex, year),
+    weeks: monthlyStats.weeks,
+    mostWastefulWeek: monthlyStats.mostWastefulWeek,
+    days,
+    totals,
+    peak: peakDay
+      ? { watts: peakDay.peakWatts, ts: peakDay.peakTs }
+      : { watts: 0, ts: null },
+    tariff: {
+      perKwh: tariffValue('tarif_harga_per_kwh'),
+      beban: tariffValue('tarif_biaya_beban'),
+      pajakPersen: tariffValue('tarif_pajak_persen')
+    },
+    projection
+  }
+}
+
 /* ========================================================================
  * SUMMARY CARDS
  * ====================================================================== */
 
+// Definisi metrik dipakai ulang oleh SummaryCards, FleetSection dan grafik
+// riwayat.
+// aggregate: cara menggabungkan nilai beberapa device (sum / avg).
+// history: kolom RPC monitoring_log_buckets yang tersedia -> 'range' punya
+//          _avg/_min/_max, 'max' hanya _max (nilai kumulatif).
+const METRIC_DEFS = [
+  // Listrik
+  {
+    key: 'p_active',
+    group: 'Listrik',
+    title: 'Daya Aktif',
+    field: 'daya_aktif_w',
+    unit: 'W',
+    color: '#28a5ff',
+    history: 'range',
+    aggregate: 'sum',
+    format: v => `${v.toFixed(1)} W`,
+    icon: '⚡'
+  },
+  {
+    key: 'i',
+    group: 'Listrik',
+    title: 'Arus',
+    field: 'arus_a',
+    unit: 'A',
+    color: '#f59e0b',
+    history: 'range',
+    aggregate: 'sum',
+    format: v => `${v.toFixed(2)} A`,
+    icon: '🔌'
+  },
+  {
+    key: 'v',
+    group: 'Listrik',
+    title: 'Tegangan',
+    field: 'tegangan_v',
+    unit: 'V',
+    color: '#8b5cf6',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => `${v.toFixed(1)} V`,
+    icon: '⚡'
+  },
+  {
+    key: 'pf',
+    group: 'Listrik',
+    title: 'Faktor Daya',
+    field: 'faktor_daya',
+    unit: '',
+    color: '#10b981',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => v.toFixed(3),
+    icon: '📊'
+  },
+  {
+    key: 's',
+    group: 'Listrik',
+    title: 'Daya Semu',
+    field: 'daya_semu_va',
+    unit: 'VA',
+    color: '#0ea5e9',
+    history: 'range',
+    aggregate: 'sum',
+    format: v => `${v.toFixed(1)} VA`,
+    icon: '📈'
+  },
+  {
+    key: 'q',
+    group: 'Listrik',
+    title: 'Daya Reaktif',
+    field: 'daya_reaktif_var',
+    unit: 'VAR',
+    color: '#64748b',
+    history: 'range',
+    aggregate: 'sum',
+    format: v => `${v.toFixed(1)} VAR`,
+    icon: '📉'
+  },
+  {
+    key: 'freq',
+    group: 'Listrik',
+    title: 'Frekuensi',
+    field: 'frekuensi_hz',
+    unit: 'Hz',
+    color: '#ec4899',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => `${v.toFixed(2)} Hz`,
+    icon: '📡'
+  },
+
+  // Energi
+  {
+    key: 'e_total',
+    group: 'Energi',
+    title: 'Total Energi',
+    field: 'energi_total_kwh',
+    unit: 'kWh',
+    color: '#f97316',
+    history: 'max',
+    aggregate: 'sum',
+    format: v => `${kwhFmt.format(v)} kWh`,
+    icon: '🔋'
+  },
+  {
+    key: 'e_day',
+    group: 'Energi',
+    title: 'Energi Hari Ini',
+    field: 'energi_harian_kwh',
+    unit: 'kWh',
+    color: '#22c55e',
+    history: 'max',
+    aggregate: 'sum',
+    format: v => `${kwhFmt.format(v)} kWh`,
+    icon: '📅'
+  },
+  {
+    key: 'e_month',
+    group: 'Energi',
+    title: 'Energi Bulan Ini',
+    field: 'energi_bulanan_kwh',
+    unit: 'kWh',
+    color: '#a855f7',
+    history: 'max',
+    aggregate: 'sum',
+    format: v => `${kwhFmt.format(v)} kWh`,
+    icon: '📆'
+  },
+
+  // Tagihan
+  {
+    key: 'bill_day',
+    group: 'Tagihan',
+    title: 'Tagihan Hari Ini',
+    field: 'total_harian_rp',
+    unit: 'Rp',
+    color: '#eab308',
+    history: 'max',
+    aggregate: 'sum',
+    format: v => rupiahFmt.format(v),
+    icon: '💰'
+  },
+  {
+    key: 'bill_month',
+    group: 'Tagihan',
+    title: 'Tagihan Bulan Ini',
+    field: 'total_bulanan_rp',
+    unit: 'Rp',
+    color: '#ff6b6b',
+    history: 'max',
+    aggregate: 'sum',
+    format: v => rupiahFmt.format(v),
+    icon: '💳'
+  },
+
+  // Lingkungan
+  {
+    key: 'temp',
+    group: 'Lingkungan',
+    title: 'Suhu',
+    field: 'suhu_c',
+    unit: '°C',
+    color: '#ef4444',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => `${v.toFixed(1)} °C`,
+    icon: '🌡️'
+  },
+  {
+    key: 'hum',
+    group: 'Lingkungan',
+    title: 'Kelembapan',
+    field: 'kelembapan_rh',
+    unit: '%',
+    color: '#06b6d4',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => `${v.toFixed(1)} %`,
+    icon: '💧'
+  },
+  {
+    key: 'lux',
+    group: 'Lingkungan',
+    title: 'Cahaya',
+    field: 'light_level_lux',
+    unit: 'lux',
+    color: '#facc15',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => `${v.toFixed(0)} lux`,
+    icon: '💡'
+  },
+  {
+    key: 'press',
+    group: 'Lingkungan',
+    title: 'Tekanan',
+    field: 'tekanan_hpa',
+    unit: 'hPa',
+    color: '#14b8a6',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => `${v.toFixed(1)} hPa`,
+    icon: '🌬️'
+  },
+  {
+    key: 'alt',
+    group: 'Lingkungan',
+    title: 'Ketinggian',
+    field: 'altitude_m',
+    unit: 'm',
+    color: '#78716c',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => `${v.toFixed(1)} m`,
+    icon: '⛰️'
+  },
+  {
+    key: 'wifi',
+    group: 'Lingkungan',
+    title: 'WiFi RSSI',
+    field: 'wifi_rssi',
+    unit: 'dBm',
+    color: '#6366f1',
+    history: 'range',
+    aggregate: 'avg',
+    format: v => `${v.toFixed(0)} dBm`,
+    icon: '📶'
+  }
+]
+
+// Kartu metrik per kelompok. metrics: METRIC_DEFS + { value, foot? };
+// dipakai ringkasan satu device maupun gabungan site / ruangan.
+function MetricGroups({ metrics }) {
+  const listrikMetrics = metrics.filter(m => m.group === 'Listrik')
+  const energiTagihanMetrics = metrics.filter(
+    m => m.group === 'Energi' || m.group === 'Tagihan'
+  )
+  const lingkunganMetrics = metrics.filter(m => m.group === 'Lingkungan')
+
+  const renderMetricCard = metric => (
+    <div key={metric.key} className="card metric-card">
+      <div className="metric-header">
+        <span className="metric-icon">{metric.icon}</span>
+        <div className="card-label">{metric.group.toUpperCase()}</div>
+      </div>
+      <div className="metric-content">
+        <div className="card-title">{metric.title}</div>
+        <div className="card-value">
+          {metric.value === null || Number.isNaN(metric.value)
+            ? '-'
+            : metric.format(metric.value)}
+        </div>
+        {metric.foot && <div className="card-foot">{metric.foot}</div>}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="summary-groups">
+      {/* Listrik */}
+      <div className="summary-group">
+        <div className="summary-group-header">
+          <span className="summary-group-title">Listrik</span>
+          <span className="summary-group-badge">Realtime</span>
+        </div>
+        <div className="summary-grid summary-grid--group">
+          {listrikMetrics.map(renderMetricCard)}
+        </div>
+      </div>
+
+      {/* Energi + Tagihan */}
+      <div className="summary-group">
+        <div className="summary-group-header">
+          <span className="summary-group-title">Energi &amp; Tagihan</span>
+          <span className="summary-group-badge">Akumulasi</span>
+        </div>
+        <div className="summary-grid summary-grid--group">
+          {energiTagihanMetrics.map(renderMetricCard)}
+        </div>
+      </div>
+
+      {/* Lingkungan */}
+      <div className="summary-group">
+        <div className="summary-group-header">
+          <span className="summary-group-title">Lingkungan</span>
+          <span className="summary-group-badge">Kondisi Ruangan</span>
+        </div>
+        <div className="summary-grid summary-grid--group">
+          {lingkunganMetrics.map(renderMetricCard)}
+        </div>
+      </div>
+    </div>
+  )
+}
+
 function SummaryCards({
   lastLog,
+  sampleIntervalSec,
   asNumber,
   loading,
   onResetKwh,
-  resetLoading
+  canResetKwh,
+  resetLoading,
+  resetCommand,
+  resetError
 }) {
+  const { status, ageSec } = useDeviceStatus(lastLog?.ts, sampleIntervalSec)
+  // perintah yang macet tidak mengunci tombol selamanya
+  const resetInFlight =
+    isCommandInFlight(resetCommand) && !isCommandStale(resetCommand)
+
   if (loading) {
     return (
       <section className="section section-summary">
@@ -304,159 +838,10 @@ function SummaryCards({
     )
   }
 
-  const metrics = [
-    // Listrik
-    {
-      key: 'p_active',
-      group: 'Listrik',
-      title: 'Daya Aktif',
-      value: asNumber(lastLog?.daya_aktif_w),
-      format: v => `${v.toFixed(1)} W`,
-      icon: '⚡'
-    },
-    {
-      key: 'i',
-      group: 'Listrik',
-      title: 'Arus',
-      value: asNumber(lastLog?.arus_a),
-      format: v => `${v.toFixed(2)} A`,
-      icon: '🔌'
-    },
-    {
-      key: 'v',
-      group: 'Listrik',
-      title: 'Tegangan',
-      value: asNumber(lastLog?.tegangan_v),
-      format: v => `${v.toFixed(1)} V`,
-      icon: '⚡'
-    },
-    {
-      key: 'pf',
-      group: 'Listrik',
-      title: 'Faktor Daya',
-      value: asNumber(lastLog?.faktor_daya),
-      format: v => v.toFixed(3),
-      icon: '📊'
-    },
-    {
-      key: 's',
-      group: 'Listrik',
-      title: 'Daya Semu',
-      value: asNumber(lastLog?.daya_semu_va),
-      format: v => `${v.toFixed(1)} VA`,
-      icon: '📈'
-    },
-    {
-      key: 'q',
-      group: 'Listrik',
-      title: 'Daya Reaktif',
-      value: asNumber(lastLog?.daya_reaktif_var),
-      format: v => `${v.toFixed(1)} VAR`,
-      icon: '📉'
-    },
-    {
-      key: 'freq',
-      group: 'Listrik',
-      title: 'Frekuensi',
-      value: asNumber(lastLog?.frekuensi_hz),
-      format: v => `${v.toFixed(2)} Hz`,
-      icon: '📡'
-    },
-
-    // Energi
-    {
-      key: 'e_total',
-      group: 'Energi',
-      title: 'Total Energi',
-      value: asNumber(lastLog?.energi_total_kwh),
-      format: v => `${kwhFmt.format(v)} kWh`,
-      icon: '🔋'
-    },
-    {
-      key: 'e_day',
-      group: 'Energi',
-      title: 'Energi Hari Ini',
-      value: asNumber(lastLog?.energi_harian_kwh),
-      format: v => `${kwhFmt.format(v)} kWh`,
-      icon: '📅'
-    },
-    {
-      key: 'e_month',
-      group: 'Energi',
-      title: 'Energi Bulan Ini',
-      value: asNumber(lastLog?.energi_bulanan_kwh),
-      format: v => `${kwhFmt.format(v)} kWh`,
-      icon: '📆'
-    },
-
-    // Tagihan
-    {
-      key: 'bill_day',
-      group: 'Tagihan',
-      title: 'Tagihan Hari Ini',
-      value: asNumber(lastLog?.total_harian_rp),
-      format: v => rupiahFmt.format(v),
-      icon: '💰'
-    },
-    {
-      key: 'bill_month',
-      group: 'Tagihan',
-      title: 'Tagihan Bulan Ini',
-      value: asNumber(lastLog?.total_bulanan_rp),
-      format: v => rupiahFmt.format(v),
-      icon: '💳'
-    },
-
-    // Lingkungan
-    {
-      key: 'temp',
-      group: 'Lingkungan',
-      title: 'Suhu',
-      value: asNumber(lastLog?.suhu_c),
-      format: v => `${v.toFixed(1)} °C`,
-      icon: '🌡️'
-    },
-    {
-      key: 'hum',
-      group: 'Lingkungan',
-      title: 'Kelembapan',
-      value: asNumber(lastLog?.kelembapan_rh),
-      format: v => `${v.toFixed(1)} %`,
-      icon: '💧'
-    },
-    {
-      key: 'lux',
-      group: 'Lingkungan',
-      title: 'Cahaya',
-      value: asNumber(lastLog?.light_level_lux),
-      format: v => `${v.toFixed(0)} lux`,
-      icon: '💡'
-    },
-    {
-      key: 'press',
-      group: 'Lingkungan',
-      title: 'Tekanan',
-      value: asNumber(lastLog?.tekanan_hpa),
-      format: v => `${v.toFixed(1)} hPa`,
-      icon: '🌬️'
-    },
-    {
-      key: 'alt',
-      group: 'Lingkungan',
-      title: 'Ketinggian',
-      value: asNumber(lastLog?.altitude_m),
-      format: v => `${v.toFixed(1)} m`,
-      icon: '⛰️'
-    },
-    {
-      key: 'wifi',
-      group: 'Lingkungan',
-      title: 'WiFi RSSI',
-      value: asNumber(lastLog?.wifi_rssi),
-      format: v => `${v.toFixed(0)} dBm`,
-      icon: '📶'
-    }
-  ]
+  const metrics = METRIC_DEFS.map(m => ({
+    ...m,
+    value: asNumber(lastLog?.[m.field])
+  }))
 
   const lastTs = lastLog ? asDate(lastLog.ts) : null
   const lastTsStr = lastTs
@@ -469,29 +854,6 @@ function SummaryCards({
       })
     : '-'
 
-  const listrikMetrics = metrics.filter(m => m.group === 'Listrik')
-  const energiTagihanMetrics = metrics.filter(
-    m => m.group === 'Energi' || m.group === 'Tagihan'
-  )
-  const lingkunganMetrics = metrics.filter(m => m.group === 'Lingkungan')
-
-  const renderMetricCard = metric => (
-    <div key={metric.key} className="card metric-card">
-      <div className="metric-header">
-        <span className="metric-icon">{metric.icon}</span>
-        <div className="card-label">{metric.group.toUpperCase()}</div>
-      </div>
-      <div className="metric-content">
-        <div className="card-title">{metric.title}</div>
-        <div className="card-value">
-          {metric.value === null || Number.isNaN(metric.value)
-            ? '-'
-            : metric.format(metric.value)}
-        </div>
-      </div>
-    </div>
-  )
-
   return (
     <section className="section section-summary">
       <div className="section-header">
@@ -503,118 +865,1030 @@ function SummaryCards({
         </div>
         <div className="summary-header-right">
           <div className="update-info">
-            <span className="update-dot" />
-            Update terakhir: {lastTsStr}
+            <span className={`update-dot update-dot-${status}`} />
+            {DEVICE_STATUSES[status].label} &bull; Update terakhir: {lastTsStr}
           </div>
-          <button
-            className="btn btn-small btn-primary reset-btn"
-            onClick={onResetKwh}
-            disabled={!lastLog || resetLoading}
-          >
-            {resetLoading ? 'Reset kWh...' : 'Reset kWh Meter'}
-          </button>
+          {canResetKwh && (
+            <button
+              className="btn btn-small btn-primary reset-btn"
+              onClick={onResetKwh}
+              disabled={!lastLog || resetLoading || resetInFlight}
+            >
+              {resetLoading ? 'Reset kWh...' : 'Reset kWh Meter'}
+            </button>
+          )}
+          {resetCommand && (
+            <div className="update-info">
+              Reset terakhir: <CommandStatusChip command={resetCommand} />
+              {formatRelativeTime(
+                asDate(resetCommand.executed_at || resetCommand.created_at)
+              )}
+            </div>
+          )}
         </div>
       </div>
 
-      <div className="summary-groups">
-        {/* Listrik */}
-        <div className="summary-group">
-          <div className="summary-group-header">
-            <span className="summary-group-title">Listrik</span>
-            <span className="summary-group-badge">Realtime</span>
-          </div>
-          <div className="summary-grid summary-grid--group">
-            {listrikMetrics.map(renderMetricCard)}
-          </div>
-        </div>
+      {resetError && (
+        <div className="error-banner stale-banner">{resetError}</div>
+      )}
 
-        {/* Energi + Tagihan */}
-        <div className="summary-group">
-          <div className="summary-group-header">
-            <span className="summary-group-title">Energi &amp; Tagihan</span>
-            <span className="summary-group-badge">Akumulasi</span>
-          </div>
-          <div className="summary-grid summary-grid--group">
-            {energiTagihanMetrics.map(renderMetricCard)}
-          </div>
+      {(status === 'stale' || status === 'offline') && (
+        <div
+          className={
+            status === 'offline'
+              ? 'error-banner stale-banner'
+              : 'info-banner stale-banner'
+          }
+        >
+          Tidak ada data baru selama {formatDurationSec(ageSec)}. Nilai di bawah
+          adalah data terakhir, bukan kondisi realtime.
         </div>
+      )}
 
-        {/* Lingkungan */}
-        <div className="summary-group">
-          <div className="summary-group-header">
-            <span className="summary-group-title">Lingkungan</span>
-            <span className="summary-group-badge">Kondisi Ruangan</span>
-          </div>
-          <div className="summary-grid summary-grid--group">
-            {lingkunganMetrics.map(renderMetricCard)}
-          </div>
+      <MetricGroups metrics={metrics} />
+    </section>
+  )
+}
+
+/* ========================================================================
+ * FLEET OVERVIEW (SEMUA DEVICE)
+ * ====================================================================== */
+
+const FLEET_METRICS = ['p_active', 'v', 'e_day', 'bill_month'].map(key =>
+  METRIC_DEFS.find(m => m.key === key)
+)
+
+function FleetSection({ devices, asNumber, onOpenDevice }) {
+  const deviceIds = useMemo(() => devices.map(d => d.device_id), [devices])
+  const { snapshots, loading, error } = useFleetSnapshot(deviceIds)
+  const [sortKey, setSortKey] = useState('name')
+  const [sortDir, setSortDir] = useState('asc')
+  const [now, setNow] = useState(() => new Date())
+
+  // refresh teks "terakhir terlihat" walau tidak ada data baru
+  useEffect(() => {
+    const id = setInterval(() => setNow(new Date()), 30000)
+    return () => clearInterval(id)
+  }, [])
+
+  const rows = useMemo(() => {
+    const list = devices.map(d => {
+      const snap = snapshots[d.device_id] || { lastLog: null, relays: [] }
+      const values = {}
+      FLEET_METRICS.forEach(m => {
+        values[m.key] = asNumber(snap.lastLog?.[m.field])
+      })
+      return {
+        deviceId: d.device_id,
+        name: d.name || d.device_id,
+        lastSeen: snap.lastLog ? asDate(snap.lastLog.ts) : null,
+        relays: snap.relays,
+        values
+      }
+    })
+
+    const dir = sortDir === 'asc' ? 1 : -1
+    const valueOf = row => {
+      if (sortKey === 'name') return row.name
+      if (sortKey === 'lastSeen') return row.lastSeen?.getTime() ?? -Infinity
+      const v = row.values[sortKey]
+      return Number.isNaN(v) ? -Infinity : v
+    }
+
+    return list.sort((a, b) => {
+      const va = valueOf(a)
+      const vb = valueOf(b)
+      if (typeof va === 'string') return va.localeCompare(vb) * dir
+      return (va - vb) * dir
+    })
+  }, [devices, snapshots, sortKey, sortDir, asNumber])
+
+  const totals = useMemo(() => {
+    const result = {}
+    FLEET_METRICS.forEach(m => {
+      result[m.key] = aggregateMetric(
+        m,
+        rows.map(r => r.values[m.key])
+      ).value
+    })
+    return result
+  }, [rows])
+
+  const handleSort = key => {
+    if (sortKey === key) {
+      setSortDir(prev => (prev === 'asc' ? 'desc' : 'asc'))
+    } else {
+      setSortKey(key)
+      setSortDir(key === 'name' ? 'asc' : 'desc')
+    }
+  }
+
+  const sortLabel = key =>
+    sortKey === key ? (sortDir === 'asc' ? ' ▲' : ' ▼') : ''
+
+  const formatValue = (metric, v) =>
+    v === null || Number.isNaN(v) ? '-' : metric.format(v)
+
+  return (
+    <section className="section section-fleet">
+      <div className="section-header">
+        <div>
+          <h2>Semua Device</h2>
+          <p className="section-subtitle">
+            Bandingkan kondisi terakhir setiap meter. Klik judul kolom untuk
+            mengurutkan, klik device untuk membuka dashboard-nya.
+          </p>
         </div>
+        <span className="small-chip">{devices.length} device</span>
       </div>
+
+      {error && <div className="error-banner">Fleet error: {error}</div>}
+
+      {loading ? (
+        <div className="skeleton" style={{ height: '200px' }} />
+      ) : (
+        <table className="data-table fleet-table">
+          <thead>
+            <tr>
+              <th className="sortable" onClick={() => handleSort('name')}>
+                Device{sortLabel('name')}
+              </th>
+              {FLEET_METRICS.map(m => (
+                <th
+                  key={m.key}
+                  className="sortable"
+                  onClick={() => handleSort(m.key)}
+                >
+                  {m.title}
+                  {sortLabel(m.key)}
+                </th>
+              ))}
+              <th className="sortable" onClick={() => handleSort('lastSeen')}>
+                Terakhir terlihat{sortLabel('lastSeen')}
+              </th>
+              <th>Relay</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr
+                key={row.deviceId}
+                className="fleet-row"
+                onClick={() => onOpenDevice(row.deviceId)}
+              >
+                <td>
+                  <div className="fleet-device-name">{row.name}</div>
+                  {row.name !== row.deviceId && (
+                    <div className="fleet-device-id">{row.deviceId}</div>
+                  )}
+                </td>
+                {FLEET_METRICS.map(m => (
+                  <td key={m.key}>{formatValue(m, row.values[m.key])}</td>
+                ))}
+                <td>{formatRelativeTime(row.lastSeen, now)}</td>
+                <td>
+                  <div className="fleet-relays">
+                    {row.relays.length === 0 && '-'}
+                    {row.relays.map(r => (
+                      <span
+                        key={r.channel}
+                        className={
+                          r.state
+                            ? 'fleet-relay-chip fleet-relay-on'
+                            : 'fleet-relay-chip'
+                        }
+                      >
+                        R{r.channel + 1}
+                      </span>
+                    ))}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>Total</td>
+              {FLEET_METRICS.map(m => (
+                <td key={m.key}>
+                  {formatValue(m, totals[m.key])}
+                  {m.aggregate === 'avg' && (
+                    <span className="fleet-total-note"> (rata-rata)</span>
+                  )}
+                </td>
+              ))}
+              <td />
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      )}
     </section>
   )
 }
 
 /* ========================================================================
- * RIWAYAT (LINE CHART)
+ * SITE & RUANGAN
  * ====================================================================== */
 
-function RiwayatSection({
-  logs,
-  lastLog,
-  rangeHours,
-  setRangeHours,
+const SITE_METRICS = ['p_active', 'e_day', 'e_month', 'bill_month'].map(key =>
+  METRIC_DEFS.find(m => m.key === key)
+)
+
+function formatPeak(peak) {
+  if (!peak) return '-'
+  const time = peak.at.toLocaleTimeString('id-ID', {
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+  return `${peak.watts.toFixed(0)} W (${time})`
+}
+
+// scope null = semua site (baris per site), { siteId } = satu site (baris
+// per ruangan), { siteId, roomId } = satu ruangan (baris per device)
+function SiteSection({
+  scope,
+  sites,
+  rooms,
+  devices,
   asNumber,
-  loading
+  onOpenScope,
+  onOpenDevice
 }) {
-  const filteredLogs = useMemo(
-    () => filterLogsByHours(logs, rangeHours),
-    [logs, rangeHours]
-  )
+  const members = useMemo(() => scopeDevices(devices, scope), [devices, scope])
+  const memberIds = useMemo(() => members.map(d => d.device_id), [members])
+  const { snapshots, loading, error } = useFleetSnapshot(memberIds)
+  const peaks = useDailyPeaks(memberIds)
 
-  const chartData = useMemo(() => {
-    const labels = filteredLogs.map(l => {
-      const t = asDate(l.ts)
-      return t
-        ? t.toLocaleTimeString('id-ID', {
-            hour: '2-digit',
-            minute: '2-digit'
-          })
-        : ''
-    })
-    const daya = filteredLogs.map(l => {
-      const v = asNumber(l.daya_aktif_w)
-      return Number.isNaN(v) ? null : v
-    })
-    const biayaBulanan = filteredLogs.map(l => {
-      const v = asNumber(l.total_bulanan_rp)
-      return Number.isNaN(v) ? null : v
-    })
+  const site = scope ? sites.find(s => s.id === scope.siteId) : null
+  const room =
+    scope?.roomId != null ? rooms.find(r => r.id === scope.roomId) : null
+
+  const valuesOf = (list, metric) =>
+    list.map(d => asNumber(snapshots[d.device_id]?.lastLog?.[metric.field]))
 
+  const metrics = METRIC_DEFS.map(m => {
+    const { value, count } = aggregateMetric(m, valuesOf(members, m))
     return {
-      labels,
-      datasets: [
-        {
-          label: 'Daya Aktif (W)',
-          data: daya,
-          borderColor: '#28a5ff',
-          backgroundColor: 'rgba(40, 165, 255, 0.1)',
-          borderWidth: 2,
-          tension: 0.2,
-          fill: true
-        },
-        {
-          label: 'Tagihan Bulanan (Rp)',
-          data: biayaBulanan,
-          borderColor: '#ff6b6b',
-          backgroundColor: 'rgba(255, 107, 107, 0.1)',
-          borderWidth: 2,
-          borderDash: [4, 4],
-          tension: 0.2,
-          yAxisID: 'y1'
+      ...m,
+      value,
+      foot: count
+        ? `${m.aggregate === 'avg' ? 'rata-rata' : 'jumlah'} ${count} device`
+        : null
+    }
+  })
+
+  let groups
+  if (!scope) {
+    groups = sites.map(s => ({
+      key: `site-${s.id}`,
+      label: s.name,
+      devices: members.filter(d => d.site_id === s.id),
+      onOpen: () => onOpenScope({ siteId: s.id, roomId: null })
+    }))
+    groups.push({
+      key: 'no-site',
+      label: NO_SITE_LABEL,
+      devices: members.filter(d => !sites.some(s => s.id === d.site_id)),
+      onOpen: null
+    })
+  } else if (scope.roomId == null) {
+    const siteRooms = rooms.filter(r => r.site_id === scope.siteId)
+    groups = siteRooms.map(r => ({
+      key: `room-${r.id}`,
+      label: r.name,
+      devices: members.filter(d => d.room_id === r.id),
+      onOpen: () => onOpenScope({ siteId: scope.siteId, roomId: r.id })
+    }))
+    groups.push({
+      key: 'no-room',
+      label: NO_ROOM_LABEL,
+      devices: members.filter(d => !siteRooms.some(r => r.id === d.room_id)),
+      onOpen: null
+    })
+  } else {
+    groups = members.map(d => ({
+      key: d.device_id,
+      label: d.name || d.device_id,
+      devices: [d],
+      onOpen: () => onOpenDevice(d.device_id)
+    }))
+  }
+
+  const rows = groups
+    .filter(g => g.onOpen || g.devices.length > 0)
+    .map(g => {
+      const ids = g.devices.map(d => d.device_id)
+      const values = {}
+      SITE_METRICS.forEach(m => {
+        values[m.key] = aggregateMetric(m, valuesOf(g.devices, m)).value
+      })
+      return { ...g, values, peak: combinedPeak(peaks.series, ids) }
+    })
+  const totalPeak = combinedPeak(peaks.series, memberIds)
+
+  const formatValue = (metric, v) => (Number.isNaN(v) ? '-' : metric.format(v))
+
+  const title = !scope
+    ? 'Semua Site'
+    : room
+      ? `${site?.name || 'Site'} / ${room.name}`
+      : site?.name || 'Site'
+  const rowLabel = !scope ? 'Site' : scope.roomId == null ? 'Ruangan' : 'Device'
+
+  return (
+    <section className="section section-site">
+      <div className="section-header">
+        <div>
+          <h2>{title}</h2>
+          <p className="section-subtitle">
+            Gabungan device anggota: daya & energi dijumlah, tegangan dan
+            lingkungan dirata-rata. Puncak daya hari ini dihitung dari daya maks
+            semua device per {PEAK_BUCKET_SECONDS / 60} menit. Klik baris untuk
+            membuka level berikutnya.
+          </p>
+        </div>
+        <div className="btn-group">
+          <span className="small-chip">{members.length} device</span>
+          <span className="small-chip">Puncak: {formatPeak(totalPeak)}</span>
+        </div>
+      </div>
+
+      {error && <div className="error-banner">Site error: {error}</div>}
+      {peaks.error && (
+        <div className="error-banner stale-banner">
+          Puncak daya error: {peaks.error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="skeleton" style={{ height: '200px' }} />
+      ) : members.length === 0 ? (
+        <div className="empty-placeholder">
+          Belum ada device di sini. Atur site & ruangan device di halaman
+          Pengaturan device.
+        </div>
+      ) : (
+        <>
+          {scope && <MetricGroups metrics={metrics} />}
+          <div className="event-table-wrapper">
+            <table className="data-table fleet-table">
+              <thead>
+                <tr>
+                  <th>{rowLabel}</th>
+                  <th>Device</th>
+                  {SITE_METRICS.map(m => (
+                    <th key={m.key}>{m.title}</th>
+                  ))}
+                  <th>Puncak hari ini</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr
+                    key={row.key}
+                    className={row.onOpen ? 'fleet-row' : undefined}
+                    onClick={row.onOpen || undefined}
+                  >
+                    <td>
+                      <div className="fleet-device-name">{row.label}</div>
+                    </td>
+                    <td>{row.devices.length}</td>
+                    {SITE_METRICS.map(m => (
+                      <td key={m.key}>{formatValue(m, row.values[m.key])}</td>
+                    ))}
+                    <td>{formatPeak(row.peak)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td>Total</td>
+                  <td>{members.length}</td>
+                  {SITE_METRICS.map(m => (
+                    <td key={m.key}>
+                      {formatValue(m, metrics.find(x => x.key === m.key).value)}
+                    </td>
+                  ))}
+                  <td>{formatPeak(totalPeak)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+// Kelola site / ruangan dan penempatan device yang sedang dibuka (admin)
+function SitesSection({ siteState, device, devices }) {
+  const {
+    sites,
+    rooms,
+    loading,
+    error,
+    addSite,
+    deleteSite,
+    addRoom,
+    deleteRoom,
+    assignDevice
+  } = siteState
+  const [siteName, setSiteName] = useState('')
+  const [roomName, setRoomName] = useState('')
+  const [roomSiteId, setRoomSiteId] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [actionError, setActionError] = useState(null)
+
+  const deviceSiteId = device?.site_id ?? null
+  const deviceRooms = rooms.filter(r => r.site_id === deviceSiteId)
+  const targetSiteId = roomSiteId
+    ? Number(roomSiteId)
+    : deviceSiteId || sites[0]?.id
+
+  const runAction = async (action, failLabel) => {
+    try {
+      setSaving(true)
+      setActionError(null)
+      await action()
+      return true
+    } catch (err) {
+      setActionError(`${failLabel}: ${err.message || err}`)
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleAssignSite = value =>
+    runAction(
+      () =>
+        assignDevice(device.device_id, {
+          site_id: value ? Number(value) : null,
+          room_id: null
+        }),
+      'Gagal memindahkan device'
+    )
+
+  const handleAssignRoom = value =>
+    runAction(
+      () =>
+        assignDevice(device.device_id, {
+          site_id: deviceSiteId,
+          room_id: value ? Number(value) : null
+        }),
+      'Gagal memindahkan device'
+    )
+
+  const handleAddSite = async e => {
+    e.preventDefault()
+    const name = siteName.trim()
+    if (!name) return
+    const ok = await runAction(() => addSite(name), 'Gagal menambah site')
+    if (ok) setSiteName('')
+  }
+
+  const handleAddRoom = async e => {
+    e.preventDefault()
+    const name = roomName.trim()
+    if (!name || !targetSiteId) return
+    const ok = await runAction(
+      () => addRoom(targetSiteId, name),
+      'Gagal menambah ruangan'
+    )
+    if (ok) setRoomName('')
+  }
+
+  const handleDeleteSite = site => {
+    const count = devices.filter(d => d.site_id === site.id).length
+    const ok = window.confirm(
+      `Hapus site "${site.name}" beserta ruangannya?` +
+        (count ? `\n${count} device akan dilepas dari site ini.` : '')
+    )
+    if (!ok) return
+    runAction(() => deleteSite(site.id), 'Gagal menghapus site')
+  }
+
+  const handleDeleteRoom = room => {
+    const ok = window.confirm(`Hapus ruangan "${room.name}"?`)
+    if (!ok) return
+    runAction(() => deleteRoom(room.id), 'Gagal menghapus ruangan')
+  }
+
+  return (
+    <section className="section">
+      <h2>Site & Ruangan</h2>
+      <p className="section-subtitle">
+        Kelompokkan device per site (rumah / gedung kos) dan ruangan. Total
+        energi, tagihan dan puncak daya tiap level tampil di halaman site.
+      </p>
+
+      {error && <div className="error-banner stale-banner">{error}</div>}
+      {actionError && (
+        <div className="error-banner stale-banner">{actionError}</div>
+      )}
+
+      {loading ? (
+        <div className="skeleton" style={{ height: '120px' }} />
+      ) : (
+        <>
+          <div className="tariff-form">
+            <div>
+              <label className="field-label">
+                Site {device?.name || device?.device_id}
+              </label>
+              <select
+                className="select"
+                value={deviceSiteId ?? ''}
+                disabled={saving || !device}
+                onChange={e => handleAssignSite(e.target.value)}
+              >
+                <option value="">{NO_SITE_LABEL}</option>
+                {sites.map(s => (
+                  <option key={s.id} value={s.id}>
+                    {s.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="field-label">Ruangan</label>
+              <select
+                className="select"
+                value={device?.room_id ?? ''}
+                disabled={saving || !deviceSiteId}
+                onChange={e => handleAssignRoom(e.target.value)}
+              >
+                <option value="">{NO_ROOM_LABEL}</option>
+                {deviceRooms.map(r => (
+                  <option key={r.id} value={r.id}>
+                    {r.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <form className="tariff-form" onSubmit={handleAddSite}>
+            <div>
+              <label className="field-label">Site baru</label>
+              <input
+                className="input"
+                type="text"
+                placeholder="mis. Kos Melati"
+                value={siteName}
+                onChange={e => setSiteName(e.target.value)}
+              />
+            </div>
+            <button
+              type="submit"
+              className="btn btn-small btn-primary"
+              disabled={saving || !siteName.trim()}
+            >
+              Tambah site
+            </button>
+          </form>
+
+          {sites.length > 0 && (
+            <form className="tariff-form" onSubmit={handleAddRoom}>
+              <div>
+                <label className="field-label">Di site</label>
+                <select
+                  className="select"
+                  value={targetSiteId ?? ''}
+                  onChange={e => setRoomSiteId(e.target.value)}
+                >
+                  {sites.map(s => (
+                    <option key={s.id} value={s.id}>
+                      {s.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="field-label">Ruangan baru</label>
+                <input
+                  className="input"
+                  type="text"
+                  placeholder="mis. Kamar 3"
+                  value={roomName}
+                  onChange={e => setRoomName(e.target.value)}
+                />
+              </div>
+              <button
+                type="submit"
+                className="btn btn-small btn-primary"
+                disabled={saving || !roomName.trim()}
+              >
+                Tambah ruangan
+              </button>
+            </form>
+          )}
+
+          {sites.length === 0 ? (
+            <div className="empty-placeholder">Belum ada site.</div>
+          ) : (
+            <div className="event-table-wrapper">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Site</th>
+                    <th>Ruangan</th>
+                    <th>Device</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {sites.map(s => (
+                    <tr key={s.id}>
+                      <td>{s.name}</td>
+                      <td>
+                        {rooms
+                          .filter(r => r.site_id === s.id)
+                          .map(r => (
+                            <span key={r.id} className="small-chip">
+                              {r.name}
+                              <button
+                                className="chip-remove"
+                                title="Hapus ruangan"
+                                disabled={saving}
+                                onClick={() => handleDeleteRoom(r)}
+                              >
+                                ×
+                              </button>
+                            </span>
+                          ))}
+                      </td>
+                      <td>{devices.filter(d => d.site_id === s.id).length}</td>
+                      <td>
+                        <button
+                          className="btn btn-small btn-danger"
+                          disabled={saving}
+                          onClick={() => handleDeleteSite(s)}
+                        >
+                          Hapus
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * RIWAYAT (LINE CHART)
+ * ====================================================================== */
+
+// label sumbu-x menyesuaikan lebar bucket & panjang rentang
+function formatBucketLabel(d, bucketSeconds, spanMs) {
+  if (!d) return ''
+  if (bucketSeconds >= 24 * 60 * 60) {
+    return d.toLocaleDateString('id-ID', { day: '2-digit', month: 'short' })
+  }
+  if (spanMs > 24 * 60 * 60 * 1000) {
+    return d.toLocaleString('id-ID', {
+      day: '2-digit',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+  return d.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' })
+}
+
+function formatRangeLabel(from, to) {
+  const opts = {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }
+  return `${from.toLocaleString('id-ID', opts)} – ${to.toLocaleString(
+    'id-ID',
+    opts
+  )}`
+}
+
+const HISTORY_METRICS = METRIC_DEFS.filter(m => m.history)
+const DEFAULT_HISTORY_METRICS = ['p_active', 'bill_month']
+// pita min–maks hanya digambar kalau metrik yang dipilih sedikit
+const MAX_BAND_METRICS = 2
+
+function hexToRgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16)
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`
+}
+
+function historyColumn(metric) {
+  return metric.history === 'range'
+    ? `${metric.field}_avg`
+    : `${metric.field}_max`
+}
+
+// Satu sumbu-y per satuan; sumbu pertama di kiri, berikutnya selang-seling
+function assignUnitAxes(metrics) {
+  const axes = new Map()
+  metrics.forEach(m => {
+    const unitKey = m.unit || m.key
+    if (axes.has(unitKey)) return
+    const index = axes.size
+    axes.set(unitKey, {
+      id: index === 0 ? 'y' : `y_${unitKey}`,
+      position: index % 2 === 0 ? 'left' : 'right',
+      title: m.unit || m.title,
+      color: m.color,
+      drawGrid: index === 0
+    })
+  })
+  return axes
+}
+
+// Arsir area di luar jendela zoom pada strip brush (overview)
+const brushWindowPlugin = {
+  id: 'brushWindow',
+  afterDatasetsDraw(chart, _args, opts) {
+    if (opts?.min == null || opts?.max == null) return
+    const { ctx, chartArea, scales } = chart
+    const x1 = Math.max(chartArea.left, scales.x.getPixelForValue(opts.min))
+    const x2 = Math.min(chartArea.right, scales.x.getPixelForValue(opts.max))
+
+    ctx.save()
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.12)'
+    ctx.fillRect(
+      chartArea.left,
+      chartArea.top,
+      x1 - chartArea.left,
+      chartArea.height
+    )
+    ctx.fillRect(x2, chartArea.top, chartArea.right - x2, chartArea.height)
+    ctx.strokeStyle = '#4f46e5'
+    ctx.lineWidth = 1.5
+    ctx.strokeRect(x1, chartArea.top, x2 - x1, chartArea.height)
+    ctx.restore()
+  }
+}
+
+// Arsir jeda data (device tidak mengirim log) di area grafik
+const gapShadePlugin = {
+  id: 'gapShade',
+  beforeDatasetsDraw(chart, _args, opts) {
+    if (!opts?.gaps?.length) return
+    const { ctx, chartArea, scales } = chart
+
+    ctx.save()
+    ctx.fillStyle = 'rgba(148, 163, 184, 0.22)'
+    opts.gaps.forEach(g => {
+      const x1 = Math.max(chartArea.left, scales.x.getPixelForValue(g.from))
+      const x2 = Math.min(chartArea.right, scales.x.getPixelForValue(g.to))
+      if (x2 <= x1) return
+      ctx.fillRect(x1, chartArea.top, Math.max(1, x2 - x1), chartArea.height)
+    })
+    ctx.restore()
+  }
+}
+
+// Arsir periode relay ON + lajur tipis per relay di tepi atas grafik
+const relayBandPlugin = {
+  id: 'relayBands',
+  beforeDatasetsDraw(chart, _args, opts) {
+    if (!opts?.lanes?.length) return
+    const { ctx, chartArea, scales } = chart
+    const laneHeight = 4
+
+    ctx.save()
+    opts.lanes.forEach((lane, i) => {
+      lane.intervals.forEach(iv => {
+        const x1 = Math.max(chartArea.left, scales.x.getPixelForValue(iv.start))
+        const x2 = Math.min(chartArea.right, scales.x.getPixelForValue(iv.end))
+        if (x2 <= x1) return
+        ctx.fillStyle = hexToRgba(lane.color, 0.08)
+        ctx.fillRect(x1, chartArea.top, x2 - x1, chartArea.height)
+        ctx.fillStyle = lane.color
+        ctx.fillRect(
+          x1,
+          chartArea.top + i * (laneHeight + 1),
+          Math.max(1, x2 - x1),
+          laneHeight
+        )
+      })
+    })
+    ctx.restore()
+  }
+}
+
+// Statistik daya untuk bucket di dalam jendela [min, max] (null = semua).
+// Waktu jeda data tidak dihitung ke energi.
+function computeWindowStats(buckets, bucketSeconds, win, gaps, asNumber) {
+  let min = Infinity
+  let max = -Infinity
+  let weightedSum = 0
+  let samples = 0
+  let energyWh = 0
+
+  buckets.forEach(b => {
+    const t = asDate(b.bucket_ts)?.getTime()
+    if (t == null) return
+    if (win && (t < win.min || t > win.max)) return
+
+    const avg = asNumber(b.daya_aktif_w_avg)
+    const lo = asNumber(b.daya_aktif_w_min)
+    const hi = asNumber(b.daya_aktif_w_max)
+    const n = asNumber(b.samples) || 0
+
+    if (!Number.isNaN(lo)) min = Math.min(min, lo)
+    if (!Number.isNaN(hi)) max = Math.max(max, hi)
+    if (!Number.isNaN(avg)) {
+      weightedSum += avg * n
+      samples += n
+      // energi ~ daya rata-rata x lama bucket yang benar-benar ada data
+      const missingSec = gapOverlapMs(gaps, t, t + bucketSeconds * 1000) / 1000
+      energyWh += (avg * Math.max(0, bucketSeconds - missingSec)) / 3600
+    }
+  })
+
+  if (!samples) return null
+
+  const from = win ? win.min : -Infinity
+  const to = win ? win.max : Infinity
+
+  return {
+    min,
+    max,
+    avg: weightedSum / samples,
+    energyKwh: energyWh / 1000,
+    gapSec: gapOverlapMs(gaps, from, to) / 1000
+  }
+}
+
+function RiwayatSection({
+  logs,
+  lastLog,
+  sampleIntervalSec,
+  history,
+  historyRange,
+  setHistoryRange,
+  historyMetrics,
+  setHistoryMetrics,
+  relays,
+  channelMeta,
+  relayHistory,
+  asNumber,
+  loading
+}) {
+  const { buckets, bucket, from, to } = history
+  const [draftFrom, setDraftFrom] = useState(() => toDateTimeLocal(from))
+  const [draftTo, setDraftTo] = useState(() => toDateTimeLocal(to))
+  const [showCustom, setShowCustom] = useState(historyRange.preset === 'custom')
+  // jendela zoom { min, max } dalam ms; null = seluruh rentang
+  const [zoomWindow, setZoomWindow] = useState(null)
+  const [brushDrag, setBrushDrag] = useState(null)
+  const [hiddenRelays, setHiddenRelays] = useState([])
+  const brushRef = useRef(null)
+
+  const fromMs = from.getTime()
+  const toMs = to.getTime()
+
+  // rentang dipilih ulang -> zoom lama tidak relevan lagi. Bukan dari
+  // fromMs / toMs: preset relatif bergeser tiap refresh dan zoom tetap
+  // dipertahankan.
+  useEffect(() => {
+    setZoomWindow(null)
+  }, [historyRange.preset, historyRange.from, historyRange.to])
+
+  const selectedMetrics = useMemo(
+    () => HISTORY_METRICS.filter(m => historyMetrics.includes(m.key)),
+    [historyMetrics]
+  )
+  const unitAxes = useMemo(
+    () => assignUnitAxes(selectedMetrics),
+    [selectedMetrics]
+  )
+
+  // jeda data: dari log mentah (halus) + bucket yang kosong (di luar 30 hari)
+  const gaps = useMemo(() => {
+    const rangeLogs = logs.filter(l => {
+      const t = asDate(l.ts)?.getTime()
+      return t != null && t >= fromMs && t <= toMs
+    })
+    const dataEnd = Math.min(toMs, Date.now())
+    return mergeGaps(
+      detectGaps(rangeLogs, sampleIntervalSec),
+      detectBucketGaps(buckets, bucket.seconds, fromMs, dataEnd)
+    )
+  }, [logs, sampleIntervalSec, buckets, bucket.seconds, fromMs, toMs])
+
+  const relayLanes = useMemo(() => {
+    const intervals = buildRelayIntervals(
+      relayHistory.rows,
+      relayHistory.initial,
+      relays.map(r => r.channel),
+      from,
+      to
+    )
+    return relays
+      .filter(r => !hiddenRelays.includes(r.channel))
+      .map(r => ({
+        color: relayColor(r.channel),
+        intervals: intervals[r.channel] || []
+      }))
+  }, [relayHistory.rows, relayHistory.initial, relays, hiddenRelays, from, to])
+
+  const toggleRelayOverlay = ch =>
+    setHiddenRelays(prev =>
+      prev.includes(ch) ? prev.filter(c => c !== ch) : [...prev, ch]
+    )
+
+  const chartData = useMemo(() => {
+    const widthMs = bucket.seconds * 1000
+    // titik null di antara bucket yang berjauhan -> garis terputus saat jeda
+    const pick = column => {
+      const points = []
+      buckets.forEach((b, i) => {
+        const x = asDate(b.bucket_ts)?.getTime()
+        const prevX = i > 0 ? asDate(buckets[i - 1].bucket_ts)?.getTime() : null
+        if (prevX != null && x - prevX > widthMs * 1.5) {
+          points.push({ x: prevX + widthMs, y: null })
         }
-      ]
+        const v = asNumber(b[column])
+        points.push({ x, y: Number.isNaN(v) ? null : v })
+      })
+      return points
     }
-  }, [filteredLogs, asNumber])
+
+    const showBands = selectedMetrics.length <= MAX_BAND_METRICS
+    const datasets = []
+
+    selectedMetrics.forEach(m => {
+      const yAxisID = unitAxes.get(m.unit || m.key).id
+      datasets.push({
+        label: m.unit ? `${m.title} (${m.unit})` : m.title,
+        data: pick(historyColumn(m)),
+        borderColor: m.color,
+        backgroundColor: hexToRgba(m.color, 0.1),
+        borderWidth: 2,
+        borderDash: m.history === 'max' ? [4, 4] : undefined,
+        pointRadius: 0,
+        tension: 0.2,
+        yAxisID
+      })
+
+      // pita min–maks di belakang garis rata-rata
+      if (showBands && m.history === 'range') {
+        datasets.push(
+          {
+            label: `${m.title} maks`,
+            data: pick(`${m.field}_max`),
+            borderWidth: 0,
+            pointRadius: 0,
+            tension: 0.2,
+            fill: false,
+            yAxisID,
+            isRangeBand: true
+          },
+          {
+            label: `${m.title} min`,
+            data: pick(`${m.field}_min`),
+            borderWidth: 0,
+            pointRadius: 0,
+            tension: 0.2,
+            backgroundColor: hexToRgba(m.color, 0.15),
+            fill: '-1',
+            yAxisID,
+            isRangeBand: true
+          }
+        )
+      }
+    })
+
+    return { datasets }
+  }, [buckets, bucket.seconds, selectedMetrics, unitAxes, asNumber])
+
+  const toggleMetric = key => {
+    setHistoryMetrics(prev =>
+      prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    )
+  }
+
+  const visibleMin = zoomWindow?.min ?? fromMs
+  const visibleMax = zoomWindow?.max ?? toMs
+
+  const windowStats = useMemo(
+    () =>
+      computeWindowStats(buckets, bucket.seconds, zoomWindow, gaps, asNumber),
+    [buckets, bucket.seconds, zoomWindow, gaps, asNumber]
+  )
+
+  const syncZoomWindow = ({ chart }) => {
+    const { min, max } = chart.scales.x
+    setZoomWindow(min <= fromMs && max >= toMs ? null : { min, max })
+  }
 
   const options = {
     responsive: true,
@@ -629,9 +1903,12 @@ function RiwayatSection({
         labels: {
           boxWidth: 18,
           padding: 20,
-          usePointStyle: true
+          usePointStyle: true,
+          filter: (item, data) => !data.datasets[item.datasetIndex].isRangeBand
         }
       },
+      gapShade: { gaps },
+      relayBands: { lanes: relayLanes },
       tooltip: {
         mode: 'index',
         intersect: false,
@@ -639,40 +1916,185 @@ function RiwayatSection({
         titleColor: '#1f2933',
         bodyColor: '#1f2933',
         borderColor: '#c5e7ff',
-        borderWidth: 1
+        borderWidth: 1,
+        callbacks: {
+          title: items =>
+            items.length
+              ? formatBucketLabel(
+                  new Date(items[0].parsed.x),
+                  bucket.seconds,
+                  toMs - fromMs
+                )
+              : ''
+        }
+      },
+      zoom: {
+        limits: {
+          x: {
+            min: fromMs,
+            max: toMs,
+            minRange: bucket.seconds * 1000 * 5
+          }
+        },
+        pan: {
+          enabled: true,
+          mode: 'x',
+          onPanComplete: syncZoomWindow
+        },
+        zoom: {
+          wheel: { enabled: true },
+          pinch: { enabled: true },
+          mode: 'x',
+          onZoomComplete: syncZoomWindow
+        }
       }
     },
     scales: {
       x: {
+        type: 'linear',
+        min: visibleMin,
+        max: visibleMax,
         grid: {
           color: 'rgba(183, 196, 212, 0.2)'
         },
         ticks: {
-          color: '#7b8ba5'
-        }
-      },
-      y: {
-        grid: {
-          color: 'rgba(183, 196, 212, 0.2)'
-        },
-        ticks: {
-          color: '#7b8ba5'
+          color: '#7b8ba5',
+          maxTicksLimit: 8,
+          callback: value =>
+            formatBucketLabel(
+              new Date(value),
+              bucket.seconds,
+              visibleMax - visibleMin
+            )
         }
       },
-      y1: {
-        position: 'right',
-        grid: {
-          drawOnChartArea: false
-        },
-        ticks: {
-          color: '#7b8ba5'
+      ...Object.fromEntries(
+        Array.from(unitAxes.values()).map(axis => [
+          axis.id,
+          {
+            position: axis.position,
+            title: {
+              display: unitAxes.size > 1,
+              text: axis.title,
+              color: axis.color
+            },
+            grid: axis.drawGrid
+              ? { color: 'rgba(183, 196, 212, 0.2)' }
+              : { drawOnChartArea: false },
+            ticks: {
+              color: '#7b8ba5'
+            }
+          }
+        ])
+      )
+    }
+  }
+
+  const brushData = useMemo(
+    () => ({
+      datasets: [
+        {
+          data: chartData.datasets[0]?.data || [],
+          borderColor: selectedMetrics[0]?.color || '#28a5ff',
+          backgroundColor: hexToRgba(
+            selectedMetrics[0]?.color || '#28a5ff',
+            0.15
+          ),
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: true
         }
+      ]
+    }),
+    [chartData, selectedMetrics]
+  )
+
+  const brushSelection = brushDrag
+    ? {
+        min: Math.min(brushDrag.start, brushDrag.end),
+        max: Math.max(brushDrag.start, brushDrag.end)
       }
+    : zoomWindow
+
+  const brushOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    events: [],
+    plugins: {
+      legend: { display: false },
+      tooltip: { enabled: false },
+      brushWindow: brushSelection
+    },
+    scales: {
+      x: { type: 'linear', min: fromMs, max: toMs, display: false },
+      y: { display: false }
+    }
+  }
+
+  // posisi pointer di strip brush -> timestamp
+  const brushValueAt = e => {
+    const chart = brushRef.current
+    if (!chart) return null
+    const rect = chart.canvas.getBoundingClientRect()
+    const { left, right } = chart.chartArea
+    const px = Math.min(Math.max(e.clientX - rect.left, left), right)
+    return chart.scales.x.getValueForPixel(px)
+  }
+
+  const handleBrushDown = e => {
+    const v = brushValueAt(e)
+    if (v == null) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    setBrushDrag({ start: v, end: v })
+  }
+
+  const handleBrushMove = e => {
+    if (!brushDrag) return
+    const v = brushValueAt(e)
+    if (v != null) setBrushDrag(prev => prev && { ...prev, end: v })
+  }
+
+  const handleBrushUp = () => {
+    if (!brushDrag) return
+    const min = Math.min(brushDrag.start, brushDrag.end)
+    const max = Math.max(brushDrag.start, brushDrag.end)
+    setBrushDrag(null)
+
+    if (max - min >= bucket.seconds * 1000 * 2) {
+      setZoomWindow({ min, max })
+      return
     }
+    // klik biasa: geser jendela sekarang supaya berpusat di titik klik
+    if (!zoomWindow) return
+    const half = (zoomWindow.max - zoomWindow.min) / 2
+    const center = Math.min(Math.max(min, fromMs + half), toMs - half)
+    setZoomWindow({ min: center - half, max: center + half })
   }
 
   const last = lastLog ? asDate(lastLog.ts) : null
 
+  const applyCustomRange = () => {
+    const next = { preset: 'custom', from: draftFrom, to: draftTo }
+    if (!isValidRange(next)) {
+      alert('Rentang tidak valid: waktu "dari" harus sebelum "sampai".')
+      return
+    }
+    setHistoryRange({
+      preset: 'custom',
+      from: new Date(draftFrom).toISOString(),
+      to: new Date(draftTo).toISOString()
+    })
+  }
+
+  const handleShift = direction => {
+    const next = shiftRange(historyRange, direction)
+    setHistoryRange(next)
+    setDraftFrom(toDateTimeLocal(new Date(next.from)))
+    setDraftTo(toDateTimeLocal(new Date(next.to)))
+    setShowCustom(true)
+  }
+
   if (loading) {
     return (
       <section className="section section-history">
@@ -691,31 +2113,149 @@ function RiwayatSection({
         <div>
           <h2>Riwayat Data</h2>
           <p className="section-subtitle">
-            Log monitoring terakhir + grafik dalam 1–6 jam terakhir.
+            {formatRangeLabel(from, to)} &bull; rata-rata/min/maks{' '}
+            {bucket.label}
           </p>
         </div>
-        <div className="btn-group">
-          {[1, 2, 3, 4, 5, 6].map(h => (
+        <div className="history-range-controls">
+          <div className="btn-group">
+            {HISTORY_PRESETS.map(p => (
+              <button
+                key={p.key}
+                className={
+                  historyRange.preset === p.key
+                    ? 'btn btn-small btn-primary'
+                    : 'btn btn-small'
+                }
+                onClick={() => {
+                  setHistoryRange({ preset: p.key, from: null, to: null })
+                  setShowCustom(false)
+                }}
+              >
+                {p.label}
+              </button>
+            ))}
             <button
-              key={h}
               className={
-                rangeHours === h ? 'btn btn-small btn-primary' : 'btn btn-small'
+                historyRange.preset === 'custom' || showCustom
+                  ? 'btn btn-small btn-primary'
+                  : 'btn btn-small'
               }
-              onClick={() => setRangeHours(h)}
+              onClick={() => {
+                setDraftFrom(toDateTimeLocal(from))
+                setDraftTo(toDateTimeLocal(to))
+                setShowCustom(true)
+              }}
             >
-              {h} jam
+              Custom
             </button>
-          ))}
+          </div>
+          <div className="btn-group">
+            <button
+              className="btn btn-small"
+              title="Periode sebelumnya"
+              onClick={() => handleShift(-1)}
+            >
+              ◀
+            </button>
+            <button
+              className="btn btn-small"
+              title="Periode berikutnya"
+              onClick={() => handleShift(1)}
+            >
+              ▶
+            </button>
+          </div>
         </div>
       </div>
 
-      <div className="last-log-card">
-        <div>
-          <div className="card-label">Log terakhir</div>
-          <div className="last-log-main">
-            {last
-              ? last.toLocaleString('id-ID', {
-                  weekday: 'long',
+      {showCustom && (
+        <div className="history-custom-range">
+          <div>
+            <label className="field-label">Dari</label>
+            <input
+              className="input"
+              type="datetime-local"
+              value={draftFrom}
+              onChange={e => setDraftFrom(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="field-label">Sampai</label>
+            <input
+              className="input"
+              type="datetime-local"
+              value={draftTo}
+              onChange={e => setDraftTo(e.target.value)}
+            />
+          </div>
+          <button
+            className="btn btn-small btn-primary"
+            onClick={applyCustomRange}
+          >
+            Terapkan
+          </button>
+        </div>
+      )}
+
+      <div className="metric-picker">
+        {HISTORY_METRICS.map(m => {
+          const active = historyMetrics.includes(m.key)
+          return (
+            <button
+              key={m.key}
+              className={active ? 'metric-chip metric-chip-on' : 'metric-chip'}
+              style={
+                active
+                  ? {
+                      borderColor: m.color,
+                      background: hexToRgba(m.color, 0.15)
+                    }
+                  : undefined
+              }
+              onClick={() => toggleMetric(m.key)}
+            >
+              <span
+                className="metric-chip-dot"
+                style={{ background: m.color }}
+              />
+              {m.title}
+            </button>
+          )
+        })}
+      </div>
+
+      {relays.length > 0 && (
+        <div className="metric-picker">
+          <span className="field-label">Arsir relay ON:</span>
+          {relays.map(r => {
+            const active = !hiddenRelays.includes(r.channel)
+            return (
+              <button
+                key={r.channel}
+                className={
+                  active ? 'metric-chip metric-chip-on' : 'metric-chip'
+                }
+                onClick={() => toggleRelayOverlay(r.channel)}
+              >
+                <span
+                  className="metric-chip-dot"
+                  style={{ background: relayColor(r.channel) }}
+                />
+                {formatChannelName(r.channel, channelMeta)}
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      <div className="last-log-card">
+        <div>
+          <div className="card-label">Log terakhir</div>
+          <div className="last-log-main">
+            {last
+              ? last.toLocaleString('id-ID', {
+                  weekday: 'long',
                   day: '2-digit',
                   month: 'short',
                   hour: '2-digit',
@@ -749,15 +2289,549 @@ function RiwayatSection({
         </div>
       </div>
 
+      {history.error && <div className="error-banner">{history.error}</div>}
+
       <div className="chart-wrapper">
-        {filteredLogs.length ? (
-          <Line options={options} data={chartData} />
+        {history.loading && !buckets.length ? (
+          <div className="skeleton" style={{ height: '100%' }} />
+        ) : !selectedMetrics.length ? (
+          <div className="empty-placeholder">
+            Pilih minimal satu metrik untuk ditampilkan.
+          </div>
+        ) : buckets.length ? (
+          <Line
+            options={options}
+            data={chartData}
+            plugins={[gapShadePlugin, relayBandPlugin]}
+          />
         ) : (
           <div className="empty-placeholder">
-            Belum ada data dalam {rangeHours} jam terakhir.
+            Belum ada data pada rentang ini.
           </div>
         )}
       </div>
+
+      {buckets.length > 0 && (
+        <>
+          <div
+            className="brush-wrapper"
+            onPointerDown={handleBrushDown}
+            onPointerMove={handleBrushMove}
+            onPointerUp={handleBrushUp}
+            onPointerCancel={() => setBrushDrag(null)}
+          >
+            <Line
+              ref={brushRef}
+              data={brushData}
+              options={brushOptions}
+              plugins={[brushWindowPlugin]}
+            />
+          </div>
+
+          <div className="window-stats">
+            <span className="window-stats-range">
+              {zoomWindow
+                ? formatRangeLabel(new Date(visibleMin), new Date(visibleMax))
+                : 'Seluruh rentang'}
+            </span>
+            <span>
+              Daya min: {windowStats ? `${windowStats.min.toFixed(0)} W` : '-'}
+            </span>
+            <span>
+              Daya maks: {windowStats ? `${windowStats.max.toFixed(0)} W` : '-'}
+            </span>
+            <span>
+              Rata-rata: {windowStats ? `${windowStats.avg.toFixed(1)} W` : '-'}
+            </span>
+            <span>
+              Energi: ~
+              {windowStats
+                ? `${kwhFmt.format(windowStats.energyKwh)} kWh`
+                : '-'}
+            </span>
+            {windowStats?.gapSec > 0 && (
+              <span title="Area abu-abu di grafik, tidak dihitung ke rata-rata & energi">
+                Tanpa data: {formatDurationSec(windowStats.gapSec)}
+              </span>
+            )}
+            {zoomWindow && (
+              <button
+                className="btn btn-small btn-primary"
+                onClick={() => setZoomWindow(null)}
+              >
+                Reset zoom
+              </button>
+            )}
+          </div>
+          <div className="card-foot">
+            Scroll / pinch untuk zoom, geser grafik untuk pan, atau seret di
+            strip bawah untuk memilih jendela waktu.
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * RIWAYAT RELAY (TIMELINE)
+ * ====================================================================== */
+
+const RELAY_TIMELINE_MAX_ROWS = 50
+
+// rata-rata daya saat relay ON vs OFF, bucket diklasifikasikan dari titik
+// tengahnya
+function relayPowerImpact(buckets, bucketSeconds, intervals, asNumber) {
+  const acc = { on: { sum: 0, n: 0 }, off: { sum: 0, n: 0 } }
+  buckets.forEach(b => {
+    const t = asDate(b.bucket_ts)?.getTime()
+    const avg = asNumber(b.daya_aktif_w_avg)
+    const n = asNumber(b.samples) || 0
+    if (t == null || Number.isNaN(avg) || !n) return
+    const mid = t + (bucketSeconds * 1000) / 2
+    const on = intervals.some(iv => mid >= iv.start && mid < iv.end)
+    acc[on ? 'on' : 'off'].sum += avg * n
+    acc[on ? 'on' : 'off'].n += n
+  })
+  return {
+    onAvg: acc.on.n ? acc.on.sum / acc.on.n : null,
+    offAvg: acc.off.n ? acc.off.sum / acc.off.n : null
+  }
+}
+
+function RelayTimelineSection({
+  relays,
+  channelMeta,
+  relayHistory,
+  history,
+  asNumber
+}) {
+  const [channelFilter, setChannelFilter] = useState('all')
+  const { from, to, buckets, bucket } = history
+  const fromMs = from.getTime()
+  const spanMs = Math.max(1, to.getTime() - fromMs)
+  const channels = relays.map(r => r.channel)
+
+  const intervals = useMemo(
+    () =>
+      buildRelayIntervals(
+        relayHistory.rows,
+        relayHistory.initial,
+        relays.map(r => r.channel),
+        from,
+        to
+      ),
+    [relayHistory.rows, relayHistory.initial, relays, from, to]
+  )
+
+  const changes = useMemo(
+    () =>
+      relayHistory.rows
+        .filter(
+          r => channelFilter === 'all' || r.channel === Number(channelFilter)
+        )
+        .slice()
+        .reverse()
+        .slice(0, RELAY_TIMELINE_MAX_ROWS),
+    [relayHistory.rows, channelFilter]
+  )
+
+  const pct = ms => ((ms - fromMs) / spanMs) * 100
+
+  return (
+    <section className="section section-relay-timeline">
+      <div className="section-header">
+        <div>
+          <h2>Riwayat Relay</h2>
+          <p className="section-subtitle">
+            {formatRangeLabel(from, to)} &bull; mengikuti rentang Riwayat Data.
+            Warna = sumber yang menyalakan relay.
+          </p>
+        </div>
+      </div>
+
+      {relayHistory.error && (
+        <div className="error-banner">{relayHistory.error}</div>
+      )}
+
+      <div className="relay-timeline-legend">
+        {RELAY_SOURCE_GROUPS.map(g => (
+          <span key={g.key} className="small-chip">
+            <span className="metric-chip-dot" style={{ background: g.color }} />
+            {g.label}
+          </span>
+        ))}
+      </div>
+
+      {relayHistory.loading && !relayHistory.rows.length ? (
+        <div className="skeleton" style={{ height: 120 }} />
+      ) : (
+        <div className="relay-timeline">
+          {channels.map(ch => {
+            const list = intervals[ch] || []
+            const onSec = list.reduce((s, iv) => s + (iv.end - iv.start), 0)
+            const switches = relayHistory.rows.filter(
+              r => r.channel === ch
+            ).length
+            const impact = relayPowerImpact(
+              buckets,
+              bucket.seconds,
+              list,
+              asNumber
+            )
+            return (
+              <div key={ch} className="relay-timeline-row">
+                <div className="relay-timeline-label">
+                  <span
+                    className="metric-chip-dot"
+                    style={{ background: relayColor(ch) }}
+                  />
+                  {relayIcon(channelMeta[ch])}{' '}
+                  {formatChannelName(ch, channelMeta)}
+                </div>
+                <div className="relay-timeline-bar">
+                  {list.map(iv => (
+                    <div
+                      key={iv.start}
+                      className="relay-timeline-segment"
+                      title={`${formatMetaBy(iv.metaBy)}: ${new Date(
+                        iv.start
+                      ).toLocaleString('id-ID')} – ${new Date(
+                        iv.end
+                      ).toLocaleString('id-ID')}`}
+                      style={{
+                        left: `${pct(iv.start)}%`,
+                        width: `${Math.max(0.3, pct(iv.end) - pct(iv.start))}%`,
+                        background: RELAY_SOURCE_GROUPS.find(
+                          g => g.key === relaySourceGroup(iv.metaBy)
+                        ).color
+                      }}
+                    />
+                  ))}
+                </div>
+                <div className="card-foot">
+                  ON {formatDurationSec(onSec / 1000)} • {switches} perubahan
+                  {impact.onAvg !== null &&
+                    impact.offAvg !== null &&
+                    ` • daya rata-rata ON ${impact.onAvg.toFixed(
+                      0
+                    )} W vs OFF ${impact.offAvg.toFixed(0)} W`}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      <div className="event-filters">
+        <div>
+          <label className="field-label">Relay</label>
+          <select
+            className="select"
+            value={channelFilter}
+            onChange={e => setChannelFilter(e.target.value)}
+          >
+            <option value="all">Semua relay</option>
+            {channels.map(ch => (
+              <option key={ch} value={ch}>
+                {formatChannelName(ch, channelMeta)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {changes.length ? (
+        <div className="event-table-wrapper">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Waktu</th>
+                <th>Relay</th>
+                <th>Status</th>
+                <th>Sumber</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map(r => (
+                <tr key={r.id}>
+                  <td>{asDate(r.changed_at)?.toLocaleString('id-ID')}</td>
+                  <td>{formatChannelName(r.channel, channelMeta)}</td>
+                  <td>{r.state ? 'ON' : 'OFF'}</td>
+                  <td>{formatMetaBy(r.meta_by)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="empty-placeholder">
+          Tidak ada perubahan relay pada rentang ini.
+        </div>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * EXPORT DATA (CSV / XLSX)
+ * ====================================================================== */
+
+const EXPORT_MODES = [
+  { key: 'raw', label: 'Data mentah' },
+  { key: 'hour', label: 'Agregat per jam', bucketSeconds: 60 * 60 },
+  { key: 'day', label: 'Agregat per hari', bucketSeconds: 24 * 60 * 60 }
+]
+
+// kolom tambahan yang hanya ada di data mentah
+const EXPORT_RAW_EXTRAS = [
+  {
+    key: 'bill_parts',
+    title: 'Rincian tagihan harian',
+    fields: [
+      ['biaya_energi_harian_rp', 'Biaya energi harian (Rp)'],
+      ['beban_harian_rp', 'Beban harian (Rp)'],
+      ['ppj_harian_rp', 'PPJ harian (Rp)'],
+      ['pbjt_harian_rp', 'PBJT harian (Rp)']
+    ]
+  },
+  {
+    key: 'tariff',
+    title: 'Tarif',
+    fields: [
+      ['tarif_harga_per_kwh', 'Tarif per kWh (Rp)'],
+      ['tarif_biaya_beban', 'Biaya beban (Rp)'],
+      ['tarif_pajak_persen', 'Pajak (%)']
+    ]
+  }
+]
+
+const DEFAULT_EXPORT_METRICS = METRIC_DEFS.filter(
+  m => m.group !== 'Lingkungan'
+).map(m => m.key)
+
+function metricLabel(m, suffix) {
+  const base = suffix ? `${m.title} ${suffix}` : m.title
+  return m.unit ? `${base} (${m.unit})` : base
+}
+
+function buildExportColumns(mode, metricKeys, extraKeys) {
+  const metrics = METRIC_DEFS.filter(m => metricKeys.includes(m.key))
+
+  if (mode === 'raw') {
+    return [
+      { key: 'ts', label: 'Waktu', type: 'date', fixed: true },
+      ...metrics.map(m => ({
+        key: m.field,
+        label: metricLabel(m),
+        type: 'number'
+      })),
+      ...EXPORT_RAW_EXTRAS.filter(x => extraKeys.includes(x.key)).flatMap(x =>
+        x.fields.map(([key, label]) => ({ key, label, type: 'number' }))
+      )
+    ]
+  }
+
+  return [
+    { key: 'bucket_ts', label: 'Waktu', type: 'date', fixed: true },
+    { key: 'samples', label: 'Jumlah sampel', type: 'number', fixed: true },
+    ...metrics
+      .filter(m => m.history)
+      .flatMap(m =>
+        m.history === 'range'
+          ? [
+              {
+                key: `${m.field}_avg`,
+                label: metricLabel(m, 'rata-rata'),
+                type: 'number'
+              },
+              {
+                key: `${m.field}_min`,
+                label: metricLabel(m, 'min'),
+                type: 'number'
+              },
+              {
+                key: `${m.field}_max`,
+                label: metricLabel(m, 'maks'),
+                type: 'number'
+              }
+            ]
+          : [
+              {
+                key: `${m.field}_max`,
+                label: metricLabel(m, 'maks'),
+                type: 'number'
+              }
+            ]
+      )
+  ]
+}
+
+function exportFileName(deviceId, mode, from, to, ext) {
+  const day = d => toDateTimeLocal(d).slice(0, 10).replace(/-/g, '')
+  const safeId = deviceId.replace(/[^a-zA-Z0-9_-]/g, '_')
+  return `${safeId}_${mode}_${day(from)}-${day(to)}.${ext}`
+}
+
+function ExportSection({ deviceId, from, to }) {
+  const [mode, setMode] = useState('raw')
+  const [format, setFormat] = useState('csv')
+  const [localeId, setLocaleId] = useState(true)
+  const [metricKeys, setMetricKeys] = useState(DEFAULT_EXPORT_METRICS)
+  const [extraKeys, setExtraKeys] = useState([])
+  const [exporting, setExporting] = useState(false)
+  const [status, setStatus] = useState(null)
+
+  const toggleKey = (setter, key) =>
+    setter(prev =>
+      prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    )
+
+  const columns = buildExportColumns(mode, metricKeys, extraKeys)
+  // kolom waktu (dan jumlah sampel di mode agregat) selalu ikut
+  const dataColumnCount = columns.filter(c => !c.fixed).length
+
+  const handleExport = async () => {
+    if (dataColumnCount === 0) {
+      alert('Pilih minimal satu kolom data untuk di-export.')
+      return
+    }
+
+    try {
+      setExporting(true)
+      setStatus('Mengambil data dari Supabase...')
+
+      const selectedMode = EXPORT_MODES.find(m => m.key === mode)
+      const rows =
+        mode === 'raw'
+          ? await fetchRawLogs(deviceId, from, to)
+          : await fetchBucketedLogs(
+              deviceId,
+              from,
+              to,
+              selectedMode.bucketSeconds
+            )
+
+      if (!rows.length) {
+        setStatus('Tidak ada data pada rentang ini.')
+        return
+      }
+
+      const filename = exportFileName(deviceId, mode, from, to, format)
+      if (format === 'xlsx') {
+        await downloadXlsx(filename, rows, columns, {
+          localeId,
+          sheetName: selectedMode.label
+        })
+      } else {
+        downloadCsv(filename, rows, columns, { localeId })
+      }
+
+      setStatus(
+        rows.length >= MAX_EXPORT_ROWS
+          ? `Selesai, dibatasi ${MAX_EXPORT_ROWS} baris. Perkecil rentang untuk data lengkap.`
+          : `Selesai: ${rows.length} baris.`
+      )
+    } catch (err) {
+      console.error('Gagal export data', err)
+      setStatus(`Gagal export: ${err.message || err}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <section className="section section-export">
+      <div className="section-header">
+        <div>
+          <h2>Export Data</h2>
+          <p className="section-subtitle">
+            {formatRangeLabel(from, to)} &bull; ikut rentang di Riwayat Data.
+          </p>
+        </div>
+      </div>
+
+      <div className="export-options">
+        <div>
+          <label className="field-label">Jenis data</label>
+          <select
+            className="select"
+            value={mode}
+            onChange={e => setMode(e.target.value)}
+          >
+            {EXPORT_MODES.map(m => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="field-label">Format file</label>
+          <select
+            className="select"
+            value={format}
+            onChange={e => setFormat(e.target.value)}
+          >
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel (XLSX)</option>
+          </select>
+        </div>
+        <label className="export-locale">
+          <input
+            type="checkbox"
+            checked={localeId}
+            onChange={e => setLocaleId(e.target.checked)}
+          />{' '}
+          Format angka &amp; tanggal Indonesia
+        </label>
+      </div>
+
+      <label className="field-label">Kolom</label>
+      <div className="metric-picker">
+        {METRIC_DEFS.map(m => {
+          const available = mode === 'raw' || !!m.history
+          const active = available && metricKeys.includes(m.key)
+          return (
+            <button
+              key={m.key}
+              className={active ? 'metric-chip metric-chip-on' : 'metric-chip'}
+              disabled={!available}
+              title={available ? '' : 'Tidak tersedia untuk data agregat'}
+              onClick={() => toggleKey(setMetricKeys, m.key)}
+            >
+              {m.title}
+            </button>
+          )
+        })}
+        {mode === 'raw' &&
+          EXPORT_RAW_EXTRAS.map(x => (
+            <button
+              key={x.key}
+              className={
+                extraKeys.includes(x.key)
+                  ? 'metric-chip metric-chip-on'
+                  : 'metric-chip'
+              }
+              onClick={() => toggleKey(setExtraKeys, x.key)}
+            >
+              {x.title}
+            </button>
+          ))}
+      </div>
+
+      <div className="export-footer">
+        <span className="card-foot">
+          {status || `${columns.length} kolom akan di-export.`}
+        </span>
+        <button
+          className="btn btn-small btn-primary"
+          onClick={handleExport}
+          disabled={exporting}
+        >
+          {exporting ? 'Meng-export...' : 'Download'}
+        </button>
+      </div>
     </section>
   )
 }
@@ -909,6 +2983,8 @@ function MonthlySection({
   selectedMonthKey,
   setSelectedMonthKey,
   monthlyStats,
+  onDownloadReport,
+  reportLoading,
   loading
 }) {
   if (loading) {
@@ -932,7 +3008,7 @@ function MonthlySection({
             Pilih bulan untuk melihat minggu mana yang paling boros.
           </p>
         </div>
-        <div>
+        <div className="monthly-controls">
           <select
             className="select"
             value={selectedMonthKey || ''}
@@ -952,6 +3028,13 @@ function MonthlySection({
               </>
             )}
           </select>
+          <button
+            className="btn btn-small btn-primary"
+            onClick={onDownloadReport}
+            disabled={!monthlyStats || reportLoading}
+          >
+            {reportLoading ? 'Membuat PDF...' : 'Download laporan bulanan'}
+          </button>
         </div>
       </div>
 
@@ -1031,94 +3114,1020 @@ function MonthlySection({
  * KONTROL RELAY
  * ====================================================================== */
 
-const DEFAULT_AUTO_RULES = {
-  0: { enabled: false, source: 'temperature', operator: '>', threshold: 30 },
-  1: { enabled: false, source: 'humidity', operator: '>', threshold: 70 },
-  2: { enabled: false, source: 'lux', operator: '<', threshold: 100 },
-  3: { enabled: false, source: 'temperature', operator: '<', threshold: 25 }
-}
+// next action jadwal di kartu relay dihitung ulang tiap 30 detik
+const SCHEDULE_TICK_MS = 30 * 1000
 
-function loadAutoRules() {
-  try {
-    const raw = localStorage.getItem('relayAutoRules')
-    if (!raw) return DEFAULT_AUTO_RULES
-    const parsed = JSON.parse(raw)
-    return { ...DEFAULT_AUTO_RULES, ...parsed }
-  } catch {
-    return DEFAULT_AUTO_RULES
-  }
+function formatScheduleAction(action) {
+  if (!action) return '-'
+  const when = action.at.toLocaleString('id-ID', {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+  return `${action.state ? 'ON' : 'OFF'} ${when}`
 }
 
-function RelayPanel({ relays, relaysLoading, toggleRelay, lastLog, asNumber }) {
-  const [autoRules, setAutoRules] = useState(loadAutoRules)
-  const lastAutoActionRef = useRef({})
-
-  useEffect(() => {
-    localStorage.setItem('relayAutoRules', JSON.stringify(autoRules))
-  }, [autoRules])
-
-  const getSensorValue = source => {
-    if (!lastLog) return NaN
-    if (source === 'temperature') return asNumber(lastLog.suhu_c)
-    if (source === 'humidity') return asNumber(lastLog.kelembapan_rh)
-    if (source === 'lux') return asNumber(lastLog.light_level_lux)
-    return NaN
-  }
-
-  // Auto mode
-  useEffect(() => {
-    if (!lastLog || !relays.length) return
-
-    const actions = { ...lastAutoActionRef.current }
-
-    relays.forEach(relay => {
-      const ch = relay.channel
-      const rule = autoRules[ch]
-      if (!rule || !rule.enabled) return
-
-      const sensorValue = getSensorValue(rule.source)
-      if (Number.isNaN(sensorValue)) return
-
-      const shouldOn =
-        rule.operator === '>'
-          ? sensorValue > rule.threshold
-          : sensorValue < rule.threshold
+function SchedulePointInput({ label, point, onChange, hasLocation }) {
+  return (
+    <div className="schedule-point">
+      <label className="field-label">{label}</label>
+      <select
+        className="select"
+        value={point.type}
+        onChange={e => onChange({ ...point, type: e.target.value })}
+      >
+        {SCHEDULE_POINT_TYPES.map(t => (
+          <option
+            key={t.key}
+            value={t.key}
+            disabled={t.key !== 'time' && !hasLocation}
+          >
+            {t.label}
+          </option>
+        ))}
+      </select>
+      {point.type === 'time' ? (
+        <input
+          className="input"
+          type="time"
+          value={point.time || ''}
+          onChange={e => onChange({ ...point, time: e.target.value })}
+        />
+      ) : (
+        <input
+          className="input"
+          type="number"
+          step={5}
+          value={point.offsetMin || 0}
+          title="Selisih menit (negatif = sebelum)"
+          onChange={e =>
+            onChange({ ...point, offsetMin: Number(e.target.value) })
+          }
+        />
+      )}
+    </div>
+  )
+}
 
-      if (actions[ch] === shouldOn) return
+function RelayScheduleEditor({
+  channelName,
+  schedule,
+  onChange,
+  location,
+  setLocation,
+  onClose
+}) {
+  const [draftLat, setDraftLat] = useState(location?.lat ?? '')
+  const [draftLon, setDraftLon] = useState(location?.lon ?? '')
+  const hasLocation = isValidLocation(location)
+
+  // tabel minggu ini (Senin - Minggu)
+  const week = useMemo(() => {
+    const today = new Date()
+    const monday = new Date(
+      today.getFullYear(),
+      today.getMonth(),
+      today.getDate() - ((today.getDay() + 6) % 7)
+    )
+    const sunday = new Date(monday)
+    sunday.setDate(monday.getDate() + 7)
+    const intervals = getScheduleIntervals(schedule, location, monday, sunday)
+
+    return WEEK_DAYS.map((day, i) => {
+      const dayStart = new Date(monday)
+      dayStart.setDate(monday.getDate() + i)
+      const dayEnd = new Date(dayStart)
+      dayEnd.setDate(dayStart.getDate() + 1)
+      const span = dayEnd - dayStart
+      const blocks = intervals
+        .filter(iv => iv.end > dayStart && iv.start < dayEnd)
+        .map(iv => {
+          const start = Math.max(iv.start, dayStart)
+          const end = Math.min(iv.end, dayEnd)
+          return {
+            left: ((start - dayStart) / span) * 100,
+            width: ((end - start) / span) * 100,
+            title: `${new Date(start).toLocaleTimeString('id-ID', {
+              hour: '2-digit',
+              minute: '2-digit'
+            })} – ${new Date(end).toLocaleTimeString('id-ID', {
+              hour: '2-digit',
+              minute: '2-digit'
+            })}`
+          }
+        })
+      return { ...day, blocks }
+    })
+  }, [schedule, location])
 
-      toggleRelay(ch, shouldOn, `auto_${rule.source}`).catch(err => {
-        console.error('Auto relay error', err)
-      })
-      actions[ch] = shouldOn
+  const updateSlot = (id, patch) =>
+    onChange({
+      ...schedule,
+      slots: schedule.slots.map(sl => (sl.id === id ? { ...sl, ...patch } : sl))
     })
 
-    lastAutoActionRef.current = actions
-  }, [lastLog, relays, autoRules, toggleRelay])
+  const toggleDay = (slot, dayIndex) =>
+    updateSlot(slot.id, {
+      days: slot.days.includes(dayIndex)
+        ? slot.days.filter(d => d !== dayIndex)
+        : [...slot.days, dayIndex]
+    })
 
-  const handleRuleChange = (ch, patch) => {
-    setAutoRules(prev => ({
-      ...prev,
-      [ch]: {
-        ...prev[ch],
-        ...patch
-      }
-    }))
+  const saveLocation = () => {
+    const next = { lat: Number(draftLat), lon: Number(draftLon) }
+    if (!isValidLocation(next)) {
+      alert('Lintang harus -90..90 dan bujur -180..180.')
+      return
+    }
+    setLocation(next)
   }
 
-  const formatChannelName = ch => `Relay ${ch + 1}`
-
-  const sensorPreview = source => {
-    const val = getSensorValue(source)
-    if (Number.isNaN(val)) return '-'
-    if (source === 'temperature') return `${val.toFixed(1)} °C`
-    if (source === 'humidity') return `${val.toFixed(1)} %`
-    if (source === 'lux') return `${val.toFixed(0)} lux`
-    return '-'
+  const useMyLocation = () => {
+    if (!navigator.geolocation) {
+      alert('Browser ini tidak mendukung geolokasi.')
+      return
+    }
+    navigator.geolocation.getCurrentPosition(
+      pos => {
+        const next = {
+          lat: Number(pos.coords.latitude.toFixed(4)),
+          lon: Number(pos.coords.longitude.toFixed(4))
+        }
+        setDraftLat(next.lat)
+        setDraftLon(next.lon)
+        setLocation(next)
+      },
+      err => alert(`Gagal ambil lokasi: ${err.message}`)
+    )
   }
 
-  if (relaysLoading) {
-    return (
-      <section className="section section-relay">
+  return (
+    <div className="card schedule-editor">
+      <div className="schedule-editor-header">
+        <div>
+          <div className="card-label">Jadwal mingguan</div>
+          <div className="schedule-editor-title">{channelName}</div>
+        </div>
+        <div className="btn-group">
+          <label className="schedule-enabled">
+            <input
+              type="checkbox"
+              checked={schedule.enabled}
+              onChange={e =>
+                onChange({ ...schedule, enabled: e.target.checked })
+              }
+            />{' '}
+            Jadwal aktif
+          </label>
+          <button className="btn btn-small" onClick={onClose}>
+            Tutup
+          </button>
+        </div>
+      </div>
+
+      <div className="schedule-timetable">
+        {week.map(day => (
+          <div key={day.index} className="schedule-timetable-row">
+            <span className="schedule-timetable-day">{day.short}</span>
+            <div className="schedule-timetable-track">
+              {day.blocks.map((b, i) => (
+                <span
+                  key={i}
+                  className="schedule-timetable-block"
+                  style={{ left: `${b.left}%`, width: `${b.width}%` }}
+                  title={b.title}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+        <div className="schedule-timetable-row schedule-timetable-axis">
+          <span />
+          <div className="schedule-timetable-hours">
+            {[0, 6, 12, 18, 24].map(h => (
+              <span key={h}>{String(h).padStart(2, '0')}</span>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="schedule-slots">
+        {schedule.slots.length === 0 && (
+          <div className="card-foot">Belum ada slot jadwal.</div>
+        )}
+        {schedule.slots.map(slot => (
+          <div key={slot.id} className="schedule-slot">
+            <div className="schedule-days">
+              {WEEK_DAYS.map(day => (
+                <button
+                  key={day.index}
+                  className={
+                    slot.days.includes(day.index)
+                      ? 'metric-chip metric-chip-on'
+                      : 'metric-chip'
+                  }
+                  onClick={() => toggleDay(slot, day.index)}
+                >
+                  {day.short}
+                </button>
+              ))}
+            </div>
+            <div className="schedule-slot-points">
+              <SchedulePointInput
+                label="Nyala"
+                point={slot.on}
+                hasLocation={hasLocation}
+                onChange={on => updateSlot(slot.id, { on })}
+              />
+              <SchedulePointInput
+                label="Mati"
+                point={slot.off}
+                hasLocation={hasLocation}
+                onChange={off => updateSlot(slot.id, { off })}
+              />
+              <button
+                className="btn btn-small"
+                title="Hapus slot"
+                onClick={() =>
+                  onChange({
+                    ...schedule,
+                    slots: schedule.slots.filter(sl => sl.id !== slot.id)
+                  })
+                }
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        ))}
+        <div className="alert-rules-footer">
+          <span className="card-foot">
+            Jam mati lebih awal dari jam nyala = menyala lewat tengah malam.
+          </span>
+          <button
+            className="btn btn-small btn-primary"
+            onClick={() =>
+              onChange({
+                ...schedule,
+                slots: [...schedule.slots, createScheduleSlot()]
+              })
+            }
+          >
+            + Slot
+          </button>
+        </div>
+      </div>
+
+      <div className="schedule-location">
+        <div>
+          <label className="field-label">Lintang</label>
+          <input
+            className="input"
+            type="number"
+            step="any"
+            value={draftLat}
+            placeholder="-6.2"
+            onChange={e => setDraftLat(e.target.value)}
+          />
+        </div>
+        <div>
+          <label className="field-label">Bujur</label>
+          <input
+            className="input"
+            type="number"
+            step="any"
+            value={draftLon}
+            placeholder="106.8"
+            onChange={e => setDraftLon(e.target.value)}
+          />
+        </div>
+        <button className="btn btn-small btn-primary" onClick={saveLocation}>
+          Simpan lokasi
+        </button>
+        <button className="btn btn-small" onClick={useMyLocation}>
+          Lokasi saya
+        </button>
+      </div>
+      {!hasLocation && usesSunTimes(schedule) && (
+        <div className="card-foot">
+          Isi lokasi dulu supaya jadwal matahari terbit/terbenam bisa dihitung.
+        </div>
+      )}
+    </div>
+  )
+}
+
+const AUTO_BLOCK_LABELS = {
+  min_on: 'tertahan min ON',
+  min_off: 'tertahan min OFF',
+  cooldown: 'tertahan cooldown'
+}
+
+function RelayAutoRuleEditor({ rule, onChange, sensorPreview, evaluation }) {
+  const update = patch => onChange({ ...rule, ...patch })
+
+  const updateCondition = (id, patch) =>
+    update({
+      conditions: rule.conditions.map(c =>
+        c.id === id ? { ...c, ...patch } : c
+      )
+    })
+
+  const updateWindow = (index, patch) =>
+    update({
+      windows: rule.windows.map((w, i) =>
+        i === index ? { ...w, ...patch } : w
+      )
+    })
+
+  const toggleWindowDay = (index, day) => {
+    const days = rule.windows[index].days || []
+    updateWindow(index, {
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day]
+    })
+  }
+
+  const conditionResult = id =>
+    evaluation?.sensor?.conditions?.find(c => c.id === id)?.active
+
+  return (
+    <div className="relay-auto">
+      <div className="relay-auto-row relay-auto-row-inline">
+        <label>
+          <input
+            type="checkbox"
+            checked={rule.enabled}
+            onChange={e => update({ enabled: e.target.checked })}
+          />{' '}
+          Mode otomatis
+        </label>
+        {rule.conditions.length > 1 && (
+          <select
+            className="select"
+            value={rule.logic}
+            onChange={e => update({ logic: e.target.value })}
+          >
+            {AUTO_RULE_LOGIC.map(l => (
+              <option key={l.key} value={l.key}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="auto-conditions">
+        <div className="auto-condition auto-condition-head">
+          <span>Sensor</span>
+          <span>Kondisi</span>
+          <span>Nyala</span>
+          <span>Mati</span>
+          <span />
+        </div>
+        {rule.conditions.map(c => (
+          <div key={c.id} className="auto-condition">
+            <select
+              className="select"
+              value={c.source}
+              onChange={e => updateCondition(c.id, { source: e.target.value })}
+            >
+              {AUTO_RULE_SOURCES.map(src => (
+                <option key={src.key} value={src.key}>
+                  {src.label}
+                </option>
+              ))}
+            </select>
+            <select
+              className="select"
+              value={c.operator}
+              onChange={e =>
+                updateCondition(c.id, { operator: e.target.value })
+              }
+            >
+              <option value=">">&gt;</option>
+              <option value="<">&lt;</option>
+            </select>
+            <input
+              className="input"
+              type="number"
+              value={c.onThreshold}
+              title="Ambang nyala"
+              onChange={e =>
+                updateCondition(c.id, { onThreshold: Number(e.target.value) })
+              }
+            />
+            <input
+              className="input"
+              type="number"
+              value={c.offThreshold}
+              title="Ambang mati"
+              onChange={e =>
+                updateCondition(c.id, { offThreshold: Number(e.target.value) })
+              }
+            />
+            <button
+              className="btn btn-small"
+              disabled={rule.conditions.length === 1}
+              onClick={() =>
+                update({
+                  conditions: rule.conditions.filter(x => x.id !== c.id)
+                })
+              }
+            >
+              ✕
+            </button>
+            <div className="auto-condition-preview">
+              Sekarang: <strong>{sensorPreview(c.source)}</strong>
+              {conditionResult(c.id) !== undefined &&
+                conditionResult(c.id) !== null &&
+                ` • ${conditionResult(c.id) ? 'terpenuhi' : 'tidak'}`}
+            </div>
+          </div>
+        ))}
+        <button
+          className="btn btn-small"
+          onClick={() =>
+            update({ conditions: [...rule.conditions, createAutoCondition()] })
+          }
+        >
+          + Kondisi
+        </button>
+      </div>
+
+      <div className="relay-auto-row relay-auto-row-inline">
+        <div>
+          <label className="field-label">Min ON (dtk)</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            value={rule.minOnSec}
+            onChange={e =>
+              update({ minOnSec: Math.max(0, Number(e.target.value) || 0) })
+            }
+          />
+        </div>
+        <div>
+          <label className="field-label">Min OFF (dtk)</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            value={rule.minOffSec}
+            onChange={e =>
+              update({ minOffSec: Math.max(0, Number(e.target.value) || 0) })
+            }
+          />
+        </div>
+        <div>
+          <label className="field-label">Cooldown (dtk)</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            value={rule.cooldownSec}
+            onChange={e =>
+              update({ cooldownSec: Math.max(0, Number(e.target.value) || 0) })
+            }
+          />
+        </div>
+      </div>
+
+      <div className="relay-auto-row">
+        <label className="field-label">
+          Jam aktif {rule.windows.length ? '' : '(sepanjang hari)'}
+        </label>
+        {rule.windows.map((w, i) => (
+          <div key={i} className="auto-window">
+            <div className="schedule-days">
+              {WEEK_DAYS.map(day => (
+                <button
+                  key={day.index}
+                  className={
+                    w.days?.includes(day.index)
+                      ? 'metric-chip metric-chip-on'
+                      : 'metric-chip'
+                  }
+                  onClick={() => toggleWindowDay(i, day.index)}
+                >
+                  {day.short}
+                </button>
+              ))}
+            </div>
+            <div className="auto-window-times">
+              <input
+                className="input"
+                type="time"
+                value={w.start}
+                onChange={e => updateWindow(i, { start: e.target.value })}
+              />
+              <input
+                className="input"
+                type="time"
+                value={w.end}
+                onChange={e => updateWindow(i, { end: e.target.value })}
+              />
+              <button
+                className="btn btn-small"
+                onClick={() =>
+                  update({ windows: rule.windows.filter((_, j) => j !== i) })
+                }
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        ))}
+        <button
+          className="btn btn-small"
+          onClick={() =>
+            update({ windows: [...rule.windows, createTimeWindow()] })
+          }
+        >
+          + Jam aktif
+        </button>
+      </div>
+    </div>
+  )
+}
+
+const LOAD_SHED_STATUS_LABELS = {
+  disabled: 'nonaktif',
+  no_data: 'menunggu data daya',
+  stale: 'data daya terlambat, kondisi relay ditahan',
+  normal: 'beban normal',
+  over: 'beban di atas ambang, memadamkan relay',
+  over_no_candidate:
+    'beban di atas ambang, tidak ada relay yang bisa dipadamkan',
+  restoring: 'beban turun, menunggu untuk menyalakan kembali'
+}
+
+function LoadSheddingPanel({
+  config,
+  state,
+  relays,
+  lastLog,
+  asNumber,
+  formatChannelName,
+  onChange
+}) {
+  const current = { ...DEFAULT_LOAD_SHEDDING, ...config }
+  const metric =
+    LOAD_SHED_METRICS.find(m => m.key === current.metric) ||
+    LOAD_SHED_METRICS[0]
+  const { limit, shedAt, restoreAt } = getLoadShedThresholds(current)
+  const value = asNumber(lastLog?.[current.metric])
+  const shedChannels = state?.shed_channels || []
+  const priority = current.priority || []
+  const excluded = relays
+    .map(r => r.channel)
+    .filter(ch => !priority.includes(ch))
+
+  const update = patch => onChange({ ...current, ...patch })
+  const updateNumber = (field, raw) => {
+    const n = Number(raw)
+    if (Number.isFinite(n) && n >= 0) update({ [field]: n })
+  }
+
+  const move = (index, delta) => {
+    const target = index + delta
+    if (target < 0 || target >= priority.length) return
+    const next = [...priority]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    update({ priority: next })
+  }
+
+  const pct = v => (limit > 0 ? Math.min(100, (v / limit) * 100) : 0)
+  const loadClass =
+    value >= shedAt
+      ? 'load-bar-fill load-bar-over'
+      : value >= restoreAt
+        ? 'load-bar-fill load-bar-warn'
+        : 'load-bar-fill'
+
+  return (
+    <div className="card load-shed">
+      <div className="section-header">
+        <div>
+          <div className="card-label">Manajemen beban (load shedding)</div>
+          <div className="card-foot">
+            Relay dimatikan sesuai urutan prioritas saat {metric.label} mencapai{' '}
+            {current.shed_pct}% batas, lalu dinyalakan kembali setelah beban di
+            bawah {current.restore_pct}% selama{' '}
+            {formatDurationSec(current.restore_delay_sec)}.
+          </div>
+        </div>
+        <label>
+          <input
+            type="checkbox"
+            checked={current.enabled}
+            onChange={e => update({ enabled: e.target.checked })}
+          />{' '}
+          Aktif
+        </label>
+      </div>
+
+      <div className="load-bar">
+        <div
+          className={loadClass}
+          style={{ width: `${Number.isNaN(value) ? 0 : pct(value)}%` }}
+        />
+        <div className="load-bar-mark" style={{ left: `${pct(shedAt)}%` }} />
+        <div
+          className="load-bar-mark load-bar-mark-restore"
+          style={{ left: `${pct(restoreAt)}%` }}
+        />
+      </div>
+      <div className="card-foot">
+        Sekarang{' '}
+        <strong>
+          {Number.isNaN(value) ? '-' : `${value.toFixed(0)} ${metric.unit}`}
+        </strong>{' '}
+        dari batas {limit} {metric.unit} • status:{' '}
+        {LOAD_SHED_STATUS_LABELS[state?.evaluation?.status] || '-'}
+      </div>
+
+      <div className="load-shed-fields">
+        <div>
+          <label className="field-label">Besaran</label>
+          <select
+            className="select"
+            value={current.metric}
+            onChange={e => update({ metric: e.target.value })}
+          >
+            {LOAD_SHED_METRICS.map(m => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="field-label">Batas ({metric.unit})</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            value={current.power_limit}
+            onChange={e => updateNumber('power_limit', e.target.value)}
+          />
+        </div>
+        <div>
+          <label className="field-label">Padamkan di (%)</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            value={current.shed_pct}
+            onChange={e => updateNumber('shed_pct', e.target.value)}
+          />
+        </div>
+        <div>
+          <label className="field-label">Pulihkan di bawah (%)</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            value={current.restore_pct}
+            onChange={e => updateNumber('restore_pct', e.target.value)}
+          />
+        </div>
+        <div>
+          <label className="field-label">Jeda pulih (dtk)</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            value={current.restore_delay_sec}
+            onChange={e => updateNumber('restore_delay_sec', e.target.value)}
+          />
+        </div>
+      </div>
+      {current.restore_pct >= current.shed_pct && (
+        <div className="card-foot">
+          Ambang pulih sebaiknya lebih rendah dari ambang padam supaya relay
+          tidak bolak-balik.
+        </div>
+      )}
+
+      <label className="field-label">
+        Urutan dipadamkan (paling atas = prioritas terendah)
+      </label>
+      <ol className="load-shed-priority">
+        {priority.map((ch, i) => (
+          <li key={ch}>
+            <span>
+              {formatChannelName(ch)}
+              {shedChannels.includes(ch) && (
+                <span className="small-chip">dipadamkan</span>
+              )}
+            </span>
+            <span className="btn-group">
+              <button
+                className="btn btn-small"
+                disabled={i === 0}
+                onClick={() => move(i, -1)}
+              >
+                ↑
+              </button>
+              <button
+                className="btn btn-small"
+                disabled={i === priority.length - 1}
+                onClick={() => move(i, 1)}
+              >
+                ↓
+              </button>
+              <button
+                className="btn btn-small"
+                onClick={() =>
+                  update({ priority: priority.filter(x => x !== ch) })
+                }
+              >
+                Keluarkan
+              </button>
+            </span>
+          </li>
+        ))}
+      </ol>
+      {excluded.length > 0 && (
+        <div className="btn-group">
+          {excluded.map(ch => (
+            <button
+              key={ch}
+              className="btn btn-small"
+              onClick={() => update({ priority: [...priority, ch] })}
+            >
+              + {formatChannelName(ch)}
+            </button>
+          ))}
+        </div>
+      )}
+      {priority.length === 0 && (
+        <div className="card-foot">
+          Belum ada relay yang boleh dipadamkan. Tambahkan beban yang tidak
+          penting (mis. water heater, pompa) lebih dulu.
+        </div>
+      )}
+    </div>
+  )
+}
+
+function RelayChannelMetaEditor({ channel, meta, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => ({
+    name: meta?.name || '',
+    icon: meta?.icon || '',
+    rated_w: meta?.rated_w ?? '',
+    room: meta?.room || '',
+    hidden: !!meta?.hidden
+  }))
+  const [saving, setSaving] = useState(false)
+
+  const update = patch => setDraft(prev => ({ ...prev, ...patch }))
+
+  const handleSave = async () => {
+    const rated = draft.rated_w === '' ? null : Number(draft.rated_w)
+    if (rated !== null && (!Number.isFinite(rated) || rated < 0)) {
+      alert('Daya pengenal harus angka >= 0.')
+      return
+    }
+    setSaving(true)
+    try {
+      await onSave({
+        name: draft.name.trim() || null,
+        icon: draft.icon || null,
+        rated_w: rated,
+        room: draft.room.trim() || null,
+        hidden: draft.hidden
+      })
+      onClose()
+    } catch (err) {
+      alert(`Gagal simpan channel: ${err.message || err}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="relay-meta-editor">
+      <div>
+        <label className="field-label">Nama</label>
+        <input
+          className="input"
+          value={draft.name}
+          placeholder={`Relay ${channel + 1}`}
+          onChange={e => update({ name: e.target.value })}
+        />
+      </div>
+      <div>
+        <label className="field-label">Ikon</label>
+        <select
+          className="select"
+          value={draft.icon}
+          onChange={e => update({ icon: e.target.value })}
+        >
+          <option value="">Tanpa ikon</option>
+          {RELAY_ICONS.map(i => (
+            <option key={i.key} value={i.key}>
+              {i.emoji} {i.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="field-label">Daya pengenal (W)</label>
+        <input
+          className="input"
+          type="number"
+          min="0"
+          value={draft.rated_w}
+          onChange={e => update({ rated_w: e.target.value })}
+        />
+      </div>
+      <div>
+        <label className="field-label">Ruangan</label>
+        <input
+          className="input"
+          value={draft.room}
+          placeholder="mis. Kamar utama"
+          onChange={e => update({ room: e.target.value })}
+        />
+      </div>
+      <label className="relay-meta-hidden">
+        <input
+          type="checkbox"
+          checked={draft.hidden}
+          onChange={e => update({ hidden: e.target.checked })}
+        />{' '}
+        Sembunyikan channel ini
+      </label>
+      <div className="btn-group">
+        <button
+          className="btn btn-small btn-primary"
+          disabled={saving}
+          onClick={handleSave}
+        >
+          {saving ? 'Menyimpan...' : 'Simpan'}
+        </button>
+        <button className="btn btn-small" onClick={onClose}>
+          Batal
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function RelayPanel({
+  deviceId,
+  relays,
+  relaysLoading,
+  toggleRelay,
+  createChannels,
+  channelMeta,
+  lastLog,
+  asNumber,
+  role,
+  user
+}) {
+  const { meta, relayCount, saveMeta, saveRelayCount } = channelMeta
+  const canControl = can(role, 'relay_control')
+  const canAutomate = can(role, 'relay_automation')
+  const canSetup = can(role, 'device_setup')
+  const {
+    automations,
+    states,
+    location: siteLocation,
+    lease,
+    error: automationError,
+    saveAutomation,
+    saveLocation
+  } = useRelayAutomation(deviceId, {
+    isDefaultDevice: deviceId === DEFAULT_DEVICE_ID
+  })
+  const {
+    config: sheddingConfig,
+    state: sheddingState,
+    error: sheddingError,
+    saveConfig: saveSheddingConfig
+  } = useLoadShedding(deviceId)
+  const [scheduleChannel, setScheduleChannel] = useState(null)
+  const [editingChannel, setEditingChannel] = useState(null)
+  const [showHidden, setShowHidden] = useState(false)
+  const [setupCount, setSetupCount] = useState(relayCount)
+  const [creating, setCreating] = useState(false)
+  const [scheduleNow, setScheduleNow] = useState(() => new Date())
+  const [ackNow, setAckNow] = useState(() => new Date())
+
+  useEffect(() => {
+    const id = setInterval(() => setScheduleNow(new Date()), SCHEDULE_TICK_MS)
+    return () => clearInterval(id)
+  }, [])
+
+  // detik-an hanya selama ada perintah yang menunggu konfirmasi device
+  const hasPendingAck = relays.some(
+    r => getRelayAckStatus(r, ackNow) === 'pending'
+  )
+  useEffect(() => {
+    if (!hasPendingAck) return
+    const id = setInterval(() => setAckNow(new Date()), 1000)
+    return () => clearInterval(id)
+  }, [hasPendingAck])
+
+  const sendRelay = (ch, next, metaBy) => {
+    setAckNow(new Date())
+    return toggleRelay(ch, next, withActor(metaBy, user)).catch(err =>
+      console.error(err)
+    )
+  }
+
+  const workerActive =
+    !!lease && new Date(lease.expires_at).getTime() > scheduleNow.getTime()
+
+  const updateSchedule = (ch, next) =>
+    saveAutomation(ch, { schedule: next }).catch(err =>
+      console.error('Gagal simpan jadwal', err)
+    )
+
+  const handleRuleChange = (ch, next) =>
+    saveAutomation(ch, { auto_rule: next }).catch(err =>
+      console.error('Gagal simpan aturan otomatis', err)
+    )
+
+  const handleSheddingChange = next =>
+    saveSheddingConfig(next).catch(err =>
+      console.error('Gagal simpan load shedding', err)
+    )
+
+  const channelName = ch => formatChannelName(ch, meta)
+
+  const boardRelays = relays.filter(r => r.channel < relayCount)
+  const hiddenCount = boardRelays.filter(r => meta[r.channel]?.hidden).length
+  const shownRelays = showHidden
+    ? boardRelays
+    : visibleRelays(relays, meta, relayCount)
+  const missingCount = relayCount - boardRelays.length
+
+  // simpan jumlah relay board lalu buat baris relay_channel yang belum ada
+  const handleSetupChannels = async count => {
+    setCreating(true)
+    try {
+      if (count !== relayCount) await saveRelayCount(count)
+      await createChannels(count)
+    } catch (err) {
+      alert(`Gagal membuat channel relay: ${err.message || err}`)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleLocationChange = next =>
+    saveLocation(next).catch(err =>
+      alert(`Gagal simpan lokasi: ${err.message || err}`)
+    )
+
+  const sensorPreview = source => {
+    const val = asNumber(
+      lastLog?.[AUTO_RULE_SOURCES.find(x => x.key === source)?.field]
+    )
+    if (Number.isNaN(val)) return '-'
+    if (source === 'temperature') return `${val.toFixed(1)} °C`
+    if (source === 'humidity') return `${val.toFixed(1)} %`
+    if (source === 'lux') return `${val.toFixed(0)} lux`
+    return '-'
+  }
+
+  const describeEvaluation = state => {
+    if (!state?.evaluated_at) return 'belum pernah dievaluasi worker'
+    // worker hanya menulis state yang berubah
+    const parts = [
+      `status berubah ${formatRelativeTime(
+        asDate(state.evaluated_at),
+        scheduleNow
+      )}`
+    ]
+    if (state.evaluation?.sensorStale) {
+      parts.push('data sensor terlambat, aturan sensor ditahan')
+    }
+    const sensor = state.evaluation?.sensor
+    if (sensor) {
+      parts.push(
+        `sensor ${sensor.desired ? 'minta ON' : 'minta OFF'}${
+          sensor.inWindow ? '' : ' (di luar jam aktif)'
+        }${sensor.blockedBy ? `, ${AUTO_BLOCK_LABELS[sensor.blockedBy]}` : ''}`
+      )
+    }
+    if (state.last_action_at) {
+      parts.push(
+        `aksi terakhir ${state.last_action_state ? 'ON' : 'OFF'} (${
+          state.last_action_by
+        }) ${formatRelativeTime(asDate(state.last_action_at), scheduleNow)}`
+      )
+    }
+    return parts.join(' • ')
+  }
+
+  if (relaysLoading) {
+    return (
+      <section className="section section-relay">
         <h2>Kontrol Relay</h2>
         <p className="section-subtitle">Memuat data...</p>
         <div className="relay-grid">
@@ -1135,124 +4144,2249 @@ function RelayPanel({ relays, relaysLoading, toggleRelay, lastLog, asNumber }) {
   }
 
   return (
-    <section className="section section-relay">
-      <h2>Kontrol Relay</h2>
-      <p className="section-subtitle">
-        4 relay: mode manual ON/OFF, dan mode otomatis berdasarkan suhu,
-        kelembapan, atau cahaya (lux).
-      </p>
+    <section className="section section-relay">
+      <h2>Kontrol Relay</h2>
+      <p className="section-subtitle">
+        {relayCount} relay: mode manual ON/OFF, jadwal mingguan, dan mode
+        otomatis dari gabungan kondisi suhu, kelembapan, atau cahaya (lux)
+        dengan ambang nyala/mati, waktu minimal dan jam aktif, plus load
+        shedding saat daya mendekati batas MCB. Jadwal, mode otomatis & load
+        shedding dijalankan worker di server, tetap jalan walau dashboard
+        ditutup.
+      </p>
+
+      <div
+        className={
+          workerActive
+            ? 'info-banner stale-banner'
+            : 'error-banner stale-banner'
+        }
+      >
+        {workerActive
+          ? `Worker otomasi aktif (${lease.holder}).`
+          : 'Worker otomasi tidak berjalan: jadwal & mode otomatis tidak dieksekusi. Jalankan `npm run worker` di server.'}
+      </div>
+      {automationError && (
+        <div className="error-banner stale-banner">
+          Otomasi error: {automationError}
+        </div>
+      )}
+      {sheddingError && (
+        <div className="error-banner stale-banner">
+          Load shedding error: {sheddingError}
+        </div>
+      )}
+      {channelMeta.error && (
+        <div className="error-banner stale-banner">
+          Metadata relay error: {channelMeta.error}
+        </div>
+      )}
+      {!canControl && (
+        <div className="info-banner stale-banner">
+          Login sebagai {ROLE_LABELS[role] || role}: hanya bisa melihat. Kontrol
+          relay & otomasi butuh peran operator.
+        </div>
+      )}
+
+      {relays.length > 0 && (
+        <div className="relay-board-row">
+          <div>
+            <label className="field-label">Jumlah relay di board</label>
+            <select
+              className="select"
+              value={relayCount}
+              disabled={creating || !canSetup}
+              onChange={e => handleSetupChannels(Number(e.target.value))}
+            >
+              {RELAY_COUNT_OPTIONS.map(n => (
+                <option key={n} value={n}>
+                  {n} channel
+                </option>
+              ))}
+            </select>
+          </div>
+          {hiddenCount > 0 && (
+            <button
+              className={
+                showHidden ? 'btn btn-small btn-primary' : 'btn btn-small'
+              }
+              onClick={() => setShowHidden(v => !v)}
+            >
+              {showHidden ? 'Sembunyikan' : 'Tampilkan'} {hiddenCount} channel
+              tersembunyi
+            </button>
+          )}
+        </div>
+      )}
+      {relays.length > 0 && missingCount > 0 && (
+        <div className="info-banner stale-banner">
+          Board {relayCount} channel, {missingCount} channel belum dibuat.{' '}
+          <button
+            className="btn btn-small btn-primary"
+            disabled={creating || !canSetup}
+            onClick={() => handleSetupChannels(relayCount)}
+          >
+            Buat sekarang
+          </button>
+        </div>
+      )}
+
+      <div className="relay-grid">
+        {shownRelays.map(relay => {
+          const ch = relay.channel
+          const state = !!relay.state
+          const ack = getRelayAckStatus(relay, ackNow)
+          const rule = normalizeAutoRule(automations[ch]?.auto_rule, ch)
+          const schedule = automations[ch]?.schedule || DEFAULT_SCHEDULE
+          const nextAction = schedule.enabled
+            ? getScheduleActions(schedule, siteLocation, scheduleNow).next
+            : null
+
+          return (
+            <div key={ch} className="card relay-card">
+              <div className="relay-header">
+                <div>
+                  <div className="card-title">
+                    {relayIcon(meta[ch])} {channelName(ch)}
+                  </div>
+                  {(meta[ch]?.room || meta[ch]?.rated_w) && (
+                    <div className="card-foot">
+                      {[
+                        meta[ch]?.room,
+                        meta[ch]?.rated_w ? `${meta[ch].rated_w} W` : null
+                      ]
+                        .filter(Boolean)
+                        .join(' • ')}
+                    </div>
+                  )}
+                  <div className="relay-status-chip">
+                    <span
+                      className={
+                        state
+                          ? 'status-dot status-dot-on'
+                          : 'status-dot status-dot-off'
+                      }
+                    />
+                    {state ? 'ON' : 'OFF'}
+                    {ack === 'pending' && (
+                      <span className="relay-ack-pending">
+                        {RELAY_ACK_STATUSES.pending.label}…
+                      </span>
+                    )}
+                    {ack === 'synced' && (
+                      <span
+                        className="relay-ack-synced"
+                        title={`${RELAY_ACK_STATUSES.synced.label} ${formatRelativeTime(asDate(relay.reported_at))}`}
+                      >
+                        ✓
+                      </span>
+                    )}
+                    {sheddingState?.shed_channels?.includes(ch) && (
+                      <span className="small-chip">load shedding</span>
+                    )}
+                    {meta[ch]?.hidden && (
+                      <span className="small-chip">tersembunyi</span>
+                    )}
+                  </div>
+                </div>
+                <div className="relay-header-actions">
+                  {canSetup && (
+                    <button
+                      className={
+                        editingChannel === ch
+                          ? 'btn btn-small btn-primary'
+                          : 'btn btn-small'
+                      }
+                      title="Atur nama, ikon & ruangan"
+                      onClick={() =>
+                        setEditingChannel(prev => (prev === ch ? null : ch))
+                      }
+                    >
+                      ✎
+                    </button>
+                  )}
+                  <button
+                    className={state ? 'btn btn-danger' : 'btn btn-primary'}
+                    disabled={!canControl}
+                    onClick={() => sendRelay(ch, !state, 'web_manual')}
+                  >
+                    {state ? 'Matikan' : 'Nyalakan'}
+                  </button>
+                </div>
+              </div>
+
+              {(ack === 'timeout' || ack === 'mismatch') && (
+                <div className="relay-ack-warning">
+                  <div>
+                    <strong>{RELAY_ACK_STATUSES[ack].label}.</strong>{' '}
+                    {ack === 'timeout'
+                      ? `Perintah ${state ? 'ON' : 'OFF'} ${formatRelativeTime(asDate(relay.meta_ts))} belum dikonfirmasi device.`
+                      : `Diminta ${state ? 'ON' : 'OFF'}, device melaporkan ${
+                          relay.reported_state ? 'ON' : 'OFF'
+                        } ${formatRelativeTime(asDate(relay.reported_at))}.`}
+                  </div>
+                  <div className="btn-group">
+                    <button
+                      className="btn btn-small btn-primary"
+                      disabled={!canControl}
+                      onClick={() => sendRelay(ch, state, 'web_retry')}
+                    >
+                      Kirim ulang
+                    </button>
+                    {ack === 'mismatch' && (
+                      <button
+                        className="btn btn-small"
+                        disabled={!canControl}
+                        onClick={() =>
+                          sendRelay(
+                            ch,
+                            !!relay.reported_state,
+                            'web_follow_device'
+                          )
+                        }
+                      >
+                        Ikuti device
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {editingChannel === ch && (
+                <RelayChannelMetaEditor
+                  channel={ch}
+                  meta={meta[ch]}
+                  onSave={patch => saveMeta(ch, patch)}
+                  onClose={() => setEditingChannel(null)}
+                />
+              )}
+
+              <div className="relay-schedule-row">
+                <span>
+                  Jadwal:{' '}
+                  {schedule.enabled ? (
+                    <strong>
+                      {nextAction
+                        ? `berikutnya ${formatScheduleAction(nextAction)}`
+                        : 'tidak ada aksi 7 hari ke depan'}
+                    </strong>
+                  ) : (
+                    'nonaktif'
+                  )}
+                </span>
+                {canAutomate && (
+                  <button
+                    className={
+                      scheduleChannel === ch
+                        ? 'btn btn-small btn-primary'
+                        : 'btn btn-small'
+                    }
+                    onClick={() =>
+                      setScheduleChannel(prev => (prev === ch ? null : ch))
+                    }
+                  >
+                    Atur jadwal
+                  </button>
+                )}
+              </div>
+
+              <fieldset className="role-fieldset" disabled={!canAutomate}>
+                <RelayAutoRuleEditor
+                  rule={rule}
+                  onChange={next => handleRuleChange(ch, next)}
+                  sensorPreview={sensorPreview}
+                  evaluation={states[ch]?.evaluation}
+                />
+              </fieldset>
+              <div className="card-foot">
+                Worker: {describeEvaluation(states[ch])}.
+              </div>
+            </div>
+          )
+        })}
+
+        {relays.length === 0 && !relaysLoading && (
+          <div className="empty-placeholder relay-setup">
+            <div>
+              Belum ada channel relay untuk <code>{deviceId}</code>. Pilih
+              jumlah relay di board, channel akan dibuat dalam keadaan OFF.
+            </div>
+            <div className="relay-board-row">
+              <select
+                className="select"
+                value={setupCount}
+                onChange={e => setSetupCount(Number(e.target.value))}
+              >
+                {RELAY_COUNT_OPTIONS.map(n => (
+                  <option key={n} value={n}>
+                    {n} channel
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn btn-small btn-primary"
+                disabled={creating || !canSetup}
+                onClick={() => handleSetupChannels(setupCount)}
+              >
+                {creating ? 'Membuat...' : 'Buat channel relay'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {relays.length > 0 && (
+        <fieldset className="role-fieldset" disabled={!canAutomate}>
+          <LoadSheddingPanel
+            config={sheddingConfig}
+            state={sheddingState}
+            relays={visibleRelays(relays, meta, relayCount)}
+            lastLog={lastLog}
+            asNumber={asNumber}
+            formatChannelName={channelName}
+            onChange={handleSheddingChange}
+          />
+        </fieldset>
+      )}
+
+      {canAutomate && scheduleChannel !== null && (
+        <RelayScheduleEditor
+          key={scheduleChannel}
+          channelName={channelName(scheduleChannel)}
+          schedule={automations[scheduleChannel]?.schedule || DEFAULT_SCHEDULE}
+          onChange={next => updateSchedule(scheduleChannel, next)}
+          location={siteLocation}
+          setLocation={handleLocationChange}
+          onClose={() => setScheduleChannel(null)}
+        />
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * STATUS DEVICE & UPTIME
+ * ====================================================================== */
+
+const UPTIME_DAYS = 7
+// 7 hari -> bucket 15 menit dari useHistoryBuckets (mencakup UPTIME_DAYS hari
+// lokal terakhir)
+const UPTIME_RANGE = { preset: '7d', from: null, to: null }
+const RECENT_GAP_COUNT = 5
+
+function DeviceUptimeSection({ deviceId, lastLog, sampleIntervalSec }) {
+  const { status, ageSec } = useDeviceStatus(lastLog?.ts, sampleIntervalSec)
+  const { buckets, bucket, loading, error } = useHistoryBuckets(
+    deviceId,
+    UPTIME_RANGE
+  )
+
+  // dari jumlah sampel per bucket di server (log yang dimuat dashboard
+  // terpotong batas baris); jeda yang sedang berjalan ikut dari status di
+  // atas
+  const { uptime, recentGaps } = useMemo(() => {
+    const now = new Date()
+    const starts = buckets.map(b => asDate(b.bucket_ts)?.getTime())
+    const first = starts[0]
+    const last = starts[starts.length - 1]
+    return {
+      uptime: computeDailyUptime(
+        buckets,
+        bucket.seconds,
+        sampleIntervalSec,
+        UPTIME_DAYS,
+        now
+      ),
+      recentGaps: buckets.length
+        ? detectBucketGaps(
+            buckets,
+            bucket.seconds,
+            first,
+            last + bucket.seconds * 1000
+          )
+            .slice(-RECENT_GAP_COUNT)
+            .reverse()
+        : []
+    }
+  }, [buckets, bucket.seconds, sampleIntervalSec])
+
+  const formatGapTime = ms =>
+    new Date(ms).toLocaleString('id-ID', {
+      day: '2-digit',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+
+  return (
+    <section className="section section-uptime">
+      <div className="section-header">
+        <div>
+          <h2>Status Device</h2>
+          <p className="section-subtitle">
+            Interval kirim ~{Math.round(sampleIntervalSec)} dtk. Uptime dihitung
+            dari jumlah sampel {bucket.label} dibanding interval ini.
+          </p>
+        </div>
+        <span className={`status-chip status-chip-${status}`}>
+          {DEVICE_STATUSES[status].label}
+          {ageSec !== null && status !== 'online' && (
+            <> &bull; {formatDurationSec(ageSec)}</>
+          )}
+        </span>
+      </div>
+
+      {error && <div className="error-banner stale-banner">{error}</div>}
+
+      {loading && !buckets.length ? (
+        <div className="skeleton" style={{ height: '120px' }} />
+      ) : (
+        <>
+          <div className="uptime-days">
+            {uptime.map(d => (
+              <div key={d.date.getTime()} className="uptime-day">
+                <div className="uptime-track">
+                  <span
+                    className={
+                      d.uptimePct !== null && d.uptimePct < 95
+                        ? 'uptime-fill uptime-fill-low'
+                        : 'uptime-fill'
+                    }
+                    style={{ height: `${d.uptimePct ?? 0}%` }}
+                  />
+                </div>
+                <div className="uptime-value">
+                  {d.uptimePct === null ? '-' : `${d.uptimePct.toFixed(1)}%`}
+                </div>
+                <div className="uptime-label">
+                  {d.date.toLocaleDateString('id-ID', { weekday: 'short' })}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="card-label">Jeda data terakhir</div>
+          {recentGaps.length === 0 ? (
+            <div className="card-foot">
+              Tidak ada jeda data dalam {UPTIME_DAYS} hari terakhir.
+            </div>
+          ) : (
+            <table className="data-table">
+              <tbody>
+                {recentGaps.map(g => (
+                  <tr key={g.from}>
+                    <td>{formatGapTime(g.from)}</td>
+                    <td>{formatGapTime(g.to)}</td>
+                    <td>{formatDurationSec((g.to - g.from) / 1000)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * ANTRIAN PERINTAH DEVICE
+ * ====================================================================== */
+
+function CommandStatusChip({ command }) {
+  const status = command?.status || 'unknown'
+  return (
+    <span className={`small-chip command-status command-status-${status}`}>
+      {commandStatusLabel(command?.status)}
+    </span>
+  )
+}
+
+function DeviceCommandsSection({ deviceCommands }) {
+  const { commands, loading, error } = deviceCommands
+  const [statusFilter, setStatusFilter] = useState('all')
+  const now = new Date()
+
+  const counts = useMemo(() => {
+    const map = {}
+    commands.forEach(c => {
+      map[c.status] = (map[c.status] || 0) + 1
+    })
+    return map
+  }, [commands])
+
+  const shown =
+    statusFilter === 'all'
+      ? commands
+      : commands.filter(c => c.status === statusFilter)
+  const staleCount = commands.filter(c => isCommandStale(c, now)).length
+
+  const formatTs = value =>
+    value
+      ? asDate(value)?.toLocaleString('id-ID', {
+          day: '2-digit',
+          month: 'short',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit'
+        })
+      : '-'
+
+  return (
+    <section className="section section-commands">
+      <div className="section-header">
+        <div>
+          <h2>Antrian Perintah</h2>
+          <p className="section-subtitle">
+            Perintah yang dikirim ke device dan statusnya, diperbarui realtime
+            saat device mengambil & menjalankan perintah.
+          </p>
+        </div>
+      </div>
+
+      {error && <div className="error-banner stale-banner">{error}</div>}
+      {staleCount > 0 && (
+        <div className="error-banner stale-banner">
+          {staleCount} perintah belum selesai lebih dari{' '}
+          {formatDurationSec(COMMAND_STALE_MS / 1000)}. Cek apakah device
+          online.
+        </div>
+      )}
+
+      <div className="event-counts">
+        <button
+          className={
+            statusFilter === 'all'
+              ? 'metric-chip metric-chip-on'
+              : 'metric-chip'
+          }
+          onClick={() => setStatusFilter('all')}
+        >
+          Semua ({commands.length})
+        </button>
+        {COMMAND_STATUSES.map(s => (
+          <button
+            key={s.key}
+            className={
+              statusFilter === s.key
+                ? 'metric-chip metric-chip-on'
+                : 'metric-chip'
+            }
+            onClick={() => setStatusFilter(s.key)}
+          >
+            {s.label} ({counts[s.key] || 0})
+          </button>
+        ))}
+      </div>
+
+      {loading && !commands.length ? (
+        <div className="skeleton" style={{ height: '120px' }} />
+      ) : shown.length === 0 ? (
+        <div className="empty-placeholder">Belum ada perintah.</div>
+      ) : (
+        <div className="event-table-wrapper">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Dibuat</th>
+                <th>Perintah</th>
+                <th>Status</th>
+                <th>Diterima</th>
+                <th>Selesai</th>
+                <th>Hasil</th>
+                <th>Oleh</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(c => (
+                <tr key={c.id}>
+                  <td>{formatTs(c.created_at)}</td>
+                  <td>
+                    {commandTypeLabel(c.cmd_type)}
+                    {formatCommandPayload(c) && (
+                      <div className="command-payload">
+                        {formatCommandPayload(c)}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <CommandStatusChip command={c} />
+                  </td>
+                  <td>{formatTs(c.delivered_at)}</td>
+                  <td>{formatTs(c.executed_at)}</td>
+                  <td>{formatCommandResult(c)}</td>
+                  <td>{c.created_by || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * PENGATURAN DEVICE
+ * ====================================================================== */
+
+const CONFIG_STATUS_LABELS = {
+  synced: 'Sesuai',
+  pending: 'Menunggu device',
+  unknown: 'Belum dilaporkan'
+}
+
+function DeviceCommandForm({ command, config, lastCommand, onSend }) {
+  const [values, setValues] = useState(() =>
+    initialCommandValues(command, config)
+  )
+  const [errors, setErrors] = useState({})
+  const [sending, setSending] = useState(false)
+  const [sendError, setSendError] = useState(null)
+  const busy =
+    sending || (isCommandInFlight(lastCommand) && !isCommandStale(lastCommand))
+
+  const handleChange = (key, value) => {
+    setValues(prev => {
+      const next = { ...prev, [key]: value }
+      // ganti sensor -> checkbox ikut state sensor tersebut
+      if (command.type === 'toggle_sensor' && key === 'sensor') {
+        next.enabled = config?.[`sensor_${value}`] ?? true
+      }
+      return next
+    })
+    setErrors(prev => ({ ...prev, [key]: undefined }))
+  }
+
+  const handleSubmit = async e => {
+    e.preventDefault()
+    const nextErrors = command.validate(values)
+    setErrors(nextErrors)
+    if (Object.keys(nextErrors).length) return
+    if (command.confirm && !window.confirm(command.confirm)) return
+
+    try {
+      setSending(true)
+      setSendError(null)
+      await onSend(command, command.toPayload(values))
+    } catch (err) {
+      console.error('Gagal kirim perintah', command.type, err)
+      setSendError(`Gagal kirim perintah: ${err.message || err}`)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <form className="card device-command-form" onSubmit={handleSubmit}>
+      <div className="device-command-head">
+        <span className="card-label">{command.label}</span>
+        {lastCommand && <CommandStatusChip command={lastCommand} />}
+      </div>
+      <p className="card-foot">{command.description}</p>
+
+      {command.fields.map(f => (
+        <div key={f.key} className="device-command-field">
+          {f.type === 'checkbox' ? (
+            <label className="device-command-check">
+              <input
+                type="checkbox"
+                checked={!!values[f.key]}
+                onChange={e => handleChange(f.key, e.target.checked)}
+              />
+              {f.label}
+            </label>
+          ) : (
+            <>
+              <label className="field-label">{f.label}</label>
+              {f.type === 'select' ? (
+                <select
+                  className="select"
+                  value={values[f.key]}
+                  onChange={e => handleChange(f.key, e.target.value)}
+                >
+                  {f.options.map(o => (
+                    <option key={o.value} value={o.value}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  className="input"
+                  type={f.type}
+                  min={f.min}
+                  max={f.max}
+                  step={f.step}
+                  value={values[f.key]}
+                  onChange={e => handleChange(f.key, e.target.value)}
+                />
+              )}
+            </>
+          )}
+          {errors[f.key] && (
+            <div className="device-command-error">{errors[f.key]}</div>
+          )}
+        </div>
+      ))}
+
+      {sendError && <div className="device-command-error">{sendError}</div>}
+
+      <button
+        type="submit"
+        className={
+          command.confirm ? 'btn btn-small btn-danger' : 'btn btn-small'
+        }
+        disabled={busy}
+      >
+        {busy ? 'Menunggu device...' : 'Kirim'}
+      </button>
+    </form>
+  )
+}
+
+function DeviceSettingsSection({ deviceConfig, deviceCommands }) {
+  const { desired, reported, reportedAt, loading, error, saveDesired } =
+    deviceConfig
+  const formConfig = { ...(reported || {}), ...desired }
+
+  // perintah terakhir per tipe (commands urut terbaru di atas)
+  const lastByType = useMemo(() => {
+    const map = {}
+    deviceCommands.commands.forEach(c => {
+      if (!map[c.cmd_type]) map[c.cmd_type] = c
+    })
+    return map
+  }, [deviceCommands.commands])
+
+  const handleSend = async (command, payload) => {
+    await deviceCommands.sendCommand(command.type, { payload })
+    const patch = command.toConfig(payload)
+    if (patch) await saveDesired(patch)
+  }
+
+  return (
+    <section className="section section-device-settings">
+      <div className="section-header">
+        <div>
+          <h2>Pengaturan Device</h2>
+          <p className="section-subtitle">
+            Perintah dikirim lewat antrian perintah; nilai yang diinginkan
+            dibandingkan dengan konfigurasi yang dilaporkan device.
+          </p>
+        </div>
+        <span className="small-chip">
+          {reportedAt
+            ? `Laporan device ${formatRelativeTime(asDate(reportedAt))}`
+            : 'Device belum melapor konfigurasi'}
+        </span>
+      </div>
+
+      {error && <div className="error-banner stale-banner">{error}</div>}
+
+      {loading ? (
+        <div className="skeleton" style={{ height: '160px' }} />
+      ) : (
+        <>
+          <div className="event-table-wrapper">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Parameter</th>
+                  <th>Diinginkan</th>
+                  <th>Dilaporkan device</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {CONFIG_FIELDS.map(f => {
+                  const status = configFieldStatus(f, desired, reported)
+                  return (
+                    <tr key={f.key}>
+                      <td>{f.label}</td>
+                      <td>{formatConfigValue(f, desired[f.key])}</td>
+                      <td>{formatConfigValue(f, reported?.[f.key])}</td>
+                      <td>
+                        {status ? (
+                          <span
+                            className={`small-chip config-status-${status}`}
+                          >
+                            {CONFIG_STATUS_LABELS[status]}
+                          </span>
+                        ) : (
+                          '-'
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="device-info">
+            {DEVICE_INFO_FIELDS.map(f => (
+              <div key={f.key} className="device-info-item">
+                <span className="card-label">{f.label}</span>
+                <strong>{formatConfigValue(f, reported?.[f.key])}</strong>
+              </div>
+            ))}
+          </div>
+          <p className="section-subtitle">
+            WiFi hanya ditampilkan: SSID & password diatur lewat portal
+            konfigurasi device (mode AP) supaya password tidak tersimpan di
+            database.
+          </p>
+
+          <div className="device-command-grid">
+            {CONFIG_COMMANDS.map(command => (
+              <DeviceCommandForm
+                key={command.type}
+                command={command}
+                config={formConfig}
+                lastCommand={lastByType[command.type]}
+                onSend={handleSend}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * TARIF LISTRIK
+ * ====================================================================== */
+
+const TARIFF_STATUS_LABELS = {
+  active: 'Aktif',
+  scheduled: 'Terjadwal',
+  past: 'Lama'
+}
+
+function emptyTariffForm() {
+  const preset = findTariffPreset('R-1/1300')
+  return {
+    tariff_class: preset.key,
+    harga_per_kwh: preset.harga_per_kwh,
+    biaya_beban: preset.biaya_beban,
+    ppj_persen: DEFAULT_TARIFF_PPJ_PCT,
+    pbjt_persen: DEFAULT_TARIFF_PBJT_PCT,
+    effective_from: toDateKey(new Date()),
+    note: ''
+  }
+}
+
+function BillingModeControl({ prepaid }) {
+  const { mode, lowKwh, saveSettings } = prepaid
+  const [lowDraft, setLowDraft] = useState(String(lowKwh))
+  const [saveError, setSaveError] = useState(null)
+  const [prevLowKwh, setPrevLowKwh] = useState(lowKwh)
+
+  if (lowKwh !== prevLowKwh) {
+    setPrevLowKwh(lowKwh)
+    setLowDraft(String(lowKwh))
+  }
+
+  const save = async patch => {
+    try {
+      setSaveError(null)
+      await saveSettings(patch)
+    } catch (err) {
+      setSaveError(`Gagal menyimpan: ${err.message || err}`)
+    }
+  }
+
+  const handleLowBlur = () => {
+    const n = Number(lowDraft)
+    if (!Number.isFinite(n) || n < 0) {
+      setLowDraft(String(lowKwh))
+      return
+    }
+    if (n !== lowKwh) save({ prepaid_low_kwh: n })
+  }
+
+  return (
+    <div className="tariff-form">
+      <div>
+        <label className="field-label">Mode tagihan</label>
+        <select
+          className="select"
+          value={mode}
+          onChange={e => save({ billing_mode: e.target.value })}
+        >
+          {BILLING_MODES.map(m => (
+            <option key={m.key} value={m.key}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {mode === 'prepaid' && (
+        <div>
+          <label className="field-label">Peringatan token di bawah (kWh)</label>
+          <input
+            className="input"
+            type="number"
+            min={0}
+            value={lowDraft}
+            onChange={e => setLowDraft(e.target.value)}
+            onBlur={handleLowBlur}
+          />
+        </div>
+      )}
+      {saveError && <div className="device-command-error">{saveError}</div>}
+    </div>
+  )
+}
+
+function TariffSection({
+  tariffState,
+  prepaid,
+  deviceCommands,
+  lastLog,
+  asNumber
+}) {
+  const { tariffs, loading, error, saveTariff, deleteTariff } = tariffState
+  const [form, setForm] = useState(emptyTariffForm)
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+  const [actionError, setActionError] = useState(null)
+  const now = new Date()
+
+  const active = tariffAt(tariffs, now)
+  const deviceMatches = deviceTariffMatches(active, lastLog, asNumber)
+  const lastPush = deviceCommands.commands.find(
+    c => c.cmd_type === 'set_tariff'
+  )
+  const pushBusy = isCommandInFlight(lastPush) && !isCommandStale(lastPush)
+
+  const handleChange = (key, value) => {
+    setForm(prev => {
+      const next = { ...prev, [key]: value }
+      // pilih golongan -> isi harga & beban dari preset
+      const preset = key === 'tariff_class' ? findTariffPreset(value) : null
+      if (preset) {
+        next.harga_per_kwh = preset.harga_per_kwh
+        next.biaya_beban = preset.biaya_beban
+      }
+      return next
+    })
+    setErrors(prev => ({ ...prev, [key]: undefined }))
+  }
+
+  const handleSave = async e => {
+    e.preventDefault()
+    const nextErrors = validateTariff(form)
+    setErrors(nextErrors)
+    if (Object.keys(nextErrors).length) return
+
+    const existing = tariffs.find(t => t.effective_from === form.effective_from)
+    if (
+      existing &&
+      !window.confirm(
+        `Sudah ada tarif mulai ${form.effective_from}. Timpa tarif tersebut?`
+      )
+    ) {
+      return
+    }
+
+    try {
+      setSaving(true)
+      setActionError(null)
+      await saveTariff({
+        tariff_class: form.tariff_class,
+        harga_per_kwh: Number(form.harga_per_kwh),
+        biaya_beban: Number(form.biaya_beban || 0),
+        ppj_persen: Number(form.ppj_persen || 0),
+        pbjt_persen: Number(form.pbjt_persen || 0),
+        effective_from: form.effective_from,
+        note: form.note.trim() || null
+      })
+      setForm(emptyTariffForm())
+    } catch (err) {
+      setActionError(`Gagal menyimpan tarif: ${err.message || err}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async tariff => {
+    const ok = window.confirm(
+      `Hapus tarif ${tariffClassLabel(tariff.tariff_class)} mulai ` +
+        `${tariff.effective_from}?`
+    )
+    if (!ok) return
+    try {
+      setActionError(null)
+      await deleteTariff(tariff.id)
+    } catch (err) {
+      setActionError(`Gagal menghapus tarif: ${err.message || err}`)
+    }
+  }
+
+  const handlePush = async () => {
+    if (!active) return
+    try {
+      setActionError(null)
+      await deviceCommands.sendCommand('set_tariff', {
+        payload: tariffCommandPayload(active)
+      })
+    } catch (err) {
+      console.error('Gagal kirim tarif ke device', err)
+      setActionError(`Gagal kirim tarif ke device: ${err.message || err}`)
+    }
+  }
+
+  const deviceValue = field => {
+    const v = lastLog ? asNumber(lastLog[field]) : NaN
+    return Number.isNaN(v) ? null : v
+  }
+  const devicePrice = deviceValue('tarif_harga_per_kwh')
+  const deviceBeban = deviceValue('tarif_biaya_beban')
+  const devicePajak = deviceValue('tarif_pajak_persen')
+
+  return (
+    <section className="section section-tariffs">
+      <div className="section-header">
+        <div>
+          <h2>Tarif Listrik</h2>
+          <p className="section-subtitle">
+            Riwayat tarif PLN dengan tanggal mulai berlaku. Tarif aktif dikirim
+            ke device supaya perhitungan biaya di ESP32 ikut berubah.
+          </p>
+        </div>
+        {lastPush && <CommandStatusChip command={lastPush} />}
+      </div>
+
+      {error && <div className="error-banner stale-banner">{error}</div>}
+      {actionError && (
+        <div className="error-banner stale-banner">{actionError}</div>
+      )}
+
+      <BillingModeControl prepaid={prepaid} />
+
+      <div className="tariff-compare">
+        <div className="card">
+          <span className="card-label">Tarif aktif (web)</span>
+          <strong>
+            {active
+              ? `${rupiahFmt.format(active.harga_per_kwh)} / kWh`
+              : 'Belum ada'}
+          </strong>
+          <span className="card-foot">
+            {active
+              ? `${tariffClassLabel(active.tariff_class)} • beban ` +
+                `${rupiahFmt.format(active.biaya_beban)} • PPJ ` +
+                `${active.ppj_persen}% • PBJT ${active.pbjt_persen}% • ` +
+                `sejak ${active.effective_from}`
+              : 'Tambahkan tarif di bawah.'}
+          </span>
+        </div>
+        <div className="card">
+          <span className="card-label">Tarif di device</span>
+          <strong>
+            {devicePrice != null
+              ? `${rupiahFmt.format(devicePrice)} / kWh`
+              : '-'}
+          </strong>
+          <span className="card-foot">
+            beban {deviceBeban != null ? rupiahFmt.format(deviceBeban) : '-'}
+            {' • '}pajak {devicePajak != null ? `${devicePajak}%` : '-'}
+          </span>
+        </div>
+      </div>
+
+      {active && deviceMatches === false && (
+        <div className="info-banner tariff-push">
+          <span>Tarif di device berbeda dengan tarif aktif.</span>
+          <button
+            className="btn btn-small btn-primary"
+            onClick={handlePush}
+            disabled={pushBusy}
+          >
+            {pushBusy ? 'Menunggu device...' : 'Kirim tarif aktif ke device'}
+          </button>
+        </div>
+      )}
+
+      <form className="tariff-form" onSubmit={handleSave}>
+        <div>
+          <label className="field-label">Golongan</label>
+          <select
+            className="select"
+            value={form.tariff_class}
+            onChange={e => handleChange('tariff_class', e.target.value)}
+          >
+            {PLN_TARIFF_PRESETS.map(p => (
+              <option key={p.key} value={p.key}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {[
+          ['harga_per_kwh', 'Harga / kWh (Rp)', 0.01],
+          ['biaya_beban', 'Biaya beban / bulan (Rp)', 1],
+          ['ppj_persen', 'PPJ (%)', 0.1],
+          ['pbjt_persen', 'PBJT (%)', 0.1]
+        ].map(([key, label, step]) => (
+          <div key={key}>
+            <label className="field-label">{label}</label>
+            <input
+              className="input"
+              type="number"
+              min={0}
+              step={step}
+              value={form[key]}
+              onChange={e => handleChange(key, e.target.value)}
+            />
+            {errors[key] && (
+              <div className="device-command-error">{errors[key]}</div>
+            )}
+          </div>
+        ))}
+        <div>
+          <label className="field-label">Berlaku mulai</label>
+          <input
+            className="input"
+            type="date"
+            value={form.effective_from}
+            onChange={e => handleChange('effective_from', e.target.value)}
+          />
+          {errors.effective_from && (
+            <div className="device-command-error">{errors.effective_from}</div>
+          )}
+        </div>
+        <div>
+          <label className="field-label">Catatan</label>
+          <input
+            className="input"
+            type="text"
+            value={form.note}
+            placeholder="mis. penyesuaian tarif Q1"
+            onChange={e => handleChange('note', e.target.value)}
+          />
+        </div>
+        <button
+          type="submit"
+          className="btn btn-small btn-primary"
+          disabled={saving}
+        >
+          {saving ? 'Menyimpan...' : 'Simpan tarif'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="skeleton" style={{ height: '120px' }} />
+      ) : tariffs.length === 0 ? (
+        <div className="empty-placeholder">
+          Belum ada riwayat tarif. Biaya masih memakai tarif dari device.
+        </div>
+      ) : (
+        <div className="event-table-wrapper">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Berlaku mulai</th>
+                <th>Golongan</th>
+                <th>Harga / kWh</th>
+                <th>Beban</th>
+                <th>PPJ</th>
+                <th>PBJT</th>
+                <th>Status</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {tariffs.map(t => {
+                const status = tariffStatus(t, tariffs, now)
+                return (
+                  <tr key={t.id}>
+                    <td>{t.effective_from}</td>
+                    <td>
+                      {tariffClassLabel(t.tariff_class)}
+                      {t.note && (
+                        <div className="command-payload">{t.note}</div>
+                      )}
+                    </td>
+                    <td>{rupiahFmt.format(t.harga_per_kwh)}</td>
+                    <td>{rupiahFmt.format(t.biaya_beban)}</td>
+                    <td>{t.ppj_persen}%</td>
+                    <td>{t.pbjt_persen}%</td>
+                    <td>
+                      <span className={`small-chip tariff-status-${status}`}>
+                        {TARIFF_STATUS_LABELS[status]}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="btn-group">
+                        {status === 'active' && (
+                          <button
+                            className="btn btn-small"
+                            onClick={handlePush}
+                            disabled={pushBusy}
+                          >
+                            Kirim ke device
+                          </button>
+                        )}
+                        <button
+                          className="btn btn-small btn-danger"
+                          onClick={() => handleDelete(t)}
+                        >
+                          Hapus
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * ALERT CENTER
+ * ====================================================================== */
+
+const ALERT_METRICS = METRIC_DEFS.filter(
+  m => m.group === 'Listrik' || m.group === 'Lingkungan'
+)
+
+// dipakai juga untuk isi popup Notification API
+function describeAlert(alert) {
+  const metric = METRIC_DEFS.find(m => m.field === alert.field)
+  const fmt = v => (metric ? metric.format(v) : String(v))
+  const title = metric?.title || alert.field
+  const observed = alert.extreme ?? alert.value
+  return `${title} ${alert.operator} ${fmt(alert.threshold)} (tercatat ${fmt(
+    observed
+  )})`
+}
+
+function formatDurationSec(totalSec) {
+  const sec = Math.max(0, Math.round(totalSec))
+  if (sec < 60) return `${sec} dtk`
+  if (sec < 3600) return `${Math.floor(sec / 60)} mnt ${sec % 60} dtk`
+  return `${Math.floor(sec / 3600)} jam ${Math.floor((sec % 3600) / 60)} mnt`
+}
+
+function formatAlertDuration(alert, now) {
+  const start = asDate(alert.startedAt)
+  const end = alert.endedAt ? asDate(alert.endedAt) : now
+  if (!start || !end) return '-'
+  return formatDurationSec((end - start) / 1000)
+}
+
+function AlertCenterSection({ alertCenter }) {
+  const {
+    rules,
+    setRules,
+    alerts,
+    activeCount,
+    acknowledge,
+    clearAlert,
+    clearResolved,
+    notifyEnabled,
+    toggleNotifications
+  } = alertCenter
+  const [showRules, setShowRules] = useState(false)
+  const now = new Date()
+
+  const updateRule = (id, patch) =>
+    setRules(prev => prev.map(r => (r.id === id ? { ...r, ...patch } : r)))
+
+  const removeRule = id => setRules(prev => prev.filter(r => r.id !== id))
+
+  const addRule = () =>
+    setRules(prev => [
+      ...prev,
+      {
+        id: `rule-${Date.now()}`,
+        field: 'daya_aktif_w',
+        operator: '>',
+        threshold: 2000,
+        durationSec: 30,
+        severity: 'warning',
+        enabled: true
+      }
+    ])
+
+  return (
+    <section className="section section-alerts" id="alert-center">
+      <div className="section-header">
+        <div>
+          <h2>Alert Center</h2>
+          <p className="section-subtitle">
+            Dicek setiap data baru masuk. {activeCount} alert aktif belum
+            di-acknowledge.
+          </p>
+        </div>
+        <div className="btn-group">
+          <button
+            className={
+              notifyEnabled ? 'btn btn-small btn-primary' : 'btn btn-small'
+            }
+            onClick={toggleNotifications}
+          >
+            {notifyEnabled ? 'Notifikasi ON' : 'Notifikasi OFF'}
+          </button>
+          <button
+            className={
+              showRules ? 'btn btn-small btn-primary' : 'btn btn-small'
+            }
+            onClick={() => setShowRules(v => !v)}
+          >
+            Aturan
+          </button>
+        </div>
+      </div>
+
+      {showRules && (
+        <div className="alert-rules">
+          {rules.map(rule => (
+            <div key={rule.id} className="alert-rule-row">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={e =>
+                  updateRule(rule.id, { enabled: e.target.checked })
+                }
+                title="Aktif"
+              />
+              <select
+                className="select"
+                value={rule.field}
+                onChange={e => updateRule(rule.id, { field: e.target.value })}
+              >
+                {ALERT_METRICS.map(m => (
+                  <option key={m.key} value={m.field}>
+                    {m.title}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="select alert-rule-op"
+                value={rule.operator}
+                onChange={e =>
+                  updateRule(rule.id, { operator: e.target.value })
+                }
+              >
+                <option value="<">&lt;</option>
+                <option value=">">&gt;</option>
+              </select>
+              <input
+                className="input"
+                type="number"
+                step="any"
+                value={rule.threshold}
+                title="Ambang batas"
+                onChange={e =>
+                  updateRule(rule.id, { threshold: Number(e.target.value) })
+                }
+              />
+              <input
+                className="input"
+                type="number"
+                min={0}
+                value={rule.durationSec}
+                title="Durasi minimal (detik)"
+                onChange={e =>
+                  updateRule(rule.id, { durationSec: Number(e.target.value) })
+                }
+              />
+              <select
+                className="select"
+                value={rule.severity}
+                onChange={e =>
+                  updateRule(rule.id, { severity: e.target.value })
+                }
+              >
+                {ALERT_SEVERITIES.map(s => (
+                  <option key={s.key} value={s.key}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn btn-small"
+                title="Hapus aturan"
+                onClick={() => removeRule(rule.id)}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <div className="alert-rules-footer">
+            <span className="card-foot">
+              Kolom: metrik, kondisi, ambang, durasi (detik), tingkat.
+            </span>
+            <button className="btn btn-small btn-primary" onClick={addRule}>
+              + Aturan
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="alert-list">
+        {alerts.length === 0 && (
+          <div className="empty-placeholder">Belum ada alert.</div>
+        )}
+        {alerts.map(a => (
+          <div
+            key={a.id}
+            className={[
+              'alert-item',
+              `alert-${a.severity}`,
+              a.endedAt ? 'alert-resolved' : '',
+              a.acknowledged ? 'alert-acked' : ''
+            ].join(' ')}
+          >
+            <div className="alert-item-main">
+              <div className="alert-item-title">
+                <span className="alert-severity">
+                  {ALERT_SEVERITIES.find(s => s.key === a.severity)?.label}
+                </span>
+                {describeAlert(a)}
+              </div>
+              <div className="alert-item-meta">
+                {asDate(a.startedAt)?.toLocaleString('id-ID', {
+                  day: '2-digit',
+                  month: 'short',
+                  hour: '2-digit',
+                  minute: '2-digit',
+                  second: '2-digit'
+                })}{' '}
+                &bull; {a.endedAt ? 'selesai' : 'berlangsung'} (
+                {formatAlertDuration(a, now)})
+                {a.acknowledged && ' • sudah di-acknowledge'}
+              </div>
+            </div>
+            <div className="alert-item-actions">
+              {!a.acknowledged && (
+                <button
+                  className="btn btn-small btn-primary"
+                  onClick={() => acknowledge(a.id)}
+                >
+                  Ack
+                </button>
+              )}
+              <button
+                className="btn btn-small"
+                onClick={() => clearAlert(a.id)}
+              >
+                Hapus
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {alerts.some(a => a.endedAt) && (
+        <div className="alert-rules-footer">
+          <span />
+          <button className="btn btn-small" onClick={clearResolved}>
+            Bersihkan alert yang sudah selesai
+          </button>
+        </div>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * KUALITAS DAYA (SNI/PLN)
+ * ====================================================================== */
+
+const QUALITY_DEFAULT_PRESET = '7d'
+
+function formatPct(value) {
+  return value === null || value === undefined ? '-' : `${value.toFixed(1)}%`
+}
+
+function QualityBand({ title, band, unit, digits, min, max }) {
+  const fmt = v =>
+    v === null || v === undefined ? '-' : `${v.toFixed(digits)} ${unit}`
+  return (
+    <div className="card quality-card">
+      <div className="card-label">{title}</div>
+      <div className="quality-main">{formatPct(band.withinPct)}</div>
+      <div className="card-foot">
+        dalam batas {min.toFixed(digits)}–{max.toFixed(digits)} {unit}
+      </div>
+      <div className="quality-bar">
+        <span
+          className="quality-bar-below"
+          style={{ width: `${band.belowPct || 0}%` }}
+        />
+        <span
+          className="quality-bar-within"
+          style={{ width: `${band.withinPct || 0}%` }}
+        />
+        <span
+          className="quality-bar-above"
+          style={{ width: `${band.abovePct || 0}%` }}
+        />
+      </div>
+      <div className="quality-meta">
+        <span>Di bawah: {formatPct(band.belowPct)}</span>
+        <span>Di atas: {formatPct(band.abovePct)}</span>
+      </div>
+      <div className="quality-meta">
+        <span>Min: {fmt(band.min)}</span>
+        <span>Maks: {fmt(band.max)}</span>
+      </div>
+    </div>
+  )
+}
+
+function PowerQualitySection({ deviceId, asNumber }) {
+  const [preset, setPreset] = useState(QUALITY_DEFAULT_PRESET)
+  const range = useMemo(() => ({ preset, from: null, to: null }), [preset])
+  const { buckets, bucket, loading, error } = useHistoryBuckets(deviceId, range)
+
+  const analysis = useMemo(
+    () => analyzePowerQuality(buckets, bucket.seconds, asNumber),
+    [buckets, bucket.seconds, asNumber]
+  )
+
+  const histogramData = useMemo(
+    () => ({
+      labels: analysis.histogram.map(b => b.label),
+      datasets: [
+        {
+          label: '% waktu',
+          data: analysis.histogram.map(b => Number(b.pct.toFixed(2))),
+          backgroundColor: analysis.histogram.map(b =>
+            b.min >= VOLTAGE_MIN && b.max <= VOLTAGE_MAX
+              ? 'rgba(34, 197, 94, 0.8)'
+              : b.max <= VOLTAGE_MIN || b.min >= VOLTAGE_MAX
+                ? 'rgba(248, 113, 113, 0.8)'
+                : 'rgba(245, 158, 11, 0.8)'
+          ),
+          borderRadius: 6,
+          maxBarThickness: 22
+        }
+      ]
+    }),
+    [analysis]
+  )
+
+  const histogramOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: ctx => `${ctx.parsed.y.toFixed(1)}% waktu`
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { font: { size: 9 } },
+        title: { display: true, text: 'Tegangan (V)', font: { size: 10 } }
+      },
+      y: {
+        grid: { color: 'rgba(148, 163, 184, 0.2)' },
+        ticks: { font: { size: 10 }, callback: v => `${v}%` }
+      }
+    }
+  }
+
+  const hasData = analysis.voltage.totalSec > 0
+
+  return (
+    <section className="section section-quality">
+      <div className="section-header">
+        <div>
+          <h2>Kualitas Daya</h2>
+          <p className="section-subtitle">
+            Dibanding nominal {NOMINAL_VOLTAGE} V / {NOMINAL_FREQUENCY} Hz
+            (SNI/PLN: tegangan +5% / −10%, frekuensi ±1%). Persentase dihitung
+            berdasarkan lama waktu dari rata-rata {bucket.label}.
+          </p>
+        </div>
+        <select
+          className="select"
+          value={preset}
+          onChange={e => setPreset(e.target.value)}
+        >
+          {HISTORY_PRESETS.map(p => (
+            <option key={p.key} value={p.key}>
+              {p.label} terakhir
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error-banner stale-banner">{error}</div>}
+
+      {loading && !buckets.length ? (
+        <div className="skeleton" style={{ height: '240px' }} />
+      ) : !hasData ? (
+        <div className="empty-placeholder">
+          Belum ada data tegangan pada periode ini.
+        </div>
+      ) : (
+        <>
+          <div className="quality-grid">
+            <QualityBand
+              title="Tegangan"
+              band={analysis.voltage}
+              unit="V"
+              digits={1}
+              min={VOLTAGE_MIN}
+              max={VOLTAGE_MAX}
+            />
+            <QualityBand
+              title="Frekuensi"
+              band={analysis.frequency}
+              unit="Hz"
+              digits={2}
+              min={FREQUENCY_MIN}
+              max={FREQUENCY_MAX}
+            />
+          </div>
+
+          <div className="card quality-histogram">
+            <div className="card-label">Distribusi tegangan</div>
+            <div className="bar-wrapper">
+              <Bar data={histogramData} options={histogramOptions} />
+            </div>
+            <div className="card-foot">
+              Rata-rata {analysis.voltage.avg.toFixed(1)} V dari{' '}
+              {analysis.samples} sampel. Hijau = dalam batas, merah = di luar
+              batas.
+            </div>
+          </div>
+
+          <div className="quality-grid">
+            <div className="card">
+              <div className="card-label">Deviasi terburuk</div>
+              {analysis.worstDeviations.length === 0 ? (
+                <div className="card-foot">
+                  Tidak ada sampel di luar batas. 👍
+                </div>
+              ) : (
+                <table className="data-table">
+                  <tbody>
+                    {analysis.worstDeviations.map(d => (
+                      <tr key={`${d.metric}-${d.ts.getTime()}`}>
+                        <td>
+                          {d.ts.toLocaleString('id-ID', {
+                            day: '2-digit',
+                            month: 'short',
+                            hour: '2-digit',
+                            minute: '2-digit'
+                          })}
+                        </td>
+                        <td>
+                          {d.metric === 'tegangan_v'
+                            ? `${d.value.toFixed(1)} V`
+                            : `${d.value.toFixed(2)} Hz`}
+                        </td>
+                        <td>{d.deviationPct.toFixed(1)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="card">
+              <div className="card-label">Distribusi faktor daya</div>
+              {analysis.powerFactor.map(b => (
+                <div key={b.key} className="quality-pf-row">
+                  <span className="quality-pf-label">{b.label}</span>
+                  <span className="quality-pf-track">
+                    <span
+                      className={`quality-pf-fill quality-pf-${b.key}`}
+                      style={{ width: `${b.pct}%` }}
+                    />
+                  </span>
+                  <span className="quality-pf-value">{formatPct(b.pct)}</span>
+                </div>
+              ))}
+              <div className="card-foot">
+                Hanya saat ada beban (daya aktif ≥ 10 W).
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * EVENT LISTRIK (KUALITAS DAYA)
+ * ====================================================================== */
+
+const EVENT_DEFAULT_DAYS = 7
+
+function defaultEventFilter() {
+  const today = new Date()
+  const from = new Date(today)
+  from.setDate(from.getDate() - (EVENT_DEFAULT_DAYS - 1))
+  return {
+    eventType: '',
+    fromDay: toDateTimeLocal(from).slice(0, 10),
+    toDay: toDateTimeLocal(today).slice(0, 10)
+  }
+}
+
+function formatEventValue(value, eventType) {
+  const def = POWER_EVENT_TYPES.find(t => t.key === eventType)
+  const num = Number(value)
+  if (!Number.isFinite(num)) return '-'
+  const digits = def?.unit === 'V' ? 1 : 2
+  return `${num.toFixed(digits)} ${def?.unit || ''}`.trim()
+}
+
+function PowerEventsSection({ deviceId }) {
+  const [filter, setFilter] = useState(defaultEventFilter)
+  const { events, loading, error } = usePowerEvents(deviceId, filter)
+  const now = new Date()
+
+  const updateFilter = patch => setFilter(prev => ({ ...prev, ...patch }))
+
+  const counts = POWER_EVENT_TYPES.map(t => ({
+    ...t,
+    count: events.filter(e => e.event_type === t.key).length
+  }))
+
+  return (
+    <section className="section section-events">
+      <div className="section-header">
+        <div>
+          <h2>Event Listrik</h2>
+          <p className="section-subtitle">
+            Sag/swell tegangan, arus lebih & frekuensi di luar batas. Dicatat
+            otomatis oleh database, tetap tersimpan walau dashboard ditutup.
+          </p>
+        </div>
+      </div>
+
+      <div className="event-filters">
+        <div>
+          <label className="field-label">Jenis</label>
+          <select
+            className="select"
+            value={filter.eventType}
+            onChange={e => updateFilter({ eventType: e.target.value })}
+          >
+            <option value="">Semua jenis</option>
+            {POWER_EVENT_TYPES.map(t => (
+              <option key={t.key} value={t.key}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="field-label">Dari tanggal</label>
+          <input
+            className="input"
+            type="date"
+            value={filter.fromDay}
+            max={filter.toDay || undefined}
+            onChange={e => updateFilter({ fromDay: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="field-label">Sampai tanggal</label>
+          <input
+            className="input"
+            type="date"
+            value={filter.toDay}
+            min={filter.fromDay || undefined}
+            onChange={e => updateFilter({ toDay: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="event-counts">
+        {counts.map(t => (
+          <button
+            key={t.key}
+            className={
+              filter.eventType === t.key
+                ? 'metric-chip metric-chip-on'
+                : 'metric-chip'
+            }
+            onClick={() =>
+              updateFilter({
+                eventType: filter.eventType === t.key ? '' : t.key
+              })
+            }
+          >
+            {t.label}: {t.count}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="card-foot">{error}</div>}
+
+      {loading && events.length === 0 ? (
+        <div className="skeleton" style={{ height: 120 }} />
+      ) : events.length === 0 ? (
+        <div className="empty-placeholder">
+          Tidak ada event pada rentang ini. Listrik aman 👍
+        </div>
+      ) : (
+        <div className="event-table-wrapper">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Mulai</th>
+                <th>Jenis</th>
+                <th>Durasi</th>
+                <th>Nilai ekstrem</th>
+                <th>Batas</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(ev => {
+                const def = POWER_EVENT_TYPES.find(t => t.key === ev.event_type)
+                const start = asDate(ev.started_at)
+                const durationSec =
+                  ev.duration_sec ??
+                  (start ? (now.getTime() - start.getTime()) / 1000 : 0)
+                return (
+                  <tr key={ev.id}>
+                    <td>
+                      {start?.toLocaleString('id-ID', {
+                        day: '2-digit',
+                        month: 'short',
+                        hour: '2-digit',
+                        minute: '2-digit',
+                        second: '2-digit'
+                      })}
+                    </td>
+                    <td>{def?.label || ev.event_type}</td>
+                    <td>
+                      {formatDurationSec(durationSec)}
+                      {!ev.ended_at && (
+                        <span className="small-chip">berlangsung</span>
+                      )}
+                    </td>
+                    <td>{formatEventValue(ev.extreme_value, ev.event_type)}</td>
+                    <td>{formatEventValue(ev.threshold, ev.event_type)}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * PANEL VISUAL (DONUT & BAR)
+ * ====================================================================== */
+
+function VisualPowerPanel({ logs, lastLog, asNumber, loading }) {
+  const energyDay = lastLog ? asNumber(lastLog.energi_harian_kwh) || 0 : 0
+  const energyMonth = lastLog ? asNumber(lastLog.energi_bulanan_kwh) || 0 : 0
+  const energyTotal = lastLog ? asNumber(lastLog.energi_total_kwh) || 0 : 0
+  const energyOther = Math.max(energyTotal - energyMonth, 0)
+
+  const doughnutData = {
+    labels: ['Hari ini', 'Bulan ini', 'Total lain'],
+    datasets: [
+      {
+        data: [energyDay, Math.max(energyMonth - energyDay, 0), energyOther],
+        backgroundColor: ['#38bdf8', '#a855f7', '#f97316'],
+        borderWidth: 0
+      }
+    ]
+  }
+
+  const doughnutOptions = {
+    cutout: '68%',
+    plugins: {
+      legend: {
+        display: true,
+        position: 'bottom',
+        labels: {
+          boxWidth: 10,
+          usePointStyle: true
+        }
+      }
+    }
+  }
+
+  const lastSamples = useMemo(() => {
+    if (!logs?.length) return []
+    const n = 12
+    return logs.slice(-n)
+  }, [logs])
+
+  const barData = useMemo(() => {
+    const labels = lastSamples.map(l => {
+      const t = asDate(l.ts)
+      return t
+        ? t.toLocaleTimeString('id-ID', {
+            hour: '2-digit',
+            minute: '2-digit'
+          })
+        : ''
+    })
+    const daya = lastSamples.map(l => {
+      const v = asNumber(l.daya_aktif_w)
+      return Number.isNaN(v) ? 0 : v
+    })
+
+    return {
+      labels,
+      datasets: [
+        {
+          label: 'Daya Aktif (W)',
+          data: daya,
+          backgroundColor: 'rgba(248, 113, 113, 0.8)',
+          borderRadius: 8,
+          maxBarThickness: 18
+        }
+      ]
+    }
+  }, [lastSamples, asNumber])
+
+  const barOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false
+      }
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { font: { size: 10 } }
+      },
+      y: {
+        grid: { color: 'rgba(148, 163, 184, 0.2)' },
+        ticks: { font: { size: 10 } }
+      }
+    }
+  }
+
+  return (
+    <section className="section visual-panel">
+      <div className="section-header">
+        <div>
+          <h2>Profil Energi & Daya</h2>
+          <p className="section-subtitle">
+            Komposisi energi dan lonjakan daya beberapa sampel terakhir.
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="skeleton" style={{ height: '240px' }} />
+      ) : (
+        <div className="visual-grid">
+          <div className="card doughnut-card">
+            <div className="doughnut-wrapper">
+              <Doughnut data={doughnutData} options={doughnutOptions} />
+              <div className="doughnut-center">
+                <div className="center-label">Hari ini</div>
+                <div className="center-value">
+                  {kwhFmt.format(energyDay)} kWh
+                </div>
+              </div>
+            </div>
+            <div className="visual-stats">
+              <div className="visual-stat-item">
+                <span className="small-label">Bulan ini</span>
+                <span className="small-value">
+                  {kwhFmt.format(energyMonth)} kWh
+                </span>
+              </div>
+              <div className="visual-stat-item">
+                <span className="small-label">Total energi</span>
+                <span className="small-value">
+                  {kwhFmt.format(energyTotal)} kWh
+                </span>
+              </div>
+            </div>
+          </div>
+
+          <div className="card bar-card">
+            <div className="bar-card-header">
+              <div>
+                <div className="card-title">Profil Daya Terakhir</div>
+                <div className="section-subtitle">
+                  Pantau lonjakan daya per sampel.
+                </div>
+              </div>
+              <span className="small-chip">
+                {lastSamples.length} sampel terakhir
+              </span>
+            </div>
+            <div className="bar-wrapper">
+              {lastSamples.length ? (
+                <Bar data={barData} options={barOptions} />
+              ) : (
+                <div className="empty-placeholder">
+                  Belum ada data daya yang cukup.
+                </div>
+              )}
+            </div>
+            <div className="bar-footer">
+              <span>
+                Maks:{' '}
+                {lastSamples.length
+                  ? `${Math.max(
+                      ...lastSamples.map(l => asNumber(l.daya_aktif_w) || 0)
+                    ).toFixed(0)} W`
+                  : '-'}
+              </span>
+              <span>
+                Rata-rata:{' '}
+                {lastSamples.length
+                  ? `${(
+                      lastSamples.reduce(
+                        (sum, l) => sum + (asNumber(l.daya_aktif_w) || 0),
+                        0
+                      ) / lastSamples.length
+                    ).toFixed(1)} W`
+                  : '-'}
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * INSIGHT LISTRIK + BUDGET + PERKIRAAN TAGIHAN
+ * ====================================================================== */
+
+function InsightListrikSection({
+  weeklyStats,
+  lastLog,
+  asNumber,
+  budgetTarget,
+  setBudgetTarget,
+  prepaidBalance
+}) {
+  const totalEnergi7 =
+    weeklyStats?.days?.reduce((s, d) => s + (d.energyKwh || 0), 0) || 0
+  const totalTagihan7 =
+    weeklyStats?.days?.reduce((s, d) => s + (d.costRp || 0), 0) || 0
+  const mostWastefulDay = weeklyStats?.mostWastefulDay || null
+
+  const energiHariIni = lastLog ? asNumber(lastLog.energi_harian_kwh) || 0 : 0
+  const tagihanHariIni = lastLog ? asNumber(lastLog.total_harian_rp) || 0 : 0
+  const energiTotal = lastLog ? asNumber(lastLog.energi_total_kwh) || 0 : 0
+
+  const tarifPerKwh = lastLog
+    ? asNumber(lastLog.tarif_harga_per_kwh) || 0
+    : 0
+  const biayaBeban = lastLog
+    ? asNumber(lastLog.tarif_biaya_beban) || 0
+    : 0
+  const pajakP = lastLog
+    ? asNumber(lastLog.tarif_pajak_persen) || 0
+    : 0
+
+  const energiHariRp = lastLog
+    ? asNumber(lastLog.biaya_energi_harian_rp) || 0
+    : 0
+  const bebanHari = lastLog
+    ? asNumber(lastLog.beban_harian_rp) || 0
+    : 0
+  const ppjHari = lastLog
+    ? asNumber(lastLog.ppj_harian_rp) || 0
+    : 0
+  const pbjtHari = lastLog
+    ? asNumber(lastLog.pbjt_harian_rp) || 0
+    : 0
+
+  const tagihanBulanIni = lastLog
+    ? asNumber(lastLog.total_bulanan_rp) || 0
+    : 0
+
+  // Perkiraan tagihan akhir bulan (proyeksi)
+  const now = new Date()
+  const dayOfMonth = now.getDate()
+  const daysInMonth = new Date(
+    now.getFullYear(),
+    now.getMonth() + 1,
+    0
+  ).getDate()
+
+  const perkiraanAkhirBulan =
+    dayOfMonth > 0 ? (tagihanBulanIni / dayOfMonth) * daysInMonth : 0
+
+  // Progress budget
+  const percentUsed =
+    budgetTarget > 0 ? (tagihanBulanIni / budgetTarget) * 100 : 0
+  const clampedPercent = Math.max(0, Math.min(percentUsed, 200))
+
+  return (
+    <section className="section section-insights">
+      <div className="section-header">
+        <div>
+          <h2>Insight Listrik</h2>
+          <p className="section-subtitle">
+            Ringkasan singkat pemakaian energi dan tagihan.
+          </p>
+        </div>
 
-      <div className="relay-grid">
-        {relays.map(relay => {
-          const ch = relay.channel
-          const state = !!relay.state
-          const rule = autoRules[ch] || DEFAULT_AUTO_RULES[ch]
+        {/* Input budget (target tagihan per bulan), hanya pascabayar */}
+        {!prepaidBalance && (
+          <div className="budget-control">
+            <label className="field-label">Target tagihan / bulan</label>
+            <div className="budget-input-row">
+              <span>Rp</span>
+              <input
+                className="input budget-input"
+                type="number"
+                min={0}
+                value={budgetTarget || ''}
+                onChange={e =>
+                  setBudgetTarget(Number(e.target.value || 0))
+                }
+                placeholder="contoh 300000"
+              />
+            </div>
+          </div>
+        )}
+      </div>
 
-          return (
-            <div key={ch} className="card relay-card">
-              <div className="relay-header">
-                <div>
-                  <div className="card-title">{formatChannelName(ch)}</div>
-                  <div className="relay-status-chip">
-                    <span
-                      className={
-                        state
-                          ? 'status-dot status-dot-on'
-                          : 'status-dot status-dot-off'
-                      }
-                    />
-                    {state ? 'ON' : 'OFF'}
-                  </div>
-                </div>
-                <button
-                  className={state ? 'btn btn-danger' : 'btn btn-primary'}
-                  onClick={() =>
-                    toggleRelay(ch, !state, 'web_manual').catch(err =>
-                      console.error(err)
-                    )
-                  }
-                >
-                  {state ? 'Matikan' : 'Nyalakan'}
-                </button>
-              </div>
+      <div className="insights-grid">
+        <div className="insight-card insight-1">
+          <div className="insight-label">Total energi 7 hari</div>
+          <div className="insight-value">
+            {kwhFmt.format(totalEnergi7)} kWh
+          </div>
+          <div className="insight-note">
+            {mostWastefulDay
+              ? `Hari paling boros: ${mostWastefulDay.date} • ${kwhFmt.format(
+                  mostWastefulDay.energyKwh
+                )} kWh`
+              : 'Belum cukup data 7 hari.'}
+          </div>
+        </div>
 
-              <div className="relay-auto">
-                <div className="relay-auto-row">
-                  <label>
-                    <input
-                      type="checkbox"
-                      checked={rule.enabled}
-                      onChange={e =>
-                        handleRuleChange(ch, { enabled: e.target.checked })
-                      }
-                    />{' '}
-                    Mode otomatis
-                  </label>
-                </div>
+        <div className="insight-card insight-2">
+          <div className="insight-label">Total tagihan 7 hari</div>
+          <div className="insight-value">
+            {rupiahFmt.format(totalTagihan7)}
+          </div>
+          <div className="insight-note">
+            {tagihanHariIni
+              ? `Hari ini: ${rupiahFmt.format(tagihanHariIni)}`
+              : 'Belum ada tagihan hari ini.'}
+          </div>
+        </div>
 
-                <div className="relay-auto-row">
-                  <label className="field-label">Sumber sensor</label>
-                  <select
-                    className="select"
-                    value={rule.source}
-                    onChange={e =>
-                      handleRuleChange(ch, { source: e.target.value })
-                    }
-                  >
-                    <option value="temperature">Suhu (°C)</option>
-                    <option value="humidity">Kelembapan (%)</option>
-                    <option value="lux">Cahaya (lux)</option>
-                  </select>
-                </div>
+        <div className="insight-card insight-3">
+          <div className="insight-label">Tarif listrik aktif</div>
+          <div className="insight-value">
+            {tarifPerKwh ? `${rupiahFmt.format(tarifPerKwh)} / kWh` : '-'}
+          </div>
+          <div className="insight-note">
+            Beban tetap:{' '}
+            {biayaBeban ? rupiahFmt.format(biayaBeban) : '-'}
+            {' • '}
+            Pajak: {pajakP.toFixed(1)}%
+          </div>
+        </div>
 
-                <div className="relay-auto-row relay-auto-row-inline">
-                  <div>
-                    <label className="field-label">Kondisi</label>
-                    <select
-                      className="select"
-                      value={rule.operator}
-                      onChange={e =>
-                        handleRuleChange(ch, { operator: e.target.value })
-                      }
-                    >
-                      <option value=">">Nyala jika lebih dari (&gt;)</option>
-                      <option value="<">Nyala jika kurang dari (&lt;)</option>
-                    </select>
-                  </div>
-                  <div>
-                    <label className="field-label">Threshold</label>
-                    <input
-                      className="input"
-                      type="number"
-                      value={rule.threshold}
-                      onChange={e =>
-                        handleRuleChange(ch, {
-                          threshold: Number(e.target.value)
-                        })
-                      }
-                    />
-                  </div>
-                </div>
+        <div className="insight-card insight-4">
+          <div className="insight-label">Rincian tagihan hari ini</div>
+          <div className="insight-note">
+            <div>Energi: {rupiahFmt.format(energiHariRp)}</div>
+            <div>Beban: {rupiahFmt.format(bebanHari)}</div>
+            <div>PPJ: {rupiahFmt.format(ppjHari)}</div>
+            <div>PBJT: {rupiahFmt.format(pbjtHari)}</div>
+            <div style={{ marginTop: 4 }}>
+              Total:{' '}
+              <strong>{rupiahFmt.format(tagihanHariIni)}</strong>
+            </div>
+            <div style={{ marginTop: 4 }}>
+              Energi hari ini: {kwhFmt.format(energiHariIni)} kWh • Total
+              kumulatif: {kwhFmt.format(energiTotal)} kWh
+            </div>
+          </div>
+        </div>
 
-                <div className="relay-auto-preview">
-                  Nilai sensor sekarang:{' '}
-                  <strong>{sensorPreview(rule.source)}</strong>
-                </div>
-                <div className="card-foot">
-                  Jika mode otomatis aktif, dashboard akan mengirim perintah ke
-                  Supabase setiap kali data sensor baru masuk dan kondisi
-                  terpenuhi.
-                </div>
-              </div>
+        {/* Prabayar: sisa token menggantikan progress tagihan bulanan */}
+        {prepaidBalance ? (
+          <div className="insight-card insight-5">
+            <div className="insight-label">Sisa token listrik</div>
+            <div className="insight-value">
+              {prepaidBalance.status === 'no_data'
+                ? '-'
+                : `${kwhFmt.format(
+                    Math.max(0, prepaidBalance.remainingKwh)
+                  )} kWh`}
+            </div>
+            <div className="insight-note">
+              {prepaidBalance.status === 'no_data'
+                ? 'Catat pembelian token / kalibrasi saldo dulu.'
+                : prepaidBalance.runOutAt
+                  ? `${
+                      PREPAID_STATUSES[prepaidBalance.status].label
+                    } • perkiraan habis ${formatTokenDate(
+                      prepaidBalance.runOutAt
+                    )}`
+                  : PREPAID_STATUSES[prepaidBalance.status].label}
+            </div>
+          </div>
+        ) : (
+          /* Progress budget + prediksi tagihan */
+          <div className="insight-card insight-5">
+            <div className="insight-label">Progress tagihan bulan ini</div>
+            <div className="budget-progress-top">
+              <span>{rupiahFmt.format(tagihanBulanIni)}</span>
+              <span>
+                dari{' '}
+                {budgetTarget ? rupiahFmt.format(budgetTarget) : 'target belum di-set'}
+              </span>
+            </div>
+            <div className="budget-progress-bar">
+              <div
+                className={
+                  'budget-progress-fill ' +
+                  (percentUsed > 100 ? 'over-budget' : '')
+                }
+                style={{ width: `${clampedPercent}%` }}
+              />
+            </div>
+            <div className="budget-progress-note">
+              {budgetTarget
+                ? percentUsed <= 100
+                  ? `Sudah terpakai ${percentUsed.toFixed(1)}% dari target.`
+                  : `Sudah melewati target (${percentUsed.toFixed(
+                      1
+                    )}%).`
+                : 'Set dulu target tagihan supaya bisa dipantau.'}
             </div>
-          )
-        })}
 
-        {relays.length === 0 && !relaysLoading && (
-          <div className="empty-placeholder">
-            Tidak ada data relay untuk device ini. Pastikan tabel{' '}
-            <code>relay_channel</code> berisi 4 baris <code>device_id</code> ={' '}
-            <code>{DEVICE_ID}</code>.
+            <div className="insight-note" style={{ marginTop: 8 }}>
+              Perkiraan akhir bulan:{' '}
+              <strong>{rupiahFmt.format(perkiraanAkhirBulan)}</strong>
+              <div style={{ fontSize: 12, opacity: 0.8, marginTop: 2 }}>
+                Berdasar rata-rata harian bulan ini (hari ke-{dayOfMonth} dari{' '}
+                {daysInMonth}).
+              </div>
+            </div>
           </div>
         )}
       </div>
@@ -1261,179 +6395,307 @@ function RelayPanel({ relays, relaysLoading, toggleRelay, lastLog, asNumber }) {
 }
 
 /* ========================================================================
- * PANEL VISUAL (DONUT & BAR)
+ * TOKEN LISTRIK PRABAYAR
  * ====================================================================== */
 
-function VisualPowerPanel({ logs, lastLog, asNumber, loading }) {
-  const energyDay = lastLog ? asNumber(lastLog.energi_harian_kwh) || 0 : 0
-  const energyMonth = lastLog ? asNumber(lastLog.energi_bulanan_kwh) || 0 : 0
-  const energyTotal = lastLog ? asNumber(lastLog.energi_total_kwh) || 0 : 0
-  const energyOther = Math.max(energyTotal - energyMonth, 0)
+const TOKEN_ENTRY_KINDS = {
+  purchase: 'Beli token',
+  calibration: 'Kalibrasi saldo'
+}
 
-  const doughnutData = {
-    labels: ['Hari ini', 'Bulan ini', 'Total lain'],
-    datasets: [
-      {
-        data: [energyDay, Math.max(energyMonth - energyDay, 0), energyOther],
-        backgroundColor: ['#38bdf8', '#a855f7', '#f97316'],
-        borderWidth: 0
-      }
-    ]
+function emptyTokenForm(kind) {
+  return {
+    kind,
+    nominal_rp: '',
+    kwh: '',
+    purchased_at: toDateTimeLocal(new Date()),
+    note: ''
   }
+}
 
-  const doughnutOptions = {
-    cutout: '68%',
-    plugins: {
-      legend: {
-        display: true,
-        position: 'bottom',
-        labels: {
-          boxWidth: 10,
-          usePointStyle: true
-        }
-      }
-    }
-  }
+function formatTokenDate(d) {
+  return d
+    ? d.toLocaleString('id-ID', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+    : '-'
+}
 
-  const lastSamples = useMemo(() => {
-    if (!logs?.length) return []
-    const n = 12
-    return logs.slice(-n)
-  }, [logs])
+function PrepaidTokenSection({ prepaid, balance, logs, asNumber, canEdit }) {
+  const { entries, lowKwh, loading, error, addEntry, deleteEntry } = prepaid
+  const [form, setForm] = useState(() => emptyTokenForm('purchase'))
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+  const [actionError, setActionError] = useState(null)
 
-  const barData = useMemo(() => {
-    const labels = lastSamples.map(l => {
-      const t = asDate(l.ts)
-      return t
-        ? t.toLocaleTimeString('id-ID', {
-            hour: '2-digit',
-            minute: '2-digit'
-          })
-        : ''
-    })
-    const daya = lastSamples.map(l => {
-      const v = asNumber(l.daya_aktif_w)
-      return Number.isNaN(v) ? 0 : v
-    })
+  const hasData = balance && balance.status !== 'no_data'
+  const lastTopUpKwh = hasData
+    ? balance.lastPurchase?.kwh || balance.baseKwh || 0
+    : 0
+  const pct =
+    hasData && lastTopUpKwh > 0
+      ? Math.max(0, Math.min(100, (balance.remainingKwh / lastTopUpKwh) * 100))
+      : 0
+
+  const handleChange = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }))
+    setErrors(prev => ({ ...prev, [key]: undefined }))
+  }
 
-    return {
-      labels,
-      datasets: [
-        {
-          label: 'Daya Aktif (W)',
-          data: daya,
-          backgroundColor: 'rgba(248, 113, 113, 0.8)',
-          borderRadius: 8,
-          maxBarThickness: 18
-        }
-      ]
+  const handleSubmit = async e => {
+    e.preventDefault()
+    const nextErrors = validateTokenEntry(form)
+    setErrors(nextErrors)
+    if (Object.keys(nextErrors).length) return
+
+    const at = new Date(form.purchased_at)
+    try {
+      setSaving(true)
+      setActionError(null)
+      await addEntry({
+        kind: form.kind,
+        purchased_at: at.toISOString(),
+        nominal_rp: form.kind === 'purchase' ? Number(form.nominal_rp) : null,
+        kwh: Number(form.kwh),
+        // posisi meter PZEM saat token dimasukkan, cadangan kalau log lama
+        // sudah tidak dimuat
+        meter_kwh_ref: meterReadingAt(logs, at, asNumber),
+        note: form.note.trim() || null
+      })
+      setForm(emptyTokenForm(form.kind))
+    } catch (err) {
+      setActionError(`Gagal menyimpan: ${err.message || err}`)
+    } finally {
+      setSaving(false)
     }
-  }, [lastSamples, asNumber])
+  }
 
-  const barOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: {
-        display: false
-      }
-    },
-    scales: {
-      x: {
-        grid: { display: false },
-        ticks: { font: { size: 10 } }
-      },
-      y: {
-        grid: { color: 'rgba(148, 163, 184, 0.2)' },
-        ticks: { font: { size: 10 } }
-      }
+  const handleDelete = async entry => {
+    const ok = window.confirm(
+      `Hapus ${TOKEN_ENTRY_KINDS[entry.kind].toLowerCase()} ` +
+        `${kwhFmt.format(entry.kwh)} kWh?`
+    )
+    if (!ok) return
+    try {
+      setActionError(null)
+      await deleteEntry(entry.id)
+    } catch (err) {
+      setActionError(`Gagal menghapus: ${err.message || err}`)
     }
   }
 
   return (
-    <section className="section visual-panel">
+    <section className="section section-prepaid">
       <div className="section-header">
         <div>
-          <h2>Profil Energi & Daya</h2>
+          <h2>Token Listrik</h2>
           <p className="section-subtitle">
-            Komposisi energi dan lonjakan daya beberapa sampel terakhir.
+            Sisa kWh diperkirakan dari token yang dibeli dikurangi energi
+            terukur PZEM. Samakan sesekali dengan angka di meter PLN lewat
+            kalibrasi saldo.
           </p>
         </div>
+        {hasData && (
+          <span className={`small-chip prepaid-status-${balance.status}`}>
+            {PREPAID_STATUSES[balance.status].label}
+          </span>
+        )}
       </div>
 
+      {error && <div className="error-banner stale-banner">{error}</div>}
+      {actionError && (
+        <div className="error-banner stale-banner">{actionError}</div>
+      )}
+      {hasData && balance.status !== 'ok' && (
+        <div className="error-banner stale-banner">
+          {balance.status === 'empty'
+            ? 'Perkiraan token sudah habis. Isi token atau kalibrasi saldo.'
+            : `Sisa token ${kwhFmt.format(balance.remainingKwh)} kWh` +
+              (balance.runOutAt
+                ? `, diperkirakan habis ${formatTokenDate(balance.runOutAt)}.`
+                : '.') +
+              ` Batas peringatan ${kwhFmt.format(lowKwh)} kWh / ` +
+              `${PREPAID_WARN_DAYS} hari.`}
+        </div>
+      )}
+
       {loading ? (
-        <div className="skeleton" style={{ height: '240px' }} />
+        <div className="skeleton" style={{ height: '140px' }} />
+      ) : !hasData ? (
+        <div className="empty-placeholder">
+          Belum ada data token. Mulai dengan kalibrasi saldo: isi sisa kWh
+          yang tertera di meter PLN.
+        </div>
       ) : (
-        <div className="visual-grid">
-          <div className="card doughnut-card">
-            <div className="doughnut-wrapper">
-              <Doughnut data={doughnutData} options={doughnutOptions} />
-              <div className="doughnut-center">
-                <div className="center-label">Hari ini</div>
-                <div className="center-value">
-                  {kwhFmt.format(energyDay)} kWh
-                </div>
-              </div>
+        <div className="prepaid-summary">
+          <div>
+            <div className="card-label">Perkiraan sisa token</div>
+            <div className="prepaid-value">
+              {kwhFmt.format(Math.max(0, balance.remainingKwh))} kWh
             </div>
-            <div className="visual-stats">
-              <div className="visual-stat-item">
-                <span className="small-label">Bulan ini</span>
-                <span className="small-value">
-                  {kwhFmt.format(energyMonth)} kWh
-                </span>
-              </div>
-              <div className="visual-stat-item">
-                <span className="small-label">Total energi</span>
-                <span className="small-value">
-                  {kwhFmt.format(energyTotal)} kWh
-                </span>
-              </div>
+            <div className="budget-progress-bar">
+              <div
+                className={
+                  'budget-progress-fill ' +
+                  (balance.status !== 'ok' ? 'over-budget' : '')
+                }
+                style={{ width: `${pct}%` }}
+              />
+            </div>
+            <div className="card-foot">
+              {kwhFmt.format(balance.baseKwh + balance.purchasedKwh)} kWh masuk
+              − {kwhFmt.format(balance.consumedKwh)} kWh terpakai sejak{' '}
+              {formatTokenDate(asDate(balance.anchor.purchased_at))}
+              {balance.estimated && ' (log awal tidak lengkap)'}
             </div>
           </div>
-
-          <div className="card bar-card">
-            <div className="bar-card-header">
-              <div>
-                <div className="card-title">Profil Daya Terakhir</div>
-                <div className="section-subtitle">
-                  Pantau lonjakan daya per sampel.
-                </div>
-              </div>
-              <span className="small-chip">
-                {lastSamples.length} sampel terakhir
-              </span>
+          <div>
+            <div className="card-label">Perkiraan habis</div>
+            <div className="prepaid-value">
+              {balance.runOutAt ? formatTokenDate(balance.runOutAt) : '-'}
             </div>
-            <div className="bar-wrapper">
-              {lastSamples.length ? (
-                <Bar data={barData} options={barOptions} />
-              ) : (
-                <div className="empty-placeholder">
-                  Belum ada data daya yang cukup.
-                </div>
-              )}
+            <div className="card-foot">
+              {balance.avgDailyKwh !== null
+                ? `Rata-rata ${kwhFmt.format(balance.avgDailyKwh)} kWh/hari ` +
+                  `(${PREPAID_AVG_DAYS} hari terakhir)` +
+                  (balance.daysLeft !== null
+                    ? ` • ±${balance.daysLeft.toFixed(1)} hari lagi`
+                    : '')
+                : 'Belum cukup data pemakaian.'}
             </div>
-            <div className="bar-footer">
-              <span>
-                Maks:{' '}
-                {lastSamples.length
-                  ? `${Math.max(
-                      ...lastSamples.map(l => asNumber(l.daya_aktif_w) || 0)
-                    ).toFixed(0)} W`
-                  : '-'}
-              </span>
-              <span>
-                Rata-rata:{' '}
-                {lastSamples.length
-                  ? `${(
-                      lastSamples.reduce(
-                        (sum, l) => sum + (asNumber(l.daya_aktif_w) || 0),
-                        0
-                      ) / lastSamples.length
-                    ).toFixed(1)} W`
-                  : '-'}
-              </span>
+          </div>
+        </div>
+      )}
+
+      {canEdit && (
+        <form className="tariff-form" onSubmit={handleSubmit}>
+          <div>
+            <label className="field-label">Jenis</label>
+            <select
+              className="select"
+              value={form.kind}
+              onChange={e => setForm(emptyTokenForm(e.target.value))}
+            >
+              {Object.entries(TOKEN_ENTRY_KINDS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {form.kind === 'purchase' && (
+            <div>
+              <label className="field-label">Nominal (Rp)</label>
+              <input
+                className="input"
+                type="number"
+                min={0}
+                step={1000}
+                value={form.nominal_rp}
+                onChange={e => handleChange('nominal_rp', e.target.value)}
+              />
+              {errors.nominal_rp && (
+                <div className="device-command-error">{errors.nominal_rp}</div>
+              )}
             </div>
+          )}
+          <div>
+            <label className="field-label">
+              {form.kind === 'purchase' ? 'kWh token' : 'Sisa kWh di meter'}
+            </label>
+            <input
+              className="input"
+              type="number"
+              min={0}
+              step={0.01}
+              value={form.kwh}
+              onChange={e => handleChange('kwh', e.target.value)}
+            />
+            {errors.kwh && (
+              <div className="device-command-error">{errors.kwh}</div>
+            )}
+          </div>
+          <div>
+            <label className="field-label">Tanggal</label>
+            <input
+              className="input"
+              type="datetime-local"
+              value={form.purchased_at}
+              onChange={e => handleChange('purchased_at', e.target.value)}
+            />
+            {errors.purchased_at && (
+              <div className="device-command-error">{errors.purchased_at}</div>
+            )}
+          </div>
+          <div>
+            <label className="field-label">Catatan</label>
+            <input
+              className="input"
+              type="text"
+              value={form.note}
+              onChange={e => handleChange('note', e.target.value)}
+            />
           </div>
+          <button
+            type="submit"
+            className="btn btn-small btn-primary"
+            disabled={saving}
+          >
+            {saving ? 'Menyimpan...' : 'Simpan'}
+          </button>
+        </form>
+      )}
+
+      {entries.length > 0 && (
+        <div className="event-table-wrapper">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Tanggal</th>
+                <th>Jenis</th>
+                <th>Nominal</th>
+                <th>kWh</th>
+                <th>Rp/kWh</th>
+                {canEdit && <th />}
+              </tr>
+            </thead>
+            <tbody>
+              {[...entries].reverse().map(e => (
+                <tr key={e.id}>
+                  <td>{formatTokenDate(asDate(e.purchased_at))}</td>
+                  <td>
+                    {TOKEN_ENTRY_KINDS[e.kind] || e.kind}
+                    {e.note && <div className="command-payload">{e.note}</div>}
+                  </td>
+                  <td>
+                    {e.nominal_rp != null
+                      ? rupiahFmt.format(e.nominal_rp)
+                      : '-'}
+                  </td>
+                  <td>{kwhFmt.format(e.kwh)}</td>
+                  <td>
+                    {e.nominal_rp && e.kwh
+                      ? rupiahFmt.format(e.nominal_rp / e.kwh)
+                      : '-'}
+                  </td>
+                  {canEdit && (
+                    <td>
+                      <button
+                        className="btn btn-small btn-danger"
+                        onClick={() => handleDelete(e)}
+                      >
+                        Hapus
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
       )}
     </section>
@@ -1441,209 +6703,456 @@ function VisualPowerPanel({ logs, lastLog, asNumber, loading }) {
 }
 
 /* ========================================================================
- * INSIGHT LISTRIK + BUDGET + PERKIRAAN TAGIHAN
+ * VERIFIKASI TAGIHAN (hitung ulang di web vs device)
  * ====================================================================== */
 
-function InsightListrikSection({
-  weeklyStats,
-  lastLog,
-  asNumber,
-  budgetTarget,
-  setBudgetTarget
-}) {
-  const totalEnergi7 =
-    weeklyStats?.days?.reduce((s, d) => s + (d.energyKwh || 0), 0) || 0
-  const totalTagihan7 =
-    weeklyStats?.days?.reduce((s, d) => s + (d.costRp || 0), 0) || 0
-  const mostWastefulDay = weeklyStats?.mostWastefulDay || null
+function BillingFlagChips({ flags }) {
+  return flags.map(f => {
+    const flag = BILLING_FLAGS[f]
+    return (
+      <span
+        key={f}
+        className={`small-chip billing-flag billing-flag-${flag.severity}`}
+      >
+        {flag.label}
+      </span>
+    )
+  })
+}
 
-  const energiHariIni = lastLog ? asNumber(lastLog.energi_harian_kwh) || 0 : 0
-  const tagihanHariIni = lastLog ? asNumber(lastLog.total_harian_rp) || 0 : 0
-  const energiTotal = lastLog ? asNumber(lastLog.energi_total_kwh) || 0 : 0
+function formatDiffRp(diff) {
+  if (diff === null) return '-'
+  const sign = diff > 0 ? '+' : diff < 0 ? '−' : ''
+  return `${sign}${rupiahFmt.format(Math.abs(diff))}`
+}
 
-  const tarifPerKwh = lastLog
-    ? asNumber(lastLog.tarif_harga_per_kwh) || 0
-    : 0
-  const biayaBeban = lastLog
-    ? asNumber(lastLog.tarif_biaya_beban) || 0
-    : 0
-  const pajakP = lastLog
-    ? asNumber(lastLog.tarif_pajak_persen) || 0
-    : 0
+function BillingCheckSection({ energy, tariffs, asNumber }) {
+  const [onlyIssues, setOnlyIssues] = useState(false)
+  const { buckets, loading, error } = energy
 
-  const energiHariRp = lastLog
-    ? asNumber(lastLog.biaya_energi_harian_rp) || 0
-    : 0
-  const bebanHari = lastLog
-    ? asNumber(lastLog.beban_harian_rp) || 0
-    : 0
-  const ppjHari = lastLog
-    ? asNumber(lastLog.ppj_harian_rp) || 0
-    : 0
-  const pbjtHari = lastLog
-    ? asNumber(lastLog.pbjt_harian_rp) || 0
-    : 0
+  const billing = useMemo(
+    () => computeBilling(buckets, tariffs, asNumber),
+    [buckets, tariffs, asNumber]
+  )
 
-  const tagihanBulanIni = lastLog
-    ? asNumber(lastLog.total_bulanan_rp) || 0
-    : 0
+  const month = billing.months[billing.months.length - 1] || null
+  const days = [...billing.days].reverse()
+  const issueDays = days.filter(d =>
+    ['cost_mismatch', 'energy_mismatch', 'tax_mismatch'].some(f =>
+      d.flags.includes(f)
+    )
+  )
+  const shown = onlyIssues ? issueDays : days
+
+  const breakdown = (label, c) =>
+    c
+      ? `${label}: energi ${rupiahFmt.format(c.energiRp || 0)}, beban ` +
+        `${rupiahFmt.format(c.bebanRp || 0)}, ` +
+        (c.ppjRp != null || c.pbjtRp != null
+          ? `PPJ ${rupiahFmt.format(c.ppjRp || 0)}, PBJT ` +
+            `${rupiahFmt.format(c.pbjtRp || 0)}`
+          : `pajak ${rupiahFmt.format(c.pajakRp || 0)}`)
+      : `${label}: -`
 
-  // Perkiraan tagihan akhir bulan (proyeksi)
-  const now = new Date()
-  const dayOfMonth = now.getDate()
-  const daysInMonth = new Date(
-    now.getFullYear(),
-    now.getMonth() + 1,
-    0
-  ).getDate()
+  return (
+    <section className="section section-billing">
+      <div className="section-header">
+        <div>
+          <h2>Verifikasi Tagihan</h2>
+          <p className="section-subtitle">
+            Biaya dihitung ulang di web dari selisih energi_total_kwh dan tarif
+            yang berlaku, lalu dibandingkan dengan angka dari device. Energi
+            selama data kosong dibagi rata ke hari yang dilewati.
+          </p>
+        </div>
+        <label className="export-locale">
+          <input
+            type="checkbox"
+            checked={onlyIssues}
+            onChange={e => setOnlyIssues(e.target.checked)}
+          />{' '}
+          Hanya yang berbeda ({issueDays.length})
+        </label>
+      </div>
 
-  const perkiraanAkhirBulan =
-    dayOfMonth > 0 ? (tagihanBulanIni / dayOfMonth) * daysInMonth : 0
+      {error && <div className="error-banner stale-banner">{error}</div>}
 
-  // Progress budget
-  const percentUsed =
-    budgetTarget > 0 ? (tagihanBulanIni / budgetTarget) * 100 : 0
-  const clampedPercent = Math.max(0, Math.min(percentUsed, 200))
+      {billing.resets.length > 0 && (
+        <div className="info-banner">
+          kWh meter di-reset {billing.resets.length}x:{' '}
+          {billing.resets
+            .map(
+              r =>
+                `${r.ts.toLocaleString('id-ID', {
+                  day: '2-digit',
+                  month: 'short',
+                  hour: '2-digit',
+                  minute: '2-digit'
+                })} (${kwhFmt.format(
+                  r.fromKwh
+                )} → ${kwhFmt.format(r.toKwh)} kWh)`
+            )
+            .join(', ')}
+          . Energi setelah reset tetap dihitung.
+        </div>
+      )}
+
+      {loading && !buckets.length ? (
+        <div className="skeleton" style={{ height: '160px' }} />
+      ) : !billing.days.length ? (
+        <div className="empty-placeholder">Belum ada data untuk dihitung.</div>
+      ) : (
+        <>
+          {month && (
+            <div className="billing-month">
+              <div className="card">
+                <span className="card-label">
+                  Bulan {month.key} (hitung web)
+                </span>
+                <strong>{rupiahFmt.format(month.totalRp)}</strong>
+                <span className="card-foot">
+                  {kwhFmt.format(month.energyKwh)} kWh • {month.days} hari data
+                </span>
+              </div>
+              <div className="card">
+                <span className="card-label">Total bulanan device</span>
+                <strong>
+                  {month.deviceTotalRp !== null
+                    ? rupiahFmt.format(month.deviceTotalRp)
+                    : '-'}
+                </strong>
+                <span className="card-foot">
+                  Selisih {formatDiffRp(month.diffRp)}
+                </span>
+              </div>
+              <div className="billing-month-flags">
+                {month.flags.length ? (
+                  <BillingFlagChips flags={month.flags} />
+                ) : (
+                  <span className="small-chip billing-flag billing-flag-ok">
+                    Sesuai
+                  </span>
+                )}
+              </div>
+            </div>
+          )}
+
+          {shown.length === 0 ? (
+            <div className="empty-placeholder">
+              Tidak ada hari dengan selisih di luar toleransi (
+              {rupiahFmt.format(BILLING_TOLERANCE_RP)} / {BILLING_TOLERANCE_PCT}
+              %).
+            </div>
+          ) : (
+            <div className="event-table-wrapper">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Tanggal</th>
+                    <th>kWh web</th>
+                    <th>kWh device</th>
+                    <th>Tarif</th>
+                    <th>Tagihan web</th>
+                    <th>Tagihan device</th>
+                    <th>Selisih</th>
+                    <th>Catatan</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map(d => (
+                    <tr
+                      key={d.date}
+                      title={`${breakdown('Web', d.cost)}\n${breakdown(
+                        'Device',
+                        {
+                          energiRp: d.device.energiRp,
+                          bebanRp: d.device.bebanRp,
+                          ppjRp: d.device.ppjRp,
+                          pbjtRp: d.device.pbjtRp,
+                          pajakRp: d.device.pajakRp
+                        }
+                      )}`}
+                    >
+                      <td>{d.date}</td>
+                      <td>{kwhFmt.format(d.energyKwh)}</td>
+                      <td>
+                        {d.device.energyKwh !== null
+                          ? kwhFmt.format(d.device.energyKwh)
+                          : '-'}
+                      </td>
+                      <td>
+                        {d.tariff
+                          ? `${rupiahFmt.format(d.tariff.harga_per_kwh)}${
+                              d.tariffSource === 'device' ? ' (device)' : ''
+                            }`
+                          : '-'}
+                      </td>
+                      <td>{d.cost ? rupiahFmt.format(d.cost.totalRp) : '-'}</td>
+                      <td>
+                        {d.device.totalRp !== null
+                          ? rupiahFmt.format(d.device.totalRp)
+                          : '-'}
+                      </td>
+                      <td>{formatDiffRp(d.diffRp)}</td>
+                      <td>
+                        <BillingFlagChips flags={d.flags} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+/* ========================================================================
+ * LOGIN & PERAN PENGGUNA
+ * ====================================================================== */
+
+function LoginScreen({ auth }) {
+  const [mode, setMode] = useState('signin')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [formError, setFormError] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  const handleSubmit = async e => {
+    e.preventDefault()
+    if (!email || !password) {
+      setFormError('Isi email & password.')
+      return
+    }
+    try {
+      setSubmitting(true)
+      setFormError(null)
+      setMessage(null)
+      if (mode === 'signin') {
+        await auth.signIn(email, password)
+      } else {
+        const loggedIn = await auth.signUp(email, password)
+        if (!loggedIn) {
+          setMessage('Akun dibuat. Cek email untuk konfirmasi, lalu masuk.')
+          setMode('signin')
+        }
+      }
+    } catch (err) {
+      setFormError(err.message || String(err))
+    } finally {
+      setSubmitting(false)
+    }
+  }
 
   return (
-    <section className="section section-insights">
-      <div className="section-header">
+    <div className="app">
+      <header className="app-header">
         <div>
-          <h2>Insight Listrik</h2>
-          <p className="section-subtitle">
-            Ringkasan singkat pemakaian energi dan tagihan.
+          <h1>Dashboard Power Monitoring</h1>
+          <p className="app-subtitle">
+            Masuk untuk melihat data dan mengontrol device.
           </p>
         </div>
+      </header>
 
-        {/* Input budget (target tagihan per bulan) */}
-        <div className="budget-control">
-          <label className="field-label">Target tagihan / bulan</label>
-          <div className="budget-input-row">
-            <span>Rp</span>
-            <input
-              className="input budget-input"
-              type="number"
-              min={0}
-              value={budgetTarget || ''}
-              onChange={e =>
-                setBudgetTarget(Number(e.target.value || 0))
-              }
-              placeholder="contoh 300000"
-            />
-          </div>
-        </div>
-      </div>
+      <main className="app-main">
+        <section className="section login-section">
+          <h2>{mode === 'signin' ? 'Masuk' : 'Daftar akun'}</h2>
+          <p className="section-subtitle">
+            Akun baru mendapat peran viewer (hanya melihat). Admin bisa
+            menaikkan peran menjadi operator atau admin.
+          </p>
 
-      <div className="insights-grid">
-        <div className="insight-card insight-1">
-          <div className="insight-label">Total energi 7 hari</div>
-          <div className="insight-value">
-            {kwhFmt.format(totalEnergi7)} kWh
-          </div>
-          <div className="insight-note">
-            {mostWastefulDay
-              ? `Hari paling boros: ${mostWastefulDay.date} • ${kwhFmt.format(
-                  mostWastefulDay.energyKwh
-                )} kWh`
-              : 'Belum cukup data 7 hari.'}
-          </div>
-        </div>
+          {auth.error && (
+            <div className="error-banner stale-banner">{auth.error}</div>
+          )}
+          {formError && (
+            <div className="error-banner stale-banner">{formError}</div>
+          )}
+          {message && <div className="info-banner stale-banner">{message}</div>}
+
+          <form className="login-form" onSubmit={handleSubmit}>
+            <div>
+              <label className="field-label">Email</label>
+              <input
+                className="input"
+                type="email"
+                autoComplete="email"
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="field-label">Password</label>
+              <input
+                className="input"
+                type="password"
+                autoComplete={
+                  mode === 'signin' ? 'current-password' : 'new-password'
+                }
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+              />
+            </div>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={submitting}
+            >
+              {submitting
+                ? 'Memproses...'
+                : mode === 'signin'
+                  ? 'Masuk'
+                  : 'Daftar'}
+            </button>
+          </form>
 
-        <div className="insight-card insight-2">
-          <div className="insight-label">Total tagihan 7 hari</div>
-          <div className="insight-value">
-            {rupiahFmt.format(totalTagihan7)}
-          </div>
-          <div className="insight-note">
-            {tagihanHariIni
-              ? `Hari ini: ${rupiahFmt.format(tagihanHariIni)}`
-              : 'Belum ada tagihan hari ini.'}
-          </div>
-        </div>
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={() => {
+              setMode(prev => (prev === 'signin' ? 'signup' : 'signin'))
+              setFormError(null)
+            }}
+          >
+            {mode === 'signin'
+              ? 'Belum punya akun? Daftar'
+              : 'Sudah punya akun? Masuk'}
+          </button>
+        </section>
+      </main>
+    </div>
+  )
+}
 
-        <div className="insight-card insight-3">
-          <div className="insight-label">Tarif listrik aktif</div>
-          <div className="insight-value">
-            {tarifPerKwh ? `${rupiahFmt.format(tarifPerKwh)} / kWh` : '-'}
-          </div>
-          <div className="insight-note">
-            Beban tetap:{' '}
-            {biayaBeban ? rupiahFmt.format(biayaBeban) : '-'}
-            {' • '}
-            Pajak: {pajakP.toFixed(1)}%
-          </div>
-        </div>
+function UserRolesSection({ currentUserId }) {
+  const { users, loading, error, saveRole } = useUserRoles()
+  const [actionError, setActionError] = useState(null)
 
-        <div className="insight-card insight-4">
-          <div className="insight-label">Rincian tagihan hari ini</div>
-          <div className="insight-note">
-            <div>Energi: {rupiahFmt.format(energiHariRp)}</div>
-            <div>Beban: {rupiahFmt.format(bebanHari)}</div>
-            <div>PPJ: {rupiahFmt.format(ppjHari)}</div>
-            <div>PBJT: {rupiahFmt.format(pbjtHari)}</div>
-            <div style={{ marginTop: 4 }}>
-              Total:{' '}
-              <strong>{rupiahFmt.format(tagihanHariIni)}</strong>
-            </div>
-            <div style={{ marginTop: 4 }}>
-              Energi hari ini: {kwhFmt.format(energiHariIni)} kWh • Total
-              kumulatif: {kwhFmt.format(energiTotal)} kWh
-            </div>
-          </div>
-        </div>
+  const handleRoleChange = async (userId, role) => {
+    try {
+      setActionError(null)
+      await saveRole(userId, role)
+    } catch (err) {
+      setActionError(`Gagal mengubah peran: ${err.message || err}`)
+    }
+  }
 
-        {/* Progress budget + prediksi tagihan */}
-        <div className="insight-card insight-5">
-          <div className="insight-label">Progress tagihan bulan ini</div>
-          <div className="budget-progress-top">
-            <span>{rupiahFmt.format(tagihanBulanIni)}</span>
-            <span>
-              dari{' '}
-              {budgetTarget ? rupiahFmt.format(budgetTarget) : 'target belum di-set'}
-            </span>
-          </div>
-          <div className="budget-progress-bar">
-            <div
-              className={
-                'budget-progress-fill ' +
-                (percentUsed > 100 ? 'over-budget' : '')
-              }
-              style={{ width: `${clampedPercent}%` }}
-            />
-          </div>
-          <div className="budget-progress-note">
-            {budgetTarget
-              ? percentUsed <= 100
-                ? `Sudah terpakai ${percentUsed.toFixed(1)}% dari target.`
-                : `Sudah melewati target (${percentUsed.toFixed(
-                    1
-                  )}%).`
-              : 'Set dulu target tagihan supaya bisa dipantau.'}
-          </div>
+  return (
+    <section className="section">
+      <h2>Pengguna & Peran</h2>
+      <p className="section-subtitle">
+        Viewer hanya melihat. Operator bisa kontrol relay, reset kWh, mengatur
+        jadwal / mode otomatis / load shedding dan mencatat token. Admin juga
+        mengatur device, tarif, metadata relay dan peran pengguna.
+      </p>
 
-          <div className="insight-note" style={{ marginTop: 8 }}>
-            Perkiraan akhir bulan:{' '}
-            <strong>{rupiahFmt.format(perkiraanAkhirBulan)}</strong>
-            <div style={{ fontSize: 12, opacity: 0.8, marginTop: 2 }}>
-              Berdasar rata-rata harian bulan ini (hari ke-{dayOfMonth} dari{' '}
-              {daysInMonth}).
-            </div>
-          </div>
+      {error && <div className="error-banner stale-banner">{error}</div>}
+      {actionError && (
+        <div className="error-banner stale-banner">{actionError}</div>
+      )}
+
+      {loading ? (
+        <div className="skeleton" style={{ height: '80px' }} />
+      ) : users.length === 0 ? (
+        <div className="empty-placeholder">Belum ada pengguna.</div>
+      ) : (
+        <div className="event-table-wrapper">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Email</th>
+                <th>Peran</th>
+                <th>Terdaftar</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(u => (
+                <tr key={u.user_id}>
+                  <td>
+                    {u.email || u.user_id}
+                    {u.user_id === currentUserId && (
+                      <span className="small-chip">Anda</span>
+                    )}
+                  </td>
+                  <td>
+                    <select
+                      className="select"
+                      value={u.role}
+                      disabled={u.user_id === currentUserId}
+                      onChange={e =>
+                        handleRoleChange(u.user_id, e.target.value)
+                      }
+                    >
+                      {ROLES.map(r => (
+                        <option key={r} value={r}>
+                          {ROLE_LABELS[r]}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>{asDate(u.created_at).toLocaleDateString('id-ID')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
-      </div>
+      )}
     </section>
   )
 }
 
 /* ========================================================================
- * Helper load initial range / month / budget
+ * Helper load initial device / range / month / budget
  * ====================================================================== */
 
-function loadInitialRangeHours() {
-  if (typeof window === 'undefined') return 1
-  const raw = window.localStorage.getItem(RANGE_STORAGE_KEY)
-  const n = parseInt(raw, 10)
-  return [1, 2, 3, 4, 5, 6].includes(n) ? n : 1
+function loadInitialDeviceId() {
+  if (typeof window === 'undefined') return DEFAULT_DEVICE_ID
+  const raw = window.localStorage.getItem(DEVICE_STORAGE_KEY)
+  return raw || DEFAULT_DEVICE_ID
+}
+
+function loadInitialView() {
+  if (typeof window === 'undefined') return 'fleet'
+  const raw = window.localStorage.getItem(VIEW_STORAGE_KEY)
+  return raw === 'device' || raw === 'settings' || raw === 'site'
+    ? raw
+    : 'fleet'
+}
+
+function loadInitialScope() {
+  if (typeof window === 'undefined') return null
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(SCOPE_STORAGE_KEY))
+    return parsed?.siteId ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+function loadInitialHistoryRange() {
+  if (typeof window === 'undefined') return DEFAULT_HISTORY_RANGE
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(RANGE_STORAGE_KEY))
+    return isValidRange(parsed) ? parsed : DEFAULT_HISTORY_RANGE
+  } catch {
+    return DEFAULT_HISTORY_RANGE
+  }
+}
+
+function loadInitialHistoryMetrics() {
+  if (typeof window === 'undefined') return DEFAULT_HISTORY_METRICS
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(METRICS_STORAGE_KEY))
+    if (!Array.isArray(parsed)) return DEFAULT_HISTORY_METRICS
+    const valid = parsed.filter(k => HISTORY_METRICS.some(m => m.key === k))
+    return valid.length ? valid : DEFAULT_HISTORY_METRICS
+  } catch {
+    return DEFAULT_HISTORY_METRICS
+  }
 }
 
 function loadInitialMonthKey() {
@@ -1664,24 +7173,111 @@ function loadInitialBudget() {
  * ====================================================================== */
 
 export default function App() {
-  const { logs, lastLog, loading, error, asNumber } = useRealtimeLogs(DEVICE_ID)
+  const auth = useAuth()
+
+  if (auth.loading) {
+    return (
+      <div className="app">
+        <div className="info-banner">Memeriksa sesi login...</div>
+      </div>
+    )
+  }
+  if (!auth.session) return <LoginScreen auth={auth} />
+
+  return <Dashboard key={auth.user.id} auth={auth} />
+}
+
+function Dashboard({ auth }) {
+  const { user, role } = auth
+  const [deviceId, setDeviceId] = useState(loadInitialDeviceId)
+  const [view, setView] = useState(loadInitialView)
+  const [scope, setScope] = useState(loadInitialScope)
+  const { devices, loading: devicesLoading } = useDevices(DEFAULT_DEVICE_ID)
+  const siteState = useSites()
+  const { logs, lastLog, loading, error, asNumber } = useRealtimeLogs(deviceId)
   const {
     relays,
     loading: relaysLoading,
     error: relayError,
-    toggleRelay
-  } = useRelayConfig(DEVICE_ID)
+    toggleRelay,
+    createChannels
+  } = useRelayConfig(deviceId)
+  const deviceCommands = useDeviceCommands(deviceId, user.email)
+  const deviceConfig = useDeviceConfig(deviceId)
+  const tariffState = useTariffs(deviceId)
+  const prepaid = usePrepaidTokens(deviceId)
+  const energy = useEnergyBuckets(deviceId, logs)
+  const lastResetCommand = deviceCommands.commands.find(
+    c => c.cmd_type === 'reset_kwh'
+  )
+  const channelMeta = useRelayChannelMeta(deviceId)
+  const shownRelays = useMemo(
+    () => visibleRelays(relays, channelMeta.meta, channelMeta.relayCount),
+    [relays, channelMeta.meta, channelMeta.relayCount]
+  )
 
-  const [rangeHours, setRangeHours] = useState(loadInitialRangeHours)
+  const [historyRange, setHistoryRange] = useState(loadInitialHistoryRange)
+  const history = useHistoryBuckets(deviceId, historyRange)
+  const relayHistory = useRelayHistory(deviceId, history.from, history.to)
+  const alertCenter = useAlerts(deviceId, logs, describeAlert)
+  const sampleIntervalSec = useMemo(() => estimateSampleInterval(logs), [logs])
+  const [historyMetrics, setHistoryMetrics] = useState(
+    loadInitialHistoryMetrics
+  )
   const [resetLoading, setResetLoading] = useState(false)
+  const [resetError, setResetError] = useState(null)
+  const [reportLoading, setReportLoading] = useState(false)
   const [selectedMonthKey, setSelectedMonthKey] = useState(loadInitialMonthKey)
   const [budgetTarget, setBudgetTarget] = useState(loadInitialBudget)
 
+  // simpan device terpilih ke localStorage
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+    window.localStorage.setItem(DEVICE_STORAGE_KEY, deviceId)
+  }, [deviceId])
+
+  // simpan tampilan (fleet / site / device / settings) ke localStorage
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+    window.localStorage.setItem(VIEW_STORAGE_KEY, view)
+  }, [view])
+
+  // simpan site / ruangan terpilih ke localStorage
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+    window.localStorage.setItem(SCOPE_STORAGE_KEY, JSON.stringify(scope))
+  }, [scope])
+
+  // kalau site / ruangan terpilih sudah dihapus, kembali ke semua site
+  useEffect(() => {
+    if (siteState.loading || view !== 'site') return
+    if (!isValidScope(scope, siteState.sites, siteState.rooms)) {
+      setView('fleet')
+    }
+  }, [siteState.loading, siteState.sites, siteState.rooms, scope, view])
+
+  // kalau device di localStorage sudah tidak terdaftar, pakai device pertama
+  useEffect(() => {
+    if (devicesLoading || devices.length === 0) return
+    if (!devices.some(d => d.device_id === deviceId)) {
+      setDeviceId(devices[0].device_id)
+    }
+  }, [devices, devicesLoading, deviceId])
+
   // simpan range ke localStorage
   useEffect(() => {
     if (typeof window === 'undefined') return
-    window.localStorage.setItem(RANGE_STORAGE_KEY, String(rangeHours))
-  }, [rangeHours])
+    window.localStorage.setItem(RANGE_STORAGE_KEY, JSON.stringify(historyRange))
+  }, [historyRange])
+
+  // simpan metrik grafik riwayat ke localStorage
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+    window.localStorage.setItem(
+      METRICS_STORAGE_KEY,
+      JSON.stringify(historyMetrics)
+    )
+  }, [historyMetrics])
 
   // simpan bulan terpilih ke localStorage
   useEffect(() => {
@@ -1698,11 +7294,12 @@ export default function App() {
   }, [budgetTarget])
 
   // tombol reset kWh -> insert ke device_commands
+  // status dipantau lewat antrian perintah (device_commands realtime)
   const handleResetKwh = async () => {
     if (!lastLog) return
     const currentKwh = asNumber(lastLog.energi_total_kwh)
     if (Number.isNaN(currentKwh)) {
-      alert('Nilai energi_total_kwh tidak valid.')
+      setResetError('Nilai energi_total_kwh tidak valid.')
       return
     }
 
@@ -1714,30 +7311,43 @@ export default function App() {
 
     try {
       setResetLoading(true)
-      const meter_ts = Math.floor(Date.now() / 1000)
-
-      const { error: insertError } = await supabase
-        .from('device_commands')
-        .insert({
-          device_id: DEVICE_ID,
-          cmd_type: 'reset_kwh',
-          meter_kwh_ref: currentKwh,
-          meter_ts
-        })
-
-      if (insertError) throw insertError
-
-      alert(
-        'Perintah reset kWh berhasil dikirim. Tunggu beberapa detik sampai device memproses.'
-      )
+      setResetError(null)
+      await deviceCommands.sendCommand('reset_kwh', {
+        meter_kwh_ref: currentKwh,
+        meter_ts: Math.floor(Date.now() / 1000)
+      })
     } catch (err) {
       console.error('Gagal kirim perintah reset kWh', err)
-      alert(`Gagal kirim perintah reset kWh: ${err.message || err}`)
+      setResetError(`Gagal kirim perintah reset kWh: ${err.message || err}`)
     } finally {
       setResetLoading(false)
     }
   }
 
+  // laporan PDF dibuat di browser dari agregat per jam sebulan penuh
+  const handleDownloadReport = async () => {
+    if (!selectedMonthKey) return
+
+    const device = devices.find(d => d.device_id === deviceId)
+    try {
+      setReportLoading(true)
+      const monthLogs = await fetchMonthlyReportLogs(deviceId, selectedMonthKey)
+      const report = computeMonthlyReport(monthLogs, selectedMonthKey, asNumber)
+      if (!report) {
+        alert('Belum ada data untuk bulan ini.')
+        return
+      }
+      await downloadMonthlyReportPdf(report, {
+        deviceName: device?.name || deviceId
+      })
+    } catch (err) {
+      console.error('Gagal membuat laporan PDF', err)
+      alert(`Gagal membuat laporan PDF: ${err.message || err}`)
+    } finally {
+      setReportLoading(false)
+    }
+  }
+
   const monthlyOptions = useMemo(() => getAvailableMonths(logs), [logs])
 
   // kalau monthKey di localStorage sudah gak ada di data, fallback ke bulan terakhir
@@ -1760,6 +7370,84 @@ export default function App() {
     [logs, selectedMonthKey, asNumber]
   )
 
+  // null kalau device pascabayar
+  const prepaidBalance = useMemo(
+    () =>
+      prepaid.mode === 'prepaid'
+        ? computePrepaidBalance({
+            entries: prepaid.entries,
+            buckets: energy.buckets,
+            lastLog,
+            asNumber,
+            lowKwh: prepaid.lowKwh
+          })
+        : null,
+    [
+      prepaid.mode,
+      prepaid.entries,
+      prepaid.lowKwh,
+      energy.buckets,
+      lastLog,
+      asNumber
+    ]
+  )
+
+  const canSetup = can(role, 'device_setup')
+  const hasSites = siteState.sites.length > 0
+  const showFleet = view === 'fleet' && (devices.length > 1 || hasSites)
+  const showSite = view === 'site' && !!scope?.siteId
+  const showSettings = view === 'settings' && canSetup
+  const currentDevice = devices.find(d => d.device_id === deviceId)
+  const breadcrumb = buildBreadcrumb({
+    view: showFleet ? 'fleet' : showSite ? 'site' : 'device',
+    scope,
+    device: currentDevice,
+    sites: siteState.sites,
+    rooms: siteState.rooms
+  })
+
+  // device di pemilih header dikelompokkan per site
+  const deviceOptionGroups = hasSites
+    ? [
+        ...siteState.sites.map(site => ({
+          key: site.id,
+          label: site.name,
+          devices: devices.filter(d => d.site_id === site.id)
+        })),
+        {
+          key: 'no-site',
+          label: NO_SITE_LABEL,
+          devices: devices.filter(
+            d => !siteState.sites.some(site => site.id === d.site_id)
+          )
+        }
+      ].filter(g => g.devices.length > 0)
+    : null
+
+  const handleSignOut = () =>
+    auth.signOut().catch(err => alert(`Gagal keluar: ${err.message || err}`))
+
+  const handleOpenDevice = id => {
+    setDeviceId(id)
+    setView('device')
+  }
+
+  const handleOpenScope = next => {
+    setScope(next)
+    setView('site')
+  }
+
+  const handleNavigate = target => {
+    if (target.view === 'site') handleOpenScope(target.scope)
+    else setView(target.view)
+  }
+
+  const renderDeviceOption = d => (
+    <option key={d.device_id} value={d.device_id}>
+      {d.name || d.device_id}
+    </option>
+  )
+
   return (
     <div className="app">
       <header className="app-header">
@@ -1768,9 +7456,92 @@ export default function App() {
           <p className="app-subtitle">
             ESP32-S3 + PZEM004T v3 + BME280/BH1750 + Supabase + Tarif Listrik
           </p>
+          {hasSites && (
+            <nav className="breadcrumb">
+              {breadcrumb.map((crumb, i) => (
+                <span key={crumb.key} className="breadcrumb-item">
+                  {i > 0 && <span className="breadcrumb-sep">›</span>}
+                  {crumb.target ? (
+                    <button
+                      className="breadcrumb-link"
+                      onClick={() => handleNavigate(crumb.target)}
+                    >
+                      {crumb.label}
+                    </button>
+                  ) : (
+                    <span className="breadcrumb-current">{crumb.label}</span>
+                  )}
+                </span>
+              ))}
+            </nav>
+          )}
         </div>
-        <div className="tag-chip">
-          Device: <span className="tag-chip-label">{DEVICE_ID}</span>
+        <div className="header-right">
+          <div className="btn-group">
+            {(devices.length > 1 || hasSites) && (
+              <button
+                className={
+                  showFleet ? 'btn btn-small btn-primary' : 'btn btn-small'
+                }
+                onClick={() => setView('fleet')}
+              >
+                Semua device
+              </button>
+            )}
+            <button
+              className={
+                !showFleet && !showSite && !showSettings
+                  ? 'btn btn-small btn-primary'
+                  : 'btn btn-small'
+              }
+              onClick={() => setView('device')}
+            >
+              Dashboard device
+            </button>
+            {canSetup && (
+              <button
+                className={
+                  showSettings ? 'btn btn-small btn-primary' : 'btn btn-small'
+                }
+                onClick={() => setView('settings')}
+              >
+                Pengaturan device
+              </button>
+            )}
+          </div>
+          {alertCenter.activeCount > 0 && (
+            <a className="alert-badge" href="#alert-center">
+              {alertCenter.activeCount} alert aktif
+            </a>
+          )}
+          <div className="tag-chip">
+            Device:{' '}
+            {devices.length > 1 ? (
+              <select
+                className="tag-chip-select"
+                value={deviceId}
+                onChange={e => handleOpenDevice(e.target.value)}
+              >
+                {deviceOptionGroups
+                  ? deviceOptionGroups.map(g => (
+                      <optgroup key={g.key} label={g.label}>
+                        {g.devices.map(renderDeviceOption)}
+                      </optgroup>
+                    ))
+                  : devices.map(renderDeviceOption)}
+              </select>
+            ) : (
+              <span className="tag-chip-label">{deviceId}</span>
+            )}
+          </div>
+          <div className="tag-chip">
+            <span className="tag-chip-label">
+              {user.email} &bull; {ROLE_LABELS[role] || role}
+            </span>
+            <button className="btn btn-small" onClick={handleSignOut}>
+              Keluar
+            </button>
+          </div>
         </div>
       </header>
 
@@ -1781,82 +7552,200 @@ export default function App() {
         </div>
       )}
 
-      {loading && (
+      {loading && !showFleet && !showSite && !showSettings && (
         <div className="info-banner">
           Memuat data monitoring dari Supabase...
         </div>
       )}
 
-      <main className="app-main">
-        {/* ROW ATAS: 3 kolom */}
-        <div className="app-row app-row-top">
-          {/* kiri: riwayat + weekly */}
-          <div className="dashboard-column col-left">
-            <RiwayatSection
-              logs={logs}
-              lastLog={lastLog}
-              rangeHours={rangeHours}
-              setRangeHours={setRangeHours}
+      {showFleet ? (
+        <main className="app-main">
+          {hasSites && (
+            <SiteSection
+              scope={null}
+              sites={siteState.sites}
+              rooms={siteState.rooms}
+              devices={devices}
               asNumber={asNumber}
-              loading={loading}
+              onOpenScope={handleOpenScope}
+              onOpenDevice={handleOpenDevice}
             />
-            <WeeklySection weeklyStats={weeklyStats} loading={loading} />
+          )}
+          <FleetSection
+            devices={devices}
+            asNumber={asNumber}
+            onOpenDevice={handleOpenDevice}
+          />
+        </main>
+      ) : showSite ? (
+        <main className="app-main">
+          <SiteSection
+            key={`${scope.siteId}-${scope.roomId}`}
+            scope={scope}
+            sites={siteState.sites}
+            rooms={siteState.rooms}
+            devices={devices}
+            asNumber={asNumber}
+            onOpenScope={handleOpenScope}
+            onOpenDevice={handleOpenDevice}
+          />
+        </main>
+      ) : showSettings ? (
+        <main className="app-main">
+          <div className="app-row app-row-settings">
+            <div className="dashboard-column">
+              <DeviceSettingsSection
+                deviceConfig={deviceConfig}
+                deviceCommands={deviceCommands}
+              />
+              <SitesSection
+                siteState={siteState}
+                device={currentDevice}
+                devices={devices}
+              />
+              <TariffSection
+                tariffState={tariffState}
+                prepaid={prepaid}
+                deviceCommands={deviceCommands}
+                lastLog={lastLog}
+                asNumber={asNumber}
+              />
+            </div>
+            <div className="dashboard-column">
+              <DeviceCommandsSection deviceCommands={deviceCommands} />
+              {can(role, 'manage_users') && (
+                <UserRolesSection currentUserId={user.id} />
+              )}
+            </div>
           </div>
+        </main>
+      ) : (
+        <main className="app-main">
+          {/* ROW ATAS: 3 kolom */}
+          <div className="app-row app-row-top">
+            {/* kiri: riwayat + weekly */}
+            <div className="dashboard-column col-left">
+              <RiwayatSection
+                logs={logs}
+                lastLog={lastLog}
+                sampleIntervalSec={sampleIntervalSec}
+                history={history}
+                historyRange={historyRange}
+                setHistoryRange={setHistoryRange}
+                historyMetrics={historyMetrics}
+                setHistoryMetrics={setHistoryMetrics}
+                relays={shownRelays}
+                channelMeta={channelMeta.meta}
+                relayHistory={relayHistory}
+                asNumber={asNumber}
+                loading={loading}
+              />
+              <RelayTimelineSection
+                relays={shownRelays}
+                channelMeta={channelMeta.meta}
+                relayHistory={relayHistory}
+                history={history}
+                asNumber={asNumber}
+              />
+              <WeeklySection weeklyStats={weeklyStats} loading={loading} />
+              <ExportSection
+                deviceId={deviceId}
+                from={history.from}
+                to={history.to}
+              />
+            </div>
 
-          {/* tengah: summary */}
-          <div className="dashboard-column col-center">
-            <SummaryCards
-              lastLog={lastLog}
-              asNumber={asNumber}
-              loading={loading}
-              onResetKwh={handleResetKwh}
-              resetLoading={resetLoading}
-            />
-          </div>
+            {/* tengah: summary */}
+            <div className="dashboard-column col-center">
+              <SummaryCards
+                lastLog={lastLog}
+                sampleIntervalSec={sampleIntervalSec}
+                asNumber={asNumber}
+                loading={loading}
+                onResetKwh={handleResetKwh}
+                canResetKwh={can(role, 'kwh_reset')}
+                resetLoading={resetLoading}
+                resetCommand={lastResetCommand}
+                resetError={resetError}
+              />
+            </div>
 
-          {/* kanan: relay */}
-          <div className="dashboard-column col-right">
-            <RelayPanel
-              relays={relays}
-              relaysLoading={relaysLoading}
-              toggleRelay={toggleRelay}
-              lastLog={lastLog}
-              asNumber={asNumber}
-            />
+            {/* kanan: relay */}
+            <div className="dashboard-column col-right">
+              <RelayPanel
+                key={deviceId}
+                deviceId={deviceId}
+                relays={relays}
+                relaysLoading={relaysLoading}
+                toggleRelay={toggleRelay}
+                createChannels={createChannels}
+                channelMeta={channelMeta}
+                lastLog={lastLog}
+                asNumber={asNumber}
+                role={role}
+                user={user}
+              />
+              <AlertCenterSection alertCenter={alertCenter} />
+              <DeviceUptimeSection
+                deviceId={deviceId}
+                lastLog={lastLog}
+                sampleIntervalSec={sampleIntervalSec}
+              />
+              <DeviceCommandsSection deviceCommands={deviceCommands} />
+            </div>
           </div>
-        </div>
 
-        {/* ROW BAWAH: 2 kolom */}
-        <div className="app-row app-row-bottom">
-          {/* kiri: visual + ringkasan bulanan */}
-          <div className="dashboard-column col-bottom-left">
-            <VisualPowerPanel
-              logs={logs}
-              lastLog={lastLog}
-              asNumber={asNumber}
-              loading={loading}
-            />
-            <MonthlySection
-              monthlyOptions={monthlyOptions}
-              selectedMonthKey={selectedMonthKey}
-              setSelectedMonthKey={setSelectedMonthKey}
-              monthlyStats={monthlyStats}
-              loading={loading}
-            />
-          </div>
+          {/* ROW BAWAH: 2 kolom */}
+          <div className="app-row app-row-bottom">
+            {/* kiri: visual + ringkasan bulanan */}
+            <div className="dashboard-column col-bottom-left">
+              <VisualPowerPanel
+                logs={logs}
+                lastLog={lastLog}
+                asNumber={asNumber}
+                loading={loading}
+              />
+              <MonthlySection
+                monthlyOptions={monthlyOptions}
+                selectedMonthKey={selectedMonthKey}
+                setSelectedMonthKey={setSelectedMonthKey}
+                monthlyStats={monthlyStats}
+                onDownloadReport={handleDownloadReport}
+                reportLoading={reportLoading}
+                loading={loading}
+              />
+            </div>
 
-          {/* kanan: insight listrik & tagihan */}
-          <div className="dashboard-column col-bottom-right">
-            <InsightListrikSection
-              weeklyStats={weeklyStats}
-              lastLog={lastLog}
-              asNumber={asNumber}
-              budgetTarget={budgetTarget}
-              setBudgetTarget={setBudgetTarget}
-            />
+            {/* kanan: insight listrik, tagihan & kualitas daya */}
+            <div className="dashboard-column col-bottom-right">
+              <InsightListrikSection
+                weeklyStats={weeklyStats}
+                lastLog={lastLog}
+                asNumber={asNumber}
+                budgetTarget={budgetTarget}
+                setBudgetTarget={setBudgetTarget}
+                prepaidBalance={prepaidBalance}
+              />
+              {prepaidBalance && (
+                <PrepaidTokenSection
+                  prepaid={prepaid}
+                  balance={prepaidBalance}
+                  logs={logs}
+                  asNumber={asNumber}
+                  canEdit={can(role, 'token_entry')}
+                />
+              )}
+              <BillingCheckSection
+                energy={energy}
+                tariffs={tariffState.tariffs}
+                asNumber={asNumber}
+              />
+              <PowerQualitySection deviceId={deviceId} asNumber={asNumber} />
+              <PowerEventsSection deviceId={deviceId} />
+            </div>
           </div>
-        </div>
-      </main>
+        </main>
+      )}
     </div>
   )
 }
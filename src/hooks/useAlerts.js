@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { DEFAULT_ALERT_RULES, evaluateAlertRules } from '../lib/alerts'
+
+const MAX_STORED_ALERTS = 100
+const NOTIFY_STORAGE_KEY = 'pm_alert_notify'
+
+const rulesKey = deviceId => `pm_alert_rules:${deviceId}`
+const alertsKey = deviceId => `pm_alerts:${deviceId}`
+
+function loadJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : fallback
+  } catch {
+    return fallback
+  }
+}
+
+function showNotification(alert, describeAlert) {
+  if (typeof Notification === 'undefined') return
+  if (Notification.permission !== 'granted') return
+  try {
+    new Notification('Alert listrik', {
+      body: describeAlert(alert),
+      tag: `${alert.ruleId}:${alert.startedAt}`,
+      requireInteraction: alert.severity === 'critical'
+    })
+  } catch (err) {
+    console.error('[useAlerts] Notification error:', err)
+  }
+}
+
+// Status engine dari alert yang masih terbuka (terbaru di depan), supaya
+// setelah reload alert itu tetap bisa selesai dan rule yang masih dilanggar
+// tidak membuka alert dobel.
+function engineStateFromAlerts(alerts) {
+  const state = {}
+  alerts.forEach(a => {
+    if (a.endedAt || state[a.ruleId]) return
+    state[a.ruleId] = {
+      since: new Date(a.startedAt).getTime(),
+      active: true,
+      extreme: a.extreme ?? a.value
+    }
+  })
+  return state
+}
+
+// Alert center per device. Rule & riwayat alert disimpan di localStorage.
+// describeAlert(alert) -> teks untuk popup Notification API.
+export function useAlerts(deviceId, logs, describeAlert) {
+  const [rules, setRules] = useState(() =>
+    loadJson(rulesKey(deviceId), DEFAULT_ALERT_RULES)
+  )
+  const [alerts, setAlerts] = useState(() => loadJson(alertsKey(deviceId), []))
+  const [notifyEnabled, setNotifyEnabled] = useState(
+    () => localStorage.getItem(NOTIFY_STORAGE_KEY) === '1'
+  )
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  const engineStateRef = useRef({})
+  const lastEvaluatedTsRef = useRef(null)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setRules(loadJson(rulesKey(deviceId), DEFAULT_ALERT_RULES))
+    setAlerts(loadJson(alertsKey(deviceId), []))
+  }
+
+  useEffect(() => {
+    engineStateRef.current = engineStateFromAlerts(
+      loadJson(alertsKey(deviceId), [])
+    )
+    lastEvaluatedTsRef.current = null
+  }, [deviceId])
+
+  useEffect(() => {
+    localStorage.setItem(rulesKey(deviceId), JSON.stringify(rules))
+  }, [deviceId, rules])
+
+  useEffect(() => {
+    localStorage.setItem(alertsKey(deviceId), JSON.stringify(alerts))
+  }, [deviceId, alerts])
+
+  useEffect(() => {
+    localStorage.setItem(NOTIFY_STORAGE_KEY, notifyEnabled ? '1' : '0')
+  }, [notifyEnabled])
+
+  // Evaluasi setiap row baru. Saat pertama kali dimuat, cukup row terakhir
+  // supaya 30 hari riwayat tidak memicu alert lama.
+  useEffect(() => {
+    if (!logs.length) return
+    const lastSeen = lastEvaluatedTsRef.current
+    const rows =
+      lastSeen === null
+        ? [logs[logs.length - 1]]
+        : logs.filter(l => new Date(l.ts).getTime() > lastSeen)
+    if (!rows.length) return
+
+    let state = engineStateRef.current
+    const triggered = []
+    const resolved = []
+
+    rows.forEach(row => {
+      const result = evaluateAlertRules(rules, row, state)
+      state = result.state
+      result.events.forEach(ev => {
+        if (ev.type === 'trigger') triggered.push(ev)
+        else resolved.push(ev)
+      })
+    })
+
+    engineStateRef.current = state
+    lastEvaluatedTsRef.current = new Date(rows[rows.length - 1].ts).getTime()
+
+    if (!triggered.length && !resolved.length) return
+
+    const newAlerts = triggered.map(ev => ({
+      id: `${ev.rule.id}-${ev.ts}`,
+      ruleId: ev.rule.id,
+      field: ev.rule.field,
+      operator: ev.rule.operator,
+      threshold: ev.rule.threshold,
+      severity: ev.rule.severity,
+      value: ev.value,
+      extreme: ev.extreme,
+      startedAt: new Date(ev.ts).toISOString(),
+      endedAt: null,
+      acknowledged: false
+    }))
+
+    setAlerts(prev => {
+      const next = prev.map(a => {
+        if (a.endedAt) return a
+        const res = resolved.find(ev => ev.rule.id === a.ruleId)
+        return res
+          ? {
+              ...a,
+              endedAt: new Date(res.ts).toISOString(),
+              extreme: res.extreme ?? a.extreme
+            }
+          : a
+      })
+      return [...newAlerts, ...next].slice(0, MAX_STORED_ALERTS)
+    })
+
+    if (notifyEnabled) {
+      newAlerts.forEach(a => showNotification(a, describeAlert))
+    }
+  }, [logs, rules, notifyEnabled, describeAlert])
+
+  const acknowledge = useCallback(id => {
+    setAlerts(prev =>
+      prev.map(a => (a.id === id ? { ...a, acknowledged: true } : a))
+    )
+  }, [])
+
+  const clearAlert = useCallback(id => {
+    setAlerts(prev => prev.filter(a => a.id !== id))
+  }, [])
+
+  // hapus alert yang sudah selesai (kondisi normal kembali)
+  const clearResolved = useCallback(() => {
+    setAlerts(prev => prev.filter(a => !a.endedAt))
+  }, [])
+
+  const toggleNotifications = useCallback(async () => {
+    if (notifyEnabled) {
+      setNotifyEnabled(false)
+      return
+    }
+    if (typeof Notification === 'undefined') {
+      alert('Browser ini tidak mendukung notifikasi.')
+      return
+    }
+    const permission =
+      Notification.permission === 'granted'
+        ? 'granted'
+        : await Notification.requestPermission()
+    if (permission === 'granted') {
+      setNotifyEnabled(true)
+    } else {
+      alert('Izin notifikasi ditolak oleh browser.')
+    }
+  }, [notifyEnabled])
+
+  const activeCount = alerts.filter(a => !a.endedAt && !a.acknowledged).length
+
+  return {
+    rules,
+    setRules,
+    alerts,
+    activeCount,
+    acknowledge,
+    clearAlert,
+    clearResolved,
+    notifyEnabled,
+    toggleNotifications
+  }
+}
@@ -0,0 +1,159 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+// Sesi Supabase Auth + peran pengguna dari user_roles. Pengguna yang login
+// tapi belum punya baris user_roles dianggap viewer (sama dengan app_role()).
+export function useAuth() {
+  const [session, setSession] = useState(null)
+  const [sessionLoading, setSessionLoading] = useState(true)
+  const [roleState, setRoleState] = useState({ userId: null, role: null })
+  const [error, setError] = useState(null)
+  const user = session?.user || null
+  const userId = user?.id || null
+
+  useEffect(() => {
+    let cancelled = false
+
+    supabase.auth
+      .getSession()
+      .then(({ data, error: sessionError }) => {
+        if (cancelled) return
+        if (sessionError) {
+          console.error('[useAuth] Session error:', sessionError)
+          setError(sessionError.message)
+        }
+        setSession(data?.session || null)
+      })
+      .catch(err => {
+        if (cancelled) return
+        console.error('[useAuth] Session exception:', err)
+        setError(err.message || String(err))
+      })
+      .finally(() => {
+        if (!cancelled) setSessionLoading(false)
+      })
+
+    const {
+      data: { subscription }
+    } = supabase.auth.onAuthStateChange((_event, next) => {
+      setSession(next)
+    })
+
+    return () => {
+      cancelled = true
+      subscription.unsubscribe()
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!userId) return
+    let cancelled = false
+
+    // gagal membaca peran: tetap pakai peran yang sudah ada, atau viewer
+    // kalau belum ada, supaya layar "Memeriksa sesi login..." tidak tertahan
+    const fallbackRole = message => {
+      setError(message)
+      setRoleState(prev =>
+        prev.userId === userId ? prev : { userId, role: 'viewer' }
+      )
+    }
+
+    async function load() {
+      try {
+        const { data, error: fetchError } = await supabase
+          .from('user_roles')
+          .select('role')
+          .eq('user_id', userId)
+          .maybeSingle()
+
+        if (cancelled) return
+        if (fetchError) {
+          console.error('[useAuth] Fetch role error:', fetchError)
+          fallbackRole(fetchError.message)
+          return
+        }
+        setRoleState({ userId, role: data?.role || 'viewer' })
+      } catch (err) {
+        if (cancelled) return
+        console.error('[useAuth] Exception:', err)
+        fallbackRole(err.message || String(err))
+      }
+    }
+
+    load()
+
+    // peran diubah admin saat sesi berjalan: ikuti lewat realtime, plus
+    // ambil ulang saat tab kembali fokus kalau koneksi realtime sempat putus
+    const channel = supabase
+      .channel(`user_roles:${userId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'user_roles',
+          filter: `user_id=eq.${userId}`
+        },
+        () => load()
+      )
+      .subscribe(status => {
+        console.log('[Realtime user_roles] status:', status)
+      })
+
+    const handleFocus = () => load()
+    window.addEventListener('focus', handleFocus)
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+      window.removeEventListener('focus', handleFocus)
+    }
+  }, [userId])
+
+  const signIn = useCallback(async (email, password) => {
+    const { error: signInError } = await supabase.auth.signInWithPassword({
+      email,
+      password
+    })
+    if (signInError) {
+      console.error('[signIn] Error:', signInError)
+      throw signInError
+    }
+    setError(null)
+  }, [])
+
+  // return true kalau langsung login, false kalau perlu konfirmasi email
+  const signUp = useCallback(async (email, password) => {
+    const { data, error: signUpError } = await supabase.auth.signUp({
+      email,
+      password
+    })
+    if (signUpError) {
+      console.error('[signUp] Error:', signUpError)
+      throw signUpError
+    }
+    setError(null)
+    return !!data?.session
+  }, [])
+
+  const signOut = useCallback(async () => {
+    const { error: signOutError } = await supabase.auth.signOut()
+    if (signOutError) {
+      console.error('[signOut] Error:', signOutError)
+      throw signOutError
+    }
+  }, [])
+
+  const role = userId && roleState.userId === userId ? roleState.role : null
+
+  return {
+    session,
+    user,
+    role,
+    loading: sessionLoading || (!!userId && !role),
+    error,
+    signIn,
+    signUp,
+    signOut
+  }
+}
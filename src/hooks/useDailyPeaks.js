@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { PEAK_BUCKET_SECONDS } from '../lib/sites'
+
+const REFRESH_MS = 5 * 60 * 1000
+
+// Daya maks per bucket sejak tengah malam (lokal) untuk banyak device,
+// lewat RPC monitoring_log_buckets. Digabung dengan combinedPeak().
+// Hasil: { [device_id]: [{ bucket_ts, daya_aktif_w_max, ... }] }
+export function useDailyPeaks(deviceIds) {
+  const [series, setSeries] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [tick, setTick] = useState(0)
+
+  // array baru tiap render -> pakai key string sebagai dependency
+  const idsKey = deviceIds.join(',')
+
+  useEffect(() => {
+    const id = setInterval(() => setTick(t => t + 1), REFRESH_MS)
+    return () => clearInterval(id)
+  }, [])
+
+  useEffect(() => {
+    const ids = idsKey ? idsKey.split(',') : []
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const to = new Date()
+        const from = new Date(to)
+        from.setHours(0, 0, 0, 0)
+
+        const results = await Promise.all(
+          ids.map(id =>
+            supabase.rpc('monitoring_log_buckets', {
+              p_device_id: id,
+              p_from: from.toISOString(),
+              p_to: to.toISOString(),
+              p_bucket_seconds: PEAK_BUCKET_SECONDS,
+              p_origin: from.toISOString()
+            })
+          )
+        )
+
+        if (cancelled) return
+
+        const firstError = results.find(r => r.error)?.error
+        if (firstError) {
+          console.error('[useDailyPeaks] RPC error:', firstError)
+          setError(firstError.message)
+        } else {
+          setError(null)
+        }
+
+        const next = {}
+        ids.forEach((id, i) => {
+          next[id] = results[i].data || []
+        })
+        setSeries(next)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useDailyPeaks] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [idsKey, tick])
+
+  return { series, loading, error }
+}
@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { COMMAND_SOURCE } from '../lib/deviceCommands'
+
+const MAX_COMMANDS = 50
+
+// Antrian perintah device (device_commands), terbaru di atas, realtime
+// untuk perubahan status dari device. createdBy: email pengguna yang login.
+export function useDeviceCommands(deviceId, createdBy = COMMAND_SOURCE) {
+  const [commands, setCommands] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setCommands([])
+    setLoading(true)
+    setError(null)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const { data, error: fetchError } = await supabase
+          .from('device_commands')
+          .select('*')
+          .eq('device_id', deviceId)
+          .order('created_at', { ascending: false })
+          .limit(MAX_COMMANDS)
+
+        if (cancelled) return
+
+        if (fetchError) {
+          console.error('[useDeviceCommands] Fetch error:', fetchError)
+          setError(fetchError.message)
+        } else {
+          setCommands(data || [])
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useDeviceCommands] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const channel = supabase
+      .channel(`device_commands:${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'device_commands',
+          filter: `device_id=eq.${deviceId}`
+        },
+        payload => {
+          const row = payload.new
+          if (!row?.id) return
+          setCommands(prev => {
+            const idx = prev.findIndex(c => c.id === row.id)
+            if (idx === -1) return [row, ...prev].slice(0, MAX_COMMANDS)
+            const clone = [...prev]
+            clone[idx] = row
+            return clone
+          })
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime device_commands] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId])
+
+  // fields: kolom tambahan sesuai cmd_type (mis. meter_kwh_ref)
+  const sendCommand = useCallback(
+    async (cmdType, fields = {}) => {
+      const { data, error: insertError } = await supabase
+        .from('device_commands')
+        .insert({
+          device_id: deviceId,
+          cmd_type: cmdType,
+          status: 'queued',
+          created_by: createdBy,
+          ...fields
+        })
+        .select()
+        .maybeSingle()
+
+      if (insertError) {
+        console.error('[sendCommand] Error:', insertError)
+        throw insertError
+      }
+
+      if (data) {
+        setCommands(prev =>
+          prev.some(c => c.id === data.id)
+            ? prev
+            : [data, ...prev].slice(0, MAX_COMMANDS)
+        )
+      }
+      return data
+    },
+    [deviceId, createdBy]
+  )
+
+  return { commands, loading, error, sendCommand }
+}
@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+// Konfigurasi device: desired (dari dashboard) vs reported (dari firmware).
+export function useDeviceConfig(deviceId) {
+  const [config, setConfig] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setConfig(null)
+    setLoading(true)
+    setError(null)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const { data, error: fetchError } = await supabase
+          .from('device_config')
+          .select('*')
+          .eq('device_id', deviceId)
+          .maybeSingle()
+
+        if (cancelled) return
+
+        if (fetchError) {
+          console.error('[useDeviceConfig] Fetch error:', fetchError)
+          setError(fetchError.message)
+        } else {
+          setConfig(data || null)
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useDeviceConfig] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const channel = supabase
+      .channel(`device_config:${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'device_config',
+          filter: `device_id=eq.${deviceId}`
+        },
+        payload => {
+          if (payload.new?.device_id) setConfig(payload.new)
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime device_config] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId])
+
+  // patch: sebagian key desired, digabung dengan nilai yang sudah ada
+  const saveDesired = useCallback(
+    async patch => {
+      const desired = { ...(config?.desired || {}), ...patch }
+      const desiredAt = new Date().toISOString()
+      setConfig(prev => ({
+        ...(prev || { device_id: deviceId }),
+        desired,
+        desired_at: desiredAt
+      }))
+
+      const { error: saveError } = await supabase
+        .from('device_config')
+        .upsert(
+          { device_id: deviceId, desired, desired_at: desiredAt },
+          { onConflict: 'device_id' }
+        )
+
+      if (saveError) {
+        console.error('[saveDesired] Error:', saveError)
+        setError(saveError.message)
+        throw saveError
+      }
+    },
+    [deviceId, config]
+  )
+
+  return {
+    desired: config?.desired || {},
+    desiredAt: config?.desired_at || null,
+    reported: config?.reported || null,
+    reportedAt: config?.reported_at || null,
+    loading,
+    error,
+    saveDesired
+  }
+}
@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react'
+import { getDeviceStatus } from '../lib/dataGaps'
+
+const STATUS_TICK_MS = 5 * 1000
+
+// Status online/terlambat/offline yang ikut berubah walau tidak ada log baru
+export function useDeviceStatus(lastTs, intervalSec) {
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(new Date()), STATUS_TICK_MS)
+    return () => clearInterval(id)
+  }, [])
+
+  return getDeviceStatus(lastTs, intervalSec, now)
+}
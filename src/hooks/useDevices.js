@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+// Daftar device dari tabel `devices`. Kalau tabel kosong / belum dibuat,
+// tetap kembalikan fallbackId supaya dashboard lama tetap jalan.
+// Realtime supaya perubahan site / ruangan device langsung terlihat.
+export function useDevices(fallbackId) {
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const { data, error: fetchError } = await supabase
+          .from('devices')
+          .select('*')
+          .order('name', { ascending: true })
+
+        if (cancelled) return
+
+        if (fetchError) {
+          console.error('[useDevices] Fetch error:', fetchError)
+          setError(fetchError.message)
+          setDevices([])
+        } else {
+          setDevices(data || [])
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useDevices] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const channel = supabase
+      .channel('devices')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'devices' },
+        payload => {
+          if (payload.eventType === 'DELETE') {
+            const id = payload.old?.device_id
+            setDevices(prev => prev.filter(d => d.device_id !== id))
+            return
+          }
+          const row = payload.new
+          if (!row?.device_id) return
+          setDevices(prev =>
+            [...prev.filter(d => d.device_id !== row.device_id), row].sort(
+              (a, b) => (a.name || '').localeCompare(b.name || '')
+            )
+          )
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime devices] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [])
+
+  const list =
+    devices.length > 0
+      ? devices
+      : fallbackId
+        ? [{ device_id: fallbackId, name: fallbackId }]
+        : []
+
+  return { devices: list, loading, error }
+}
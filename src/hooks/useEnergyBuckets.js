@@ -0,0 +1,93 @@
+import { useEffect, useMemo, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { ENERGY_BUCKET_SECONDS, ENERGY_DAYS, logAsBucket } from '../lib/energy'
+
+const REFRESH_MS = 5 * 60 * 1000
+
+// Energi per jam ENERGY_DAYS hari terakhir lewat RPC
+// monitoring_log_energy_buckets. Log realtime yang lebih baru dari bucket
+// terakhir ditambahkan di ujung (logAsBucket) supaya angka tetap terkini di
+// antara refresh.
+export function useEnergyBuckets(deviceId, logs) {
+  const [buckets, setBuckets] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [tick, setTick] = useState(0)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setBuckets([])
+    setLoading(true)
+    setError(null)
+  }
+
+  useEffect(() => {
+    const id = setInterval(() => setTick(t => t + 1), REFRESH_MS)
+    return () => clearInterval(id)
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        // grid bucket dimulai tengah malam lokal supaya bucket jatuh
+        // utuh di satu hari
+        const to = new Date()
+        const from = new Date(to)
+        from.setDate(from.getDate() - ENERGY_DAYS)
+        from.setHours(0, 0, 0, 0)
+
+        const { data, error: rpcError } = await supabase.rpc(
+          'monitoring_log_energy_buckets',
+          {
+            p_device_id: deviceId,
+            p_from: from.toISOString(),
+            p_to: to.toISOString(),
+            p_bucket_seconds: ENERGY_BUCKET_SECONDS,
+            p_origin: from.toISOString()
+          }
+        )
+
+        if (cancelled) return
+
+        if (rpcError) {
+          console.error('[useEnergyBuckets] RPC error:', rpcError)
+          setError(`Energy error: ${rpcError.message}`)
+        } else {
+          setBuckets(data || [])
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useEnergyBuckets] Exception:', err)
+          setError(`Exception: ${err.message}`)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [deviceId, tick])
+
+  const merged = useMemo(() => {
+    // belum dimuat: jangan hitung dari log realtime saja (tidak lengkap)
+    if (loading && !buckets.length) return []
+    const lastTs = buckets.length ? buckets[buckets.length - 1].last_ts : null
+    const lastMs = lastTs ? new Date(lastTs).getTime() : -Infinity
+    const tail = logs
+      .filter(l => new Date(l.ts).getTime() > lastMs)
+      .map(logAsBucket)
+    return tail.length ? [...buckets, ...tail] : buckets
+  }, [buckets, logs, loading])
+
+  return { buckets: merged, loading, error }
+}
@@ -0,0 +1,130 @@
+import { useEffect, useId, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+// Snapshot terbaru (log terakhir + status relay) untuk banyak device sekaligus.
+// Hasil: { [device_id]: { lastLog, relays } }
+export function useFleetSnapshot(deviceIds) {
+  const [snapshots, setSnapshots] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  // supabase.channel() mengembalikan channel lama kalau namanya sama; Fleet
+  // dan Site bisa memantau device yang sama, jadi nama channel per instance
+  const instanceId = useId()
+
+  // array baru tiap render -> pakai key string sebagai dependency
+  const idsKey = deviceIds.join(',')
+
+  useEffect(() => {
+    const ids = idsKey ? idsKey.split(',') : []
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const lastLogResults = await Promise.all(
+          ids.map(id =>
+            supabase
+              .from('monitoring_log')
+              .select('*')
+              .eq('device_id', id)
+              .order('ts', { ascending: false })
+              .limit(1)
+              .maybeSingle()
+          )
+        )
+
+        const { data: relayRows, error: relayError } = ids.length
+          ? await supabase
+              .from('relay_channel')
+              .select('*')
+              .in('device_id', ids)
+              .order('channel', { ascending: true })
+          : { data: [], error: null }
+
+        if (cancelled) return
+
+        const firstError =
+          lastLogResults.find(r => r.error)?.error || relayError
+        if (firstError) {
+          console.error('[useFleetSnapshot] Fetch error:', firstError)
+          setError(firstError.message)
+        } else {
+          setError(null)
+        }
+
+        const next = {}
+        ids.forEach((id, i) => {
+          next[id] = {
+            lastLog: lastLogResults[i].data || null,
+            relays: (relayRows || []).filter(r => r.device_id === id)
+          }
+        })
+        setSnapshots(next)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useFleetSnapshot] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    if (!ids.length) {
+      return () => {
+        cancelled = true
+      }
+    }
+
+    const filter = `device_id=in.(${ids.join(',')})`
+
+    const channel = supabase
+      .channel(`fleet:${instanceId}:${idsKey}`)
+      .on(
+        'postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'monitoring_log', filter },
+        payload => {
+          const row = payload.new
+          setSnapshots(prev => {
+            const current = prev[row.device_id] || { lastLog: null, relays: [] }
+            // abaikan row yang lebih tua dari snapshot sekarang
+            if (
+              current.lastLog &&
+              new Date(current.lastLog.ts) > new Date(row.ts)
+            ) {
+              return prev
+            }
+            return { ...prev, [row.device_id]: { ...current, lastLog: row } }
+          })
+        }
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'relay_channel', filter },
+        payload => {
+          const row = payload.new
+          if (!row || !row.device_id) return
+          setSnapshots(prev => {
+            const current = prev[row.device_id] || { lastLog: null, relays: [] }
+            const relays = current.relays.filter(r => r.channel !== row.channel)
+            relays.push(row)
+            relays.sort((a, b) => a.channel - b.channel)
+            return { ...prev, [row.device_id]: { ...current, relays } }
+          })
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime fleet] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [idsKey, instanceId])
+
+  return { snapshots, loading, error }
+}
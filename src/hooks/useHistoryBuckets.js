@@ -0,0 +1,92 @@
+import { useEffect, useMemo, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { pickBucket, resolveRange } from '../lib/timeRange'
+
+// interval refresh untuk rentang relatif ("24 jam terakhir" ikut bergeser)
+const RELATIVE_REFRESH_MS = 60 * 1000
+
+// Riwayat teragregasi per bucket waktu lewat RPC monitoring_log_buckets
+export function useHistoryBuckets(deviceId, range) {
+  const [buckets, setBuckets] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [now, setNow] = useState(() => new Date())
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setBuckets([])
+    setLoading(true)
+    setError(null)
+  }
+
+  const isRelative = range?.preset !== 'custom'
+
+  useEffect(() => {
+    if (!isRelative) return
+    setNow(new Date())
+    const id = setInterval(() => setNow(new Date()), RELATIVE_REFRESH_MS)
+    return () => clearInterval(id)
+  }, [isRelative, range?.preset])
+
+  // custom range tidak bergantung pada `now`, jadi tidak perlu ikut refresh
+  const nowKey = isRelative ? now.getTime() : null
+  const { from, to } = useMemo(
+    () => resolveRange(range, nowKey ? new Date(nowKey) : new Date()),
+    [range, nowKey]
+  )
+  const bucket = useMemo(() => pickBucket(from, to), [from, to])
+
+  const fromIso = from.toISOString()
+  const toIso = to.toISOString()
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        // grid bucket dimulai tengah malam lokal supaya bucket harian rapi
+        const origin = new Date(fromIso)
+        origin.setHours(0, 0, 0, 0)
+
+        const { data, error: rpcError } = await supabase.rpc(
+          'monitoring_log_buckets',
+          {
+            p_device_id: deviceId,
+            p_from: fromIso,
+            p_to: toIso,
+            p_bucket_seconds: bucket.seconds,
+            p_origin: origin.toISOString()
+          }
+        )
+
+        if (cancelled) return
+
+        if (rpcError) {
+          console.error('[useHistoryBuckets] RPC error:', rpcError)
+          setError(`History error: ${rpcError.message}`)
+        } else {
+          setBuckets(data || [])
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useHistoryBuckets] Exception:', err)
+          setError(`Exception: ${err.message}`)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [deviceId, fromIso, toIso, bucket.seconds])
+
+  return { buckets, bucket, from, to, loading, error }
+}
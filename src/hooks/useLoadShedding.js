@@ -0,0 +1,115 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { DEFAULT_LOAD_SHEDDING } from '../lib/loadShedding'
+
+// Konfigurasi load shedding device + state terakhir dari worker.
+export function useLoadShedding(deviceId) {
+  const [config, setConfig] = useState(null)
+  const [state, setState] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setConfig(null)
+    setState(null)
+    setLoading(true)
+    setError(null)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const [configRes, stateRes] = await Promise.all([
+          supabase
+            .from('load_shedding')
+            .select('*')
+            .eq('device_id', deviceId)
+            .maybeSingle(),
+          supabase
+            .from('load_shedding_state')
+            .select('*')
+            .eq('device_id', deviceId)
+            .maybeSingle()
+        ])
+
+        if (cancelled) return
+
+        const firstError = configRes.error || stateRes.error
+        if (firstError) {
+          console.error('[useLoadShedding] Fetch error:', firstError)
+          setError(firstError.message)
+          return
+        }
+
+        setConfig(configRes.data || null)
+        setState(stateRes.data || null)
+        setError(null)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useLoadShedding] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const filter = `device_id=eq.${deviceId}`
+    const channel = supabase
+      .channel(`load_shedding:${deviceId}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'load_shedding', filter },
+        payload => {
+          if (payload.new?.device_id) setConfig(payload.new)
+        }
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'load_shedding_state', filter },
+        payload => {
+          if (payload.new?.device_id) setState(payload.new)
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime load_shedding] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId])
+
+  // next: konfigurasi lengkap (field yang kosong diisi default)
+  const saveConfig = useCallback(
+    async next => {
+      const row = { ...DEFAULT_LOAD_SHEDDING, ...next, device_id: deviceId }
+      setConfig(row)
+
+      const { error: saveError } = await supabase
+        .from('load_shedding')
+        .upsert(
+          { ...row, updated_at: new Date().toISOString() },
+          { onConflict: 'device_id' }
+        )
+
+      if (saveError) {
+        console.error('[saveLoadShedding] Error:', saveError)
+        setError(saveError.message)
+        throw saveError
+      }
+    },
+    [deviceId]
+  )
+
+  return { config, state, loading, error, saveConfig }
+}
@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+const MAX_EVENTS = 500
+
+// 'YYYY-MM-DD' (tanggal lokal) -> Date tengah malam lokal
+function parseDay(value) {
+  if (!value) return null
+  const [y, m, d] = value.split('-').map(Number)
+  if (!y || !m || !d) return null
+  return new Date(y, m - 1, d)
+}
+
+function matchesFilter(row, eventType, fromMs, toMs) {
+  if (eventType && row.event_type !== eventType) return false
+  const started = new Date(row.started_at).getTime()
+  if (fromMs !== null && started < fromMs) return false
+  if (toMs !== null && started >= toMs) return false
+  return true
+}
+
+// Event kualitas daya dari tabel power_events (diisi trigger database).
+// filter: { eventType: '' | key, fromDay: 'YYYY-MM-DD', toDay: 'YYYY-MM-DD' }
+export function usePowerEvents(deviceId, filter) {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setEvents([])
+    setLoading(true)
+    setError(null)
+  }
+
+  const eventType = filter?.eventType || ''
+  const fromDay = parseDay(filter?.fromDay)
+  const toDay = parseDay(filter?.toDay)
+  // tanggal "sampai" inklusif -> batas atas = tengah malam hari berikutnya
+  const fromMs = fromDay ? fromDay.getTime() : null
+  const toMs = toDay
+    ? new Date(
+        toDay.getFullYear(),
+        toDay.getMonth(),
+        toDay.getDate() + 1
+      ).getTime()
+    : null
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        let query = supabase
+          .from('power_events')
+          .select('*')
+          .eq('device_id', deviceId)
+          .order('started_at', { ascending: false })
+          .limit(MAX_EVENTS)
+
+        if (eventType) query = query.eq('event_type', eventType)
+        if (fromMs !== null) {
+          query = query.gte('started_at', new Date(fromMs).toISOString())
+        }
+        if (toMs !== null) {
+          query = query.lt('started_at', new Date(toMs).toISOString())
+        }
+
+        const { data, error: fetchError } = await query
+
+        if (cancelled) return
+
+        if (fetchError) {
+          console.error('[usePowerEvents] Fetch error:', fetchError)
+          setError(`Event error: ${fetchError.message}`)
+        } else {
+          setEvents(data || [])
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[usePowerEvents] Exception:', err)
+          setError(`Exception: ${err.message}`)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    // event baru / event yang selesai langsung tampil
+    const channel = supabase
+      .channel(`power_events:${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'power_events',
+          filter: `device_id=eq.${deviceId}`
+        },
+        payload => {
+          const row = payload.new
+          if (!row || !row.id) return
+          setEvents(prev => {
+            const rest = prev.filter(e => e.id !== row.id)
+            if (!matchesFilter(row, eventType, fromMs, toMs)) return rest
+            return [row, ...rest]
+              .sort((a, b) => new Date(b.started_at) - new Date(a.started_at))
+              .slice(0, MAX_EVENTS)
+          })
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime power_events] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId, eventType, fromMs, toMs])
+
+  return { events, loading, error }
+}
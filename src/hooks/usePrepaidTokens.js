@@ -0,0 +1,179 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { DEFAULT_PREPAID_LOW_KWH } from '../lib/prepaid'
+
+function sortEntries(rows) {
+  return [...rows].sort(
+    (a, b) => new Date(a.purchased_at) - new Date(b.purchased_at)
+  )
+}
+
+// Pembelian token / kalibrasi saldo (token_purchases) + mode tagihan device
+// (devices.billing_mode, devices.prepaid_low_kwh).
+export function usePrepaidTokens(deviceId) {
+  const [entries, setEntries] = useState([])
+  const [mode, setMode] = useState('postpaid')
+  const [lowKwh, setLowKwh] = useState(DEFAULT_PREPAID_LOW_KWH)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setEntries([])
+    setMode('postpaid')
+    setLowKwh(DEFAULT_PREPAID_LOW_KWH)
+    setLoading(true)
+    setError(null)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const [entriesRes, deviceRes] = await Promise.all([
+          supabase
+            .from('token_purchases')
+            .select('*')
+            .eq('device_id', deviceId)
+            .order('purchased_at', { ascending: true }),
+          supabase
+            .from('devices')
+            .select('billing_mode, prepaid_low_kwh')
+            .eq('device_id', deviceId)
+            .maybeSingle()
+        ])
+
+        if (cancelled) return
+
+        const firstError = entriesRes.error || deviceRes.error
+        if (firstError) {
+          console.error('[usePrepaidTokens] Fetch error:', firstError)
+          setError(firstError.message)
+          return
+        }
+
+        setEntries(entriesRes.data || [])
+        setMode(deviceRes.data?.billing_mode || 'postpaid')
+        setLowKwh(deviceRes.data?.prepaid_low_kwh ?? DEFAULT_PREPAID_LOW_KWH)
+        setError(null)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[usePrepaidTokens] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const channel = supabase
+      .channel(`token_purchases:${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'token_purchases',
+          filter: `device_id=eq.${deviceId}`
+        },
+        payload => {
+          if (payload.eventType === 'DELETE') {
+            const id = payload.old?.id
+            setEntries(prev => prev.filter(e => e.id !== id))
+            return
+          }
+          const row = payload.new
+          if (!row?.id) return
+          setEntries(prev =>
+            sortEntries([...prev.filter(e => e.id !== row.id), row])
+          )
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime token_purchases] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId])
+
+  const addEntry = useCallback(
+    async entry => {
+      const { data, error: insertError } = await supabase
+        .from('token_purchases')
+        .insert({ ...entry, device_id: deviceId })
+        .select()
+        .maybeSingle()
+
+      if (insertError) {
+        console.error('[addTokenEntry] Error:', insertError)
+        throw insertError
+      }
+
+      if (data) {
+        setEntries(prev =>
+          sortEntries([...prev.filter(e => e.id !== data.id), data])
+        )
+      }
+      return data
+    },
+    [deviceId]
+  )
+
+  const deleteEntry = useCallback(async id => {
+    const { error: deleteError } = await supabase
+      .from('token_purchases')
+      .delete()
+      .eq('id', id)
+
+    if (deleteError) {
+      console.error('[deleteTokenEntry] Error:', deleteError)
+      throw deleteError
+    }
+    setEntries(prev => prev.filter(e => e.id !== id))
+  }, [])
+
+  // patch: { billing_mode?, prepaid_low_kwh? }
+  const saveSettings = useCallback(
+    async patch => {
+      const { data, error: saveError } = await supabase
+        .from('devices')
+        .update(patch)
+        .eq('device_id', deviceId)
+        .select('device_id')
+
+      if (saveError) {
+        console.error('[savePrepaidSettings] Error:', saveError)
+        throw saveError
+      }
+      // tanpa baris kembali = tidak ada yang tersimpan (device / izin)
+      if (!data?.length) {
+        throw new Error(
+          'Pengaturan tidak tersimpan: device tidak ditemukan atau tanpa izin'
+        )
+      }
+      if (patch.billing_mode) setMode(patch.billing_mode)
+      if (patch.prepaid_low_kwh != null) setLowKwh(patch.prepaid_low_kwh)
+    },
+    [deviceId]
+  )
+
+  return {
+    entries,
+    mode,
+    lowKwh,
+    loading,
+    error,
+    addEntry,
+    deleteEntry,
+    saveSettings
+  }
+}
@@ -5,6 +5,16 @@ export function useRealtimeLogs(deviceId) {
   const [logs, setLogs] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  // Ganti device -> kosongkan data lama sebelum render berikutnya,
+  // supaya section tidak sempat memakai log milik device sebelumnya
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setLogs([])
+    setLoading(true)
+    setError(null)
+  }
 
   const asNumber = useCallback((value) => {
     if (typeof value === 'number') return value
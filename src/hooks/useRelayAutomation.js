@@ -0,0 +1,289 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+const LEASE_NAME = 'relay-automation'
+
+// key localStorage versi lama (otomasi jalan di browser), diimpor sekali
+// ke Supabase lalu dihapus
+const legacyAutoRulesKey = deviceId => `relayAutoRules:${deviceId}`
+const legacySchedulesKey = deviceId => `relaySchedules:${deviceId}`
+const LEGACY_LOCATION_KEY = 'pm_site_location'
+
+function readLegacy(key) {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+function legacyRows(deviceId, isDefaultDevice) {
+  const autoRules =
+    readLegacy(legacyAutoRulesKey(deviceId)) ||
+    (isDefaultDevice ? readLegacy('relayAutoRules') : null) ||
+    {}
+  const schedules = readLegacy(legacySchedulesKey(deviceId)) || {}
+  const channels = new Set([
+    ...Object.keys(autoRules),
+    ...Object.keys(schedules)
+  ])
+  return Array.from(channels).map(ch => ({
+    device_id: deviceId,
+    channel: Number(ch),
+    auto_rule: autoRules[ch] || null,
+    schedule: schedules[ch] || null
+  }))
+}
+
+function toMap(rows) {
+  const map = {}
+  ;(rows || []).forEach(r => {
+    map[r.channel] = r
+  })
+  return map
+}
+
+// Aturan otomasi relay di Supabase (dijalankan worker, bukan browser)
+// + hasil evaluasi terakhir dan status lease worker.
+export function useRelayAutomation(deviceId, { isDefaultDevice } = {}) {
+  const [automations, setAutomations] = useState({})
+  const [states, setStates] = useState({})
+  const [location, setLocation] = useState(null)
+  const [lease, setLease] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setAutomations({})
+    setStates({})
+    setLocation(null)
+    setLoading(true)
+    setError(null)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const [autoRes, stateRes, deviceRes, leaseRes] = await Promise.all([
+          supabase
+            .from('relay_automation')
+            .select('*')
+            .eq('device_id', deviceId),
+          supabase
+            .from('relay_automation_state')
+            .select('*')
+            .eq('device_id', deviceId),
+          supabase
+            .from('devices')
+            .select('latitude, longitude')
+            .eq('device_id', deviceId)
+            .maybeSingle(),
+          supabase
+            .from('automation_leases')
+            .select('*')
+            .eq('name', LEASE_NAME)
+            .maybeSingle()
+        ])
+
+        if (cancelled) return
+
+        const firstError =
+          autoRes.error || stateRes.error || deviceRes.error || leaseRes.error
+        if (firstError) {
+          console.error('[useRelayAutomation] Fetch error:', firstError)
+          setError(firstError.message)
+          return
+        }
+
+        let rows = autoRes.data || []
+        if (!rows.length) {
+          const legacy = legacyRows(deviceId, isDefaultDevice)
+          if (legacy.length) {
+            const { data, error: importError } = await supabase
+              .from('relay_automation')
+              .upsert(legacy, { onConflict: 'device_id,channel' })
+              .select()
+            if (cancelled) return
+            if (importError) {
+              console.error('[useRelayAutomation] Import error:', importError)
+            } else {
+              rows = data || legacy
+              localStorage.removeItem(legacyAutoRulesKey(deviceId))
+              localStorage.removeItem(legacySchedulesKey(deviceId))
+              console.log('[useRelayAutomation] aturan lokal diimpor')
+            }
+          }
+        }
+
+        let loc =
+          deviceRes.data?.latitude != null && deviceRes.data?.longitude != null
+            ? { lat: deviceRes.data.latitude, lon: deviceRes.data.longitude }
+            : null
+        const legacyLocation = readLegacy(LEGACY_LOCATION_KEY)
+        if (!loc && legacyLocation) {
+          const { data: saved, error: locError } = await supabase.rpc(
+            'set_device_location',
+            {
+              p_device_id: deviceId,
+              p_latitude: legacyLocation.lat,
+              p_longitude: legacyLocation.lon
+            }
+          )
+          if (locError || !saved) {
+            console.error(
+              '[useRelayAutomation] Import lokasi gagal:',
+              locError || 'tidak ada baris device yang diubah'
+            )
+          } else {
+            loc = legacyLocation
+          }
+        }
+
+        if (cancelled) return
+
+        setAutomations(toMap(rows))
+        setStates(toMap(stateRes.data))
+        setLocation(loc)
+        setLease(leaseRes.data || null)
+        setError(null)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useRelayAutomation] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const filter = `device_id=eq.${deviceId}`
+    const channel = supabase
+      .channel(`relay_automation:${deviceId}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'relay_automation', filter },
+        payload => {
+          const row = payload.new
+          if (!row || row.channel === undefined) return
+          setAutomations(prev => ({ ...prev, [row.channel]: row }))
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'relay_automation_state',
+          filter
+        },
+        payload => {
+          const row = payload.new
+          if (!row || row.channel === undefined) return
+          setStates(prev => ({ ...prev, [row.channel]: row }))
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'automation_leases',
+          filter: `name=eq.${LEASE_NAME}`
+        },
+        payload => {
+          if (payload.new?.name) setLease(payload.new)
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime relay_automation] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId, isDefaultDevice])
+
+  // patch: { auto_rule?, schedule? }
+  const saveAutomation = useCallback(
+    async (channelIndex, patch) => {
+      let previous
+      let optimistic
+      setAutomations(prev => {
+        previous = prev[channelIndex]
+        optimistic = {
+          ...previous,
+          device_id: deviceId,
+          channel: channelIndex,
+          ...patch
+        }
+        return { ...prev, [channelIndex]: optimistic }
+      })
+
+      const { error: saveError } = await supabase
+        .from('relay_automation')
+        .upsert(
+          {
+            device_id: deviceId,
+            channel: channelIndex,
+            ...patch,
+            updated_at: new Date().toISOString()
+          },
+          { onConflict: 'device_id,channel' }
+        )
+
+      if (saveError) {
+        console.error('[saveAutomation] Error:', saveError)
+        // kembalikan aturan sebelumnya, kecuali sudah ditimpa realtime
+        setAutomations(prev =>
+          prev[channelIndex] === optimistic
+            ? { ...prev, [channelIndex]: previous }
+            : prev
+        )
+        setError(saveError.message)
+        throw saveError
+      }
+    },
+    [deviceId]
+  )
+
+  const saveLocation = useCallback(
+    async next => {
+      // lewat RPC: operator tidak punya izin update langsung ke devices
+      const { data: saved, error: saveError } = await supabase.rpc(
+        'set_device_location',
+        { p_device_id: deviceId, p_latitude: next.lat, p_longitude: next.lon }
+      )
+
+      if (saveError) {
+        console.error('[saveLocation] Error:', saveError)
+        throw saveError
+      }
+      if (!saved) {
+        throw new Error('Lokasi tidak tersimpan: device tidak ditemukan')
+      }
+      setLocation(next)
+    },
+    [deviceId]
+  )
+
+  return {
+    automations,
+    states,
+    location,
+    lease,
+    loading,
+    error,
+    saveAutomation,
+    saveLocation
+  }
+}
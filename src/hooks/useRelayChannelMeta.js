@@ -0,0 +1,162 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { DEFAULT_RELAY_COUNT } from '../lib/relayChannels'
+
+// Metadata channel relay (relay_channel_meta) + jumlah relay di board
+// (devices.relay_count).
+export function useRelayChannelMeta(deviceId) {
+  const [meta, setMeta] = useState({})
+  const [relayCount, setRelayCount] = useState(DEFAULT_RELAY_COUNT)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setMeta({})
+    setRelayCount(DEFAULT_RELAY_COUNT)
+    setLoading(true)
+    setError(null)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const [metaRes, deviceRes] = await Promise.all([
+          supabase
+            .from('relay_channel_meta')
+            .select('*')
+            .eq('device_id', deviceId),
+          supabase
+            .from('devices')
+            .select('relay_count')
+            .eq('device_id', deviceId)
+            .maybeSingle()
+        ])
+
+        if (cancelled) return
+
+        const firstError = metaRes.error || deviceRes.error
+        if (firstError) {
+          console.error('[useRelayChannelMeta] Fetch error:', firstError)
+          setError(firstError.message)
+          return
+        }
+
+        const map = {}
+        ;(metaRes.data || []).forEach(r => {
+          map[r.channel] = r
+        })
+        setMeta(map)
+        setRelayCount(deviceRes.data?.relay_count || DEFAULT_RELAY_COUNT)
+        setError(null)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useRelayChannelMeta] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const channel = supabase
+      .channel(`relay_channel_meta:${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'relay_channel_meta',
+          filter: `device_id=eq.${deviceId}`
+        },
+        payload => {
+          const row = payload.new
+          if (!row || row.channel === undefined) return
+          setMeta(prev => ({ ...prev, [row.channel]: row }))
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime relay_channel_meta] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId])
+
+  // patch: { name?, icon?, rated_w?, room?, hidden? }
+  const saveMeta = useCallback(
+    async (channelIndex, patch) => {
+      let previous
+      let optimistic
+      setMeta(prev => {
+        previous = prev[channelIndex]
+        optimistic = {
+          ...previous,
+          device_id: deviceId,
+          channel: channelIndex,
+          ...patch
+        }
+        return { ...prev, [channelIndex]: optimistic }
+      })
+
+      const { error: saveError } = await supabase
+        .from('relay_channel_meta')
+        .upsert(
+          {
+            device_id: deviceId,
+            channel: channelIndex,
+            ...patch,
+            updated_at: new Date().toISOString()
+          },
+          { onConflict: 'device_id,channel' }
+        )
+
+      if (saveError) {
+        console.error('[saveRelayMeta] Error:', saveError)
+        // kembalikan metadata sebelumnya, kecuali sudah ditimpa realtime
+        setMeta(prev =>
+          prev[channelIndex] === optimistic
+            ? { ...prev, [channelIndex]: previous }
+            : prev
+        )
+        setError(saveError.message)
+        throw saveError
+      }
+    },
+    [deviceId]
+  )
+
+  const saveRelayCount = useCallback(
+    async count => {
+      const { data, error: saveError } = await supabase
+        .from('devices')
+        .update({ relay_count: count })
+        .eq('device_id', deviceId)
+        .select('device_id')
+
+      if (saveError) {
+        console.error('[saveRelayCount] Error:', saveError)
+        throw saveError
+      }
+      // update yang ditolak RLS tidak error, hanya 0 baris
+      if (!data?.length) {
+        throw new Error(
+          'Jumlah relay tidak tersimpan: device tidak ditemukan atau tanpa izin'
+        )
+      }
+      setRelayCount(count)
+    },
+    [deviceId]
+  )
+
+  return { meta, relayCount, loading, error, saveMeta, saveRelayCount }
+}
@@ -5,6 +5,15 @@ export function useRelayConfig(deviceId) {
   const [relays, setRelays] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  // Ganti device -> buang relay device sebelumnya
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setRelays([])
+    setLoading(true)
+    setError(null)
+  }
 
   // Fetch awal
   useEffect(() => {
@@ -42,7 +51,7 @@ export function useRelayConfig(deviceId) {
     load()
 
     const channel = supabase
-      .channel('relay_channel_changes')
+      .channel(`relay_channel:${deviceId}`)
       .on(
         'postgres_changes',
         {
@@ -64,7 +73,9 @@ export function useRelayConfig(deviceId) {
                 (r.id && r.id === row.id) ||
                 (r.device_id === row.device_id && r.channel === row.channel)
             )
-            if (idx === -1) return [...prev, row]
+            if (idx === -1) {
+              return [...prev, row].sort((a, b) => a.channel - b.channel)
+            }
             const clone = [...prev]
             clone[idx] = row
             return clone
@@ -121,5 +132,45 @@ export function useRelayConfig(deviceId) {
     [deviceId]
   )
 
-  return { relays, loading, error, toggleRelay }
+  // Buat baris relay_channel (OFF) untuk channel 0..count-1 yang belum ada.
+  // Baris yang sudah ada tidak disentuh.
+  const createChannels = useCallback(
+    async count => {
+      const rows = Array.from({ length: count }, (_, channel) => ({
+        device_id: deviceId,
+        channel,
+        state: false,
+        meta_by: 'web_setup',
+        meta_ts: new Date().toISOString()
+      }))
+
+      const { data, error } = await supabase
+        .from('relay_channel')
+        .upsert(rows, {
+          onConflict: 'device_id,channel',
+          ignoreDuplicates: true
+        })
+        .select()
+
+      if (error) {
+        console.error('[createChannels] Error:', error)
+        throw error
+      }
+
+      if (data?.length) {
+        setRelays(prev => {
+          const byChannel = new Map(prev.map(r => [r.channel, r]))
+          data.forEach(r => {
+            if (!byChannel.has(r.channel)) byChannel.set(r.channel, r)
+          })
+          return Array.from(byChannel.values()).sort(
+            (a, b) => a.channel - b.channel
+          )
+        })
+      }
+    },
+    [deviceId]
+  )
+
+  return { relays, loading, error, toggleRelay, createChannels }
 }
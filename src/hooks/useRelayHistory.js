@@ -0,0 +1,109 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+const MAX_ROWS = 2000
+// cukup untuk menemukan state terakhir tiap channel sebelum rentang
+const INITIAL_LOOKBACK_ROWS = 200
+
+// Riwayat perubahan relay pada [from, to] + state tiap channel tepat sebelum
+// `from` (supaya relay yang sudah ON sejak awal rentang tetap tergambar).
+export function useRelayHistory(deviceId, from, to) {
+  const [rows, setRows] = useState([])
+  const [initial, setInitial] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setRows([])
+    setInitial({})
+    setLoading(true)
+    setError(null)
+  }
+
+  const fromIso = from.toISOString()
+  const toIso = to.toISOString()
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const [rangeRes, beforeRes] = await Promise.all([
+          supabase
+            .from('relay_channel_history')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('changed_at', fromIso)
+            .lte('changed_at', toIso)
+            .order('changed_at', { ascending: true })
+            .limit(MAX_ROWS),
+          supabase
+            .from('relay_channel_history')
+            .select('*')
+            .eq('device_id', deviceId)
+            .lt('changed_at', fromIso)
+            .order('changed_at', { ascending: false })
+            .limit(INITIAL_LOOKBACK_ROWS)
+        ])
+
+        if (cancelled) return
+
+        const firstError = rangeRes.error || beforeRes.error
+        if (firstError) {
+          console.error('[useRelayHistory] Fetch error:', firstError)
+          setError(firstError.message)
+          return
+        }
+
+        const before = {}
+        ;(beforeRes.data || []).forEach(r => {
+          if (!(r.channel in before)) before[r.channel] = r
+        })
+
+        setRows(rangeRes.data || [])
+        setInitial(before)
+        setError(null)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useRelayHistory] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const channel = supabase
+      .channel(`relay_channel_history:${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'relay_channel_history',
+          filter: `device_id=eq.${deviceId}`
+        },
+        payload => {
+          const row = payload.new
+          if (!row || new Date(row.changed_at) < new Date(fromIso)) return
+          setRows(prev => [...prev, row])
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime relay_channel_history] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId, fromIso, toIso])
+
+  return { rows, initial, loading, error }
+}
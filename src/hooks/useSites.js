@@ -0,0 +1,178 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+function sortByName(rows) {
+  return [...rows].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+function upsertRow(rows, row) {
+  return sortByName([...rows.filter(r => r.id !== row.id), row])
+}
+
+// Daftar site & ruangan (tabel sites, rooms) + penempatan device.
+export function useSites() {
+  const [sites, setSites] = useState([])
+  const [rooms, setRooms] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const [sitesRes, roomsRes] = await Promise.all([
+          supabase.from('sites').select('*').order('name'),
+          supabase.from('rooms').select('*').order('name')
+        ])
+
+        if (cancelled) return
+
+        const firstError = sitesRes.error || roomsRes.error
+        if (firstError) {
+          console.error('[useSites] Fetch error:', firstError)
+          setError(firstError.message)
+          return
+        }
+
+        setSites(sitesRes.data || [])
+        setRooms(roomsRes.data || [])
+        setError(null)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useSites] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const handleChange = setRows => payload => {
+      if (payload.eventType === 'DELETE') {
+        const id = payload.old?.id
+        setRows(prev => prev.filter(r => r.id !== id))
+        return
+      }
+      const row = payload.new
+      if (!row?.id) return
+      setRows(prev => upsertRow(prev, row))
+    }
+
+    const channel = supabase
+      .channel('sites')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'sites' },
+        handleChange(setSites)
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'rooms' },
+        handleChange(setRooms)
+      )
+      .subscribe(status => {
+        console.log('[Realtime sites] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [])
+
+  const addSite = useCallback(async name => {
+    const { data, error: insertError } = await supabase
+      .from('sites')
+      .insert({ name })
+      .select()
+      .maybeSingle()
+
+    if (insertError) {
+      console.error('[addSite] Error:', insertError)
+      throw insertError
+    }
+    if (data) setSites(prev => upsertRow(prev, data))
+    return data
+  }, [])
+
+  // ruangan & penempatan device ikut terhapus / dilepas (on delete cascade /
+  // set null)
+  const deleteSite = useCallback(async id => {
+    const { error: deleteError } = await supabase
+      .from('sites')
+      .delete()
+      .eq('id', id)
+
+    if (deleteError) {
+      console.error('[deleteSite] Error:', deleteError)
+      throw deleteError
+    }
+    setSites(prev => prev.filter(s => s.id !== id))
+    setRooms(prev => prev.filter(r => r.site_id !== id))
+  }, [])
+
+  const addRoom = useCallback(async (siteId, name) => {
+    const { data, error: insertError } = await supabase
+      .from('rooms')
+      .insert({ site_id: siteId, name })
+      .select()
+      .maybeSingle()
+
+    if (insertError) {
+      console.error('[addRoom] Error:', insertError)
+      throw insertError
+    }
+    if (data) setRooms(prev => upsertRow(prev, data))
+    return data
+  }, [])
+
+  const deleteRoom = useCallback(async id => {
+    const { error: deleteError } = await supabase
+      .from('rooms')
+      .delete()
+      .eq('id', id)
+
+    if (deleteError) {
+      console.error('[deleteRoom] Error:', deleteError)
+      throw deleteError
+    }
+    setRooms(prev => prev.filter(r => r.id !== id))
+  }, [])
+
+  // placement: { site_id, room_id } (null = lepas dari site / ruangan).
+  // Daftar device diperbarui lewat realtime di useDevices.
+  const assignDevice = useCallback(async (deviceId, placement) => {
+    const { data, error: saveError } = await supabase
+      .from('devices')
+      .update(placement)
+      .eq('device_id', deviceId)
+      .select('device_id')
+
+    if (saveError) {
+      console.error('[assignDevice] Error:', saveError)
+      throw saveError
+    }
+    if (!data?.length) {
+      throw new Error(
+        'Device tidak dipindahkan: tidak ditemukan atau tanpa izin'
+      )
+    }
+  }, [])
+
+  return {
+    sites,
+    rooms,
+    loading,
+    error,
+    addSite,
+    deleteSite,
+    addRoom,
+    deleteRoom,
+    assignDevice
+  }
+}
@@ -0,0 +1,137 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+function sortTariffs(rows) {
+  return [...rows].sort((a, b) =>
+    b.effective_from.localeCompare(a.effective_from)
+  )
+}
+
+// Riwayat tarif device (tabel tariffs), terbaru di atas.
+export function useTariffs(deviceId) {
+  const [tariffs, setTariffs] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [prevDeviceId, setPrevDeviceId] = useState(deviceId)
+
+  if (deviceId !== prevDeviceId) {
+    setPrevDeviceId(deviceId)
+    setTariffs([])
+    setLoading(true)
+    setError(null)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const { data, error: fetchError } = await supabase
+          .from('tariffs')
+          .select('*')
+          .eq('device_id', deviceId)
+          .order('effective_from', { ascending: false })
+
+        if (cancelled) return
+
+        if (fetchError) {
+          console.error('[useTariffs] Fetch error:', fetchError)
+          setError(fetchError.message)
+        } else {
+          setTariffs(data || [])
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useTariffs] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    const channel = supabase
+      .channel(`tariffs:${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'tariffs',
+          filter: `device_id=eq.${deviceId}`
+        },
+        payload => {
+          if (payload.eventType === 'DELETE') {
+            const id = payload.old?.id
+            setTariffs(prev => prev.filter(t => t.id !== id))
+            return
+          }
+          const row = payload.new
+          if (!row?.id) return
+          setTariffs(prev =>
+            sortTariffs([...prev.filter(t => t.id !== row.id), row])
+          )
+        }
+      )
+      .subscribe(status => {
+        console.log('[Realtime tariffs] status:', status)
+      })
+
+    return () => {
+      cancelled = true
+      supabase.removeChannel(channel)
+    }
+  }, [deviceId])
+
+  // tarif dengan effective_from yang sama ditimpa (koreksi)
+  const saveTariff = useCallback(
+    async tariff => {
+      const { data, error: saveError } = await supabase
+        .from('tariffs')
+        .upsert(
+          { ...tariff, device_id: deviceId },
+          { onConflict: 'device_id,effective_from' }
+        )
+        .select()
+        .maybeSingle()
+
+      if (saveError) {
+        console.error('[saveTariff] Error:', saveError)
+        throw saveError
+      }
+
+      if (data) {
+        setTariffs(prev =>
+          sortTariffs([
+            ...prev.filter(
+              t => t.id !== data.id && t.effective_from !== data.effective_from
+            ),
+            data
+          ])
+        )
+      }
+      return data
+    },
+    [deviceId]
+  )
+
+  const deleteTariff = useCallback(async id => {
+    const { error: deleteError } = await supabase
+      .from('tariffs')
+      .delete()
+      .eq('id', id)
+
+    if (deleteError) {
+      console.error('[deleteTariff] Error:', deleteError)
+      throw deleteError
+    }
+    setTariffs(prev => prev.filter(t => t.id !== id))
+  }, [])
+
+  return { tariffs, loading, error, saveTariff, deleteTariff }
+}
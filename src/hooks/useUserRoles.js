@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+// Daftar pengguna & peran (user_roles). RLS hanya mengizinkan admin membaca
+// semua baris, jadi hook ini hanya dipakai di halaman admin.
+export function useUserRoles() {
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        setLoading(true)
+
+        const { data, error: fetchError } = await supabase
+          .from('user_roles')
+          .select('*')
+          .order('created_at', { ascending: true })
+
+        if (cancelled) return
+
+        if (fetchError) {
+          console.error('[useUserRoles] Fetch error:', fetchError)
+          setError(fetchError.message)
+          return
+        }
+
+        setUsers(data || [])
+        setError(null)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('[useUserRoles] Exception:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const saveRole = useCallback(async (userId, role) => {
+    const { data, error: saveError } = await supabase
+      .from('user_roles')
+      .update({ role })
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle()
+
+    if (saveError) {
+      console.error('[saveUserRole] Error:', saveError)
+      throw saveError
+    }
+    if (data) {
+      setUsers(prev => prev.map(u => (u.user_id === userId ? data : u)))
+    }
+  }, [])
+
+  return { users, loading, error, saveRole }
+}
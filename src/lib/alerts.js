@@ -0,0 +1,140 @@
+// Mesin alert ambang batas listrik.
+// Dievaluasi per row monitoring_log; durasi dihitung dari `ts` row (waktu
+// device), bukan jam browser, supaya hasilnya sama walau tab sempat tidur.
+
+export const ALERT_SEVERITIES = [
+  { key: 'info', label: 'Info' },
+  { key: 'warning', label: 'Peringatan' },
+  { key: 'critical', label: 'Kritis' }
+]
+
+// Batas awal yang umum untuk sambungan rumah 220 V / 50 Hz.
+// arus_a 10 A ~ MCB rumah 2200 VA; sesuaikan dengan rating MCB masing-masing.
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'v_low',
+    field: 'tegangan_v',
+    operator: '<',
+    threshold: 200,
+    durationSec: 10,
+    severity: 'warning',
+    enabled: true
+  },
+  {
+    id: 'v_high',
+    field: 'tegangan_v',
+    operator: '>',
+    threshold: 240,
+    durationSec: 10,
+    severity: 'warning',
+    enabled: true
+  },
+  {
+    id: 'i_high',
+    field: 'arus_a',
+    operator: '>',
+    threshold: 10,
+    durationSec: 5,
+    severity: 'critical',
+    enabled: true
+  },
+  {
+    id: 'f_low',
+    field: 'frekuensi_hz',
+    operator: '<',
+    threshold: 49.5,
+    durationSec: 10,
+    severity: 'warning',
+    enabled: true
+  },
+  {
+    id: 'f_high',
+    field: 'frekuensi_hz',
+    operator: '>',
+    threshold: 50.5,
+    durationSec: 10,
+    severity: 'warning',
+    enabled: true
+  },
+  {
+    id: 'pf_low',
+    field: 'faktor_daya',
+    operator: '<',
+    threshold: 0.85,
+    durationSec: 300,
+    severity: 'info',
+    enabled: true
+  }
+]
+
+function toNumber(value) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string') {
+    const n = parseFloat(value)
+    return Number.isFinite(n) ? n : NaN
+  }
+  return NaN
+}
+
+export function isRuleViolated(rule, value) {
+  if (Number.isNaN(value)) return false
+  return rule.operator === '<' ? value < rule.threshold : value > rule.threshold
+}
+
+// state: { [ruleId]: { since: ms | null, active: boolean, extreme: number } }
+// return: { state, events } dengan events =
+//   { type: 'trigger' | 'resolve', rule, value, extreme, ts }
+export function evaluateAlertRules(rules, log, prevState = {}) {
+  const ts = new Date(log.ts).getTime()
+  const state = { ...prevState }
+  const events = []
+
+  if (Number.isNaN(ts)) return { state, events }
+
+  rules.forEach(rule => {
+    const current = state[rule.id] || { since: null, active: false }
+
+    if (!rule.enabled) {
+      if (current.active) events.push({ type: 'resolve', rule, ts })
+      state[rule.id] = { since: null, active: false }
+      return
+    }
+
+    const value = toNumber(log[rule.field])
+    // data kosong: jangan ubah status, tunggu sampel berikutnya
+    if (Number.isNaN(value)) return
+
+    if (!isRuleViolated(rule, value)) {
+      if (current.active) {
+        events.push({
+          type: 'resolve',
+          rule,
+          value,
+          extreme: current.extreme,
+          ts
+        })
+      }
+      state[rule.id] = { since: null, active: false }
+      return
+    }
+
+    const since = current.since ?? ts
+    const extreme =
+      current.extreme === undefined
+        ? value
+        : rule.operator === '<'
+          ? Math.min(current.extreme, value)
+          : Math.max(current.extreme, value)
+    const lastedSec = (ts - since) / 1000
+
+    if (!current.active && lastedSec >= (rule.durationSec || 0)) {
+      events.push({ type: 'trigger', rule, value, extreme, ts: since })
+      state[rule.id] = { since, active: true, extreme }
+      return
+    }
+
+    state[rule.id] = { since, active: current.active, extreme }
+  })
+
+  return { state, events }
+}
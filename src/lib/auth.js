@@ -0,0 +1,37 @@
+// Peran pengguna dashboard (tabel user_roles, migrasi 0014). Izin di sini
+// hanya untuk menyembunyikan / menonaktifkan kontrol di UI; yang benar-benar
+// membatasi tulis ke database adalah policy RLS di migrasi tersebut.
+
+export const ROLES = ['viewer', 'operator', 'admin']
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  operator: 'Operator',
+  admin: 'Admin'
+}
+
+// izin -> peran minimal
+export const PERMISSIONS = {
+  relay_control: 'operator',
+  relay_automation: 'operator',
+  kwh_reset: 'operator',
+  token_entry: 'operator',
+  device_setup: 'admin',
+  manage_users: 'admin'
+}
+
+export function hasRole(role, min) {
+  const idx = ROLES.indexOf(role)
+  return idx >= 0 && idx >= ROLES.indexOf(min)
+}
+
+export function can(role, permission) {
+  const min = PERMISSIONS[permission]
+  return !!min && hasRole(role, min)
+}
+
+// meta_by / created_by per pengguna, mis. "web_manual:budi@contoh.id".
+// Database menimpa bagian email dari JWT (trigger stamp_web_actor).
+export function withActor(source, user) {
+  return user?.email ? `${source}:${user.email}` : source
+}
@@ -0,0 +1,317 @@
+// Perhitungan ulang tagihan di web, terpisah dari firmware.
+//
+// Energi dihitung dari selisih energi_total_kwh (bucket per jam dari RPC
+// monitoring_log_energy_buckets, lihat src/lib/energy.js; bukan dari
+// energi_harian_kwh device), lalu dikalikan tarif yang berlaku pada tanggal
+// tersebut (riwayat tabel tariffs; kalau belum ada, tarif dari log device).
+// Hasilnya dibandingkan dengan biaya yang dilaporkan firmware.
+//
+// Asumsi rumus (sama dengan firmware):
+//   energi = kWh x harga per kWh
+//   beban  = biaya beban bulanan / jumlah hari dalam bulan
+//   PPJ    = ppj % x (energi + beban), dibandingkan dengan ppj_harian_rp
+//   PBJT   = pbjt % x (energi + beban), dibandingkan dengan pbjt_harian_rp
+// Tarif dari log device hanya punya total pajak (tarif_pajak_persen), jadi
+// rincian PPJ / PBJT hanya dicek kalau tarif dari tabel tariffs.
+import { tariffAt, tariffTaxPct } from './tariffs'
+import { energyByDay, energySegments } from './energy'
+import { toDateKey } from './timeRange'
+
+// selisih tagihan dianggap wajar kalau <= salah satu batas ini
+export const BILLING_TOLERANCE_RP = 500
+export const BILLING_TOLERANCE_PCT = 2
+
+// selisih energi harian (web vs energi_harian_kwh device)
+export const ENERGY_TOLERANCE_KWH = 0.05
+export const ENERGY_TOLERANCE_PCT = 5
+
+export const BILLING_FLAGS = {
+  cost_mismatch: { label: 'Tagihan berbeda', severity: 'warning' },
+  energy_mismatch: { label: 'kWh berbeda', severity: 'warning' },
+  tax_mismatch: { label: 'PPJ / PBJT berbeda', severity: 'warning' },
+  kwh_reset: { label: 'kWh di-reset', severity: 'info' },
+  tariff_changed: { label: 'Tarif berubah', severity: 'info' },
+  device_tariff_differs: {
+    label: 'Tarif device beda',
+    severity: 'warning'
+  },
+  partial: { label: 'Data tidak lengkap', severity: 'info' }
+}
+
+function exceeds(diff, reference, absTol, pctTol) {
+  const abs = Math.abs(diff)
+  if (abs <= absTol) return false
+  return !(reference > 0 && (abs / reference) * 100 <= pctTol)
+}
+
+function bucketTariff(bucket, asNumber) {
+  const price = asNumber(bucket.tarif_harga_per_kwh)
+  if (Number.isNaN(price)) return null
+  return {
+    harga_per_kwh: price,
+    biaya_beban: asNumber(bucket.tarif_biaya_beban) || 0,
+    ppj_persen: null,
+    pbjt_persen: null,
+    pajak_persen: asNumber(bucket.tarif_pajak_persen) || 0
+  }
+}
+
+function maxField(day, key, value) {
+  if (!Number.isNaN(value) && (day[key] === null || value > day[key])) {
+    day[key] = value
+  }
+}
+
+function daysInMonthOf(dateKey) {
+  const [y, m] = dateKey.split('-').map(Number)
+  return new Date(y, m, 0).getDate()
+}
+
+// biaya satu hari dari kWh + tarif
+export function computeDayCost(energyKwh, tariff, daysInMonth) {
+  const energiRp = energyKwh * tariff.harga_per_kwh
+  const bebanRp = (tariff.biaya_beban || 0) / daysInMonth
+  const base = energiRp + bebanRp
+  const split = tariff.ppj_persen != null && tariff.pbjt_persen != null
+  const ppjRp = split ? (tariff.ppj_persen / 100) * base : null
+  const pbjtRp = split ? (tariff.pbjt_persen / 100) * base : null
+  const pajakRp =
+    ((split ? tariffTaxPct(tariff) : tariff.pajak_persen || 0) / 100) * base
+  return {
+    energiRp,
+    bebanRp,
+    ppjRp,
+    pbjtRp,
+    pajakRp,
+    totalRp: energiRp + bebanRp + pajakRp
+  }
+}
+
+// buckets: baris monitoring_log_energy_buckets, urut waktu naik.
+// tariffs: riwayat tarif (boleh kosong).
+// Hasil: { days, months, resets }; tanggal memakai zona waktu lokal.
+export function computeBilling(buckets, tariffs, asNumber) {
+  const dayMap = new Map()
+  const getDay = dateKey => {
+    let day = dayMap.get(dateKey)
+    if (!day) {
+      day = {
+        date: dateKey,
+        energyKwh: 0,
+        samples: 0,
+        resets: 0,
+        gap: false,
+        firstTs: null,
+        deviceTariff: null,
+        device: {
+          energyKwh: null,
+          energiRp: null,
+          bebanRp: null,
+          ppjRp: null,
+          pbjtRp: null,
+          totalRp: null,
+          monthTotalRp: null
+        }
+      }
+      dayMap.set(dateKey, day)
+    }
+    return day
+  }
+
+  buckets.forEach(b => {
+    const t = new Date(b.first_ts)
+    if (Number.isNaN(t.getTime())) return
+    const day = getDay(toDateKey(t))
+    day.samples += asNumber(b.samples) || 0
+    if (!day.firstTs) day.firstTs = t
+    day.deviceTariff = bucketTariff(b, asNumber) || day.deviceTariff
+
+    const d = day.device
+    maxField(d, 'energyKwh', asNumber(b.energi_harian_kwh_max))
+    maxField(d, 'energiRp', asNumber(b.biaya_energi_harian_rp_max))
+    maxField(d, 'bebanRp', asNumber(b.beban_harian_rp_max))
+    maxField(d, 'ppjRp', asNumber(b.ppj_harian_rp_max))
+    maxField(d, 'pbjtRp', asNumber(b.pbjt_harian_rp_max))
+    maxField(d, 'totalRp', asNumber(b.total_harian_rp_max))
+    maxField(d, 'monthTotalRp', asNumber(b.total_bulanan_rp_max))
+  })
+
+  // energi sejak reset ikut dihitung (lihat energySegments)
+  const { segments, resets } = energySegments(buckets, asNumber)
+  energyByDay(segments).forEach((energy, dateKey) => {
+    const day = getDay(dateKey)
+    day.energyKwh = energy.kwh
+    day.gap = energy.gap
+  })
+  resets.forEach(r => {
+    getDay(toDateKey(r.ts)).resets += 1
+  })
+
+  const sortedDays = Array.from(dayMap.values()).sort((a, b) =>
+    a.date.localeCompare(b.date)
+  )
+
+  let prevTariffId = null
+  const days = sortedDays.map((day, idx) => {
+    const [y, m, dd] = day.date.split('-').map(Number)
+    const stored = tariffAt(tariffs, new Date(y, m - 1, dd))
+    const tariff = stored || day.deviceTariff
+    const flags = []
+
+    // hari pertama di data: energi sebelum log pertama tidak terlihat.
+    // Hari yang kena celah data (device offline) juga tidak bisa
+    // dibandingkan: angka harian device hanya terbaca sampai sebelum celah.
+    const startOfDayMs = new Date(y, m - 1, dd).getTime()
+    const partial =
+      day.gap ||
+      !day.firstTs ||
+      (idx === 0 && day.firstTs.getTime() - startOfDayMs > 60 * 60 * 1000)
+    if (partial) flags.push('partial')
+    if (day.resets > 0) flags.push('kwh_reset')
+    if (stored && prevTariffId !== null && stored.id !== prevTariffId) {
+      flags.push('tariff_changed')
+    }
+    prevTariffId = stored?.id ?? prevTariffId
+
+    if (
+      stored &&
+      day.deviceTariff &&
+      Math.abs(stored.harga_per_kwh - day.deviceTariff.harga_per_kwh) > 0.01
+    ) {
+      flags.push('device_tariff_differs')
+    }
+
+    const cost = tariff
+      ? computeDayCost(day.energyKwh, tariff, daysInMonthOf(day.date))
+      : null
+    const deviceTax =
+      day.device.ppjRp !== null || day.device.pbjtRp !== null
+        ? (day.device.ppjRp || 0) + (day.device.pbjtRp || 0)
+        : null
+
+    const energyDiff =
+      day.device.energyKwh !== null
+        ? day.energyKwh - day.device.energyKwh
+        : null
+    if (
+      !partial &&
+      energyDiff !== null &&
+      exceeds(
+        energyDiff,
+        day.device.energyKwh,
+        ENERGY_TOLERANCE_KWH,
+        ENERGY_TOLERANCE_PCT
+      )
+    ) {
+      flags.push('energy_mismatch')
+    }
+
+    const diffRp =
+      cost && day.device.totalRp !== null
+        ? cost.totalRp - day.device.totalRp
+        : null
+    if (
+      !partial &&
+      diffRp !== null &&
+      exceeds(
+        diffRp,
+        day.device.totalRp,
+        BILLING_TOLERANCE_RP,
+        BILLING_TOLERANCE_PCT
+      )
+    ) {
+      flags.push('cost_mismatch')
+    }
+
+    const taxDiffers = key =>
+      cost?.[key] != null &&
+      day.device[key] !== null &&
+      exceeds(
+        cost[key] - day.device[key],
+        day.device[key],
+        BILLING_TOLERANCE_RP,
+        BILLING_TOLERANCE_PCT
+      )
+    if (!partial && (taxDiffers('ppjRp') || taxDiffers('pbjtRp'))) {
+      flags.push('tax_mismatch')
+    }
+
+    return {
+      date: day.date,
+      energyKwh: day.energyKwh,
+      samples: day.samples,
+      tariff,
+      tariffSource: stored ? 'web' : tariff ? 'device' : null,
+      cost,
+      device: { ...day.device, pajakRp: deviceTax },
+      energyDiff,
+      diffRp,
+      flags
+    }
+  })
+
+  return { days, months: summarizeMonths(days), resets }
+}
+
+// flag selisih per hari; bulan punya cek cost_mismatch sendiri
+const DAY_ONLY_FLAGS = ['cost_mismatch', 'energy_mismatch', 'tax_mismatch']
+
+function summarizeMonths(days) {
+  const map = new Map()
+  days.forEach(d => {
+    const key = d.date.slice(0, 7)
+    const month = map.get(key) || {
+      key,
+      energyKwh: 0,
+      totalRp: 0,
+      deviceTotalRp: null,
+      days: 0,
+      flags: new Set()
+    }
+    month.energyKwh += d.energyKwh
+    month.totalRp += d.cost?.totalRp || 0
+    month.days += 1
+    if (d.device.monthTotalRp !== null) {
+      month.deviceTotalRp = Math.max(
+        month.deviceTotalRp ?? 0,
+        d.device.monthTotalRp
+      )
+    }
+    d.flags.forEach(f => {
+      if (!DAY_ONLY_FLAGS.includes(f)) month.flags.add(f)
+    })
+    map.set(key, month)
+  })
+
+  return Array.from(map.values()).map(m => {
+    // bulan yang tidak dimulai tanggal 1 di data tidak bisa dibandingkan
+    const firstDay = days.find(d => d.date.startsWith(m.key))
+    const partial =
+      !firstDay.date.endsWith('-01') || firstDay.flags.includes('partial')
+    const flags = Array.from(m.flags)
+    if (partial && !flags.includes('partial')) flags.push('partial')
+
+    const diffRp = m.deviceTotalRp !== null ? m.totalRp - m.deviceTotalRp : null
+    if (
+      !partial &&
+      diffRp !== null &&
+      exceeds(
+        diffRp,
+        m.deviceTotalRp,
+        BILLING_TOLERANCE_RP,
+        BILLING_TOLERANCE_PCT
+      )
+    ) {
+      flags.push('cost_mismatch')
+    }
+    return {
+      key: m.key,
+      energyKwh: m.energyKwh,
+      totalRp: m.totalRp,
+      deviceTotalRp: m.deviceTotalRp,
+      days: m.days,
+      diffRp,
+      flags
+    }
+  })
+}
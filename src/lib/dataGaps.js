@@ -0,0 +1,182 @@
+// Status online device & deteksi jeda data (gap) dari interval sampling.
+// Interval diperkirakan dari selisih ts antar-log, jadi ikut otomatis kalau
+// interval kirim firmware diubah.
+
+// dipakai kalau log belum cukup untuk menebak interval
+export const DEFAULT_SAMPLE_INTERVAL_SEC = 10
+
+// lebih dari 3x interval tanpa data -> "terlambat", lebih dari 10x -> offline
+const STALE_FACTOR = 3
+const OFFLINE_FACTOR = 10
+const MIN_OFFLINE_SEC = 60
+
+// selisih antar-log lebih dari 3x interval dihitung sebagai jeda data
+const GAP_FACTOR = 3
+
+export const DEVICE_STATUSES = {
+  online: { label: 'Online' },
+  stale: { label: 'Terlambat' },
+  offline: { label: 'Offline' },
+  unknown: { label: 'Belum ada data' }
+}
+
+function toMs(ts) {
+  const t = new Date(ts).getTime()
+  return Number.isNaN(t) ? null : t
+}
+
+// median selisih antar 50 log terakhir (detik)
+export function estimateSampleInterval(logs, sampleCount = 50) {
+  const recent = logs.slice(-(sampleCount + 1))
+  const diffs = []
+  for (let i = 1; i < recent.length; i++) {
+    const a = toMs(recent[i - 1].ts)
+    const b = toMs(recent[i].ts)
+    if (a !== null && b !== null && b > a) diffs.push((b - a) / 1000)
+  }
+  if (!diffs.length) return DEFAULT_SAMPLE_INTERVAL_SEC
+  diffs.sort((a, b) => a - b)
+  return Math.max(1, diffs[Math.floor(diffs.length / 2)])
+}
+
+export function gapThresholdSec(intervalSec) {
+  return intervalSec * GAP_FACTOR
+}
+
+// { status: 'online' | 'stale' | 'offline' | 'unknown', ageSec }
+export function getDeviceStatus(lastTs, intervalSec, now = new Date()) {
+  const last = lastTs ? toMs(lastTs) : null
+  if (last === null) return { status: 'unknown', ageSec: null }
+  const ageSec = Math.max(0, (now.getTime() - last) / 1000)
+  if (ageSec <= intervalSec * STALE_FACTOR) return { status: 'online', ageSec }
+  if (ageSec <= Math.max(intervalSec * OFFLINE_FACTOR, MIN_OFFLINE_SEC)) {
+    return { status: 'stale', ageSec }
+  }
+  return { status: 'offline', ageSec }
+}
+
+// Log terlalu lama untuk dasar keputusan otomatis (device terlambat /
+// offline menurut getDeviceStatus). Dipakai juga worker Node.
+export function isLogStale(log, intervalSec, now = new Date()) {
+  return getDeviceStatus(log?.ts, intervalSec, now).status !== 'online'
+}
+
+// Jeda data di antara log: [{ from, to }] dalam ms.
+// opts.from / opts.to (ms) ikut menghitung jeda di awal / akhir rentang.
+export function detectGaps(logs, intervalSec, opts = {}) {
+  const thresholdMs = gapThresholdSec(intervalSec) * 1000
+  const times = logs.map(l => toMs(l.ts)).filter(t => t !== null)
+  const gaps = []
+
+  if (!times.length) {
+    if (opts.from != null && opts.to != null && opts.to > opts.from) {
+      gaps.push({ from: opts.from, to: opts.to })
+    }
+    return gaps
+  }
+
+  if (opts.from != null && times[0] - opts.from > thresholdMs) {
+    gaps.push({ from: opts.from, to: times[0] })
+  }
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] - times[i - 1] > thresholdMs) {
+      gaps.push({ from: times[i - 1], to: times[i] })
+    }
+  }
+  const last = times[times.length - 1]
+  if (opts.to != null && opts.to - last > thresholdMs) {
+    gaps.push({ from: last, to: opts.to })
+  }
+  return gaps
+}
+
+// Bucket yang hilang dari hasil RPC monitoring_log_buckets = tidak ada data
+export function detectBucketGaps(buckets, bucketSeconds, from, to) {
+  const width = bucketSeconds * 1000
+  const starts = buckets.map(b => toMs(b.bucket_ts)).filter(t => t !== null)
+  const gaps = []
+  let cursor = from
+  starts.forEach(start => {
+    if (start - cursor > width) gaps.push({ from: cursor, to: start })
+    cursor = Math.max(cursor, start + width)
+  })
+  if (to - cursor > width) gaps.push({ from: cursor, to })
+  return gaps
+}
+
+// gabungkan gap yang tumpang tindih, hasil terurut
+export function mergeGaps(...lists) {
+  const all = lists
+    .flat()
+    .filter(g => g.to > g.from)
+    .sort((a, b) => a.from - b.from)
+  const merged = []
+  all.forEach(g => {
+    const prev = merged[merged.length - 1]
+    if (prev && g.from <= prev.to) prev.to = Math.max(prev.to, g.to)
+    else merged.push({ ...g })
+  })
+  return merged
+}
+
+// total ms gap yang jatuh di [from, to]
+export function gapOverlapMs(gaps, from, to) {
+  return gaps.reduce(
+    (sum, g) => sum + Math.max(0, Math.min(g.to, to) - Math.max(g.from, from)),
+    0
+  )
+}
+
+// Uptime per hari (hari lokal) untuk `days` hari terakhir, dari jumlah sampel
+// per bucket RPC monitoring_log_buckets: waktu berdata satu bucket =
+// sampel x interval, paling lama selebar bucket. Hari sebelum bucket pertama
+// dianggap belum ada data (uptimePct null).
+export function computeDailyUptime(
+  buckets,
+  bucketSeconds,
+  intervalSec,
+  days = 7,
+  now = new Date()
+) {
+  const widthMs = bucketSeconds * 1000
+  const starts = buckets.map(b => toMs(b.bucket_ts))
+  const firstTs = starts.find(t => t !== null) ?? null
+  const windowStart = new Date(now)
+  windowStart.setHours(0, 0, 0, 0)
+  windowStart.setDate(windowStart.getDate() - (days - 1))
+
+  const result = []
+  for (let i = 0; i < days; i++) {
+    const dayStart = new Date(windowStart)
+    dayStart.setDate(windowStart.getDate() + i)
+    const dayEnd = new Date(dayStart)
+    dayEnd.setDate(dayStart.getDate() + 1)
+
+    const from = dayStart.getTime()
+    const to = Math.min(dayEnd.getTime(), now.getTime())
+    const spanMs = to - from
+
+    if (firstTs === null || firstTs >= dayEnd.getTime() || spanMs <= 0) {
+      result.push({ date: dayStart, uptimePct: null, gapMs: 0 })
+      continue
+    }
+
+    // sebelum data pertama bukan downtime, device memang belum terpasang
+    const coveredFrom = Math.max(from, firstTs)
+    const coveredMs = to - coveredFrom
+    let dataMs = 0
+    buckets.forEach((b, idx) => {
+      const start = starts[idx]
+      if (start === null || start < coveredFrom || start >= to) return
+      const samplesMs = (Number(b.samples) || 0) * intervalSec * 1000
+      dataMs += Math.min(Math.min(start + widthMs, to) - start, samplesMs)
+    })
+    const gapMs = Math.max(0, coveredMs - dataMs)
+    result.push({
+      date: dayStart,
+      uptimePct: coveredMs > 0 ? ((coveredMs - gapMs) / coveredMs) * 100 : null,
+      gapMs
+    })
+  }
+  return result
+}
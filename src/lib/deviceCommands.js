@@ -0,0 +1,64 @@
+// Perintah ke device lewat tabel device_commands.
+
+export const COMMAND_STATUSES = [
+  { key: 'queued', label: 'Antri' },
+  { key: 'delivered', label: 'Diterima device' },
+  { key: 'executed', label: 'Selesai' },
+  { key: 'failed', label: 'Gagal' }
+]
+
+export const COMMAND_TYPE_LABELS = {
+  reset_kwh: 'Reset kWh meter',
+  reboot: 'Restart device',
+  set_interval: 'Ubah interval logging',
+  set_ntp: 'Ubah NTP & zona waktu',
+  set_energy_ref: 'Kalibrasi energi PZEM',
+  toggle_sensor: 'Aktif/nonaktif sensor',
+  set_tariff: 'Kirim tarif listrik'
+}
+
+// perintah yang belum selesai selama ini dianggap macet
+export const COMMAND_STALE_MS = 2 * 60 * 1000
+
+// sumber perintah dari dashboard kalau tidak ada pengguna login
+export const COMMAND_SOURCE = 'web_dashboard'
+
+export function commandStatusLabel(status) {
+  return COMMAND_STATUSES.find(s => s.key === status)?.label || 'Tidak tercatat'
+}
+
+export function commandTypeLabel(cmdType) {
+  return COMMAND_TYPE_LABELS[cmdType] || cmdType
+}
+
+export function isCommandInFlight(command) {
+  return command?.status === 'queued' || command?.status === 'delivered'
+}
+
+export function isCommandStale(command, now = new Date()) {
+  if (!isCommandInFlight(command)) return false
+  const created = new Date(command.created_at).getTime()
+  return !Number.isNaN(created) && now.getTime() - created > COMMAND_STALE_MS
+}
+
+function formatEntries(obj) {
+  return Object.entries(obj)
+    .map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`)
+    .join(', ')
+}
+
+// result jsonb -> teks singkat untuk tabel
+export function formatCommandResult(command) {
+  if (command?.error) return command.error
+  const result = command?.result
+  if (result == null) return '-'
+  if (typeof result !== 'object') return String(result)
+  return formatEntries(result)
+}
+
+// payload jsonb (parameter perintah konfigurasi) -> teks singkat
+export function formatCommandPayload(command) {
+  const payload = command?.payload
+  if (!payload || typeof payload !== 'object') return ''
+  return formatEntries(payload)
+}
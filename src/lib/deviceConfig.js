@@ -0,0 +1,198 @@
+// Perintah konfigurasi device (device_commands.payload) + pemetaan ke
+// konfigurasi yang diinginkan (device_config.desired). Device melaporkan
+// konfigurasi aktualnya ke device_config.reported dengan key yang sama.
+
+export const DEVICE_SENSORS = [
+  { key: 'pzem', label: 'PZEM004T (listrik)' },
+  { key: 'bme280', label: 'BME280 (suhu/kelembapan)' },
+  { key: 'bh1750', label: 'BH1750 (cahaya)' }
+]
+
+export const DEVICE_TIMEZONES = [
+  { key: 'Asia/Jakarta', label: 'WIB (UTC+7)', posix: 'WIB-7' },
+  { key: 'Asia/Makassar', label: 'WITA (UTC+8)', posix: 'WITA-8' },
+  { key: 'Asia/Jayapura', label: 'WIT (UTC+9)', posix: 'WIT-9' }
+]
+
+// baris tabel "diinginkan vs dilaporkan"
+export const CONFIG_FIELDS = [
+  { key: 'interval_sec', label: 'Interval logging', unit: 'dtk' },
+  { key: 'ntp_server', label: 'Server NTP' },
+  { key: 'timezone', label: 'Zona waktu' },
+  // device melaporkan referensi terakhir yang diterapkan, bukan energi
+  // total saat ini
+  { key: 'energy_ref_kwh', label: 'Referensi energi PZEM', unit: 'kWh' },
+  ...DEVICE_SENSORS.map(s => ({
+    key: `sensor_${s.key}`,
+    label: `Sensor ${s.label}`,
+    boolean: true
+  }))
+]
+
+// info yang hanya dilaporkan device (tidak bisa diubah dari dashboard)
+export const DEVICE_INFO_FIELDS = [
+  { key: 'firmware', label: 'Firmware' },
+  { key: 'wifi_ssid', label: 'WiFi SSID' },
+  { key: 'wifi_rssi', label: 'Sinyal WiFi', unit: 'dBm' },
+  { key: 'ip', label: 'Alamat IP' }
+]
+
+const HOSTNAME_RE =
+  /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i
+
+// fields: { key, label, type: number|text|select|checkbox, ... }
+// validate(values) -> { [key]: pesan } ; toPayload(values) -> payload jsonb
+// toConfig(payload) -> patch untuk device_config.desired
+export const CONFIG_COMMANDS = [
+  {
+    type: 'reboot',
+    label: 'Restart device',
+    description: 'Device restart dan tidak mengirim data selama ±30 detik.',
+    confirm: 'Yakin restart device sekarang?',
+    fields: [],
+    validate: () => ({}),
+    toPayload: () => ({}),
+    toConfig: () => null
+  },
+  {
+    type: 'set_interval',
+    label: 'Interval logging',
+    description: 'Seberapa sering device mengirim baris monitoring_log.',
+    fields: [
+      {
+        key: 'interval_sec',
+        label: 'Interval (detik)',
+        type: 'number',
+        min: 2,
+        max: 3600
+      }
+    ],
+    validate: v => {
+      const n = Number(v.interval_sec)
+      if (!Number.isInteger(n) || n < 2 || n > 3600) {
+        return { interval_sec: 'Bilangan bulat 2–3600 detik.' }
+      }
+      return {}
+    },
+    toPayload: v => ({ interval_sec: Number(v.interval_sec) }),
+    toConfig: p => ({ interval_sec: p.interval_sec })
+  },
+  {
+    type: 'set_ntp',
+    label: 'NTP & zona waktu',
+    description: 'Sumber jam device; dipakai untuk reset harian & bulanan.',
+    fields: [
+      { key: 'ntp_server', label: 'Server NTP', type: 'text' },
+      {
+        key: 'timezone',
+        label: 'Zona waktu',
+        type: 'select',
+        options: DEVICE_TIMEZONES.map(t => ({ value: t.key, label: t.label }))
+      }
+    ],
+    validate: v => {
+      const errors = {}
+      if (!HOSTNAME_RE.test(String(v.ntp_server || '').trim())) {
+        errors.ntp_server = 'Hostname tidak valid, mis. id.pool.ntp.org.'
+      }
+      if (!DEVICE_TIMEZONES.some(t => t.key === v.timezone)) {
+        errors.timezone = 'Pilih zona waktu.'
+      }
+      return errors
+    },
+    toPayload: v => ({
+      ntp_server: String(v.ntp_server).trim(),
+      timezone: v.timezone,
+      // firmware memakai format POSIX TZ
+      tz_posix: DEVICE_TIMEZONES.find(t => t.key === v.timezone)?.posix
+    }),
+    toConfig: p => ({ ntp_server: p.ntp_server, timezone: p.timezone })
+  },
+  {
+    type: 'set_energy_ref',
+    label: 'Referensi energi PZEM',
+    description:
+      'Samakan energi total device dengan angka kWh meter PLN (kalibrasi).',
+    fields: [
+      {
+        key: 'energy_ref_kwh',
+        label: 'Energi total (kWh)',
+        type: 'number',
+        min: 0,
+        max: 9999999,
+        step: 0.01
+      }
+    ],
+    validate: v => {
+      const n = Number(v.energy_ref_kwh)
+      if (v.energy_ref_kwh === '' || !Number.isFinite(n) || n < 0) {
+        return { energy_ref_kwh: 'Angka kWh >= 0.' }
+      }
+      if (n > 9999999) return { energy_ref_kwh: 'Terlalu besar.' }
+      return {}
+    },
+    toPayload: v => ({ energy_ref_kwh: Number(v.energy_ref_kwh) }),
+    toConfig: p => ({ energy_ref_kwh: p.energy_ref_kwh })
+  },
+  {
+    type: 'toggle_sensor',
+    label: 'Aktif/nonaktif sensor',
+    description:
+      'Sensor nonaktif tidak dibaca; kolomnya dikirim kosong (null).',
+    fields: [
+      {
+        key: 'sensor',
+        label: 'Sensor',
+        type: 'select',
+        options: DEVICE_SENSORS.map(s => ({ value: s.key, label: s.label }))
+      },
+      { key: 'enabled', label: 'Aktif', type: 'checkbox' }
+    ],
+    validate: v =>
+      DEVICE_SENSORS.some(s => s.key === v.sensor)
+        ? {}
+        : { sensor: 'Pilih sensor.' },
+    toPayload: v => ({ sensor: v.sensor, enabled: !!v.enabled }),
+    toConfig: p => ({ [`sensor_${p.sensor}`]: p.enabled })
+  }
+]
+
+// nilai awal form: dari konfigurasi yang dilaporkan / diinginkan
+export function initialCommandValues(command, config) {
+  const values = {}
+  command.fields.forEach(f => {
+    if (f.type === 'checkbox') {
+      values[f.key] = config?.[`sensor_${values.sensor}`] ?? true
+    } else if (config?.[f.key] != null) {
+      values[f.key] = config[f.key]
+    } else if (f.type === 'select') {
+      values[f.key] = f.options[0]?.value ?? ''
+    } else {
+      values[f.key] = ''
+    }
+  })
+  return values
+}
+
+// synced | pending | unknown (device belum melapor key ini) | null (tidak
+// ada nilai yang diinginkan)
+export function configFieldStatus(field, desired, reported) {
+  const want = desired?.[field.key]
+  if (want === undefined || want === null) return null
+  const got = reported?.[field.key]
+  if (got === undefined || got === null) return 'unknown'
+  if (field.boolean) return !!want === !!got ? 'synced' : 'pending'
+  if (typeof want === 'number') {
+    return Math.abs(Number(got) - want) < 0.01 ? 'synced' : 'pending'
+  }
+  return String(got) === String(want) ? 'synced' : 'pending'
+}
+
+export function formatConfigValue(field, value) {
+  if (value === undefined || value === null || value === '') return '-'
+  if (field.boolean) return value ? 'Aktif' : 'Nonaktif'
+  if (field.key === 'timezone') {
+    return DEVICE_TIMEZONES.find(t => t.key === value)?.label || value
+  }
+  return field.unit ? `${value} ${field.unit}` : String(value)
+}
@@ -0,0 +1,153 @@
+// Energi terpakai dari baris RPC monitoring_log_energy_buckets (0016).
+//
+// Tiap bucket membawa energi di dalam bucket (selisih energi_total_kwh yang
+// sudah dihitung server) plus log pertama / terakhirnya. Selisih antar
+// bucket dihitung di sini; kalau ada celah (device offline), energinya
+// dibagi rata sepanjang celah, bukan ditumpuk di hari log berikutnya.
+import { toDateKey } from './timeRange'
+
+// riwayat yang dimuat untuk verifikasi tagihan & prediksi token; bucket per
+// jam -> 30 x 24 baris, tetap di bawah batas baris PostgREST (1000)
+export const ENERGY_DAYS = 30
+export const ENERGY_BUCKET_SECONDS = 60 * 60
+
+// jarak antar log lebih dari ini = data hilang (hari ditandai tidak lengkap)
+export const ENERGY_GAP_MS = 60 * 60 * 1000
+
+// penurunan energi_total_kwh lebih dari ini = meter di-reset
+export const RESET_DROP_KWH = 0.01
+
+function toMs(value) {
+  const t = new Date(value).getTime()
+  return Number.isNaN(t) ? null : t
+}
+
+// log mentah (realtime, lebih baru dari bucket terakhir) -> bentuk bucket
+export function logAsBucket(log) {
+  return {
+    bucket_ts: log.ts,
+    samples: 1,
+    first_ts: log.ts,
+    last_ts: log.ts,
+    energi_total_kwh_first: log.energi_total_kwh,
+    energi_total_kwh_last: log.energi_total_kwh,
+    energy_kwh: 0,
+    resets: 0,
+    energi_harian_kwh_max: log.energi_harian_kwh,
+    biaya_energi_harian_rp_max: log.biaya_energi_harian_rp,
+    beban_harian_rp_max: log.beban_harian_rp,
+    ppj_harian_rp_max: log.ppj_harian_rp,
+    pbjt_harian_rp_max: log.pbjt_harian_rp,
+    total_harian_rp_max: log.total_harian_rp,
+    total_bulanan_rp_max: log.total_bulanan_rp,
+    tarif_harga_per_kwh: log.tarif_harga_per_kwh,
+    tarif_biaya_beban: log.tarif_biaya_beban,
+    tarif_pajak_persen: log.tarif_pajak_persen
+  }
+}
+
+// buckets: urut waktu naik.
+// return { segments: [{ fromMs, toMs, kwh, gap }], resets: [{ ts, fromKwh,
+// toKwh }] }. Segmen dengan fromMs === toMs = energi di satu titik waktu.
+export function energySegments(buckets, asNumber) {
+  const segments = []
+  const resets = []
+  let prev = null
+
+  for (const b of buckets) {
+    const firstMs = toMs(b.first_ts)
+    const lastMs = toMs(b.last_ts)
+    const first = asNumber(b.energi_total_kwh_first)
+    const last = asNumber(b.energi_total_kwh_last)
+    if (firstMs === null || lastMs === null) continue
+    if (Number.isNaN(first) || Number.isNaN(last)) continue
+
+    if (prev) {
+      const delta = first - prev.total
+      if (delta < -RESET_DROP_KWH) {
+        // waktu reset tidak diketahui: energi sejak reset dicatat di log
+        // pertama sesudahnya
+        resets.push({
+          ts: new Date(firstMs),
+          fromKwh: prev.total,
+          toKwh: first
+        })
+        segments.push({
+          fromMs: firstMs,
+          toMs: firstMs,
+          kwh: Math.max(first, 0),
+          gap: false
+        })
+      } else {
+        segments.push({
+          fromMs: prev.ms,
+          toMs: firstMs,
+          kwh: Math.max(delta, 0),
+          gap: firstMs - prev.ms > ENERGY_GAP_MS
+        })
+      }
+    }
+
+    if (asNumber(b.resets) > 0) {
+      resets.push({
+        ts: new Date(b.reset_ts),
+        fromKwh: asNumber(b.reset_from_kwh),
+        toKwh: asNumber(b.reset_to_kwh)
+      })
+    }
+    segments.push({
+      fromMs: firstMs,
+      toMs: lastMs,
+      kwh: Math.max(asNumber(b.energy_kwh) || 0, 0),
+      gap: false
+    })
+    prev = { ms: lastMs, total: last }
+  }
+
+  return { segments, resets }
+}
+
+// kWh per hari lokal: { [YYYY-MM-DD]: { kwh, gap } }. Segmen yang melewati
+// tengah malam dibagi sesuai porsi waktunya di tiap hari.
+export function energyByDay(segments) {
+  const days = new Map()
+  const add = (ms, kwh, gap) => {
+    const key = toDateKey(new Date(ms))
+    const day = days.get(key) || { kwh: 0, gap: false }
+    day.kwh += kwh
+    day.gap = day.gap || gap
+    days.set(key, day)
+  }
+
+  for (const s of segments) {
+    const span = s.toMs - s.fromMs
+    if (span <= 0) {
+      add(s.toMs, s.kwh, s.gap)
+      continue
+    }
+    let start = s.fromMs
+    while (start < s.toMs) {
+      const midnight = new Date(start)
+      midnight.setHours(24, 0, 0, 0)
+      const end = Math.min(midnight.getTime(), s.toMs)
+      add(start, (s.kwh * (end - start)) / span, s.gap)
+      start = end
+    }
+  }
+  return days
+}
+
+// kWh dalam rentang [fromMs, toMs), porsi segmen dihitung sesuai waktunya
+export function energyBetween(segments, fromMs, toMs = Infinity) {
+  let kwh = 0
+  for (const s of segments) {
+    const span = s.toMs - s.fromMs
+    if (span <= 0) {
+      if (s.toMs >= fromMs && s.toMs < toMs) kwh += s.kwh
+      continue
+    }
+    const overlap = Math.min(s.toMs, toMs) - Math.max(s.fromMs, fromMs)
+    if (overlap > 0) kwh += (s.kwh * overlap) / span
+  }
+  return kwh
+}
@@ -0,0 +1,158 @@
+import { supabase } from './supabase'
+
+// PostgREST membatasi 1000 baris per request -> ambil bertahap
+const PAGE_SIZE = 1000
+export const MAX_EXPORT_ROWS = 100000
+
+// Semua row monitoring_log untuk device & rentang [from, to)
+export async function fetchRawLogs(deviceId, from, to) {
+  const rows = []
+
+  while (rows.length < MAX_EXPORT_ROWS) {
+    const { data, error } = await supabase
+      .from('monitoring_log')
+      .select('*')
+      .eq('device_id', deviceId)
+      .gte('ts', from.toISOString())
+      .lt('ts', to.toISOString())
+      .order('ts', { ascending: true })
+      .range(rows.length, rows.length + PAGE_SIZE - 1)
+
+    if (error) throw error
+    rows.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) break
+  }
+
+  return rows.slice(0, MAX_EXPORT_ROWS)
+}
+
+// Agregat per jam / per hari lewat RPC yang sama dengan grafik riwayat
+export async function fetchBucketedLogs(deviceId, from, to, bucketSeconds) {
+  const origin = new Date(from)
+  origin.setHours(0, 0, 0, 0)
+
+  const { data, error } = await supabase.rpc('monitoring_log_buckets', {
+    p_device_id: deviceId,
+    p_from: from.toISOString(),
+    p_to: to.toISOString(),
+    p_bucket_seconds: bucketSeconds,
+    p_origin: origin.toISOString()
+  })
+
+  if (error) throw error
+  return data || []
+}
+
+/* ------------------------------------------------------------------------
+ * Format nilai
+ * columns: [{ key, label, type: 'date' | 'number' | 'text' }]
+ * ---------------------------------------------------------------------- */
+
+const idNumberFmt = new Intl.NumberFormat('id-ID', {
+  maximumFractionDigits: 6,
+  useGrouping: false
+})
+
+function pad(n) {
+  return String(n).padStart(2, '0')
+}
+
+function formatDate(value, localeId) {
+  const d = new Date(value)
+  if (Number.isNaN(d.getTime())) return ''
+  if (!localeId) return d.toISOString()
+  return (
+    `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+  )
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null
+  const n = typeof value === 'number' ? value : parseFloat(value)
+  return Number.isFinite(n) ? n : null
+}
+
+function formatCell(value, column, localeId) {
+  if (value === null || value === undefined) return ''
+  if (column.type === 'date') return formatDate(value, localeId)
+  if (column.type === 'number') {
+    const n = toNumber(value)
+    if (n === null) return ''
+    return localeId ? idNumberFmt.format(n) : String(n)
+  }
+  return String(value)
+}
+
+function escapeCsv(text, separator) {
+  if (/["\r\n]/.test(text) || text.includes(separator)) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+// Locale Indonesia: pemisah kolom ';' karena desimal memakai ','
+// (sama seperti default Excel dengan regional setting Indonesia)
+export function toCsv(rows, columns, { localeId = false } = {}) {
+  const separator = localeId ? ';' : ','
+  const header = columns.map(c => escapeCsv(c.label, separator))
+  const lines = rows.map(row =>
+    columns
+      .map(c => escapeCsv(formatCell(row[c.key], c, localeId), separator))
+      .join(separator)
+  )
+  return [header.join(separator), ...lines].join('\r\n')
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export function downloadCsv(filename, rows, columns, options) {
+  // BOM supaya Excel membaca UTF-8 (°C, dsb.) dengan benar
+  const csv = '\uFEFF' + toCsv(rows, columns, options)
+  downloadBlob(filename, new Blob([csv], { type: 'text/csv;charset=utf-8' }))
+}
+
+export async function downloadXlsx(
+  filename,
+  rows,
+  columns,
+  { localeId = false, sheetName = 'Data' } = {}
+) {
+  // library xlsx cukup besar, dimuat hanya saat export
+  const XLSX = await import('xlsx')
+
+  // angka tetap bertipe angka; tampilan desimal diatur Excel sesuai locale
+  const aoa = [
+    columns.map(c => c.label),
+    ...rows.map(row =>
+      columns.map(c => {
+        const value = row[c.key]
+        if (c.type === 'number') return toNumber(value)
+        if (c.type === 'date') {
+          if (localeId) return formatDate(value, true)
+          const d = new Date(value)
+          return Number.isNaN(d.getTime()) ? null : d
+        }
+        return value ?? null
+      })
+    )
+  ]
+
+  const sheet = XLSX.utils.aoa_to_sheet(aoa, { cellDates: true })
+  sheet['!cols'] = columns.map(c => ({
+    wch: Math.max(c.label.length + 2, c.type === 'date' ? 20 : 10)
+  }))
+
+  const book = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(book, sheet, sheetName.slice(0, 31))
+  XLSX.writeFile(book, filename)
+}
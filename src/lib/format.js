@@ -0,0 +1,12 @@
+// Formatter angka yang dipakai dashboard dan laporan PDF
+
+export const rupiahFmt = new Intl.NumberFormat('id-ID', {
+  style: 'currency',
+  currency: 'IDR',
+  maximumFractionDigits: 0
+})
+
+export const kwhFmt = new Intl.NumberFormat('id-ID', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 3
+})
@@ -0,0 +1,144 @@
+// Manajemen beban (load shedding): saat daya mendekati batas MCB, relay
+// dimatikan satu per satu sesuai urutan prioritas; setelah beban turun cukup
+// lama, relay dinyalakan kembali dengan urutan terbalik. Dipakai bersama
+// dashboard & worker Node, jadi import antar-file pakai ekstensi .js.
+import { DEFAULT_SAMPLE_INTERVAL_SEC, isLogStale } from './dataGaps.js'
+
+export const LOAD_SHED_METRICS = [
+  { key: 'daya_semu_va', label: 'Daya semu (VA)', unit: 'VA' },
+  { key: 'daya_aktif_w', label: 'Daya aktif (W)', unit: 'W' }
+]
+
+// batas default = daya tersambung PLN 1300 VA
+export const DEFAULT_LOAD_SHEDDING = {
+  enabled: false,
+  metric: 'daya_semu_va',
+  power_limit: 1300,
+  shed_pct: 90,
+  restore_pct: 75,
+  restore_delay_sec: 120,
+  priority: []
+}
+
+export const LOAD_SHED_META = { shed: 'load_shed', restore: 'load_restore' }
+
+function toNumber(value) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string') {
+    const n = parseFloat(value)
+    return Number.isFinite(n) ? n : NaN
+  }
+  return NaN
+}
+
+export function getLoadShedThresholds(config) {
+  const limit = Number(config?.power_limit) || 0
+  return {
+    limit,
+    shedAt: (limit * (Number(config?.shed_pct) || 100)) / 100,
+    restoreAt: (limit * (Number(config?.restore_pct) || 0)) / 100
+  }
+}
+
+// Evaluasi satu device.
+//   config  : baris load_shedding
+//   relays  : baris relay_channel device
+//   lastLog : monitoring_log terbaru
+//   state   : baris load_shedding_state sebelumnya (boleh null)
+//   intervalSec : interval kirim device, untuk menilai log sudah basi
+// return { actions: [{ channel, state, metaBy }], state: state baru }
+//
+// Satu relay dimatikan per log baru (beban perlu diukur ulang dulu sebelum
+// memutus relay berikutnya), satu relay dinyalakan per restore_delay_sec.
+export function evaluateLoadShedding({
+  config,
+  relays,
+  lastLog,
+  state,
+  intervalSec = DEFAULT_SAMPLE_INTERVAL_SEC,
+  now = new Date()
+}) {
+  const prev = state || {}
+  const next = { ...prev, evaluated_at: now.toISOString() }
+  const actions = []
+  const relayOn = ch => !!(relays || []).find(r => r.channel === ch)?.state
+
+  // relay yang sudah dinyalakan lagi (manual) tidak lagi dianggap dipadamkan
+  const shed = (prev.shed_channels || []).filter(ch => !relayOn(ch))
+
+  // dinonaktifkan saat masih ada relay yang dipadamkan: nyalakan semuanya
+  // kembali, jangan dibiarkan mati tanpa ada yang mengembalikan
+  if (!config?.enabled) {
+    for (const channel of [...shed].reverse()) {
+      actions.push({ channel, state: true, metaBy: LOAD_SHED_META.restore })
+    }
+    if (shed.length) next.last_restore_at = now.toISOString()
+    next.shed_channels = []
+    next.below_since = null
+    next.evaluation = { status: 'disabled' }
+    return { actions, state: next }
+  }
+
+  // data daya terlambat (device offline): jangan memadamkan / menyalakan
+  // relay dari nilai lama, tahan kondisi sekarang sampai data baru masuk
+  if (lastLog && isLogStale(lastLog, intervalSec, now)) {
+    next.shed_channels = shed
+    next.below_since = null
+    next.evaluation = { status: 'stale', logTs: lastLog.ts }
+    return { actions, state: next }
+  }
+
+  const value = toNumber(lastLog?.[config.metric])
+  if (Number.isNaN(value)) {
+    next.shed_channels = shed
+    next.evaluation = { status: 'no_data' }
+    return { actions, state: next }
+  }
+
+  const { limit, shedAt, restoreAt } = getLoadShedThresholds(config)
+  let status = 'normal'
+
+  if (value >= shedAt) {
+    next.below_since = null
+    status = 'over'
+    const logMs = new Date(lastLog.ts).getTime()
+    const prevLogMs = prev.shed_log_ts
+      ? new Date(prev.shed_log_ts).getTime()
+      : 0
+    const candidate = (config.priority || []).find(
+      ch => !shed.includes(ch) && relayOn(ch)
+    )
+    if (candidate === undefined) {
+      status = 'over_no_candidate'
+    } else if (logMs > prevLogMs) {
+      shed.push(candidate)
+      actions.push({
+        channel: candidate,
+        state: false,
+        metaBy: LOAD_SHED_META.shed
+      })
+      next.shed_log_ts = lastLog.ts
+      next.last_shed_at = now.toISOString()
+    }
+  } else if (value < restoreAt && shed.length) {
+    status = 'restoring'
+    const belowMs = prev.below_since
+      ? new Date(prev.below_since).getTime()
+      : now.getTime()
+    next.below_since = new Date(belowMs).toISOString()
+    if (now.getTime() - belowMs >= (config.restore_delay_sec || 0) * 1000) {
+      const channel = shed.pop()
+      actions.push({ channel, state: true, metaBy: LOAD_SHED_META.restore })
+      // relay berikutnya menunggu jeda penuh lagi
+      next.below_since = now.toISOString()
+      next.last_restore_at = now.toISOString()
+    }
+  } else {
+    // di antara ambang restore & ambang shed: tahan kondisi sekarang
+    next.below_since = null
+  }
+
+  next.shed_channels = shed
+  next.evaluation = { status, value, limit, shedAt, restoreAt }
+  return { actions, state: next }
+}
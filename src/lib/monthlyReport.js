@@ -0,0 +1,299 @@
+import {
+  BarController,
+  BarElement,
+  CategoryScale,
+  Chart,
+  LinearScale
+} from 'chart.js'
+import { fetchBucketedLogs } from './exportData'
+import { kwhFmt, rupiahFmt } from './format'
+import { supabase } from './supabase'
+
+Chart.register(BarController, BarElement, CategoryScale, LinearScale)
+
+const ACCENT = [79, 70, 229]
+const TEXT_SOFT = [107, 114, 128]
+
+function formatDay(dateStr) {
+  const d = new Date(dateStr)
+  if (Number.isNaN(d.getTime())) return dateStr
+  return d.toLocaleDateString('id-ID', {
+    weekday: 'short',
+    day: '2-digit',
+    month: 'short'
+  })
+}
+
+function formatTime(d) {
+  return d
+    ? d.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' })
+    : '-'
+}
+
+// 1 jam -> maksimal 744 bucket sebulan, di bawah batas baris PostgREST
+const REPORT_BUCKET_SECONDS = 60 * 60
+
+// "Log" sebulan penuh untuk computeMonthlyReport di App.jsx, dari agregat per
+// jam di server (monitoring_log_buckets + monitoring_log_energy_buckets),
+// bukan dari log realtime dashboard yang terpotong 1000 baris. Tiap bucket
+// menjadi satu log berisi nilai maksimumnya; jam puncak = awal bucket.
+export async function fetchMonthlyReportLogs(
+  deviceId,
+  monthKey,
+  now = new Date()
+) {
+  const [year, month] = monthKey.split('-').map(Number)
+  const from = new Date(year, month - 1, 1)
+  const end = new Date(year, month, 1)
+  const to = end < now ? end : now
+
+  const [buckets, energy] = await Promise.all([
+    fetchBucketedLogs(deviceId, from, to, REPORT_BUCKET_SECONDS),
+    supabase.rpc('monitoring_log_energy_buckets', {
+      p_device_id: deviceId,
+      p_from: from.toISOString(),
+      p_to: to.toISOString(),
+      p_bucket_seconds: REPORT_BUCKET_SECONDS,
+      p_origin: from.toISOString()
+    })
+  ])
+  if (energy.error) throw energy.error
+
+  const bills = new Map(
+    (energy.data || []).map(b => [new Date(b.bucket_ts).getTime(), b])
+  )
+
+  return buckets.map(b => {
+    const bill = bills.get(new Date(b.bucket_ts).getTime()) || {}
+    return {
+      ts: b.bucket_ts,
+      daya_aktif_w: b.daya_aktif_w_max,
+      energi_harian_kwh: b.energi_harian_kwh_max,
+      total_harian_rp: b.total_harian_rp_max,
+      biaya_energi_harian_rp: bill.biaya_energi_harian_rp_max,
+      beban_harian_rp: bill.beban_harian_rp_max,
+      ppj_harian_rp: bill.ppj_harian_rp_max,
+      pbjt_harian_rp: bill.pbjt_harian_rp_max,
+      tarif_harga_per_kwh: bill.tarif_harga_per_kwh,
+      tarif_biaya_beban: bill.tarif_biaya_beban,
+      tarif_pajak_persen: bill.tarif_pajak_persen
+    }
+  })
+}
+
+// Render grafik batang tagihan harian ke PNG (canvas di luar DOM)
+function renderDailyCostChart(days) {
+  const canvas = document.createElement('canvas')
+  canvas.width = 1000
+  canvas.height = 360
+
+  const chart = new Chart(canvas, {
+    type: 'bar',
+    data: {
+      labels: days.map(d => d.date.slice(8, 10)),
+      datasets: [
+        {
+          data: days.map(d => d.costRp || 0),
+          backgroundColor: 'rgba(59, 130, 246, 0.85)',
+          borderRadius: 4
+        }
+      ]
+    },
+    options: {
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 1,
+      plugins: { legend: { display: false }, tooltip: { enabled: false } },
+      scales: {
+        x: { grid: { display: false }, ticks: { font: { size: 16 } } },
+        y: {
+          ticks: {
+            font: { size: 16 },
+            callback: v => rupiahFmt.format(v)
+          }
+        }
+      }
+    }
+  })
+
+  const dataUrl = canvas.toDataURL('image/png')
+  chart.destroy()
+  return dataUrl
+}
+
+// report: hasil computeMonthlyReport di App.jsx
+export async function downloadMonthlyReportPdf(report, { deviceName } = {}) {
+  // jspdf cukup besar, dimuat hanya saat laporan dibuat
+  const [{ jsPDF }, { autoTable }] = await Promise.all([
+    import('jspdf'),
+    import('jspdf-autotable')
+  ])
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' })
+  const pageWidth = doc.internal.pageSize.getWidth()
+  const margin = 14
+  let y = 18
+
+  const heading = text => {
+    if (y > 260) {
+      doc.addPage()
+      y = 18
+    }
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(12)
+    doc.setTextColor(...ACCENT)
+    doc.text(text, margin, y)
+    doc.setTextColor(0)
+    y += 3
+  }
+
+  const table = options => {
+    autoTable(doc, {
+      startY: y,
+      margin: { left: margin, right: margin },
+      styles: { fontSize: 9, cellPadding: 1.8 },
+      headStyles: { fillColor: ACCENT },
+      ...options
+    })
+    y = doc.lastAutoTable.finalY + 8
+  }
+
+  // Judul
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(16)
+  doc.text(`Laporan Listrik Bulanan - ${report.label}`, margin, y)
+  y += 6
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(9)
+  doc.setTextColor(...TEXT_SOFT)
+  doc.text(
+    `Device: ${deviceName || '-'}  |  Dibuat: ${new Date().toLocaleString(
+      'id-ID'
+    )}`,
+    margin,
+    y
+  )
+  doc.setTextColor(0)
+  y += 8
+
+  // Ringkasan
+  const { totals, projection, mostWastefulWeek, peak, tariff } = report
+  const avgDaily = report.days.length ? totals.costRp / report.days.length : 0
+
+  heading('Ringkasan')
+  table({
+    theme: 'plain',
+    body: [
+      ['Total energi', `${kwhFmt.format(totals.energyKwh)} kWh`],
+      ['Total tagihan', rupiahFmt.format(totals.costRp)],
+      ['Rata-rata tagihan harian', rupiahFmt.format(avgDaily)],
+      [
+        'Perkiraan akhir bulan',
+        projection
+          ? `${rupiahFmt.format(projection.costRp)} (hari ke-${
+              projection.dayOfMonth
+            } dari ${projection.daysInMonth})`
+          : 'Bulan sudah selesai'
+      ],
+      [
+        'Minggu paling boros',
+        `Minggu ${mostWastefulWeek.index} - ${kwhFmt.format(
+          mostWastefulWeek.energyKwh
+        )} kWh / ${rupiahFmt.format(mostWastefulWeek.costRp)}`
+      ],
+      [
+        'Daya puncak',
+        peak.ts
+          ? `${peak.watts.toFixed(0)} W pada ${peak.ts.toLocaleString('id-ID', {
+              weekday: 'short',
+              day: '2-digit',
+              month: 'short',
+              hour: '2-digit',
+              minute: '2-digit'
+            })}`
+          : '-'
+      ]
+    ],
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 55 } }
+  })
+
+  // Rincian tarif
+  heading('Rincian Tagihan & Tarif')
+  table({
+    head: [['Komponen', 'Nilai']],
+    body: [
+      ['Biaya energi', rupiahFmt.format(totals.energiRp)],
+      ['Biaya beban', rupiahFmt.format(totals.bebanRp)],
+      ['PPJ', rupiahFmt.format(totals.ppjRp)],
+      ['PBJT', rupiahFmt.format(totals.pbjtRp)],
+      ['Total', rupiahFmt.format(totals.costRp)],
+      [
+        'Tarif per kWh',
+        tariff.perKwh != null ? rupiahFmt.format(tariff.perKwh) : '-'
+      ],
+      [
+        'Biaya beban tetap',
+        tariff.beban != null ? rupiahFmt.format(tariff.beban) : '-'
+      ],
+      [
+        'Pajak',
+        tariff.pajakPersen != null ? `${tariff.pajakPersen.toFixed(1)} %` : '-'
+      ]
+    ],
+    didParseCell: data => {
+      if (data.section === 'body' && data.row.index === 4) {
+        data.cell.styles.fontStyle = 'bold'
+      }
+    }
+  })
+
+  // Grafik tagihan harian
+  if (report.days.length) {
+    heading('Tagihan Harian')
+    const imgWidth = pageWidth - margin * 2
+    const imgHeight = imgWidth * 0.36
+    if (y + imgHeight > 280) {
+      doc.addPage()
+      y = 18
+    }
+    doc.addImage(
+      renderDailyCostChart(report.days),
+      'PNG',
+      margin,
+      y + 2,
+      imgWidth,
+      imgHeight
+    )
+    y += imgHeight + 10
+  }
+
+  // Tabel mingguan
+  heading('Ringkasan per Minggu')
+  table({
+    head: [
+      ['Minggu ke-', 'Energi (kWh)', 'Tagihan', 'Jam Puncak', 'Daya Puncak']
+    ],
+    body: report.weeks.map(w => [
+      w.index,
+      kwhFmt.format(w.energyKwh),
+      rupiahFmt.format(w.costRp),
+      formatTime(w.peakTs),
+      w.peakWatts ? `${w.peakWatts.toFixed(0)} W` : '-'
+    ])
+  })
+
+  // Tabel harian
+  heading('Rincian per Hari')
+  table({
+    head: [['Tanggal', 'Energi (kWh)', 'Tagihan', 'Jam Puncak', 'Daya Puncak']],
+    body: report.days.map(d => [
+      formatDay(d.date),
+      kwhFmt.format(d.energyKwh),
+      rupiahFmt.format(d.costRp),
+      formatTime(d.peakTs),
+      d.peakWatts ? `${d.peakWatts.toFixed(0)} W` : '-'
+    ])
+  })
+
+  doc.save(`laporan-listrik-${report.monthKey}.pdf`)
+}
@@ -0,0 +1,218 @@
+// Batas kualitas daya untuk sambungan PLN 220 V / 50 Hz.
+// Nilai yang sama dipakai trigger detect_power_events di
+// supabase/migrations/0003_power_events.sql.
+
+export const NOMINAL_VOLTAGE = 220
+export const NOMINAL_FREQUENCY = 50
+
+// SPLN/SNI: tegangan pelayanan +5% / -10% dari nominal
+export const VOLTAGE_MIN = NOMINAL_VOLTAGE * 0.9
+export const VOLTAGE_MAX = NOMINAL_VOLTAGE * 1.05
+
+// frekuensi +-1%
+export const FREQUENCY_MIN = NOMINAL_FREQUENCY * 0.99
+export const FREQUENCY_MAX = NOMINAL_FREQUENCY * 1.01
+
+export const POWER_EVENT_TYPES = [
+  {
+    key: 'voltage_sag',
+    label: 'Tegangan turun (sag)',
+    metric: 'tegangan_v',
+    unit: 'V'
+  },
+  {
+    key: 'voltage_swell',
+    label: 'Tegangan naik (swell)',
+    metric: 'tegangan_v',
+    unit: 'V'
+  },
+  { key: 'overcurrent', label: 'Arus lebih', metric: 'arus_a', unit: 'A' },
+  {
+    key: 'frequency_low',
+    label: 'Frekuensi rendah',
+    metric: 'frekuensi_hz',
+    unit: 'Hz'
+  },
+  {
+    key: 'frequency_high',
+    label: 'Frekuensi tinggi',
+    metric: 'frekuensi_hz',
+    unit: 'Hz'
+  }
+]
+
+// Bobot maksimum satu sampel, supaya bucket yang hanya berisi sedikit sampel
+// (jeda data panjang) tidak dihitung selebar bucket.
+const MAX_SAMPLE_WEIGHT_SEC = 5 * 60
+
+// faktor daya tidak bermakna saat hampir tanpa beban (PZEM melaporkan 0)
+const MIN_PF_LOAD_W = 10
+
+export const VOLTAGE_HISTOGRAM_BINS = (() => {
+  const bins = [{ label: '< 190', min: -Infinity, max: 190 }]
+  for (let v = 190; v < 250; v += 5) {
+    bins.push({ label: `${v}–${v + 5}`, min: v, max: v + 5 })
+  }
+  bins.push({ label: '≥ 250', min: 250, max: Infinity })
+  return bins
+})()
+
+export const PF_BANDS = [
+  { key: 'poor', label: '< 0,70', min: -Infinity, max: 0.7 },
+  { key: 'fair', label: '0,70–0,85', min: 0.7, max: 0.85 },
+  { key: 'good', label: '0,85–0,95', min: 0.85, max: 0.95 },
+  { key: 'excellent', label: '≥ 0,95', min: 0.95, max: Infinity }
+]
+
+const WORST_DEVIATION_COUNT = 5
+// deviasi terburuk dianggap satu kejadian kalau berdekatan < 10 menit
+const WORST_DEVIATION_GAP_MS = 10 * 60 * 1000
+
+function emptyBand() {
+  return { withinSec: 0, belowSec: 0, aboveSec: 0, totalSec: 0 }
+}
+
+function addToBand(band, value, min, max, weight) {
+  band.totalSec += weight
+  if (value < min) band.belowSec += weight
+  else if (value > max) band.aboveSec += weight
+  else band.withinSec += weight
+}
+
+function bandPercent(band) {
+  const pct = sec => (band.totalSec ? (sec / band.totalSec) * 100 : null)
+  return {
+    ...band,
+    withinPct: pct(band.withinSec),
+    belowPct: pct(band.belowSec),
+    abovePct: pct(band.aboveSec)
+  }
+}
+
+function pickWorst(candidates) {
+  const picked = []
+  candidates
+    .sort((a, b) => b.deviationPct - a.deviationPct)
+    .forEach(c => {
+      if (picked.length >= WORST_DEVIATION_COUNT) return
+      const nearby = picked.some(
+        p =>
+          p.metric === c.metric &&
+          Math.abs(p.ts.getTime() - c.ts.getTime()) < WORST_DEVIATION_GAP_MS
+      )
+      if (!nearby) picked.push(c)
+    })
+  return picked
+}
+
+function addDeviations(candidates, metric, ts, values, min, max, nominal) {
+  values.forEach(value => {
+    if (Number.isNaN(value) || (value >= min && value <= max)) return
+    candidates.push({
+      metric,
+      ts,
+      value,
+      deviationPct: (Math.abs(value - nominal) / nominal) * 100
+    })
+  })
+}
+
+// Analisis tegangan, frekuensi & faktor daya dari bucket RPC
+// monitoring_log_buckets, jadi seluruh rentang ikut dihitung (log mentah
+// terpotong batas baris PostgREST). Persentase berbobot waktu: tiap bucket
+// dinilai dari rata-ratanya dengan bobot lebar bucket (dibatasi
+// MAX_SAMPLE_WEIGHT_SEC per sampel). Min / maks dan deviasi terburuk memakai
+// _min / _max bucket.
+export function analyzePowerQuality(buckets, bucketSeconds, asNumber) {
+  const voltage = emptyBand()
+  const frequency = emptyBand()
+  const histogram = VOLTAGE_HISTOGRAM_BINS.map(() => 0)
+  const pfSec = PF_BANDS.map(() => 0)
+  let pfTotalSec = 0
+  let samples = 0
+  let vMin = Infinity
+  let vMax = -Infinity
+  let vSum = 0
+  let fMin = Infinity
+  let fMax = -Infinity
+  const candidates = []
+
+  buckets.forEach(bucket => {
+    const count = asNumber(bucket.samples) || 0
+    samples += count
+    const weight = Math.min(bucketSeconds, count * MAX_SAMPLE_WEIGHT_SEC)
+    if (!weight) return
+    const ts = new Date(bucket.bucket_ts)
+
+    const v = asNumber(bucket.tegangan_v_avg)
+    if (!Number.isNaN(v)) {
+      addToBand(voltage, v, VOLTAGE_MIN, VOLTAGE_MAX, weight)
+      const bin = VOLTAGE_HISTOGRAM_BINS.findIndex(b => v >= b.min && v < b.max)
+      if (bin >= 0) histogram[bin] += weight
+      vSum += v * weight
+    }
+    const vLow = asNumber(bucket.tegangan_v_min)
+    const vHigh = asNumber(bucket.tegangan_v_max)
+    if (!Number.isNaN(vLow)) vMin = Math.min(vMin, vLow)
+    if (!Number.isNaN(vHigh)) vMax = Math.max(vMax, vHigh)
+    addDeviations(
+      candidates,
+      'tegangan_v',
+      ts,
+      [vLow, vHigh],
+      VOLTAGE_MIN,
+      VOLTAGE_MAX,
+      NOMINAL_VOLTAGE
+    )
+
+    const f = asNumber(bucket.frekuensi_hz_avg)
+    if (!Number.isNaN(f)) {
+      addToBand(frequency, f, FREQUENCY_MIN, FREQUENCY_MAX, weight)
+    }
+    const fLow = asNumber(bucket.frekuensi_hz_min)
+    const fHigh = asNumber(bucket.frekuensi_hz_max)
+    if (!Number.isNaN(fLow)) fMin = Math.min(fMin, fLow)
+    if (!Number.isNaN(fHigh)) fMax = Math.max(fMax, fHigh)
+    addDeviations(
+      candidates,
+      'frekuensi_hz',
+      ts,
+      [fLow, fHigh],
+      FREQUENCY_MIN,
+      FREQUENCY_MAX,
+      NOMINAL_FREQUENCY
+    )
+
+    const pf = asNumber(bucket.faktor_daya_avg)
+    const p = asNumber(bucket.daya_aktif_w_avg)
+    if (!Number.isNaN(pf) && !Number.isNaN(p) && p >= MIN_PF_LOAD_W) {
+      const band = PF_BANDS.findIndex(b => pf >= b.min && pf < b.max)
+      if (band >= 0) pfSec[band] += weight
+      pfTotalSec += weight
+    }
+  })
+
+  return {
+    samples,
+    voltage: {
+      ...bandPercent(voltage),
+      min: Number.isFinite(vMin) ? vMin : null,
+      max: Number.isFinite(vMax) ? vMax : null,
+      avg: voltage.totalSec ? vSum / voltage.totalSec : null
+    },
+    frequency: {
+      ...bandPercent(frequency),
+      min: Number.isFinite(fMin) ? fMin : null,
+      max: Number.isFinite(fMax) ? fMax : null
+    },
+    histogram: VOLTAGE_HISTOGRAM_BINS.map((b, i) => ({
+      ...b,
+      pct: voltage.totalSec ? (histogram[i] / voltage.totalSec) * 100 : 0
+    })),
+    powerFactor: PF_BANDS.map((b, i) => ({
+      ...b,
+      pct: pfTotalSec ? (pfSec[i] / pfTotalSec) * 100 : 0
+    })),
+    worstDeviations: pickWorst(candidates)
+  }
+}
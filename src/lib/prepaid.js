@@ -0,0 +1,155 @@
+// Mode listrik prabayar: estimasi sisa kWh token dari pembelian token dan
+// energi terukur (energi_total_kwh), plus prediksi tanggal token habis.
+// Energi dihitung dari bucket monitoring_log_energy_buckets (src/lib/energy.js).
+import { energyBetween, energySegments } from './energy'
+
+export const BILLING_MODES = [
+  { key: 'postpaid', label: 'Pascabayar (tagihan bulanan)' },
+  { key: 'prepaid', label: 'Prabayar (token)' }
+]
+
+export const DEFAULT_PREPAID_LOW_KWH = 20
+
+// rata-rata pemakaian untuk prediksi diambil dari N hari terakhir
+export const PREPAID_AVG_DAYS = 7
+
+// peringatan juga muncul kalau token diperkirakan habis dalam N hari
+export const PREPAID_WARN_DAYS = 3
+
+export const PREPAID_STATUSES = {
+  no_data: { label: 'Belum ada data token' },
+  ok: { label: 'Saldo aman' },
+  low: { label: 'Saldo menipis' },
+  empty: { label: 'Token habis' }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function toMs(value) {
+  const t = value instanceof Date ? value.getTime() : new Date(value).getTime()
+  return Number.isNaN(t) ? null : t
+}
+
+// energi_total_kwh dari log terakhir pada / sebelum waktu `at`
+export function meterReadingAt(logs, at, asNumber) {
+  const atMs = toMs(at)
+  let reading = null
+  for (const l of logs) {
+    const t = toMs(l.ts)
+    if (t === null) continue
+    if (t > atMs) break
+    const v = asNumber(l.energi_total_kwh)
+    if (!Number.isNaN(v)) reading = v
+  }
+  return reading
+}
+
+// entries: baris token_purchases (urut bebas). buckets: baris
+// monitoring_log_energy_buckets, urut waktu naik.
+export function computePrepaidBalance({
+  entries,
+  buckets,
+  lastLog,
+  asNumber,
+  lowKwh = DEFAULT_PREPAID_LOW_KWH,
+  now = new Date()
+}) {
+  const sorted = [...entries].sort(
+    (a, b) => toMs(a.purchased_at) - toMs(b.purchased_at)
+  )
+  if (!sorted.length) return { status: 'no_data' }
+
+  // titik acuan: kalibrasi terakhir, kalau belum ada pembelian pertama
+  // (dianggap meter kosong saat token pertama dimasukkan)
+  let anchorIdx = -1
+  sorted.forEach((e, i) => {
+    if (e.kind === 'calibration') anchorIdx = i
+  })
+  const anchor = anchorIdx >= 0 ? sorted[anchorIdx] : sorted[0]
+  const anchorMs = toMs(anchor.purchased_at)
+  const baseKwh = anchorIdx >= 0 ? anchor.kwh : 0
+  const purchases = sorted
+    .slice(anchorIdx >= 0 ? anchorIdx + 1 : 0)
+    .filter(e => e.kind !== 'calibration')
+  const purchasedKwh = purchases.reduce((s, e) => s + (e.kwh || 0), 0)
+
+  // energi terpakai sejak titik acuan; kalau data sudah tidak mencakup titik
+  // acuan, pakai selisih dengan meter_kwh_ref (tidak tahan reset)
+  const { segments } = energySegments(buckets, asNumber)
+  const firstMs = segments.length ? segments[0].fromMs : null
+  let consumedKwh = energyBetween(segments, anchorMs)
+  let estimated = false
+  const currentKwh = lastLog ? asNumber(lastLog.energi_total_kwh) : NaN
+  if (firstMs === null || firstMs > anchorMs) {
+    if (anchor.meter_kwh_ref != null && !Number.isNaN(currentKwh)) {
+      consumedKwh = Math.max(0, currentKwh - anchor.meter_kwh_ref)
+    } else {
+      estimated = true
+    }
+  }
+
+  const remainingKwh = baseKwh + purchasedKwh - consumedKwh
+
+  // rata-rata harian PREPAID_AVG_DAYS hari terakhir. Energi selama celah
+  // data dibagi rata sepanjang celah, jadi hanya porsi di dalam rentang
+  // rata-rata yang ikut dihitung.
+  const avgFromMs = Math.max(
+    now.getTime() - PREPAID_AVG_DAYS * DAY_MS,
+    firstMs ?? Infinity
+  )
+  const spanMs = now.getTime() - avgFromMs
+  const avgDailyKwh =
+    spanMs >= DAY_MS / 4
+      ? energyBetween(segments, avgFromMs) / (spanMs / DAY_MS)
+      : null
+
+  const daysLeft =
+    avgDailyKwh > 0 ? Math.max(0, remainingKwh) / avgDailyKwh : null
+  const runOutAt =
+    daysLeft !== null ? new Date(now.getTime() + daysLeft * DAY_MS) : null
+
+  let status = 'ok'
+  if (remainingKwh <= 0) status = 'empty'
+  else if (
+    remainingKwh <= lowKwh ||
+    (daysLeft !== null && daysLeft <= PREPAID_WARN_DAYS)
+  ) {
+    status = 'low'
+  }
+
+  const lastPurchase = [...sorted].reverse().find(e => e.kind !== 'calibration')
+
+  return {
+    status,
+    remainingKwh,
+    baseKwh,
+    purchasedKwh,
+    consumedKwh,
+    anchor,
+    lastPurchase: lastPurchase || null,
+    avgDailyKwh,
+    daysLeft,
+    runOutAt,
+    estimated
+  }
+}
+
+export function validateTokenEntry(values) {
+  const errors = {}
+  const kwh = Number(values.kwh)
+  if (values.kwh === '' || !Number.isFinite(kwh) || kwh < 0) {
+    errors.kwh = 'Isi kWh >= 0.'
+  } else if (values.kind === 'purchase' && kwh === 0) {
+    errors.kwh = 'kWh token harus > 0.'
+  }
+  if (values.kind === 'purchase') {
+    const nominal = Number(values.nominal_rp)
+    if (values.nominal_rp === '' || !Number.isFinite(nominal) || nominal <= 0) {
+      errors.nominal_rp = 'Isi nominal Rp.'
+    }
+  }
+  if (!values.purchased_at || toMs(values.purchased_at) === null) {
+    errors.purchased_at = 'Isi tanggal & jam.'
+  }
+  return errors
+}
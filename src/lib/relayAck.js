@@ -0,0 +1,40 @@
+// Status konfirmasi perintah relay: state yang diminta (state, meta_ts)
+// dibandingkan dengan state yang dilaporkan device (reported_state,
+// reported_at).
+
+// batas waktu device mengonfirmasi perintah
+export const RELAY_ACK_TIMEOUT_MS = 15 * 1000
+
+export const RELAY_ACK_STATUSES = {
+  // device belum pernah melapor (firmware lama), tidak bisa dicek
+  unknown: { label: 'Belum ada laporan device' },
+  synced: { label: 'Terkonfirmasi' },
+  pending: { label: 'Menunggu konfirmasi device' },
+  // tidak ada laporan dari device sejak perintah dikirim
+  timeout: { label: 'Device tidak merespons' },
+  // device melapor setelah perintah, tapi state-nya berbeda
+  mismatch: { label: 'State aktual berbeda' }
+}
+
+function toMs(value) {
+  const t = value ? new Date(value).getTime() : NaN
+  return Number.isNaN(t) ? null : t
+}
+
+export function getRelayAckStatus(relay, now = new Date()) {
+  if (!relay) return 'unknown'
+  const reportedMs = toMs(relay.reported_at)
+  if (reportedMs === null || relay.reported_state == null) return 'unknown'
+  if (!!relay.reported_state === !!relay.state) return 'synced'
+
+  const requestedMs = toMs(relay.meta_ts)
+  if (
+    requestedMs !== null &&
+    now.getTime() - requestedMs < RELAY_ACK_TIMEOUT_MS
+  ) {
+    return 'pending'
+  }
+  return requestedMs !== null && reportedMs > requestedMs
+    ? 'mismatch'
+    : 'timeout'
+}
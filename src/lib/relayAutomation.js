@@ -0,0 +1,309 @@
+// Logika otomasi relay yang dipakai bersama dashboard & worker Node
+// (worker/relay-automation.js). Import antar-file di sini pakai ekstensi .js
+// karena Node ESM tidak menebak ekstensi seperti Vite.
+import { DEFAULT_SAMPLE_INTERVAL_SEC, isLogStale } from './dataGaps.js'
+import { getScheduleActions } from './relaySchedule.js'
+
+export const AUTO_RULE_SOURCES = [
+  { key: 'temperature', field: 'suhu_c', label: 'Suhu (°C)', unit: '°C' },
+  {
+    key: 'humidity',
+    field: 'kelembapan_rh',
+    label: 'Kelembapan (%)',
+    unit: '%'
+  },
+  { key: 'lux', field: 'light_level_lux', label: 'Cahaya (lux)', unit: 'lux' }
+]
+
+export const AUTO_RULE_LOGIC = [
+  { key: 'and', label: 'Semua kondisi (AND)' },
+  { key: 'or', label: 'Salah satu kondisi (OR)' }
+]
+
+// Aturan majemuk:
+//   conditions : [{ id, source, operator, onThreshold, offThreshold }]
+//                '>' nyala saat nilai > onThreshold, mati saat < offThreshold
+//                '<' nyala saat nilai < onThreshold, mati saat > offThreshold
+//                di antara dua ambang (deadband) kondisi tidak berubah
+//   logic      : 'and' | 'or'
+//   minOnSec / minOffSec : lama minimal relay ON / OFF sebelum boleh diubah
+//   cooldownSec : jeda minimal antar-aksi otomatis
+//   windows    : [{ days, start, end }] jam aktif, kosong = sepanjang hari.
+//                Di luar jendela aturan meminta relay OFF.
+function baseAutoRule(source, operator, onThreshold, offThreshold) {
+  return {
+    enabled: false,
+    logic: 'and',
+    conditions: [{ id: 'c1', source, operator, onThreshold, offThreshold }],
+    minOnSec: 0,
+    minOffSec: 0,
+    cooldownSec: 0,
+    windows: []
+  }
+}
+
+export const DEFAULT_AUTO_RULES = {
+  0: baseAutoRule('temperature', '>', 30, 28),
+  1: baseAutoRule('humidity', '>', 70, 65),
+  2: baseAutoRule('lux', '<', 100, 150),
+  3: baseAutoRule('temperature', '<', 25, 27)
+}
+
+export function defaultAutoRule(channel) {
+  return DEFAULT_AUTO_RULES[channel] || baseAutoRule('temperature', '>', 30, 28)
+}
+
+export function createAutoCondition() {
+  return {
+    id: `c${Date.now()}`,
+    source: 'temperature',
+    operator: '>',
+    onThreshold: 30,
+    offThreshold: 28
+  }
+}
+
+export function createTimeWindow() {
+  return { days: [0, 1, 2, 3, 4, 5, 6], start: '08:00', end: '22:00' }
+}
+
+// aturan versi lama { enabled, source, operator, threshold } -> aturan majemuk
+export function normalizeAutoRule(rule, channel) {
+  const base = defaultAutoRule(channel)
+  if (!rule) return base
+  if (Array.isArray(rule.conditions)) return { ...base, ...rule }
+  return {
+    ...base,
+    enabled: !!rule.enabled,
+    conditions: [
+      {
+        id: 'c1',
+        source: rule.source || 'temperature',
+        operator: rule.operator || '>',
+        onThreshold: rule.threshold,
+        offThreshold: rule.threshold
+      }
+    ]
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string') {
+    const n = parseFloat(value)
+    return Number.isFinite(n) ? n : NaN
+  }
+  return NaN
+}
+
+export function readSensorValue(log, source) {
+  const def = AUTO_RULE_SOURCES.find(s => s.key === source)
+  if (!log || !def) return NaN
+  return toNumber(log[def.field])
+}
+
+function toIso(d) {
+  return d ? d.toISOString() : null
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm || '')
+    .split(':')
+    .map(Number)
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : null
+}
+
+// Jendela yang jam selesainya <= jam mulai dianggap lewat tengah malam;
+// `days` mengacu ke hari jendela dimulai.
+export function isWithinTimeWindows(windows, now = new Date()) {
+  if (!windows?.length) return true
+  const minutes = now.getHours() * 60 + now.getMinutes()
+  const today = now.getDay()
+  const yesterday = (today + 6) % 7
+
+  return windows.some(w => {
+    const start = toMinutes(w.start)
+    const end = toMinutes(w.end)
+    if (start === null || end === null) return false
+    const days = w.days || []
+    if (start < end) {
+      return days.includes(today) && minutes >= start && minutes < end
+    }
+    return (
+      (days.includes(today) && minutes >= start) ||
+      (days.includes(yesterday) && minutes < end)
+    )
+  })
+}
+
+// status satu kondisi; di dalam deadband status sebelumnya dipertahankan
+function latchCondition(condition, value, prevActive) {
+  const on = Number(condition.onThreshold)
+  const offRaw = Number(condition.offThreshold)
+  const off = Number.isFinite(offRaw) ? offRaw : on
+  if (condition.operator === '<') {
+    if (value < on) return true
+    if (value > off) return false
+  } else {
+    if (value > on) return true
+    if (value < off) return false
+  }
+  return prevActive ?? false
+}
+
+// Alasan aksi sensor ditahan: cooldown antar-aksi otomatis, atau relay
+// belum cukup lama di posisinya (dari meta_ts, termasuk toggle manual).
+function timingBlock(rule, relay, prev, desired, now) {
+  const nowMs = now.getTime()
+  const lastActionMs = prev.last_action_at
+    ? new Date(prev.last_action_at).getTime()
+    : null
+  if (
+    rule.cooldownSec > 0 &&
+    lastActionMs !== null &&
+    nowMs - lastActionMs < rule.cooldownSec * 1000
+  ) {
+    return 'cooldown'
+  }
+
+  const changedMs = relay?.meta_ts ? new Date(relay.meta_ts).getTime() : NaN
+  if (Number.isNaN(changedMs)) return null
+  const sinceSec = (nowMs - changedMs) / 1000
+  if (relay.state && !desired && sinceSec < (rule.minOnSec || 0)) {
+    return 'min_on'
+  }
+  if (!relay.state && desired && sinceSec < (rule.minOffSec || 0)) {
+    return 'min_off'
+  }
+  return null
+}
+
+// Evaluasi satu channel.
+//   automation : baris relay_automation { auto_rule, schedule }
+//   relay      : baris relay_channel (state sekarang)
+//   lastLog    : monitoring_log terbaru device
+//   state      : baris relay_automation_state sebelumnya (boleh null)
+//   location   : { lat, lon } untuk jadwal matahari
+//   heldOff    : relay sedang dipadamkan load shedding, aksi ON ditahan
+//   intervalSec: interval kirim device, untuk menilai lastLog sudah basi
+// return { action: { state, metaBy } | null, state: state baru }
+export function evaluateChannelAutomation({
+  automation,
+  relay,
+  lastLog,
+  state,
+  location,
+  heldOff = false,
+  intervalSec = DEFAULT_SAMPLE_INTERVAL_SEC,
+  now = new Date()
+}) {
+  const prev = state || {}
+  const next = { ...prev, evaluated_at: now.toISOString() }
+  const evaluation = { schedule: null, sensor: null, action: null }
+  let action = null
+
+  // Jadwal: jalankan aksi terakhir yang belum pernah dijalankan. Setelah itu
+  // relay dibiarkan sampai aksi berikutnya, jadi toggle manual tetap berlaku.
+  const schedule = automation?.schedule
+  if (schedule?.enabled) {
+    const { last, next: upcoming } = getScheduleActions(schedule, location, now)
+    evaluation.schedule = {
+      last: last && { at: toIso(last.at), state: last.state },
+      next: upcoming && { at: toIso(upcoming.at), state: upcoming.state }
+    }
+    const appliedMs = prev.schedule_applied_at
+      ? new Date(prev.schedule_applied_at).getTime()
+      : 0
+    if (last && last.at.getTime() > appliedMs) {
+      next.schedule_applied_at = toIso(last.at)
+      action = { state: last.state, metaBy: 'schedule' }
+    }
+  }
+
+  // Sensor: aksi hanya saat keputusan berubah, jadi toggle manual tetap
+  // berlaku sampai kondisi berbalik. Keputusan yang tertahan (min ON/OFF,
+  // cooldown) dicoba lagi di evaluasi berikutnya.
+  const rule = automation?.auto_rule
+    ? normalizeAutoRule(automation.auto_rule, automation.channel)
+    : null
+  if (!rule?.enabled) {
+    next.sensor_decision = null
+    next.condition_states = null
+  } else if (lastLog && isLogStale(lastLog, intervalSec, now)) {
+    // data sensor terlambat: keputusan terakhir ditahan, bukan diambil dari
+    // nilai lama
+    evaluation.sensorStale = true
+  } else if (lastLog) {
+    next.last_log_ts = lastLog.ts
+    const prevConditions = prev.condition_states || {}
+    const conditionStates = {}
+    const conditions = rule.conditions.map(c => {
+      const value = readSensorValue(lastLog, c.source)
+      const active = Number.isNaN(value)
+        ? null
+        : latchCondition(c, value, prevConditions[c.id])
+      if (active !== null) conditionStates[c.id] = active
+      return {
+        id: c.id,
+        source: c.source,
+        value: Number.isNaN(value) ? null : value,
+        active
+      }
+    })
+    next.condition_states = conditionStates
+
+    // ada sensor yang kosong: tunggu data lengkap, jangan ubah apa-apa
+    if (conditions.length && conditions.every(c => c.active !== null)) {
+      const combined =
+        rule.logic === 'or'
+          ? conditions.some(c => c.active)
+          : conditions.every(c => c.active)
+      const inWindow = isWithinTimeWindows(rule.windows, now)
+      const desired = combined && inWindow
+      evaluation.sensor = {
+        conditions,
+        combined,
+        inWindow,
+        desired,
+        blockedBy: null
+      }
+
+      if (prev.sensor_decision !== desired) {
+        const blockedBy =
+          relay && !!relay.state !== desired
+            ? timingBlock(rule, relay, prev, desired, now)
+            : null
+        if (blockedBy) {
+          evaluation.sensor.blockedBy = blockedBy
+        } else {
+          next.sensor_decision = desired
+          action = {
+            state: desired,
+            metaBy:
+              rule.conditions.length === 1
+                ? `auto_${rule.conditions[0].source}`
+                : 'auto_rule'
+          }
+        }
+      }
+    }
+  }
+
+  // relay sudah di posisi yang diminta: cukup dicatat, tidak perlu ditulis
+  if (action && relay && !!relay.state === action.state) {
+    evaluation.action = { ...action, skipped: true }
+    action = null
+  } else if (action?.state && heldOff) {
+    // dinyalakan lagi oleh load shedding setelah beban turun
+    evaluation.action = { ...action, skipped: true, heldBy: 'load_shed' }
+    action = null
+  } else if (action) {
+    evaluation.action = action
+    next.last_action_state = action.state
+    next.last_action_by = action.metaBy
+    next.last_action_at = now.toISOString()
+  }
+
+  next.evaluation = evaluation
+  return { action, state: next }
+}
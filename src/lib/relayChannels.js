@@ -0,0 +1,31 @@
+// Metadata channel relay: jumlah channel per board, ikon & label tampilan.
+
+export const RELAY_COUNT_OPTIONS = [1, 2, 4, 8, 16]
+export const DEFAULT_RELAY_COUNT = 4
+
+export const RELAY_ICONS = [
+  { key: 'plug', label: 'Stopkontak', emoji: '🔌' },
+  { key: 'lamp', label: 'Lampu', emoji: '💡' },
+  { key: 'ac', label: 'AC', emoji: '❄️' },
+  { key: 'fan', label: 'Kipas', emoji: '🌀' },
+  { key: 'heater', label: 'Water heater', emoji: '🔥' },
+  { key: 'pump', label: 'Pompa', emoji: '💧' },
+  { key: 'tv', label: 'TV', emoji: '📺' },
+  { key: 'fridge', label: 'Kulkas', emoji: '🧊' }
+]
+
+export function relayIcon(meta) {
+  return RELAY_ICONS.find(i => i.key === meta?.icon)?.emoji || ''
+}
+
+// meta: { [channel]: baris relay_channel_meta }
+export function formatChannelName(ch, meta) {
+  return meta?.[ch]?.name?.trim() || `Relay ${ch + 1}`
+}
+
+// relay yang ditampilkan: di bawah relay_count dan tidak disembunyikan
+export function visibleRelays(relays, meta, relayCount) {
+  return relays.filter(
+    r => r.channel < relayCount && !meta?.[r.channel]?.hidden
+  )
+}
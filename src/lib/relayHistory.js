@@ -0,0 +1,92 @@
+// Riwayat relay (tabel relay_channel_history): label sumber perubahan dan
+// konversi daftar perubahan -> interval ON per channel.
+
+export const RELAY_COLORS = [
+  '#f97316',
+  '#8b5cf6',
+  '#06b6d4',
+  '#84cc16',
+  '#ec4899',
+  '#eab308',
+  '#14b8a6',
+  '#6366f1'
+]
+
+export function relayColor(channel) {
+  return RELAY_COLORS[channel % RELAY_COLORS.length]
+}
+
+// kelompok meta_by untuk warna di timeline
+export const RELAY_SOURCE_GROUPS = [
+  { key: 'manual', label: 'Manual', color: '#3b82f6' },
+  { key: 'schedule', label: 'Jadwal', color: '#a855f7' },
+  { key: 'auto', label: 'Otomatis sensor', color: '#10b981' },
+  { key: 'load', label: 'Load shedding', color: '#ef4444' },
+  { key: 'other', label: 'Lainnya / device', color: '#9ca3af' }
+]
+
+const META_BY_LABELS = {
+  web_manual: 'Manual (web)',
+  web_setup: 'Channel dibuat',
+  web_retry: 'Kirim ulang (web)',
+  web_follow_device: 'Ikuti state device',
+  schedule: 'Jadwal',
+  auto_temperature: 'Otomatis suhu',
+  auto_humidity: 'Otomatis kelembapan',
+  auto_lux: 'Otomatis cahaya',
+  auto_rule: 'Otomatis (gabungan)',
+  load_shed: 'Load shedding (padam)',
+  load_restore: 'Load shedding (pulih)'
+}
+
+// meta_by dari web bisa berakhiran ":<email pengguna>" (lihat lib/auth.js)
+export function formatMetaBy(metaBy) {
+  if (!metaBy) return '-'
+  const [source, actor] = metaBy.split(/:(.*)/)
+  const label = META_BY_LABELS[source] || source
+  return actor ? `${label} • ${actor}` : label
+}
+
+export function relaySourceGroup(metaBy) {
+  if (!metaBy) return 'other'
+  if (metaBy.includes('manual') || metaBy.startsWith('web_')) return 'manual'
+  if (metaBy === 'schedule') return 'schedule'
+  if (metaBy.startsWith('auto_')) return 'auto'
+  if (metaBy.startsWith('load_')) return 'load'
+  return 'other'
+}
+
+// rows    : perubahan di dalam rentang, urut naik changed_at
+// initial : { [channel]: baris terakhir sebelum `from` }
+// channels: daftar channel yang ditampilkan
+// return { [channel]: [{ start, end, metaBy }] } interval ON (ms), dipotong
+// ke [from, to]
+export function buildRelayIntervals(rows, initial, channels, from, to) {
+  const fromMs = from.getTime()
+  const toMs = to.getTime()
+  const result = {}
+
+  channels.forEach(ch => {
+    const intervals = []
+    const start = initial?.[ch]
+    let open = start?.state ? { start: fromMs, metaBy: start.meta_by } : null
+
+    rows
+      .filter(r => r.channel === ch)
+      .forEach(r => {
+        const t = new Date(r.changed_at).getTime()
+        if (Number.isNaN(t) || t < fromMs || t > toMs) return
+        if (r.state && !open) {
+          open = { start: t, metaBy: r.meta_by }
+        } else if (!r.state && open) {
+          if (t > open.start) intervals.push({ ...open, end: t })
+          open = null
+        }
+      })
+
+    if (open) intervals.push({ ...open, end: toMs })
+    result[ch] = intervals
+  })
+
+  return result
+}
@@ -0,0 +1,185 @@
+// Jadwal mingguan relay: beberapa slot per channel, masing-masing punya hari
+// aktif, titik nyala & titik mati. Titik bisa jam tetap atau relatif terhadap
+// matahari terbit/terbenam (dihitung lokal dari lintang/bujur).
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const WEEK_DAYS = [
+  { index: 1, short: 'Sen' },
+  { index: 2, short: 'Sel' },
+  { index: 3, short: 'Rab' },
+  { index: 4, short: 'Kam' },
+  { index: 5, short: 'Jum' },
+  { index: 6, short: 'Sab' },
+  { index: 0, short: 'Min' }
+]
+
+export const SCHEDULE_POINT_TYPES = [
+  { key: 'time', label: 'Jam' },
+  { key: 'sunrise', label: 'Matahari terbit' },
+  { key: 'sunset', label: 'Matahari terbenam' }
+]
+
+export const DEFAULT_SCHEDULE = { enabled: false, slots: [] }
+
+export function createScheduleSlot() {
+  return {
+    id: `slot-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    days: [1, 2, 3, 4, 5],
+    on: { type: 'time', time: '18:00', offsetMin: 0 },
+    off: { type: 'time', time: '22:00', offsetMin: 0 }
+  }
+}
+
+export function isValidLocation(location) {
+  if (!location) return false
+  const { lat, lon } = location
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lon) &&
+    Math.abs(lat) <= 90 &&
+    Math.abs(lon) <= 180
+  )
+}
+
+/* ---- posisi matahari (rumus yang sama dengan library suncalc) ---- */
+
+const RAD = Math.PI / 180
+const J1970 = 2440588
+const J2000 = 2451545
+const SUN_ALTITUDE = -0.833 * RAD // refraksi + radius piringan matahari
+const EARTH_TILT = 23.4397 * RAD
+
+const toJulian = date => date.getTime() / DAY_MS - 0.5 + J1970
+const fromJulian = j => new Date((j + 0.5 - J1970) * DAY_MS)
+
+// { sunrise: Date, sunset: Date } untuk tanggal lokal `date`,
+// null kalau matahari tidak terbit/terbenam (daerah kutub)
+export function getSunTimes(date, location) {
+  if (!isValidLocation(location)) return null
+  const lw = -location.lon * RAD
+  const phi = location.lat * RAD
+  const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12)
+  const d = toJulian(noon) - J2000
+
+  const cycle = Math.round(d - 0.0009 - lw / (2 * Math.PI))
+  const ds = 0.0009 + lw / (2 * Math.PI) + cycle
+  const M = RAD * (357.5291 + 0.98560028 * ds)
+  const C =
+    RAD *
+    (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M))
+  const L = M + C + RAD * 102.9372 + Math.PI
+  const dec = Math.asin(Math.sin(L) * Math.sin(EARTH_TILT))
+  const transit = J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L)
+
+  const cosW =
+    (Math.sin(SUN_ALTITUDE) - Math.sin(phi) * Math.sin(dec)) /
+    (Math.cos(phi) * Math.cos(dec))
+  if (cosW < -1 || cosW > 1) return null
+
+  const w = Math.acos(cosW)
+  const set =
+    J2000 +
+    (0.0009 + (w + lw) / (2 * Math.PI) + cycle) +
+    0.0053 * Math.sin(M) -
+    0.0069 * Math.sin(2 * L)
+  const rise = transit - (set - transit)
+
+  return { sunrise: fromJulian(rise), sunset: fromJulian(set) }
+}
+
+/* ---- evaluasi jadwal ---- */
+
+// titik jadwal pada tanggal lokal `day` -> Date (null kalau tidak bisa dihitung)
+export function resolveSchedulePoint(point, day, location) {
+  if (!point) return null
+  if (point.type === 'sunrise' || point.type === 'sunset') {
+    const sun = getSunTimes(day, location)
+    if (!sun) return null
+    const base = point.type === 'sunrise' ? sun.sunrise : sun.sunset
+    return new Date(base.getTime() + (Number(point.offsetMin) || 0) * 60000)
+  }
+  const [h, m] = String(point.time || '')
+    .split(':')
+    .map(Number)
+  if (!Number.isFinite(h) || !Number.isFinite(m)) return null
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m)
+}
+
+function startOfLocalDay(d) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate())
+}
+
+// Interval ON (sudah digabung) yang bersinggungan dengan [from, to].
+// Slot yang jam matinya <= jam nyala dianggap lewat tengah malam.
+export function getScheduleIntervals(schedule, location, from, to) {
+  if (!schedule?.slots?.length) return []
+  const raw = []
+  // mulai sehari lebih awal supaya slot lewat tengah malam ikut terhitung
+  const firstDay = startOfLocalDay(new Date(from.getTime() - DAY_MS))
+
+  for (
+    let day = firstDay;
+    day.getTime() <= to.getTime();
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)
+  ) {
+    schedule.slots.forEach(slot => {
+      if (!slot.days?.includes(day.getDay())) return
+      const start = resolveSchedulePoint(slot.on, day, location)
+      let end = resolveSchedulePoint(slot.off, day, location)
+      if (!start || !end) return
+      if (end <= start) {
+        const nextDay = new Date(
+          day.getFullYear(),
+          day.getMonth(),
+          day.getDate() + 1
+        )
+        end = resolveSchedulePoint(slot.off, nextDay, location)
+        if (!end || end <= start) return
+      }
+      if (end < from || start > to) return
+      raw.push({ start, end })
+    })
+  }
+
+  raw.sort((a, b) => a.start - b.start)
+  const merged = []
+  raw.forEach(iv => {
+    const prev = merged[merged.length - 1]
+    if (prev && iv.start <= prev.end) {
+      if (iv.end > prev.end) prev.end = iv.end
+    } else {
+      merged.push({ ...iv })
+    }
+  })
+  return merged
+}
+
+// Aksi terakhir (<= now) & aksi berikutnya (> now) dari jadwal.
+// aksi = { at: Date, state: boolean }
+export function getScheduleActions(schedule, location, now = new Date()) {
+  const from = new Date(now.getTime() - 2 * DAY_MS)
+  const to = new Date(now.getTime() + 8 * DAY_MS)
+  const actions = []
+  getScheduleIntervals(schedule, location, from, to).forEach(iv => {
+    actions.push({ at: iv.start, state: true })
+    actions.push({ at: iv.end, state: false })
+  })
+
+  let last = null
+  let next = null
+  actions.forEach(a => {
+    if (a.at <= now) {
+      if (!last || a.at > last.at) last = a
+    } else if (!next || a.at < next.at) {
+      next = a
+    }
+  })
+  return { last, next }
+}
+
+export function usesSunTimes(schedule) {
+  return (schedule?.slots || []).some(
+    s => s.on?.type !== 'time' || s.off?.type !== 'time'
+  )
+}
@@ -0,0 +1,109 @@
+// Hirarki site -> ruangan -> device (tabel sites, rooms, kolom
+// devices.site_id / devices.room_id). Nilai di level site / ruangan adalah
+// gabungan device anggota.
+
+export const NO_SITE_LABEL = 'Tanpa site'
+export const NO_ROOM_LABEL = 'Tanpa ruangan'
+
+// lebar bucket untuk puncak daya gabungan
+export const PEAK_BUCKET_SECONDS = 5 * 60
+
+// scope: null (semua device) | { siteId, roomId } (roomId null = seluruh site)
+export function scopeDevices(devices, scope) {
+  if (!scope?.siteId) return devices
+  return devices.filter(
+    d =>
+      d.site_id === scope.siteId &&
+      (scope.roomId == null || d.room_id === scope.roomId)
+  )
+}
+
+export function isValidScope(scope, sites, rooms) {
+  if (!scope?.siteId || !sites.some(s => s.id === scope.siteId)) return false
+  if (scope.roomId == null) return true
+  return rooms.some(r => r.id === scope.roomId && r.site_id === scope.siteId)
+}
+
+// gabungkan nilai beberapa device sesuai metric.aggregate (sum / avg).
+// Nilai kosong (NaN) diabaikan; count = jumlah device yang punya nilai.
+export function aggregateMetric(metric, values) {
+  const vals = values.filter(v => !Number.isNaN(v))
+  if (!vals.length) return { value: NaN, count: 0 }
+  const sum = vals.reduce((s, v) => s + v, 0)
+  return {
+    value: metric.aggregate === 'avg' ? sum / vals.length : sum,
+    count: vals.length
+  }
+}
+
+// Puncak daya gabungan: daya maks tiap device dijumlah per bucket waktu yang
+// sama, bukan jumlah puncak masing-masing device (yang bisa beda jam).
+// series: { [device_id]: baris monitoring_log_buckets }
+// return { watts, at } atau null kalau belum ada data
+export function combinedPeak(series, deviceIds) {
+  const totals = new Map()
+  deviceIds.forEach(id => {
+    for (const b of series[id] || []) {
+      const watts = Number(b.daya_aktif_w_max)
+      if (b.daya_aktif_w_max == null || !Number.isFinite(watts)) continue
+      const t = new Date(b.bucket_ts).getTime()
+      totals.set(t, (totals.get(t) || 0) + watts)
+    }
+  })
+
+  let peak = null
+  totals.forEach((watts, t) => {
+    if (!peak || watts > peak.watts) peak = { watts, at: new Date(t) }
+  })
+  return peak
+}
+
+// Breadcrumb header. target: { view, scope } untuk navigasi, null = posisi
+// sekarang. Level site / ruangan diambil dari scope (view 'site') atau dari
+// device yang sedang dibuka.
+export function buildBreadcrumb({ view, scope, device, sites, rooms }) {
+  const siteId = view === 'site' ? scope?.siteId : device?.site_id
+  const roomId = view === 'site' ? scope?.roomId : device?.room_id
+  const site = sites.find(s => s.id === siteId)
+  const room = site ? rooms.find(r => r.id === roomId) : null
+  const atDevice = view !== 'site' && view !== 'fleet'
+
+  const crumbs = [
+    {
+      key: 'all',
+      label: 'Semua site',
+      target: view === 'fleet' ? null : { view: 'fleet', scope: null }
+    }
+  ]
+  if (view === 'fleet') return crumbs
+
+  crumbs.push(
+    site
+      ? {
+          key: `site-${site.id}`,
+          label: site.name,
+          target:
+            room || atDevice
+              ? { view: 'site', scope: { siteId: site.id, roomId: null } }
+              : null
+        }
+      : { key: 'no-site', label: NO_SITE_LABEL, target: null }
+  )
+  if (room) {
+    crumbs.push({
+      key: `room-${room.id}`,
+      label: room.name,
+      target: atDevice
+        ? { view: 'site', scope: { siteId: site.id, roomId: room.id } }
+        : null
+    })
+  }
+  if (atDevice && device) {
+    crumbs.push({
+      key: `device-${device.device_id}`,
+      label: device.name || device.device_id,
+      target: null
+    })
+  }
+  return crumbs
+}
@@ -0,0 +1,160 @@
+// Tarif listrik PLN: preset golongan, riwayat dengan tanggal berlaku dan
+// payload perintah set_tariff ke device.
+import { toDateKey } from './timeRange'
+
+// Tarif tenaga listrik per kWh (penyesuaian tarif triwulanan 2024–2025).
+// Hanya titik awal; cek penetapan PLN terbaru sebelum menyimpan.
+// biaya_beban: rupiah per bulan. Pajak (ppj_persen, pbjt_persen) tidak ikut
+// preset karena ditetapkan perda masing-masing daerah.
+export const PLN_TARIFF_PRESETS = [
+  {
+    key: 'R-1/450',
+    label: 'R-1/450 VA (subsidi)',
+    harga_per_kwh: 415,
+    biaya_beban: 0
+  },
+  {
+    key: 'R-1/900',
+    label: 'R-1/900 VA (subsidi)',
+    harga_per_kwh: 605,
+    biaya_beban: 0
+  },
+  {
+    key: 'R-1/900-RTM',
+    label: 'R-1/900 VA RTM (non-subsidi)',
+    harga_per_kwh: 1352,
+    biaya_beban: 0
+  },
+  {
+    key: 'R-1/1300',
+    label: 'R-1/1300 VA',
+    harga_per_kwh: 1444.7,
+    biaya_beban: 0
+  },
+  {
+    key: 'R-1/2200',
+    label: 'R-1/2200 VA',
+    harga_per_kwh: 1444.7,
+    biaya_beban: 0
+  },
+  {
+    key: 'R-2',
+    label: 'R-2/3500–5500 VA',
+    harga_per_kwh: 1699.53,
+    biaya_beban: 0
+  },
+  {
+    key: 'R-3',
+    label: 'R-3/6600 VA ke atas',
+    harga_per_kwh: 1699.53,
+    biaya_beban: 0
+  },
+  {
+    key: 'B-1',
+    label: 'B-1/5500 VA (bisnis kecil)',
+    harga_per_kwh: 1444.7,
+    biaya_beban: 0
+  },
+  {
+    key: 'B-2',
+    label: 'B-2/6600 VA–200 kVA',
+    harga_per_kwh: 1444.7,
+    biaya_beban: 0
+  },
+  {
+    key: 'P-1',
+    label: 'P-1/6600 VA–200 kVA (kantor)',
+    harga_per_kwh: 1699.53,
+    biaya_beban: 0
+  }
+]
+
+// PBJT tenaga listrik menggantikan PPJ; PPJ tetap bisa diisi untuk daerah
+// yang masih memungutnya.
+export const DEFAULT_TARIFF_PPJ_PCT = 0
+export const DEFAULT_TARIFF_PBJT_PCT = 3
+
+export const TARIFF_TAX_FIELDS = [
+  { key: 'ppj_persen', label: 'PPJ' },
+  { key: 'pbjt_persen', label: 'PBJT' }
+]
+
+// total pajak (%), sama dengan tarif_pajak_persen di device
+export function tariffTaxPct(tariff) {
+  return (Number(tariff?.ppj_persen) || 0) + (Number(tariff?.pbjt_persen) || 0)
+}
+
+export function findTariffPreset(key) {
+  return PLN_TARIFF_PRESETS.find(p => p.key === key) || null
+}
+
+export function tariffClassLabel(key) {
+  return findTariffPreset(key)?.label || key || '-'
+}
+
+// tariffs: urut bebas; hasil = tarif yang berlaku pada tanggal `at`
+export function tariffAt(tariffs, at = new Date()) {
+  const key = toDateKey(at)
+  let best = null
+  tariffs.forEach(t => {
+    if (t.effective_from > key) return
+    if (!best || t.effective_from > best.effective_from) best = t
+  })
+  return best
+}
+
+// active | scheduled (belum berlaku) | past
+export function tariffStatus(tariff, tariffs, now = new Date()) {
+  if (tariff.effective_from > toDateKey(now)) return 'scheduled'
+  return tariffAt(tariffs, now)?.id === tariff.id ? 'active' : 'past'
+}
+
+export function validateTariff(values) {
+  const errors = {}
+  if (!values.tariff_class) errors.tariff_class = 'Pilih golongan tarif.'
+  const price = Number(values.harga_per_kwh)
+  if (values.harga_per_kwh === '' || !Number.isFinite(price) || price <= 0) {
+    errors.harga_per_kwh = 'Harga per kWh harus > 0.'
+  }
+  const beban = Number(values.biaya_beban || 0)
+  if (!Number.isFinite(beban) || beban < 0) {
+    errors.biaya_beban = 'Biaya beban >= 0.'
+  }
+  TARIFF_TAX_FIELDS.forEach(({ key, label }) => {
+    const pct = Number(values[key] || 0)
+    if (!Number.isFinite(pct) || pct < 0 || pct > 100) {
+      errors[key] = `${label} 0–100 %.`
+    }
+  })
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.effective_from || '')) {
+    errors.effective_from = 'Isi tanggal mulai berlaku.'
+  }
+  return errors
+}
+
+// payload set_tariff: nama key sama dengan kolom tarif_* di monitoring_log.
+// tarif_pajak_persen = total, rinciannya di tarif_ppj_persen /
+// tarif_pbjt_persen.
+export function tariffCommandPayload(tariff) {
+  return {
+    tarif_harga_per_kwh: tariff.harga_per_kwh,
+    tarif_biaya_beban: tariff.biaya_beban,
+    tarif_pajak_persen: tariffTaxPct(tariff),
+    tarif_ppj_persen: tariff.ppj_persen,
+    tarif_pbjt_persen: tariff.pbjt_persen,
+    golongan: tariff.tariff_class,
+    effective_from: tariff.effective_from
+  }
+}
+
+// apakah tarif di log terakhir device sama dengan tarif aktif
+export function deviceTariffMatches(tariff, lastLog, asNumber) {
+  if (!tariff || !lastLog) return null
+  const same = (field, value) =>
+    Math.abs((asNumber(lastLog[field]) || 0) - (value || 0)) < 0.01
+  return (
+    same('tarif_harga_per_kwh', tariff.harga_per_kwh) &&
+    same('tarif_biaya_beban', tariff.biaya_beban) &&
+    same('tarif_pajak_persen', tariffTaxPct(tariff))
+  )
+}
@@ -0,0 +1,93 @@
+// Rentang waktu untuk riwayat: preset relatif (dihitung dari sekarang)
+// atau custom dari/sampai.
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+export const HISTORY_PRESETS = [
+  { key: '1h', label: '1 jam', spanMs: HOUR_MS },
+  { key: '6h', label: '6 jam', spanMs: 6 * HOUR_MS },
+  { key: '24h', label: '24 jam', spanMs: DAY_MS },
+  { key: '7d', label: '7 hari', spanMs: 7 * DAY_MS },
+  { key: '30d', label: '30 hari', spanMs: 30 * DAY_MS }
+]
+
+export const DEFAULT_HISTORY_RANGE = { preset: '24h', from: null, to: null }
+
+// Pilihan lebar bucket, dipilih yang paling kecil tapi jumlah bucket
+// tetap <= MAX_BUCKETS (batas default baris PostgREST = 1000)
+const BUCKET_STEPS = [
+  { seconds: 60, label: 'per menit' },
+  { seconds: 5 * 60, label: 'per 5 menit' },
+  { seconds: 15 * 60, label: 'per 15 menit' },
+  { seconds: 60 * 60, label: 'per jam' },
+  { seconds: 6 * 60 * 60, label: 'per 6 jam' },
+  { seconds: 24 * 60 * 60, label: 'per hari' },
+  { seconds: 7 * 24 * 60 * 60, label: 'per minggu' }
+]
+
+const MAX_BUCKETS = 900
+
+export function isValidRange(range) {
+  if (!range || typeof range !== 'object') return false
+  if (range.preset === 'custom') {
+    const from = new Date(range.from)
+    const to = new Date(range.to)
+    return (
+      !Number.isNaN(from.getTime()) &&
+      !Number.isNaN(to.getTime()) &&
+      from < to
+    )
+  }
+  return HISTORY_PRESETS.some(p => p.key === range.preset)
+}
+
+// { preset, from, to } -> { from: Date, to: Date }
+export function resolveRange(range, now = new Date()) {
+  if (range?.preset === 'custom' && isValidRange(range)) {
+    return { from: new Date(range.from), to: new Date(range.to) }
+  }
+  const preset =
+    HISTORY_PRESETS.find(p => p.key === range?.preset) ||
+    HISTORY_PRESETS.find(p => p.key === DEFAULT_HISTORY_RANGE.preset)
+  return { from: new Date(now.getTime() - preset.spanMs), to: now }
+}
+
+export function pickBucket(from, to) {
+  const spanSec = Math.max(1, (to.getTime() - from.getTime()) / 1000)
+  return (
+    BUCKET_STEPS.find(step => spanSec / step.seconds <= MAX_BUCKETS) ||
+    BUCKET_STEPS[BUCKET_STEPS.length - 1]
+  )
+}
+
+// Geser rentang mundur / maju sebesar lebarnya sendiri (jadi rentang custom)
+export function shiftRange(range, direction, now = new Date()) {
+  const { from, to } = resolveRange(range, now)
+  const span = to.getTime() - from.getTime()
+  const offset = direction * span
+  const nextTo = Math.min(to.getTime() + offset, now.getTime())
+  return {
+    preset: 'custom',
+    from: new Date(nextTo - span).toISOString(),
+    to: new Date(nextTo).toISOString()
+  }
+}
+
+// Date -> nilai untuk <input type="datetime-local"> (waktu lokal)
+export function toDateTimeLocal(d) {
+  if (!d) return ''
+  const pad = n => String(n).padStart(2, '0')
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+    `T${pad(d.getHours())}:${pad(d.getMinutes())}`
+  )
+}
+
+// Date -> tanggal lokal YYYY-MM-DD. Satu-satunya key hari yang dipakai
+// statistik harian / bulanan, verifikasi tagihan dan tanggal berlaku tarif,
+// supaya batas hari selalu tengah malam waktu lokal (bukan UTC).
+export function toDateKey(d) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
@@ -0,0 +1,19 @@
+-- Registry device untuk pemilih device di header dashboard.
+-- device_id harus sama dengan device_id yang dikirim ESP32 ke monitoring_log.
+
+create table if not exists public.devices (
+  device_id text primary key,
+  name text,
+  description text,
+  created_at timestamptz not null default now()
+);
+
+alter table public.devices enable row level security;
+
+drop policy if exists "devices read" on public.devices;
+create policy "devices read" on public.devices
+  for select using (true);
+
+insert into public.devices (device_id, name)
+values ('ESP32-S3-Monitoring-01', 'ESP32-S3 Monitoring 01')
+on conflict (device_id) do nothing;
@@ -0,0 +1,127 @@
+-- Downsampling riwayat di sisi server: rata-rata / min / maks per bucket waktu.
+-- Dipanggil dashboard lewat supabase.rpc('monitoring_log_buckets', ...)
+-- supaya rentang panjang (mis. 1 tahun) tidak perlu download semua row.
+--
+-- p_bucket_seconds : lebar bucket (60 = per menit, 3600 = per jam, 86400 = per hari)
+-- p_origin         : titik awal grid bucket (kirim tengah malam waktu lokal
+--                    supaya bucket harian jatuh di 00:00 lokal)
+
+create or replace function public.monitoring_log_buckets(
+  p_device_id text,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_bucket_seconds integer,
+  p_origin timestamptz default '2000-01-01 00:00:00+07'
+)
+returns table (
+  bucket_ts timestamptz,
+  samples bigint,
+  daya_aktif_w_avg double precision,
+  daya_aktif_w_min double precision,
+  daya_aktif_w_max double precision,
+  tegangan_v_avg double precision,
+  tegangan_v_min double precision,
+  tegangan_v_max double precision,
+  arus_a_avg double precision,
+  arus_a_min double precision,
+  arus_a_max double precision,
+  faktor_daya_avg double precision,
+  faktor_daya_min double precision,
+  faktor_daya_max double precision,
+  frekuensi_hz_avg double precision,
+  frekuensi_hz_min double precision,
+  frekuensi_hz_max double precision,
+  daya_semu_va_avg double precision,
+  daya_semu_va_min double precision,
+  daya_semu_va_max double precision,
+  daya_reaktif_var_avg double precision,
+  daya_reaktif_var_min double precision,
+  daya_reaktif_var_max double precision,
+  suhu_c_avg double precision,
+  suhu_c_min double precision,
+  suhu_c_max double precision,
+  kelembapan_rh_avg double precision,
+  kelembapan_rh_min double precision,
+  kelembapan_rh_max double precision,
+  light_level_lux_avg double precision,
+  light_level_lux_min double precision,
+  light_level_lux_max double precision,
+  tekanan_hpa_avg double precision,
+  tekanan_hpa_min double precision,
+  tekanan_hpa_max double precision,
+  altitude_m_avg double precision,
+  altitude_m_min double precision,
+  altitude_m_max double precision,
+  wifi_rssi_avg double precision,
+  wifi_rssi_min double precision,
+  wifi_rssi_max double precision,
+  energi_harian_kwh_max double precision,
+  energi_bulanan_kwh_max double precision,
+  energi_total_kwh_max double precision,
+  total_harian_rp_max double precision,
+  total_bulanan_rp_max double precision
+)
+language sql
+stable
+as $$
+  select
+    date_bin(make_interval(secs => greatest(p_bucket_seconds, 1)), l.ts, p_origin) as bucket_ts,
+    count(*) as samples,
+    avg(l.daya_aktif_w)::float8,
+    min(l.daya_aktif_w)::float8,
+    max(l.daya_aktif_w)::float8,
+    avg(l.tegangan_v)::float8,
+    min(l.tegangan_v)::float8,
+    max(l.tegangan_v)::float8,
+    avg(l.arus_a)::float8,
+    min(l.arus_a)::float8,
+    max(l.arus_a)::float8,
+    avg(l.faktor_daya)::float8,
+    min(l.faktor_daya)::float8,
+    max(l.faktor_daya)::float8,
+    avg(l.frekuensi_hz)::float8,
+    min(l.frekuensi_hz)::float8,
+    max(l.frekuensi_hz)::float8,
+    avg(l.daya_semu_va)::float8,
+    min(l.daya_semu_va)::float8,
+    max(l.daya_semu_va)::float8,
+    avg(l.daya_reaktif_var)::float8,
+    min(l.daya_reaktif_var)::float8,
+    max(l.daya_reaktif_var)::float8,
+    avg(l.suhu_c)::float8,
+    min(l.suhu_c)::float8,
+    max(l.suhu_c)::float8,
+    avg(l.kelembapan_rh)::float8,
+    min(l.kelembapan_rh)::float8,
+    max(l.kelembapan_rh)::float8,
+    avg(l.light_level_lux)::float8,
+    min(l.light_level_lux)::float8,
+    max(l.light_level_lux)::float8,
+    avg(l.tekanan_hpa)::float8,
+    min(l.tekanan_hpa)::float8,
+    max(l.tekanan_hpa)::float8,
+    avg(l.altitude_m)::float8,
+    min(l.altitude_m)::float8,
+    max(l.altitude_m)::float8,
+    avg(l.wifi_rssi)::float8,
+    min(l.wifi_rssi)::float8,
+    max(l.wifi_rssi)::float8,
+    max(l.energi_harian_kwh)::float8,
+    max(l.energi_bulanan_kwh)::float8,
+    max(l.energi_total_kwh)::float8,
+    max(l.total_harian_rp)::float8,
+    max(l.total_bulanan_rp)::float8
+  from public.monitoring_log l
+  where l.device_id = p_device_id
+    and l.ts >= p_from
+    and l.ts < p_to
+  group by 1
+  order by 1;
+$$;
+
+-- index ini yang membuat query rentang panjang tetap cepat
+create index if not exists monitoring_log_device_ts_idx
+  on public.monitoring_log (device_id, ts);
+
+grant execute on function public.monitoring_log_buckets(text, timestamptz, timestamptz, integer, timestamptz)
+  to anon, authenticated;
@@ -0,0 +1,145 @@
+-- Log event kualitas daya (sag/swell tegangan, arus lebih, frekuensi keluar batas).
+-- Deteksi dilakukan trigger di database pada setiap insert monitoring_log,
+-- jadi event tetap tercatat walau tidak ada yang membuka dashboard.
+--
+-- Batas mengikuti tegangan nominal 220 V / 50 Hz (lihat src/lib/powerQuality.js):
+--   tegangan  : -10% / +5%  -> < 198 V sag, > 231 V swell
+--   frekuensi : +-1%        -> < 49.5 Hz / > 50.5 Hz
+--   arus      : > devices.breaker_rating_a (default 10 A)
+
+alter table public.devices
+  add column if not exists breaker_rating_a double precision default 10;
+
+create table if not exists public.power_events (
+  id bigserial primary key,
+  device_id text not null,
+  event_type text not null check (
+    event_type in (
+      'voltage_sag',
+      'voltage_swell',
+      'overcurrent',
+      'frequency_low',
+      'frequency_high'
+    )
+  ),
+  metric text not null,
+  threshold double precision not null,
+  started_at timestamptz not null,
+  last_seen_at timestamptz not null,
+  ended_at timestamptz,
+  duration_sec double precision,
+  extreme_value double precision not null,
+  samples integer not null default 1,
+  unique (device_id, event_type, started_at)
+);
+
+create index if not exists power_events_device_started_idx
+  on public.power_events (device_id, started_at desc);
+
+alter table public.power_events enable row level security;
+
+drop policy if exists "power_events read" on public.power_events;
+create policy "power_events read" on public.power_events
+  for select using (true);
+
+create or replace function public.detect_power_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_breaker double precision;
+  v_rule record;
+  v_value double precision;
+  v_violated boolean;
+  v_open_id bigint;
+begin
+  select breaker_rating_a into v_breaker
+  from public.devices
+  where device_id = new.device_id;
+  v_breaker := coalesce(v_breaker, 10);
+
+  for v_rule in
+    select *
+    from (
+      values
+        ('voltage_sag', 'tegangan_v', '<', 198.0::float8),
+        ('voltage_swell', 'tegangan_v', '>', 231.0::float8),
+        ('overcurrent', 'arus_a', '>', v_breaker),
+        ('frequency_low', 'frekuensi_hz', '<', 49.5::float8),
+        ('frequency_high', 'frekuensi_hz', '>', 50.5::float8)
+    ) as t (event_type, metric, op, threshold)
+  loop
+    v_value := case v_rule.metric
+      when 'tegangan_v' then new.tegangan_v::float8
+      when 'arus_a' then new.arus_a::float8
+      when 'frekuensi_hz' then new.frekuensi_hz::float8
+    end;
+
+    -- sampel tanpa nilai: biarkan status event apa adanya
+    continue when v_value is null;
+
+    v_violated := case v_rule.op
+      when '<' then v_value < v_rule.threshold
+      else v_value > v_rule.threshold
+    end;
+
+    select id into v_open_id
+    from public.power_events
+    where device_id = new.device_id
+      and event_type = v_rule.event_type
+      and ended_at is null
+    order by started_at desc
+    limit 1;
+
+    if v_violated then
+      if v_open_id is null then
+        insert into public.power_events (
+          device_id, event_type, metric, threshold,
+          started_at, last_seen_at, extreme_value
+        )
+        values (
+          new.device_id, v_rule.event_type, v_rule.metric, v_rule.threshold,
+          new.ts, new.ts, v_value
+        )
+        on conflict (device_id, event_type, started_at) do nothing;
+      else
+        update public.power_events
+        set extreme_value = case v_rule.op
+              when '<' then least(extreme_value, v_value)
+              else greatest(extreme_value, v_value)
+            end,
+            last_seen_at = new.ts,
+            samples = samples + 1
+        where id = v_open_id;
+      end if;
+    elsif v_open_id is not null then
+      update public.power_events
+      set ended_at = new.ts,
+          duration_sec = extract(epoch from new.ts - started_at)
+      where id = v_open_id;
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists monitoring_log_power_events on public.monitoring_log;
+create trigger monitoring_log_power_events
+  after insert on public.monitoring_log
+  for each row execute function public.detect_power_events();
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'power_events'
+  ) then
+    alter publication supabase_realtime add table public.power_events;
+  end if;
+end;
+$$;
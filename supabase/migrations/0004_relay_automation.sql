@@ -0,0 +1,170 @@
+-- Otomasi relay di server. Aturan (sensor & jadwal) disimpan di Supabase dan
+-- dijalankan worker Node (worker/relay-automation.js) 24/7, bukan lagi oleh
+-- tab browser yang kebetulan terbuka.
+--
+-- relay_automation        : aturan per channel, diedit dari dashboard
+-- relay_automation_state  : hasil evaluasi terakhir, hanya ditulis worker
+-- automation_leases       : lease supaya hanya satu worker yang aktif
+
+-- lokasi untuk jadwal matahari terbit/terbenam
+alter table public.devices
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision;
+
+-- Dashboard belum punya login (menyusul di 0014) dan memakai anon key, jadi
+-- dari client hanya kolom yang memang diedit dashboard yang boleh diubah.
+-- Migrasi berikutnya menambah kolomnya sendiri ke grant ini.
+revoke update on public.devices from anon, authenticated;
+grant update (latitude, longitude) on public.devices to anon, authenticated;
+
+drop policy if exists "devices update" on public.devices;
+create policy "devices update" on public.devices
+  for update using (true) with check (true);
+
+-- Tulis dari dashboard dibatasi ke device yang terdaftar di devices, supaya
+-- anon key tidak bisa membuat aturan untuk device_id sembarang. Batas per
+-- peran (operator / admin) ada di 0014.
+create or replace function public.is_registered_device(p_device_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.devices where device_id = p_device_id
+  );
+$$;
+
+grant execute on function public.is_registered_device(text)
+  to anon, authenticated;
+
+create table if not exists public.relay_automation (
+  device_id text not null,
+  channel integer not null,
+  -- { enabled, source, operator, threshold }
+  auto_rule jsonb,
+  -- { enabled, slots: [...] }, format di src/lib/relaySchedule.js
+  schedule jsonb,
+  updated_at timestamptz not null default now(),
+  primary key (device_id, channel)
+);
+
+alter table public.relay_automation enable row level security;
+
+drop policy if exists "relay_automation read" on public.relay_automation;
+create policy "relay_automation read" on public.relay_automation
+  for select using (true);
+
+drop policy if exists "relay_automation write" on public.relay_automation;
+create policy "relay_automation write" on public.relay_automation
+  for insert with check (public.is_registered_device(device_id));
+
+drop policy if exists "relay_automation update" on public.relay_automation;
+create policy "relay_automation update" on public.relay_automation
+  for update using (public.is_registered_device(device_id))
+  with check (public.is_registered_device(device_id));
+
+create table if not exists public.relay_automation_state (
+  device_id text not null,
+  channel integer not null,
+  -- dinaikkan setiap evaluasi; update bersyarat version mencegah dua worker
+  -- menjalankan aksi yang sama
+  version bigint not null default 0,
+  evaluated_at timestamptz,
+  last_log_ts timestamptz,
+  sensor_decision boolean,
+  schedule_applied_at timestamptz,
+  last_action_state boolean,
+  last_action_by text,
+  last_action_at timestamptz,
+  evaluation jsonb,
+  primary key (device_id, channel)
+);
+
+alter table public.relay_automation_state enable row level security;
+
+drop policy if exists "relay_automation_state read" on public.relay_automation_state;
+create policy "relay_automation_state read" on public.relay_automation_state
+  for select using (true);
+
+create table if not exists public.automation_leases (
+  name text primary key,
+  holder text not null,
+  expires_at timestamptz not null
+);
+
+alter table public.automation_leases enable row level security;
+
+drop policy if exists "automation_leases read" on public.automation_leases;
+create policy "automation_leases read" on public.automation_leases
+  for select using (true);
+
+-- Ambil / perpanjang lease. true kalau p_holder sekarang pemegang lease.
+create or replace function public.claim_automation_lease(
+  p_name text,
+  p_holder text,
+  p_ttl_seconds integer
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  v_holder text;
+begin
+  insert into public.automation_leases (name, holder, expires_at)
+  values (p_name, p_holder, now() + make_interval(secs => p_ttl_seconds))
+  on conflict (name) do update
+    set holder = excluded.holder,
+        expires_at = excluded.expires_at
+    where public.automation_leases.holder = excluded.holder
+       or public.automation_leases.expires_at < now()
+  returning holder into v_holder;
+
+  return coalesce(v_holder = p_holder, false);
+end;
+$$;
+
+revoke execute on function public.claim_automation_lease(text, text, integer)
+  from public, anon, authenticated;
+grant execute on function public.claim_automation_lease(text, text, integer)
+  to service_role;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'relay_automation'
+  ) then
+    alter publication supabase_realtime add table public.relay_automation;
+  end if;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'relay_automation_state'
+  ) then
+    alter publication supabase_realtime add table public.relay_automation_state;
+  end if;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'automation_leases'
+  ) then
+    alter publication supabase_realtime add table public.automation_leases;
+  end if;
+end;
+$$;
@@ -0,0 +1,10 @@
+-- Aturan otomatis majemuk: beberapa kondisi (AND/OR) dengan ambang nyala &
+-- mati terpisah (deadband), min ON/OFF, cooldown dan jendela waktu.
+-- Aturan tetap di relay_automation.auto_rule (jsonb), format lengkap di
+-- src/lib/relayAutomation.js. Baris format lama { source, operator, threshold }
+-- dibaca sebagai satu kondisi, jadi tidak perlu dikonversi di sini.
+
+-- status tiap kondisi { [condition_id]: boolean }, disimpan worker supaya
+-- deadband tetap benar di antara evaluasi
+alter table public.relay_automation_state
+  add column if not exists condition_states jsonb;
@@ -0,0 +1,88 @@
+-- Manajemen beban (load shedding). Saat daya mendekati batas, worker
+-- (worker/relay-automation.js) mematikan relay sesuai urutan prioritas dan
+-- menyalakannya lagi setelah beban turun. Logika di src/lib/loadShedding.js.
+--
+-- load_shedding        : konfigurasi per device, diedit dari dashboard
+-- load_shedding_state  : relay yang sedang dipadamkan, hanya ditulis worker
+
+create table if not exists public.load_shedding (
+  device_id text primary key,
+  enabled boolean not null default false,
+  metric text not null default 'daya_semu_va'
+    check (metric in ('daya_semu_va', 'daya_aktif_w')),
+  -- batas daya (VA / W sesuai metric), biasanya daya tersambung PLN
+  power_limit double precision not null default 1300,
+  -- mulai memadamkan saat beban >= shed_pct % batas
+  shed_pct double precision not null default 90,
+  -- menyalakan lagi setelah beban < restore_pct % batas selama
+  -- restore_delay_sec detik
+  restore_pct double precision not null default 75,
+  restore_delay_sec integer not null default 120,
+  -- urutan channel yang dipadamkan, pertama = prioritas terendah
+  priority integer[] not null default '{}',
+  updated_at timestamptz not null default now()
+);
+
+alter table public.load_shedding enable row level security;
+
+drop policy if exists "load_shedding read" on public.load_shedding;
+create policy "load_shedding read" on public.load_shedding
+  for select using (true);
+
+-- hanya untuk device terdaftar (worker memakai service role); batas per
+-- peran ada di 0014
+drop policy if exists "load_shedding write" on public.load_shedding;
+create policy "load_shedding write" on public.load_shedding
+  for insert with check (public.is_registered_device(device_id));
+
+drop policy if exists "load_shedding update" on public.load_shedding;
+create policy "load_shedding update" on public.load_shedding
+  for update using (public.is_registered_device(device_id))
+  with check (public.is_registered_device(device_id));
+
+create table if not exists public.load_shedding_state (
+  device_id text primary key,
+  -- sama dengan relay_automation_state: update bersyarat version
+  version bigint not null default 0,
+  evaluated_at timestamptz,
+  -- channel yang sedang dipadamkan, urut sesuai waktu dipadamkan
+  shed_channels integer[] not null default '{}',
+  -- log yang memicu pemadaman terakhir (satu relay per log baru)
+  shed_log_ts timestamptz,
+  below_since timestamptz,
+  last_shed_at timestamptz,
+  last_restore_at timestamptz,
+  evaluation jsonb
+);
+
+alter table public.load_shedding_state enable row level security;
+
+drop policy if exists "load_shedding_state read" on public.load_shedding_state;
+create policy "load_shedding_state read" on public.load_shedding_state
+  for select using (true);
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'load_shedding'
+  ) then
+    alter publication supabase_realtime add table public.load_shedding;
+  end if;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'load_shedding_state'
+  ) then
+    alter publication supabase_realtime add table public.load_shedding_state;
+  end if;
+end;
+$$;
@@ -0,0 +1,61 @@
+-- Riwayat perubahan relay. relay_channel hanya menyimpan state terakhir, jadi
+-- setiap perubahan state disalin ke relay_channel_history oleh trigger (dari
+-- dashboard, worker, maupun device).
+
+create table if not exists public.relay_channel_history (
+  id bigserial primary key,
+  device_id text not null,
+  channel integer not null,
+  state boolean not null,
+  -- web_manual, schedule, auto_temperature, load_shed, ...
+  meta_by text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists relay_channel_history_device_ts_idx
+  on public.relay_channel_history (device_id, changed_at desc);
+
+alter table public.relay_channel_history enable row level security;
+
+drop policy if exists "relay_channel_history read" on public.relay_channel_history;
+create policy "relay_channel_history read" on public.relay_channel_history
+  for select using (true);
+
+create or replace function public.record_relay_channel_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- upsert dengan state yang sama (mis. meta_ts diperbarui) bukan perubahan
+  if tg_op = 'UPDATE' and new.state is not distinct from old.state then
+    return new;
+  end if;
+  if new.state is null then
+    return new;
+  end if;
+
+  insert into public.relay_channel_history (device_id, channel, state, meta_by, changed_at)
+  values (new.device_id, new.channel, new.state, new.meta_by, coalesce(new.meta_ts, now()));
+  return new;
+end;
+$$;
+
+drop trigger if exists relay_channel_history_trg on public.relay_channel;
+create trigger relay_channel_history_trg
+  after insert or update on public.relay_channel
+  for each row execute function public.record_relay_channel_history();
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'relay_channel_history'
+  ) then
+    alter publication supabase_realtime add table public.relay_channel_history;
+  end if;
+end;
+$$;
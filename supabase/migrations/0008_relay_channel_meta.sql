@@ -0,0 +1,54 @@
+-- Metadata channel relay (nama, ikon, daya pengenal, ruangan, disembunyikan)
+-- dan jumlah channel per board. relay_channel tetap hanya berisi state;
+-- metadata disimpan terpisah supaya upsert state dari device / worker tidak
+-- menimpanya.
+
+-- jumlah relay pada board (1, 2, 4, 8, 16)
+alter table public.devices
+  add column if not exists relay_count integer not null default 4
+    check (relay_count between 1 and 16);
+
+grant update (relay_count) on public.devices to anon, authenticated;
+
+create table if not exists public.relay_channel_meta (
+  device_id text not null,
+  channel integer not null,
+  name text,
+  -- key ikon, daftar di src/lib/relayChannels.js
+  icon text,
+  -- daya pengenal beban (W), untuk estimasi
+  rated_w double precision,
+  room text,
+  hidden boolean not null default false,
+  updated_at timestamptz not null default now(),
+  primary key (device_id, channel)
+);
+
+alter table public.relay_channel_meta enable row level security;
+
+drop policy if exists "relay_channel_meta read" on public.relay_channel_meta;
+create policy "relay_channel_meta read" on public.relay_channel_meta
+  for select using (true);
+
+-- metadata hanya untuk device terdaftar (batas per peran di 0014)
+drop policy if exists "relay_channel_meta write" on public.relay_channel_meta;
+create policy "relay_channel_meta write" on public.relay_channel_meta
+  for insert with check (public.is_registered_device(device_id));
+
+drop policy if exists "relay_channel_meta update" on public.relay_channel_meta;
+create policy "relay_channel_meta update" on public.relay_channel_meta
+  for update using (public.is_registered_device(device_id))
+  with check (public.is_registered_device(device_id));
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'relay_channel_meta'
+  ) then
+    alter publication supabase_realtime add table public.relay_channel_meta;
+  end if;
+end;
+$$;
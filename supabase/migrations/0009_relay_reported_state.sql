@@ -0,0 +1,31 @@
+-- State aktual relay yang dilaporkan device, terpisah dari state yang diminta.
+--   state / meta_ts              : permintaan (dashboard, worker, jadwal)
+--   reported_state / reported_at : konfirmasi ESP32 setelah relay benar-benar
+--                                  berpindah (atau saat boot / tombol fisik)
+-- Dashboard menampilkan "menunggu konfirmasi" selama keduanya berbeda, lalu
+-- timeout / mismatch (src/lib/relayAck.js).
+
+alter table public.relay_channel
+  add column if not exists reported_state boolean,
+  add column if not exists reported_at timestamptz;
+
+-- Dipanggil firmware untuk melapor tanpa menyentuh state yang diminta.
+create or replace function public.report_relay_state(
+  p_device_id text,
+  p_channel integer,
+  p_state boolean
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.relay_channel
+     set reported_state = p_state,
+         reported_at = now()
+   where device_id = p_device_id
+     and channel = p_channel;
+$$;
+
+grant execute on function public.report_relay_state(text, integer, boolean)
+  to anon, authenticated;
@@ -0,0 +1,114 @@
+-- Pelacakan status perintah ke device (device_commands).
+--
+-- Alur: dashboard insert (status queued) -> device mengambil perintah
+-- (delivered) -> device menjalankan & melapor (executed / failed + result).
+-- Device melapor lewat RPC update_device_command supaya status hanya bisa
+-- maju, tidak mundur.
+--
+-- Firmware yang masih menandai perintah dengan update langsung ke
+-- device_commands harus beralih ke RPC update_device_command: tabel ini
+-- tidak punya policy update, jadi update langsung dari anon key tidak
+-- mengubah baris apa pun (tanpa error).
+
+create table if not exists public.device_commands (
+  id bigserial primary key,
+  device_id text not null,
+  cmd_type text not null,
+  meter_kwh_ref double precision,
+  meter_ts bigint,
+  created_at timestamptz not null default now()
+);
+
+alter table public.device_commands
+  add column if not exists created_at timestamptz not null default now(),
+  -- baris lama dibiarkan null (status tidak tercatat)
+  add column if not exists status text,
+  add column if not exists created_by text,
+  add column if not exists delivered_at timestamptz,
+  add column if not exists executed_at timestamptz,
+  add column if not exists result jsonb,
+  add column if not exists error text;
+
+alter table public.device_commands
+  alter column status set default 'queued';
+
+alter table public.device_commands
+  drop constraint if exists device_commands_status_check;
+alter table public.device_commands
+  add constraint device_commands_status_check
+  check (status in ('queued', 'delivered', 'executed', 'failed'));
+
+create index if not exists device_commands_device_created_idx
+  on public.device_commands (device_id, created_at desc);
+
+alter table public.device_commands enable row level security;
+
+drop policy if exists "device_commands read" on public.device_commands;
+create policy "device_commands read" on public.device_commands
+  for select using (true);
+
+-- dashboard (anon key) hanya boleh mengantrekan jenis perintah yang
+-- dikenal untuk device terdaftar; status berikutnya hanya lewat RPC
+drop policy if exists "device_commands write" on public.device_commands;
+create policy "device_commands write" on public.device_commands
+  for insert with check (
+    public.is_registered_device(device_id)
+    and cmd_type in ('reset_kwh')
+    and status = 'queued'
+    and delivered_at is null
+    and executed_at is null
+    and result is null
+    and error is null
+  );
+
+-- Dipanggil firmware. p_status: delivered | executed | failed.
+create or replace function public.update_device_command(
+  p_id bigint,
+  p_status text,
+  p_result jsonb default null,
+  p_error text default null
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_updated integer;
+begin
+  if p_status not in ('delivered', 'executed', 'failed') then
+    raise exception 'status tidak valid: %', p_status;
+  end if;
+
+  update public.device_commands
+     set status = p_status,
+         delivered_at = coalesce(delivered_at, now()),
+         executed_at = case when p_status in ('executed', 'failed')
+                            then now() else executed_at end,
+         result = coalesce(p_result, result),
+         error = coalesce(p_error, error)
+   where id = p_id
+     -- hanya maju: queued -> delivered -> executed/failed
+     and (status = 'queued'
+          or (status = 'delivered' and p_status in ('executed', 'failed')));
+
+  get diagnostics v_updated = row_count;
+  return v_updated > 0;
+end;
+$$;
+
+grant execute on function public.update_device_command(bigint, text, jsonb, text)
+  to anon, authenticated;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'device_commands'
+  ) then
+    alter publication supabase_realtime add table public.device_commands;
+  end if;
+end;
+$$;
@@ -0,0 +1,89 @@
+-- Konfigurasi jarak jauh device (interval logging, NTP/zona waktu,
+-- referensi energi PZEM, sensor aktif).
+--
+-- Dashboard mengirim perintah bertipe (device_commands.cmd_type + payload)
+-- dan mencatat nilai yang diinginkan di device_config.desired. Firmware
+-- melaporkan konfigurasi aktualnya (plus info WiFi/firmware) lewat RPC
+-- report_device_config ke device_config.reported. Key di kedua jsonb sama,
+-- lihat src/lib/deviceConfig.js.
+
+alter table public.device_commands
+  add column if not exists payload jsonb;
+
+-- jenis perintah konfigurasi ditambahkan ke daftar yang boleh diantrekan
+drop policy if exists "device_commands write" on public.device_commands;
+create policy "device_commands write" on public.device_commands
+  for insert with check (
+    public.is_registered_device(device_id)
+    and cmd_type in (
+      'reset_kwh', 'reboot', 'set_interval', 'set_ntp', 'set_energy_ref',
+      'toggle_sensor'
+    )
+    and status = 'queued'
+    and delivered_at is null
+    and executed_at is null
+    and result is null
+    and error is null
+  );
+
+create table if not exists public.device_config (
+  device_id text primary key,
+  desired jsonb not null default '{}'::jsonb,
+  desired_at timestamptz,
+  reported jsonb,
+  reported_at timestamptz
+);
+
+alter table public.device_config enable row level security;
+
+drop policy if exists "device_config read" on public.device_config;
+create policy "device_config read" on public.device_config
+  for select using (true);
+
+-- desired hanya untuk device terdaftar; firmware melapor lewat RPC
+-- report_device_config di bawah (batas per peran di 0014)
+drop policy if exists "device_config write" on public.device_config;
+create policy "device_config write" on public.device_config
+  for insert with check (public.is_registered_device(device_id));
+
+drop policy if exists "device_config update" on public.device_config;
+create policy "device_config update" on public.device_config
+  for update using (public.is_registered_device(device_id))
+  with check (public.is_registered_device(device_id));
+
+-- Dipanggil firmware saat boot dan setelah menjalankan perintah konfigurasi.
+-- p_config menimpa seluruh reported (bukan merge) supaya key yang sudah
+-- tidak didukung firmware ikut hilang.
+create or replace function public.report_device_config(
+  p_device_id text,
+  p_config jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.device_config (device_id, reported, reported_at)
+  values (p_device_id, p_config, now())
+  on conflict (device_id) do update
+    set reported = excluded.reported,
+        reported_at = excluded.reported_at;
+end;
+$$;
+
+grant execute on function public.report_device_config(text, jsonb)
+  to anon, authenticated;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'device_config'
+  ) then
+    alter publication supabase_realtime add table public.device_config;
+  end if;
+end;
+$$;
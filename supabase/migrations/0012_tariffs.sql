@@ -0,0 +1,77 @@
+-- Riwayat tarif listrik PLN per device.
+--
+-- Tarif PLN bisa berubah tiap triwulan (tariff adjustment), jadi setiap
+-- tarif punya tanggal mulai berlaku (effective_from). Tarif aktif pada suatu
+-- tanggal = baris dengan effective_from terbaru yang <= tanggal tersebut.
+-- Dashboard mengirim tarif aktif ke ESP32 lewat device_commands
+-- (cmd_type set_tariff, payload = kolom tarif_* di monitoring_log).
+
+create table if not exists public.tariffs (
+  id bigserial primary key,
+  device_id text not null,
+  -- golongan PLN, mis. R-1/1300 VA (lihat src/lib/tariffs.js)
+  tariff_class text not null,
+  harga_per_kwh double precision not null check (harga_per_kwh >= 0),
+  biaya_beban double precision not null default 0 check (biaya_beban >= 0),
+  -- pajak dicatat terpisah supaya bisa dicocokkan dengan ppj_harian_rp
+  -- dan pbjt_harian_rp dari device
+  ppj_persen double precision not null default 0
+    check (ppj_persen >= 0 and ppj_persen <= 100),
+  pbjt_persen double precision not null default 0
+    check (pbjt_persen >= 0 and pbjt_persen <= 100),
+  effective_from date not null,
+  note text,
+  created_at timestamptz not null default now(),
+  unique (device_id, effective_from)
+);
+
+create index if not exists tariffs_device_effective_idx
+  on public.tariffs (device_id, effective_from desc);
+
+alter table public.tariffs enable row level security;
+
+drop policy if exists "tariffs read" on public.tariffs;
+create policy "tariffs read" on public.tariffs
+  for select using (true);
+
+-- tarif hanya untuk device terdaftar (batas per peran di 0014)
+drop policy if exists "tariffs write" on public.tariffs;
+create policy "tariffs write" on public.tariffs
+  for insert with check (public.is_registered_device(device_id));
+
+drop policy if exists "tariffs update" on public.tariffs;
+create policy "tariffs update" on public.tariffs
+  for update using (public.is_registered_device(device_id))
+  with check (public.is_registered_device(device_id));
+
+drop policy if exists "tariffs delete" on public.tariffs;
+create policy "tariffs delete" on public.tariffs
+  for delete using (public.is_registered_device(device_id));
+
+drop policy if exists "device_commands write" on public.device_commands;
+create policy "device_commands write" on public.device_commands
+  for insert with check (
+    public.is_registered_device(device_id)
+    and cmd_type in (
+      'reset_kwh', 'reboot', 'set_interval', 'set_ntp', 'set_energy_ref',
+      'toggle_sensor', 'set_tariff'
+    )
+    and status = 'queued'
+    and delivered_at is null
+    and executed_at is null
+    and result is null
+    and error is null
+  );
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'tariffs'
+  ) then
+    alter publication supabase_realtime add table public.tariffs;
+  end if;
+end;
+$$;
@@ -0,0 +1,65 @@
+-- Mode listrik prabayar (token PLN).
+--
+-- Sisa kWh diperkirakan di dashboard (src/lib/prepaid.js):
+--   saldo titik acuan (kalibrasi terakhir, angka sisa kWh di meter PLN)
+--   + kWh token yang dibeli setelahnya
+--   - energi terukur PZEM sejak titik acuan.
+-- meter_kwh_ref = energi_total_kwh device saat entri dicatat, dipakai kalau
+-- log lama sudah tidak dimuat.
+
+alter table public.devices
+  add column if not exists billing_mode text not null default 'postpaid'
+    check (billing_mode in ('postpaid', 'prepaid')),
+  -- peringatan saldo rendah (kWh)
+  add column if not exists prepaid_low_kwh double precision not null default 20
+    check (prepaid_low_kwh >= 0);
+
+-- diubah dashboard lewat policy "devices update" (0004)
+grant update (billing_mode, prepaid_low_kwh) on public.devices
+  to anon, authenticated;
+
+create table if not exists public.token_purchases (
+  id bigserial primary key,
+  device_id text not null,
+  -- purchase: beli token ; calibration: sisa kWh dibaca dari meter PLN
+  kind text not null default 'purchase'
+    check (kind in ('purchase', 'calibration')),
+  purchased_at timestamptz not null default now(),
+  nominal_rp double precision check (nominal_rp is null or nominal_rp >= 0),
+  kwh double precision not null check (kwh >= 0),
+  meter_kwh_ref double precision,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists token_purchases_device_idx
+  on public.token_purchases (device_id, purchased_at);
+
+alter table public.token_purchases enable row level security;
+
+drop policy if exists "token_purchases read" on public.token_purchases;
+create policy "token_purchases read" on public.token_purchases
+  for select using (true);
+
+-- catat / hapus token hanya untuk device terdaftar (batas per peran di
+-- 0014)
+drop policy if exists "token_purchases write" on public.token_purchases;
+create policy "token_purchases write" on public.token_purchases
+  for insert with check (public.is_registered_device(device_id));
+
+drop policy if exists "token_purchases delete" on public.token_purchases;
+create policy "token_purchases delete" on public.token_purchases
+  for delete using (public.is_registered_device(device_id));
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'token_purchases'
+  ) then
+    alter publication supabase_realtime add table public.token_purchases;
+  end if;
+end;
+$$;
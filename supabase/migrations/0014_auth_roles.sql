@@ -0,0 +1,292 @@
+-- Login (Supabase Auth) + peran pengguna untuk aksi yang mengubah data.
+--
+--   viewer   : hanya melihat
+--   operator : kontrol relay, reset kWh, aturan otomatis / jadwal / load
+--              shedding, catat token prabayar
+--   admin    : semua, plus pengaturan device, tarif, metadata relay dan
+--              peran pengguna
+--
+-- Pendaftaran terbuka, jadi akun baru selalu viewer (tidak ada promosi
+-- otomatis). Akun yang sudah ada saat migrasi diisi ulang: yang paling lama
+-- menjadi admin. Kalau belum ada akun sama sekali, daftar dulu lalu angkat
+-- admin pertama dari SQL editor:
+--   update public.user_roles set role = 'admin' where email = '<email>';
+-- Daftar izin yang sama dipakai UI di src/lib/auth.js.
+--
+-- Policy baca (select) sengaja tetap terbuka: firmware ESP32 memakai anon key
+-- untuk membaca relay_channel & device_commands dan melapor lewat RPC
+-- security definer (report_relay_state, update_device_command,
+-- report_device_config). Worker memakai service role (bypass RLS). Lokasi
+-- jadwal relay disimpan operator lewat RPC set_device_location.
+--
+-- Kalau relay_channel / monitoring_log punya policy tulis lama yang dibuat
+-- manual dari dashboard Supabase, hapus policy tersebut; policy bersifat OR
+-- sehingga policy lama yang longgar tetap mengizinkan anon menulis.
+
+create table if not exists public.user_roles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  email text,
+  role text not null default 'viewer'
+    check (role in ('viewer', 'operator', 'admin')),
+  created_at timestamptz not null default now()
+);
+
+alter table public.user_roles enable row level security;
+
+-- peran pengguna yang sedang login (null kalau anon)
+create or replace function public.app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when auth.uid() is null then null
+    else coalesce(
+      (select role from public.user_roles where user_id = auth.uid()),
+      'viewer'
+    )
+  end;
+$$;
+
+-- true kalau peran pengguna >= p_min (viewer < operator < admin)
+create or replace function public.has_role(p_min text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    array_position(array['viewer', 'operator', 'admin'], public.app_role())
+      >= array_position(array['viewer', 'operator', 'admin'], p_min),
+    false
+  );
+$$;
+
+grant execute on function public.app_role() to anon, authenticated;
+grant execute on function public.has_role(text) to anon, authenticated;
+
+drop policy if exists "user_roles read" on public.user_roles;
+create policy "user_roles read" on public.user_roles
+  for select using (user_id = auth.uid() or public.has_role('admin'));
+
+drop policy if exists "user_roles update" on public.user_roles;
+create policy "user_roles update" on public.user_roles
+  for update using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create or replace function public.handle_new_user_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.user_roles (user_id, email, role)
+  values (new.id, new.email, 'viewer')
+  on conflict (user_id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created_role on auth.users;
+create trigger on_auth_user_created_role
+  after insert on auth.users
+  for each row execute function public.handle_new_user_role();
+
+-- isi ulang akun yang sudah ada. Tabel dikunci supaya pendaftaran yang
+-- berjalan bersamaan tidak lolos di antara cek admin dan insert.
+lock table public.user_roles in share row exclusive mode;
+
+insert into public.user_roles (user_id, email, role)
+select
+  u.id,
+  u.email,
+  case
+    when not exists (select 1 from public.user_roles where role = 'admin')
+     and u.id = (
+       select id from auth.users order by created_at, id limit 1
+     )
+      then 'admin'
+    else 'viewer'
+  end
+from auth.users u
+on conflict (user_id) do nothing;
+
+-- Identitas pengguna dicatat dari JWT, bukan dari isi request:
+-- meta_by "web_*" dan created_by diberi akhiran / diisi email pengguna.
+create or replace function public.stamp_web_actor()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := auth.jwt() ->> 'email';
+begin
+  if auth.uid() is null then
+    return new;
+  end if;
+  if tg_table_name = 'relay_channel' then
+    if new.meta_by like 'web\_%' then
+      new.meta_by := split_part(new.meta_by, ':', 1) || ':' || v_email;
+    end if;
+  else
+    new.created_by := v_email;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists relay_channel_stamp_actor on public.relay_channel;
+create trigger relay_channel_stamp_actor
+  before insert or update on public.relay_channel
+  for each row execute function public.stamp_web_actor();
+
+drop trigger if exists device_commands_stamp_actor on public.device_commands;
+create trigger device_commands_stamp_actor
+  before insert on public.device_commands
+  for each row execute function public.stamp_web_actor();
+
+-- ---------------------------------------------------------------------
+-- Policy tulis per peran
+-- ---------------------------------------------------------------------
+
+-- relay_channel: operator
+alter table public.relay_channel enable row level security;
+
+drop policy if exists "relay_channel read" on public.relay_channel;
+create policy "relay_channel read" on public.relay_channel
+  for select using (true);
+
+drop policy if exists "relay_channel write" on public.relay_channel;
+create policy "relay_channel write" on public.relay_channel
+  for insert with check (public.has_role('operator'));
+
+drop policy if exists "relay_channel update" on public.relay_channel;
+create policy "relay_channel update" on public.relay_channel
+  for update using (public.has_role('operator'))
+  with check (public.has_role('operator'));
+
+-- device_commands: reset_kwh oleh operator, perintah lain hanya admin
+drop policy if exists "device_commands write" on public.device_commands;
+create policy "device_commands write" on public.device_commands
+  for insert with check (
+    public.has_role('admin')
+    or (cmd_type = 'reset_kwh' and public.has_role('operator'))
+  );
+
+-- otomasi relay & load shedding: operator
+drop policy if exists "relay_automation write" on public.relay_automation;
+create policy "relay_automation write" on public.relay_automation
+  for insert with check (public.has_role('operator'));
+
+drop policy if exists "relay_automation update" on public.relay_automation;
+create policy "relay_automation update" on public.relay_automation
+  for update using (public.has_role('operator'))
+  with check (public.has_role('operator'));
+
+drop policy if exists "load_shedding write" on public.load_shedding;
+create policy "load_shedding write" on public.load_shedding
+  for insert with check (public.has_role('operator'));
+
+drop policy if exists "load_shedding update" on public.load_shedding;
+create policy "load_shedding update" on public.load_shedding
+  for update using (public.has_role('operator'))
+  with check (public.has_role('operator'));
+
+-- token prabayar: operator
+drop policy if exists "token_purchases write" on public.token_purchases;
+create policy "token_purchases write" on public.token_purchases
+  for insert with check (public.has_role('operator'));
+
+drop policy if exists "token_purchases delete" on public.token_purchases;
+create policy "token_purchases delete" on public.token_purchases
+  for delete using (public.has_role('operator'));
+
+-- devices: admin. Lokasi jadwal relay (operator) disimpan lewat RPC
+-- set_device_location supaya operator tidak bisa mengubah kolom device lain
+-- (relay_count, billing_mode, site_id, ...).
+drop policy if exists "devices update" on public.devices;
+create policy "devices update" on public.devices
+  for update using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+-- true kalau baris device diubah; false kalau device tidak ada
+create or replace function public.set_device_location(
+  p_device_id text,
+  p_latitude double precision,
+  p_longitude double precision
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_updated integer;
+begin
+  if not public.has_role('operator') then
+    raise exception 'perlu peran operator';
+  end if;
+
+  update public.devices
+     set latitude = p_latitude,
+         longitude = p_longitude
+   where device_id = p_device_id;
+
+  get diagnostics v_updated = row_count;
+  return v_updated > 0;
+end;
+$$;
+
+grant execute on function public.set_device_location(text, double precision, double precision)
+  to anon, authenticated;
+
+-- pengaturan device, tarif & metadata relay: admin
+drop policy if exists "relay_channel_meta write" on public.relay_channel_meta;
+create policy "relay_channel_meta write" on public.relay_channel_meta
+  for insert with check (public.has_role('admin'));
+
+drop policy if exists "relay_channel_meta update" on public.relay_channel_meta;
+create policy "relay_channel_meta update" on public.relay_channel_meta
+  for update using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+drop policy if exists "device_config write" on public.device_config;
+create policy "device_config write" on public.device_config
+  for insert with check (public.has_role('admin'));
+
+drop policy if exists "device_config update" on public.device_config;
+create policy "device_config update" on public.device_config
+  for update using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+drop policy if exists "tariffs write" on public.tariffs;
+create policy "tariffs write" on public.tariffs
+  for insert with check (public.has_role('admin'));
+
+drop policy if exists "tariffs update" on public.tariffs;
+create policy "tariffs update" on public.tariffs
+  for update using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+drop policy if exists "tariffs delete" on public.tariffs;
+create policy "tariffs delete" on public.tariffs
+  for delete using (public.has_role('admin'));
+
+-- perubahan peran langsung terlihat di sesi pengguna (src/hooks/useAuth.js)
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'user_roles'
+  ) then
+    alter publication supabase_realtime add table public.user_roles;
+  end if;
+end;
+$$;
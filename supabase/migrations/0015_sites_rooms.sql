@@ -0,0 +1,133 @@
+-- Hirarki lokasi: site (rumah / gedung kos) -> ruangan -> device.
+--
+-- Dashboard menampilkan total energi, tagihan dan puncak daya per site dan
+-- per ruangan dengan menjumlahkan device anggotanya (src/lib/sites.js).
+-- Device tanpa site / ruangan tetap tampil seperti biasa.
+
+create table if not exists public.sites (
+  id bigserial primary key,
+  name text not null,
+  address text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.rooms (
+  id bigserial primary key,
+  site_id bigint not null references public.sites (id) on delete cascade,
+  name text not null,
+  created_at timestamptz not null default now(),
+  unique (site_id, name)
+);
+
+alter table public.devices
+  add column if not exists site_id bigint
+    references public.sites (id) on delete set null,
+  add column if not exists room_id bigint
+    references public.rooms (id) on delete set null;
+
+create index if not exists devices_site_idx on public.devices (site_id);
+
+-- penempatan device diubah lewat policy "devices update" (0014)
+grant update (site_id, room_id) on public.devices to anon, authenticated;
+
+-- ruangan harus milik site device. site_id null dilewati: saat site dihapus,
+-- room_id ikut di-null-kan lewat cascade rooms.
+create or replace function public.check_device_room()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if new.room_id is not null and new.site_id is not null and not exists (
+    select 1 from public.rooms
+     where id = new.room_id and site_id = new.site_id
+  ) then
+    raise exception 'Ruangan % bukan bagian dari site %',
+      new.room_id, new.site_id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists devices_check_room on public.devices;
+create trigger devices_check_room
+  before insert or update of site_id, room_id on public.devices
+  for each row execute function public.check_device_room();
+
+alter table public.sites enable row level security;
+alter table public.rooms enable row level security;
+
+-- baca terbuka, ubah hanya admin (peran dari 0014)
+drop policy if exists "sites read" on public.sites;
+create policy "sites read" on public.sites
+  for select using (true);
+
+drop policy if exists "sites write" on public.sites;
+create policy "sites write" on public.sites
+  for insert with check (public.has_role('admin'));
+
+drop policy if exists "sites update" on public.sites;
+create policy "sites update" on public.sites
+  for update using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+drop policy if exists "sites delete" on public.sites;
+create policy "sites delete" on public.sites
+  for delete using (public.has_role('admin'));
+
+drop policy if exists "rooms read" on public.rooms;
+create policy "rooms read" on public.rooms
+  for select using (true);
+
+drop policy if exists "rooms write" on public.rooms;
+create policy "rooms write" on public.rooms
+  for insert with check (public.has_role('admin'));
+
+drop policy if exists "rooms update" on public.rooms;
+create policy "rooms update" on public.rooms
+  for update using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+drop policy if exists "rooms delete" on public.rooms;
+create policy "rooms delete" on public.rooms
+  for delete using (public.has_role('admin'));
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'sites'
+  ) then
+    alter publication supabase_realtime add table public.sites;
+  end if;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'rooms'
+  ) then
+    alter publication supabase_realtime add table public.rooms;
+  end if;
+end;
+$$;
+
+-- perubahan site / ruangan device ikut realtime ke dashboard
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'devices'
+  ) then
+    alter publication supabase_realtime add table public.devices;
+  end if;
+end;
+$$;
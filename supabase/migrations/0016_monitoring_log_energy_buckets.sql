@@ -0,0 +1,122 @@
+-- Energi per bucket waktu untuk verifikasi tagihan & prediksi token.
+--
+-- Dashboard tidak lagi mengunduh log mentah 30 hari (dipotong batas baris
+-- PostgREST ~1000 sehingga yang terbaca hanya log paling lama). Selisih
+-- energi_total_kwh antar log dihitung di sini per bucket (tahan reset
+-- meter), ditambah log pertama / terakhir tiap bucket supaya selisih antar
+-- bucket -- termasuk celah saat device offline -- bisa dibagi rata ke hari
+-- yang dilewati (src/lib/energy.js).
+--
+-- energy_kwh  : jumlah selisih energi_total_kwh di dalam bucket; penurunan
+--               > 0.01 kWh dianggap reset, energi sejak reset ikut dihitung
+-- resets      : jumlah reset di dalam bucket (reset_* = reset pertama)
+-- *_harian_rp, total_bulanan_rp : nilai maksimum dari device
+-- tarif_*     : tarif di log terakhir bucket
+
+create or replace function public.monitoring_log_energy_buckets(
+  p_device_id text,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_bucket_seconds integer,
+  p_origin timestamptz default '2000-01-01 00:00:00+07'
+)
+returns table (
+  bucket_ts timestamptz,
+  samples bigint,
+  first_ts timestamptz,
+  last_ts timestamptz,
+  energi_total_kwh_first double precision,
+  energi_total_kwh_last double precision,
+  energy_kwh double precision,
+  resets bigint,
+  reset_ts timestamptz,
+  reset_from_kwh double precision,
+  reset_to_kwh double precision,
+  energi_harian_kwh_max double precision,
+  biaya_energi_harian_rp_max double precision,
+  beban_harian_rp_max double precision,
+  ppj_harian_rp_max double precision,
+  pbjt_harian_rp_max double precision,
+  total_harian_rp_max double precision,
+  total_bulanan_rp_max double precision,
+  tarif_harga_per_kwh double precision,
+  tarif_biaya_beban double precision,
+  tarif_pajak_persen double precision
+)
+language sql
+stable
+as $$
+  with logs as (
+    select
+      date_bin(make_interval(secs => greatest(p_bucket_seconds, 1)), l.ts, p_origin) as bucket_ts,
+      l.*
+    from public.monitoring_log l
+    where l.device_id = p_device_id
+      and l.ts >= p_from
+      and l.ts < p_to
+  ),
+  deltas as (
+    select
+      g.bucket_ts,
+      g.ts,
+      g.energi_total_kwh::float8 as total,
+      lag(g.energi_total_kwh::float8)
+        over (partition by g.bucket_ts order by g.ts) as prev_total
+    from logs g
+    where g.energi_total_kwh is not null
+  ),
+  energy as (
+    select
+      d.bucket_ts,
+      (array_agg(d.total order by d.ts))[1] as total_first,
+      (array_agg(d.total order by d.ts desc))[1] as total_last,
+      coalesce(sum(
+        case
+          when d.total - d.prev_total < -0.01 then greatest(d.total, 0)
+          when d.total > d.prev_total then d.total - d.prev_total
+          else 0
+        end
+      ), 0) as energy_kwh,
+      count(*) filter (where d.total - d.prev_total < -0.01) as resets,
+      (array_agg(d.ts order by d.ts)
+        filter (where d.total - d.prev_total < -0.01))[1] as reset_ts,
+      (array_agg(d.prev_total order by d.ts)
+        filter (where d.total - d.prev_total < -0.01))[1] as reset_from_kwh,
+      (array_agg(d.total order by d.ts)
+        filter (where d.total - d.prev_total < -0.01))[1] as reset_to_kwh
+    from deltas d
+    group by 1
+  )
+  select
+    g.bucket_ts,
+    count(*) as samples,
+    min(g.ts),
+    max(g.ts),
+    min(e.total_first),
+    min(e.total_last),
+    coalesce(min(e.energy_kwh), 0),
+    coalesce(min(e.resets), 0),
+    min(e.reset_ts),
+    min(e.reset_from_kwh),
+    min(e.reset_to_kwh),
+    max(g.energi_harian_kwh)::float8,
+    max(g.biaya_energi_harian_rp)::float8,
+    max(g.beban_harian_rp)::float8,
+    max(g.ppj_harian_rp)::float8,
+    max(g.pbjt_harian_rp)::float8,
+    max(g.total_harian_rp)::float8,
+    max(g.total_bulanan_rp)::float8,
+    (array_agg(g.tarif_harga_per_kwh::float8 order by g.ts desc)
+      filter (where g.tarif_harga_per_kwh is not null))[1],
+    (array_agg(g.tarif_biaya_beban::float8 order by g.ts desc)
+      filter (where g.tarif_biaya_beban is not null))[1],
+    (array_agg(g.tarif_pajak_persen::float8 order by g.ts desc)
+      filter (where g.tarif_pajak_persen is not null))[1]
+  from logs g
+  left join energy e on e.bucket_ts = g.bucket_ts
+  group by 1
+  order by 1;
+$$;
+
+grant execute on function public.monitoring_log_energy_buckets(text, timestamptz, timestamptz, integer, timestamptz)
+  to anon, authenticated;
@@ -0,0 +1,362 @@
+// Worker otomasi relay (Node, tanpa browser).
+//
+// Membaca aturan dari tabel relay_automation & load_shedding, mengevaluasinya
+// terhadap log terbaru & jadwal, lalu menulis relay_channel. Jalankan satu atau
+// lebih instance; hanya pemegang lease `relay-automation` yang mengevaluasi,
+// dan setiap aksi dikunci lewat kolom version di relay_automation_state /
+// load_shedding_state supaya tidak pernah dijalankan dua kali.
+//
+// Env:
+//   SUPABASE_URL (atau VITE_SUPABASE_URL)
+//   SUPABASE_SERVICE_ROLE_KEY   key service role (bypass RLS)
+//   AUTOMATION_TICK_MS          interval evaluasi, default 5000
+//   TZ                          zona waktu jadwal, default Asia/Jakarta
+//
+// Jalankan: npm run worker
+
+import os from 'node:os'
+import { createClient } from '@supabase/supabase-js'
+import { estimateSampleInterval } from '../src/lib/dataGaps.js'
+import { evaluateLoadShedding } from '../src/lib/loadShedding.js'
+import { evaluateChannelAutomation } from '../src/lib/relayAutomation.js'
+
+// jadwal dihitung dengan jam lokal, samakan dengan lokasi rumah
+if (!process.env.TZ) process.env.TZ = 'Asia/Jakarta'
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY
+const TICK_MS = Number(process.env.AUTOMATION_TICK_MS) || 5000
+const LEASE_NAME = 'relay-automation'
+const LEASE_TTL_SEC = 30
+const HOLDER = `${os.hostname()}:${process.pid}`
+// log terakhir yang dibaca per device, untuk menebak interval kirimnya
+const RECENT_LOG_COUNT = 10
+
+if (!SUPABASE_URL || !SERVICE_ROLE_KEY) {
+  console.error(
+    '[worker] SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY belum di-set di .env'
+  )
+  process.exit(1)
+}
+
+const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false }
+})
+
+let isLeader = false
+let stopping = false
+let timer = null
+
+function log(...args) {
+  console.log(new Date().toISOString(), '[worker]', ...args)
+}
+
+async function claimLease() {
+  const { data, error } = await supabase.rpc('claim_automation_lease', {
+    p_name: LEASE_NAME,
+    p_holder: HOLDER,
+    p_ttl_seconds: LEASE_TTL_SEC
+  })
+  if (error) throw error
+  return data === true
+}
+
+async function releaseLease() {
+  await supabase
+    .from('automation_leases')
+    .update({ expires_at: new Date().toISOString() })
+    .eq('name', LEASE_NAME)
+    .eq('holder', HOLDER)
+}
+
+async function loadDeviceContext(deviceId) {
+  const [logRes, relayRes, deviceRes] = await Promise.all([
+    supabase
+      .from('monitoring_log')
+      .select('*')
+      .eq('device_id', deviceId)
+      .order('ts', { ascending: false })
+      .limit(RECENT_LOG_COUNT),
+    supabase.from('relay_channel').select('*').eq('device_id', deviceId),
+    supabase
+      .from('devices')
+      .select('latitude, longitude')
+      .eq('device_id', deviceId)
+      .maybeSingle()
+  ])
+
+  const firstError = logRes.error || relayRes.error || deviceRes.error
+  if (firstError) throw firstError
+
+  const device = deviceRes.data
+  const recentLogs = [...(logRes.data || [])].reverse()
+  return {
+    lastLog: recentLogs[recentLogs.length - 1] || null,
+    intervalSec: estimateSampleInterval(recentLogs, RECENT_LOG_COUNT),
+    relays: relayRes.data || [],
+    location:
+      device && device.latitude != null && device.longitude != null
+        ? { lat: device.latitude, lon: device.longitude }
+        : null
+  }
+}
+
+// Bagian state yang berubah setiap tick tanpa arti: waktu evaluasi dan nilai
+// sensor / daya terbaru.
+const VOLATILE_STATE_KEYS = new Set([
+  'evaluated_at',
+  'last_log_ts',
+  'value',
+  'version',
+  'updated_at'
+])
+const ISO_TS = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/
+
+// Timestamp dinormalkan karena format dari Postgres berbeda dengan
+// toISOString(); key diurutkan karena jsonb tidak menyimpan urutan key.
+function normalizeState(value) {
+  if (Array.isArray(value)) return value.map(normalizeState)
+  if (value && typeof value === 'object') {
+    const out = {}
+    Object.keys(value)
+      .sort()
+      .forEach(key => {
+        if (VOLATILE_STATE_KEYS.has(key) || value[key] == null) return
+        out[key] = normalizeState(value[key])
+      })
+    return out
+  }
+  if (typeof value === 'string' && ISO_TS.test(value)) {
+    return new Date(value).toISOString()
+  }
+  return value
+}
+
+// State hanya ditulis kalau berubah, bukan setiap tick per channel
+function stateChanged(prevState, nextState) {
+  if (!prevState) return true
+  return (
+    JSON.stringify(normalizeState(prevState)) !==
+    JSON.stringify(normalizeState(nextState))
+  )
+}
+
+// Simpan state baru hanya kalau version belum berubah sejak dibaca.
+// keys = primary key baris. false = worker lain sudah lebih dulu, aksi batal.
+async function commitState(table, keys, prevState, nextState) {
+  const prevVersion = prevState ? prevState.version : null
+  const row = { ...nextState, ...keys, version: (prevVersion ?? 0) + 1 }
+
+  if (prevVersion === null) {
+    const { error } = await supabase.from(table).insert(row)
+    if (error?.code === '23505') return false
+    if (error) throw error
+    return true
+  }
+
+  let query = supabase.from(table).update(row).eq('version', prevVersion)
+  Object.entries(keys).forEach(([key, value]) => {
+    query = query.eq(key, value)
+  })
+  const { data, error } = await query.select('version')
+  if (error) throw error
+  return data.length > 0
+}
+
+// sama dengan toggleRelay di useRelayConfig
+async function setRelayState(deviceId, channel, state, metaBy) {
+  const { error } = await supabase.from('relay_channel').upsert(
+    {
+      device_id: deviceId,
+      channel,
+      state,
+      meta_by: metaBy,
+      meta_ts: new Date().toISOString()
+    },
+    { onConflict: 'device_id,channel' }
+  )
+  if (error) throw error
+}
+
+function logAction(deviceId, channel, action) {
+  log(
+    `${deviceId} ch${channel} -> ${action.state ? 'ON' : 'OFF'} (${action.metaBy})`
+  )
+}
+
+// Load shedding dievaluasi lebih dulu; relay yang dipadamkan tidak boleh
+// dinyalakan lagi oleh jadwal/sensor sampai beban turun.
+async function evaluateSheddingStep(
+  deviceId,
+  shedding,
+  { relays, lastLog, intervalSec },
+  now
+) {
+  const prevState = shedding.state || null
+  const { actions, state } = evaluateLoadShedding({
+    config: shedding.config,
+    relays,
+    lastLog,
+    state: prevState,
+    intervalSec,
+    now
+  })
+  if (!actions.length && !stateChanged(prevState, state)) {
+    return state.shed_channels || []
+  }
+
+  const committed = await commitState(
+    'load_shedding_state',
+    { device_id: deviceId },
+    prevState,
+    state
+  )
+  if (!committed) {
+    log(`${deviceId} load shedding: state berubah di worker lain, lewati`)
+    return prevState?.shed_channels || []
+  }
+
+  for (const action of actions) {
+    await setRelayState(deviceId, action.channel, action.state, action.metaBy)
+    logAction(deviceId, action.channel, action)
+    const relay = relays.find(r => r.channel === action.channel)
+    if (relay) relay.state = action.state
+  }
+  return state.shed_channels || []
+}
+
+async function evaluateDevice(
+  deviceId,
+  automations,
+  statesByChannel,
+  shedding
+) {
+  const context = await loadDeviceContext(deviceId)
+  const { lastLog, relays, location, intervalSec } = context
+  const now = new Date()
+
+  const shedChannels = shedding
+    ? await evaluateSheddingStep(deviceId, shedding, context, now)
+    : []
+
+  for (const automation of automations) {
+    const channel = automation.channel
+    const relay = relays.find(r => r.channel === channel) || null
+    const prevState = statesByChannel.get(channel) || null
+
+    const { action, state } = evaluateChannelAutomation({
+      automation,
+      relay,
+      lastLog,
+      state: prevState,
+      location,
+      heldOff: shedChannels.includes(channel),
+      intervalSec,
+      now
+    })
+    if (!action && !stateChanged(prevState, state)) continue
+
+    const committed = await commitState(
+      'relay_automation_state',
+      { device_id: deviceId, channel },
+      prevState,
+      state
+    )
+    if (!committed) {
+      log(`${deviceId} ch${channel}: state berubah di worker lain, lewati`)
+      continue
+    }
+
+    if (action) {
+      await setRelayState(deviceId, channel, action.state, action.metaBy)
+      logAction(deviceId, channel, action)
+    }
+  }
+}
+
+async function tick() {
+  const leader = await claimLease()
+  if (leader !== isLeader) {
+    isLeader = leader
+    log(
+      leader
+        ? 'memegang lease, mulai evaluasi'
+        : 'standby, lease dipegang worker lain'
+    )
+  }
+  if (!leader) return
+
+  const [autoRes, stateRes, shedRes, shedStateRes] = await Promise.all([
+    supabase.from('relay_automation').select('*'),
+    supabase.from('relay_automation_state').select('*'),
+    supabase.from('load_shedding').select('*'),
+    supabase.from('load_shedding_state').select('*')
+  ])
+  const firstError =
+    autoRes.error || stateRes.error || shedRes.error || shedStateRes.error
+  if (firstError) throw firstError
+
+  const byDevice = new Map()
+  ;(autoRes.data || []).forEach(row => {
+    const list = byDevice.get(row.device_id) || []
+    list.push(row)
+    byDevice.set(row.device_id, list)
+  })
+  // device yang hanya punya load shedding tetap dievaluasi
+  ;(shedRes.data || []).forEach(row => {
+    if (!byDevice.has(row.device_id)) byDevice.set(row.device_id, [])
+  })
+
+  for (const [deviceId, automations] of byDevice) {
+    const statesByChannel = new Map(
+      (stateRes.data || [])
+        .filter(s => s.device_id === deviceId)
+        .map(s => [s.channel, s])
+    )
+    const sheddingConfig = (shedRes.data || []).find(
+      r => r.device_id === deviceId
+    )
+    const shedding = sheddingConfig
+      ? {
+          config: sheddingConfig,
+          state:
+            (shedStateRes.data || []).find(s => s.device_id === deviceId) ||
+            null
+        }
+      : null
+    try {
+      await evaluateDevice(deviceId, automations, statesByChannel, shedding)
+    } catch (err) {
+      console.error(`[worker] evaluasi ${deviceId} gagal:`, err.message || err)
+    }
+  }
+}
+
+async function loop() {
+  try {
+    await tick()
+  } catch (err) {
+    console.error('[worker] tick gagal:', err.message || err)
+  }
+  if (!stopping) timer = setTimeout(loop, TICK_MS)
+}
+
+async function shutdown() {
+  stopping = true
+  clearTimeout(timer)
+  if (isLeader) {
+    try {
+      await releaseLease()
+    } catch (err) {
+      console.error('[worker] gagal melepas lease:', err.message || err)
+    }
+  }
+  log('berhenti')
+  process.exit(0)
+}
+
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
+
+log(`mulai sebagai ${HOLDER}, interval ${TICK_MS} ms`)
+loop()